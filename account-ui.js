@@ -0,0 +1,187 @@
+// Account page: sign-in by phone number and one-time code, the profile form
+// and the order history with rebook and track links. Sessions, profiles and
+// orders go through the auth backend (accounts.js); order status comes from
+// the tracking status sources (tracking.js).
+
+const signInDraft = { challenge: null };
+
+function showAccountStatus(id, message, isError) {
+    const status = document.getElementById(id);
+    status.textContent = message;
+    status.classList.toggle('invalid', !!isError);
+}
+
+async function sendSignInCode() {
+    const phone = normalizeUgPhone(document.getElementById('signInPhone').value);
+    if (!phone) {
+        showAccountStatus('signInStatus', t('account.invalidPhone'), true);
+        return;
+    }
+    const button = document.getElementById('sendCodeBtn');
+    button.disabled = true;
+    try {
+        signInDraft.challenge = await currentAuthBackend().requestCode(phone);
+        showAccountStatus('signInStatus', signInDraft.challenge.sandboxCode
+            ? t('account.sandboxCode', { phone: maskPhone(phone), code: signInDraft.challenge.sandboxCode })
+            : t('account.codeSent', { phone: maskPhone(phone) }));
+        button.querySelector('span').setAttribute('data-i18n', 'account.resendCode');
+        button.querySelector('span').textContent = t('account.resendCode');
+        document.getElementById('signInCodeGroup').style.display = 'block';
+        document.getElementById('verifyCodeBtn').style.display = 'inline-flex';
+        document.getElementById('signInCode').focus();
+    } catch (error) {
+        console.error('Could not send the sign-in code:', error);
+        showAccountStatus('signInStatus', t('account.sendFailed'), true);
+    }
+    button.disabled = false;
+}
+
+async function verifySignInCode() {
+    // The last code expired or ran out of tries
+    if (!signInDraft.challenge) {
+        showAccountStatus('signInStatus', t('account.requestNewCode'), true);
+        return;
+    }
+    const code = document.getElementById('signInCode').value.trim();
+    if (!code) {
+        showAccountStatus('signInStatus', t('account.enterCode'), true);
+        return;
+    }
+    const button = document.getElementById('verifyCodeBtn');
+    button.disabled = true;
+    try {
+        const result = await currentAuthBackend().verifyCode(signInDraft.challenge.challengeId, code);
+        if (!result.valid) {
+            showAccountStatus('signInStatus', describeOtpResult(result), true);
+            if (!result.attemptsLeft) signInDraft.challenge = null;
+        } else {
+            saveSession(result.session);
+            signInDraft.challenge = null;
+            document.getElementById('signInCode').value = '';
+            showAccountStatus('signInStatus', '');
+            await showAccount();
+        }
+    } catch (error) {
+        console.error('Could not check the sign-in code:', error);
+        showAccountStatus('signInStatus', t('account.verifyFailed'), true);
+    }
+    button.disabled = false;
+}
+
+// One history row: request, status, route, figures and the actions
+function renderOrderHistoryItem(entry) {
+    const li = document.createElement('li');
+    li.className = 'order-history-item';
+    li.innerHTML = `
+        <div class="order-history-head">
+            <strong class="order-history-id"></strong>
+            <span class="order-history-status"></span>
+        </div>
+        <div class="order-history-route"></div>
+        <div class="order-history-meta"></div>
+        <div class="order-history-actions">
+            <a class="route-btn secondary order-history-track"><i class="fas fa-satellite"></i> <span></span></a>
+            <a class="route-btn order-history-rebook"><i class="fas fa-redo"></i> <span></span></a>
+        </div>
+    `;
+    li.querySelector('.order-history-id').textContent = entry.requestId;
+    const status = li.querySelector('.order-history-status');
+    status.textContent = t('status.' + entry.status);
+    status.classList.add(entry.status);
+    li.querySelector('.order-history-route').textContent = `${entry.pickup} → ${entry.delivery}` +
+        (entry.stopCount > 1 ? ` (${t('account.stops', { count: entry.stopCount })})` : '');
+    li.querySelector('.order-history-meta').textContent = [
+        entry.createdAt ? formatTrackingTime(entry.createdAt) : '',
+        entry.vehicleType ? t('vehicle.' + entry.vehicleType) : '',
+        entry.distance,
+        entry.cost
+    ].filter(value => value && value !== '--').join(' · ');
+
+    const track = li.querySelector('.order-history-track');
+    track.href = buildTrackingLink(entry.requestId, entry.liveKey);
+    track.querySelector('span').textContent = t('account.trackOrder');
+    const rebook = li.querySelector('.order-history-rebook');
+    rebook.href = 'index.html?rebook=' + encodeURIComponent(entry.requestId);
+    rebook.querySelector('span').textContent = t('account.rebook');
+    return li;
+}
+
+async function renderOrderHistory(session) {
+    const list = document.getElementById('orderHistoryList');
+    const orders = await currentAuthBackend().listOrders(session);
+    const tracked = await Promise.all(orders.map(order =>
+        getRequestStatus(order.requestId).catch(() => null)));
+    list.innerHTML = '';
+    orders.forEach((order, i) => list.appendChild(renderOrderHistoryItem(summarizeAccountOrder(order, tracked[i]))));
+    document.getElementById('orderHistoryEmpty').style.display = orders.length ? 'none' : 'block';
+}
+
+// Signed in: profile and history. Otherwise the sign-in form.
+async function showAccount() {
+    const session = readSession();
+    const profile = await getSignedInProfile();
+    const signedIn = !!(session && profile);
+    document.getElementById('signInSection').style.display = signedIn ? 'none' : 'block';
+    document.getElementById('profileSection').style.display = signedIn ? 'block' : 'none';
+    document.getElementById('orderHistory').style.display = signedIn ? 'block' : 'none';
+    if (!signedIn) return;
+
+    document.getElementById('accountSignedInAs').textContent = t('account.signedInAs', { phone: session.phone });
+    document.getElementById('profileName').value = profile.name || '';
+    document.getElementById('profileEmail').value = profile.email || '';
+    showAccountStatus('profileStatus', '');
+    try {
+        await renderOrderHistory(session);
+    } catch (error) {
+        console.error('Could not load the order history:', error);
+        showAccountStatus('profileStatus', t('account.loadFailed'), true);
+    }
+}
+
+async function saveProfileForm() {
+    const profile = {
+        name: document.getElementById('profileName').value,
+        email: document.getElementById('profileEmail').value
+    };
+    const invalid = validateProfile(profile);
+    if (invalid) {
+        showAccountStatus('profileStatus', t(invalid), true);
+        return;
+    }
+    try {
+        await currentAuthBackend().saveProfile(readSession(), profile);
+        showAccountStatus('profileStatus', t('account.profileSaved'));
+    } catch (error) {
+        console.error('Could not save the profile:', error);
+        showAccountStatus('profileStatus', t('account.loadFailed'), true);
+    }
+}
+
+(function initAccountPage() {
+    if (!document.getElementById('signInForm')) return;
+
+    document.getElementById('sendCodeBtn').addEventListener('click', sendSignInCode);
+    // Enter in the phone field sends the code; once a code is out it signs in
+    document.getElementById('signInForm').addEventListener('submit', e => {
+        e.preventDefault();
+        if (signInDraft.challenge) verifySignInCode();
+        else sendSignInCode();
+    });
+    document.getElementById('profileForm').addEventListener('submit', e => {
+        e.preventDefault();
+        saveProfileForm();
+    });
+    document.getElementById('signOutBtn').addEventListener('click', () => {
+        clearSession();
+        showAccount();
+    });
+    // The signed-in line and the history rows are written by script
+    onLanguageChange(() => {
+        const session = readSession();
+        if (!session || document.getElementById('profileSection').style.display === 'none') return;
+        document.getElementById('accountSignedInAs').textContent = t('account.signedInAs', { phone: session.phone });
+        renderOrderHistory(session).catch(error => console.error('Could not load the order history:', error));
+    });
+
+    showAccount();
+})();
@@ -0,0 +1,266 @@
+// Customer accounts: sign-in by phone number with a one-time code, the profile
+// that pre-fills the sender details and the history of orders booked while
+// signed in. No DOM dependencies.
+//
+// An auth backend is { name, label, requestCode(phone), verifyCode(challengeId, code),
+//                      getProfile(session), saveProfile(session, profile),
+//                      listOrders(session), addOrder(session, order) }:
+//   requestCode(phone) -> Promise<{ challengeId, expiresAt, sandboxCode? }>
+//   verifyCode(challengeId, code) -> Promise<{ valid, attemptsLeft, message, session? }>
+//   message is one of the otp.* keys listed in proof-of-delivery.js
+//   session: { token, phone, expiresAt }, handed back once the code is valid
+//   profile: { phone, name, email }
+//   listOrders(session) -> Promise<[order]>, newest first, each in the shape
+//     buildOrder() returns (booking/messages.js)
+// The local backend uses the sandbox OTP provider from proof-of-delivery.js.
+
+const ACCOUNTS_KEY = 'vdeliver.accounts';
+const SESSION_KEY = 'vdeliver.session';
+const ORDER_HISTORY_LIMIT = 50;
+
+// "0772 123456", "256772123456" or "+256 772 123 456" -> "+256772123456",
+// or null when it is not a Ugandan mobile number
+function normalizeUgPhone(value) {
+    const cleaned = (value || '').replace(/\s|-/g, '');
+    const match = cleaned.match(/^(?:\+256|0|256)(7\d{8})$/);
+    return match ? '+256' + match[1] : null;
+}
+
+// Checks the profile form. Returns a message key (see locales/) or null.
+function validateProfile(profile) {
+    if (!(profile.name || '').trim()) return 'account.nameRequired';
+    const email = (profile.email || '').trim();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return 'account.invalidEmail';
+    return null;
+}
+
+// Accounts kept in this browser, keyed by phone: { profile, orders, tokens }
+function readAccounts() {
+    try {
+        return JSON.parse(localStorage.getItem(ACCOUNTS_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read accounts', error);
+        return {};
+    }
+}
+
+function writeAccounts(accounts) {
+    try {
+        localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    } catch (error) {
+        console.warn('Could not save accounts', error);
+    }
+}
+
+function randomToken() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Accounts and sessions in localStorage, codes from the sandbox OTP provider,
+// so sign-in can be tried without an SMS gateway or an accounts server
+function createLocalAuthBackend(options) {
+    const settings = Object.assign({ sessionDays: 30 }, options);
+    const otp = createSandboxOtpProvider({
+        ttlMinutes: settings.otpTtlMinutes,
+        maxAttempts: settings.maxAttempts,
+        length: settings.otpLength
+    });
+    const pending = {}; // challengeId -> phone
+
+    // The account a session belongs to; a signed-out session fails like an
+    // HTTP 401 from the accounts API
+    function accountFor(accounts, session) {
+        const account = session && accounts[session.phone];
+        if (!account || !account.tokens.includes(session.token)) {
+            const error = new Error('Not signed in');
+            error.status = 401;
+            throw error;
+        }
+        return account;
+    }
+
+    return {
+        name: 'local',
+        label: 'This browser (sandbox codes)',
+        async requestCode(phone) {
+            const normalized = normalizeUgPhone(phone);
+            if (!normalized) throw new Error('Not a Ugandan mobile number: ' + phone);
+            const challenge = await otp.sendCode({ requestId: 'sign-in', phone: normalized });
+            pending[challenge.challengeId] = normalized;
+            return challenge;
+        },
+        async verifyCode(challengeId, code) {
+            const phone = pending[challengeId];
+            if (!phone) throw new Error('Unknown code request: ' + challengeId);
+            const result = await otp.verifyCode(challengeId, code);
+            if (!result.valid) return result;
+            delete pending[challengeId];
+
+            const accounts = readAccounts();
+            const account = accounts[phone] || { profile: { phone, name: '', email: '' }, orders: [], tokens: [] };
+            const session = {
+                token: randomToken(),
+                phone,
+                expiresAt: new Date(Date.now() + settings.sessionDays * 86400000).toISOString()
+            };
+            // A few devices at a time; the oldest sign-in drops off
+            account.tokens = account.tokens.concat(session.token).slice(-5);
+            accounts[phone] = account;
+            writeAccounts(accounts);
+            return Object.assign({}, result, { session });
+        },
+        async getProfile(session) {
+            return accountFor(readAccounts(), session).profile;
+        },
+        async saveProfile(session, profile) {
+            const accounts = readAccounts();
+            const account = accountFor(accounts, session);
+            // The phone number is the sign-in, so it can't be edited here
+            account.profile = {
+                phone: account.profile.phone,
+                name: (profile.name || '').trim(),
+                email: (profile.email || '').trim()
+            };
+            writeAccounts(accounts);
+            return account.profile;
+        },
+        async listOrders(session) {
+            return accountFor(readAccounts(), session).orders;
+        },
+        async addOrder(session, order) {
+            const accounts = readAccounts();
+            const account = accountFor(accounts, session);
+            account.orders = [order]
+                .concat(account.orders.filter(o => o.requestId !== order.requestId))
+                .slice(0, ORDER_HISTORY_LIMIT);
+            writeAccounts(accounts);
+            return order;
+        }
+    };
+}
+
+// Accounts API exposing
+//   POST {baseUrl}/auth/otp              { phone }           -> requestCode result
+//   POST {baseUrl}/auth/otp/{id}/verify  { code }            -> verifyCode result
+//   GET/PUT {baseUrl}/me                 profile
+//   GET/POST {baseUrl}/me/orders         order list / one order
+// with the session token as a bearer token on the /me calls
+function createHttpAuthBackend(options) {
+    async function call(method, path, body, session) {
+        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+        if (session) headers['Authorization'] = 'Bearer ' + session.token;
+        else if (options.apiKey) headers['Authorization'] = 'Bearer ' + options.apiKey;
+        const response = await fetch(options.baseUrl + path, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            const error = new Error('Accounts API error: ' + response.status);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'http',
+        label: 'Accounts API',
+        requestCode(phone) {
+            return call('POST', '/auth/otp', { phone: normalizeUgPhone(phone) || phone });
+        },
+        verifyCode(challengeId, code) {
+            return call('POST', '/auth/otp/' + encodeURIComponent(challengeId) + '/verify', { code });
+        },
+        getProfile(session) {
+            return call('GET', '/me', null, session);
+        },
+        saveProfile(session, profile) {
+            return call('PUT', '/me', { name: profile.name, email: profile.email }, session);
+        },
+        listOrders(session) {
+            return call('GET', '/me/orders', null, session);
+        },
+        addOrder(session, order) {
+            return call('POST', '/me/orders', order, session);
+        }
+    };
+}
+
+function getAuthBackend(config) {
+    if (config.backend === 'http') return createHttpAuthBackend(config.http);
+    return createLocalAuthBackend({
+        otpTtlMinutes: config.otpTtlMinutes,
+        maxAttempts: config.maxAttempts,
+        otpLength: config.otpLength,
+        sessionDays: config.sessionDays
+    });
+}
+
+let authBackend = null;
+
+// Override the backend, e.g. setAuthBackend(createLocalAuthBackend({ sessionDays: 1 }))
+function setAuthBackend(backend) {
+    authBackend = backend;
+}
+
+function currentAuthBackend() {
+    if (!authBackend) authBackend = getAuthBackend(APP_CONFIG.accounts);
+    return authBackend;
+}
+
+// The signed-in session on this device, or null when signed out or expired
+function readSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+        if (session && new Date(session.expiresAt) > new Date()) return session;
+    } catch (error) {
+        console.warn('Could not read the session', error);
+    }
+    return null;
+}
+
+function saveSession(session) {
+    try {
+        localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (error) {
+        console.warn('Could not save the session', error);
+    }
+}
+
+function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+}
+
+// The signed-in customer's profile, or null. A session the backend no longer
+// accepts is dropped, so the pages show the sign-in again.
+async function getSignedInProfile() {
+    const session = readSession();
+    if (!session) return null;
+    try {
+        return await currentAuthBackend().getProfile(session);
+    } catch (error) {
+        console.warn('Could not load the profile', error);
+        if (error.status === 401) clearSession();
+        return null;
+    }
+}
+
+// One row of the order history: route, figures and where it stands.
+// `tracked` is the getRequestStatus() result, if any (tracking.js).
+function summarizeAccountOrder(order, tracked) {
+    return {
+        requestId: order.requestId,
+        liveKey: order.liveKey,
+        createdAt: order.createdAt,
+        status: tracked ? tracked.status : 'received',
+        pickup: order.pickupAddress,
+        delivery: order.deliveryAddress,
+        stopCount: (order.deliveryStops || []).length || 1,
+        distance: order.routeDistance,
+        cost: order.routeCost,
+        vehicleType: order.vehicleType
+    };
+}
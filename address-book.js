@@ -0,0 +1,227 @@
+// Address book and "repeat last order", both kept in localStorage.
+// A saved place remembers the address, landmark, map pin and contact of a
+// pickup or delivery point; choosing it fills those fields in one go. The page
+// provides setLocationCoords(type, lat, lng) to set the pin and move its marker.
+
+const ADDRESS_BOOK_KEY = 'vdeliver.addressBook';
+const LAST_ORDER_KEY = 'vdeliver.lastOrder';
+
+// Form fields for each location type; the contact of a pickup point is the sender
+const PLACE_FIELDS = {
+    pickup: {
+        address: 'pickupAddress',
+        landmark: 'pickupLandmark',
+        coords: 'pickupCoordsHidden',
+        contactName: 'senderName',
+        contactPhone: 'senderPhone'
+    },
+    delivery: {
+        address: 'deliveryAddress',
+        landmark: 'deliveryLandmark',
+        coords: 'deliveryCoordsHidden',
+        contactName: 'recipientName',
+        contactPhone: 'recipientPhone'
+    }
+};
+
+function readAddressBook() {
+    try {
+        return JSON.parse(localStorage.getItem(ADDRESS_BOOK_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read the address book', error);
+        return [];
+    }
+}
+
+function writeAddressBook(places) {
+    try {
+        localStorage.setItem(ADDRESS_BOOK_KEY, JSON.stringify(places));
+    } catch (error) {
+        console.warn('Could not save the address book', error);
+    }
+}
+
+// Add a place, or replace the one with the same label
+// place: { label, address, landmark, coords: 'lat, lng', contactName, contactPhone }
+function saveAddressBookPlace(place) {
+    const places = readAddressBook().filter(p => p.label.toLowerCase() !== place.label.toLowerCase());
+    const saved = Object.assign({ id: 'place-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), lastUsed: new Date().toISOString() }, place);
+    places.push(saved);
+    writeAddressBook(places);
+    return saved;
+}
+
+function removeAddressBookPlace(id) {
+    writeAddressBook(readAddressBook().filter(p => p.id !== id));
+}
+
+// Most recently used first
+function getAddressBookPlaces() {
+    return readAddressBook().sort((a, b) => (b.lastUsed || '').localeCompare(a.lastUsed || ''));
+}
+
+function markAddressBookPlaceUsed(id) {
+    const places = readAddressBook();
+    const place = places.find(p => p.id === id);
+    if (!place) return;
+    place.lastUsed = new Date().toISOString();
+    writeAddressBook(places);
+}
+
+function saveLastOrder(formData) {
+    try {
+        localStorage.setItem(LAST_ORDER_KEY, JSON.stringify(formData));
+    } catch (error) {
+        console.warn('Could not save the last order', error);
+    }
+}
+
+function readLastOrder() {
+    try {
+        return JSON.parse(localStorage.getItem(LAST_ORDER_KEY));
+    } catch (error) {
+        console.warn('Could not read the last order', error);
+        return null;
+    }
+}
+
+// --- Form wiring -----------------------------------------------------------
+
+function renderSavedPlaceSelects() {
+    const places = getAddressBookPlaces();
+    document.querySelectorAll('.saved-place-select').forEach(select => {
+        select.innerHTML = '';
+        select.add(new Option(t(places.length ? 'addressBook.choose' : 'addressBook.empty'), ''));
+        places.forEach(place => {
+            const option = document.createElement('option');
+            option.value = place.id;
+            option.textContent = place.landmark ? `${place.label} — ${place.landmark}` : place.label;
+            select.appendChild(option);
+        });
+        select.disabled = !places.length;
+        select.closest('.saved-places').querySelector('.forget-place-btn').disabled = true;
+    });
+}
+
+// Fill a pickup or delivery section from a saved place
+function applySavedPlace(type, place) {
+    const fields = PLACE_FIELDS[type];
+    const coords = parseCoords(place.coords);
+    document.getElementById(fields.address).value = place.address || '';
+    document.getElementById(fields.landmark).value = place.landmark || '';
+    // The sender is whoever is booking, so only fill it in when empty
+    const overwriteContact = type === 'delivery';
+    if (place.contactName && (overwriteContact || !document.getElementById(fields.contactName).value.trim())) {
+        document.getElementById(fields.contactName).value = place.contactName;
+    }
+    if (place.contactPhone && (overwriteContact || !document.getElementById(fields.contactPhone).value.trim())) {
+        document.getElementById(fields.contactPhone).value = place.contactPhone;
+    }
+    if (coords) setLocationCoords(type, coords[0], coords[1]);
+    markAddressBookPlaceUsed(place.id);
+}
+
+// Save the current pickup or delivery section under a label
+function saveCurrentPlace(type) {
+    const fields = PLACE_FIELDS[type];
+    const value = id => document.getElementById(id).value.trim();
+    const coords = document.getElementById(fields.coords).value;
+    if (!value(fields.address) || !parseCoords(coords)) {
+        showNotification(t('addressBook.setFirst'));
+        return;
+    }
+    const label = (window.prompt(t('addressBook.namePrompt'), value(fields.landmark)) || '').trim();
+    if (!label) return;
+    saveAddressBookPlace({
+        label,
+        address: value(fields.address),
+        landmark: value(fields.landmark),
+        coords,
+        contactName: value(fields.contactName),
+        contactPhone: value(fields.contactPhone)
+    });
+    renderSavedPlaceSelects();
+    showNotification(t('addressBook.saved', { place: label }));
+}
+
+// Put a previous request back into the form. The pickup time is not restored;
+// the old slot has passed, so the sender picks a new one
+function restoreOrder(order) {
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el && value !== undefined) el.value = value;
+    };
+    set('senderName', order.senderName);
+    set('senderPhone', order.senderPhone);
+    set('senderEmail', order.senderEmail);
+    set('pickupAddress', order.pickupAddress);
+    set('pickupLandmark', order.pickupLandmark);
+    set('recipientName', order.recipientName);
+    set('recipientPhone', order.recipientPhone);
+    set('deliveryAddress', order.deliveryAddress);
+    set('deliveryLandmark', order.deliveryLandmark);
+    set('vehicleType', order.vehicleType);
+    set('packageDescription', order.packageDescription);
+    set('specialInstructions', order.specialInstructions === 'None' ? '' : order.specialInstructions);
+    set('emergencyContact', order.emergencyContact === 'Not provided' ? '' : order.emergencyContact);
+    document.getElementById('callRecipient').checked = !!order.callRecipient;
+    set('recipientNotify', order.recipientNotify);
+    if (order.package) setPackageDetails(order.package);
+
+    // Extra stops in the order they were entered, not the optimised visiting order
+    document.getElementById('extraStops').innerHTML = '';
+    (order.deliveryStops || [])
+        .filter(stop => stop.stopNumber > 1)
+        .sort((a, b) => a.stopNumber - b.stopNumber)
+        .forEach(stop => addDeliveryStop(stop));
+
+    const pickup = parseCoords(order.pickupCoords);
+    const delivery = parseCoords(order.deliveryCoords);
+    if (pickup) setLocationCoords('pickup', pickup[0], pickup[1]);
+    if (delivery) setLocationCoords('delivery', delivery[0], delivery[1]);
+    document.getElementById('vehicleType').dispatchEvent(new Event('change'));
+}
+
+function renderRepeatOrderBar() {
+    const bar = document.getElementById('repeatOrderBar');
+    if (!bar) return;
+    const order = readLastOrder();
+    if (!order) {
+        bar.style.display = 'none';
+        return;
+    }
+    document.getElementById('repeatOrderSummary').textContent =
+        `${order.pickupAddress} → ${order.deliveryAddress}` + (order.timestamp ? ` (${order.timestamp})` : '');
+    bar.style.display = 'flex';
+}
+
+document.querySelectorAll('.saved-places').forEach(group => {
+    const type = group.dataset.placeType;
+    const select = group.querySelector('.saved-place-select');
+    const forget = group.querySelector('.forget-place-btn');
+    select.addEventListener('change', function() {
+        forget.disabled = !select.value;
+        const place = readAddressBook().find(p => p.id === select.value);
+        if (!place) return;
+        applySavedPlace(type, place);
+        showNotification(t(type === 'pickup' ? 'addressBook.pickupSet' : 'addressBook.deliverySet', { place: place.label }));
+    });
+    group.querySelector('.save-place-btn').addEventListener('click', () => saveCurrentPlace(type));
+    forget.addEventListener('click', function() {
+        const place = readAddressBook().find(p => p.id === select.value);
+        if (!place || !window.confirm(t('addressBook.confirmRemove', { place: place.label }))) return;
+        removeAddressBookPlace(place.id);
+        renderSavedPlaceSelects();
+    });
+});
+
+document.getElementById('repeatOrderBtn')?.addEventListener('click', function() {
+    const order = readLastOrder();
+    if (!order) return;
+    restoreOrder(order);
+    showNotification(t('notify.orderRestored'));
+});
+
+onLanguageChange(renderSavedPlaceSelects);
+renderSavedPlaceSelects();
+renderRepeatOrderBar();
@@ -0,0 +1,205 @@
+// Shareable booking links: query parameters that pre-fill the booking form,
+// so a shop can link "Book delivery to/from us" straight to index.html.
+//
+//   pickup / delivery        pin as "lat,lng" or a full plus code
+//   pickupAddress, pickupLandmark, deliveryAddress, deliveryLandmark
+//   recipientName, recipientPhone
+//   vehicle                  a VEHICLE_TYPES key, e.g. motorcycle
+//   package                  package description
+//   weight, size, qty, value, dims ("LxWxH" in cm), flags ("fragile,documents")
+//
+// Values that don't validate are dropped. Uses plus-codes.js, pricing.js and
+// package-details.js.
+
+const BOOKING_LINK_TEXT_PARAMS = {
+    pickupAddress: 'pickupAddress',
+    pickupLandmark: 'pickupLandmark',
+    deliveryAddress: 'deliveryAddress',
+    deliveryLandmark: 'deliveryLandmark',
+    recipientName: 'recipientName',
+    recipientPhone: 'recipientPhone',
+    package: 'packageDescription'
+};
+
+const BOOKING_LINK_MAX_TEXT = 200;
+
+// "0.3476,32.5825" or a full plus code -> [lat, lng], else null
+function parseBookingLinkPin(value) {
+    const text = value.trim();
+    // A "+" that was not URL-encoded arrives as a space
+    const code = text.replace(' ', '+');
+    if (isFullPlusCode(code)) {
+        const cell = decodePlusCode(code);
+        return [cell.lat, cell.lng];
+    }
+    const [lat, lng] = text.split(',').map(Number);
+    if (text.split(',').length !== 2 || !isFinite(lat) || !isFinite(lng)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return [lat, lng];
+}
+
+function parsePositiveNumber(value) {
+    const number = parseFloat(value);
+    return number > 0 && isFinite(number) ? number : null;
+}
+
+// Read the pre-fill from a query string or URLSearchParams. Returns
+// { fields, pins: { pickup, delivery }, vehicleType, package, ignored } where
+// `ignored` lists the parameters that were present but invalid.
+function parseBookingLink(search) {
+    const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+    const result = { fields: {}, pins: {}, vehicleType: null, package: null, ignored: [] };
+    const reject = name => result.ignored.push(name);
+
+    Object.entries(BOOKING_LINK_TEXT_PARAMS).forEach(([param, field]) => {
+        const value = (params.get(param) || '').trim();
+        if (value) result.fields[field] = value.slice(0, BOOKING_LINK_MAX_TEXT);
+    });
+    ['pickup', 'delivery'].forEach(type => {
+        if (!params.has(type)) return;
+        const pin = parseBookingLinkPin(params.get(type));
+        if (pin) result.pins[type] = pin;
+        else reject(type);
+    });
+    if (params.has('vehicle')) {
+        const vehicle = params.get('vehicle').trim().toLowerCase();
+        if (VEHICLE_TYPES[vehicle]) result.vehicleType = vehicle;
+        else reject('vehicle');
+    }
+
+    const pkg = {};
+    if (params.has('weight')) {
+        const weight = parsePositiveNumber(params.get('weight'));
+        if (weight) pkg.weightKg = weight;
+        else reject('weight');
+    }
+    if (params.has('size')) {
+        const size = params.get('size').trim().toLowerCase();
+        if (PACKAGE_SIZES[size]) pkg.sizeClass = size;
+        else reject('size');
+    }
+    if (params.has('qty')) {
+        const quantity = Math.round(parsePositiveNumber(params.get('qty')) || 0);
+        if (quantity >= 1) pkg.quantity = quantity;
+        else reject('qty');
+    }
+    if (params.has('value')) {
+        const value = parsePositiveNumber(params.get('value'));
+        if (value) pkg.declaredValue = Math.round(value);
+        else reject('value');
+    }
+    if (params.has('dims')) {
+        const dims = params.get('dims').toLowerCase().split('x').map(parsePositiveNumber);
+        if (dims.length === 3 && dims.every(Boolean)) pkg.dimensionsCm = dims;
+        else reject('dims');
+    }
+    if (params.has('flags')) {
+        const flags = params.get('flags').toLowerCase().split(',').map(f => f.trim()).filter(Boolean);
+        pkg.flags = flags.filter(flag => PACKAGE_FLAGS[flag]);
+        if (pkg.flags.length !== flags.length) reject('flags');
+    }
+    if (Object.keys(pkg).length) result.package = pkg;
+    return result;
+}
+
+function formatBookingLinkPin(coords) {
+    return `${Number(coords[0]).toFixed(6)},${Number(coords[1]).toFixed(6)}`;
+}
+
+// Link to `pageUrl` carrying the given state (the shape parseBookingLink returns)
+function buildBookingLink(pageUrl, state) {
+    const url = new URL(pageUrl);
+    url.search = '';
+    url.hash = '';
+    const params = url.searchParams;
+    ['pickup', 'delivery'].forEach(type => {
+        if (state.pins[type]) params.set(type, formatBookingLinkPin(state.pins[type]));
+    });
+    Object.entries(BOOKING_LINK_TEXT_PARAMS).forEach(([param, field]) => {
+        if (state.fields[field]) params.set(param, state.fields[field]);
+    });
+    if (state.vehicleType) params.set('vehicle', state.vehicleType);
+    const pkg = state.package || {};
+    if (pkg.weightKg) params.set('weight', pkg.weightKg);
+    if (pkg.sizeClass) params.set('size', pkg.sizeClass);
+    if (pkg.quantity > 1) params.set('qty', pkg.quantity);
+    if (pkg.declaredValue) params.set('value', pkg.declaredValue);
+    if (pkg.dimensionsCm) params.set('dims', pkg.dimensionsCm.join('x'));
+    if (pkg.flags && pkg.flags.length) params.set('flags', pkg.flags.join(','));
+    return url.toString();
+}
+
+// --- Form wiring -----------------------------------------------------------
+
+// The link state for what is on the form now. Sender details stay out: the
+// person opening the link is the one booking.
+function readBookingLinkState() {
+    const fields = {};
+    Object.values(BOOKING_LINK_TEXT_PARAMS).forEach(field => {
+        const value = document.getElementById(field).value.trim();
+        if (value) fields[field] = value;
+    });
+    const pins = {};
+    ['pickup', 'delivery'].forEach(type => {
+        const coords = parseCoords(document.getElementById(type + 'CoordsHidden').value);
+        if (coords) pins[type] = coords;
+    });
+    const pkg = getPackageDetails();
+    return {
+        fields,
+        pins,
+        vehicleType: document.getElementById('vehicleType').value || null,
+        package: pkg
+    };
+}
+
+// Fill the form from the page's query string. The pins go through
+// setLocationCoords, so the markers and route section follow; pins outside
+// our areas are reported once the service areas have loaded.
+function prefillFromBookingLink(search) {
+    const link = parseBookingLink(search);
+    Object.entries(link.fields).forEach(([field, value]) => {
+        document.getElementById(field).value = value;
+    });
+    if (link.package) setPackageDetails(Object.assign(getPackageDetails(), link.package));
+    if (link.vehicleType) {
+        const select = document.getElementById('vehicleType');
+        select.value = link.vehicleType;
+        select.dispatchEvent(new Event('change'));
+    }
+
+    Object.entries(link.pins).forEach(([type, [lat, lng]]) => {
+        setLocationCoords(type, lat, lng);
+        if (!link.fields[type + 'Address']) {
+            getAddressFromCoordinates(lat, lng).then(addr => {
+                const input = document.getElementById(type + 'Address');
+                if (addr && addr.display_name && !input.value) input.value = addr.display_name;
+            });
+        }
+    });
+    if (Object.keys(link.pins).length) {
+        loadServiceAreas().then(() => {
+            Object.entries(link.pins).forEach(([type, pin]) => {
+                const check = checkServiceArea(pin);
+                if (!check.allowed) {
+                    showNotification(t(type === 'pickup' ? 'bookingLink.pickupRefused' : 'bookingLink.deliveryRefused', { reason: check.reason }));
+                }
+            });
+        }).catch(() => {});
+    }
+    if (link.ignored.length) {
+        showNotification(t('bookingLink.ignored', { fields: link.ignored.join(', ') }));
+    }
+    return link;
+}
+
+(function initBookingLinkShare() {
+    const button = document.getElementById('copyBookingLinkBtn');
+    if (!button) return;
+    button.addEventListener('click', () => {
+        const input = document.getElementById('bookingLinkInput');
+        input.value = buildBookingLink(window.location.href, readBookingLinkState());
+        input.parentElement.style.display = 'flex';
+        copyToClipboard('bookingLinkInput');
+    });
+})();
@@ -0,0 +1,85 @@
+// Signed-in customers on the booking page: the sender details come from their
+// profile, booked orders go into their order history, and ?rebook=VD-XXXXXX
+// (the account page's rebook button) puts one of those orders back into the
+// form. Uses accounts.js and address-book.js (restoreOrder) as globals.
+
+import { onLanguageChange, t } from '../i18n.js';
+import { showNotification } from './notifications.js';
+
+// Fill in the sender fields that are still empty
+function prefillSender(profile) {
+    const fill = (id, value) => {
+        const input = document.getElementById(id);
+        if (value && !input.value.trim()) input.value = value;
+    };
+    fill('senderName', profile.name);
+    fill('senderPhone', profile.phone);
+    fill('senderEmail', profile.email);
+}
+
+// "Sign in to ..." above the sender details, or who is signed in
+function showAccountPrompt(profile) {
+    const link = document.getElementById('accountPromptLink');
+    if (profile) {
+        link.removeAttribute('data-i18n');
+        link.textContent = t('account.signedInAs', { phone: profile.phone });
+    } else {
+        link.setAttribute('data-i18n', 'account.signInPrompt');
+        link.textContent = t('account.signInPrompt');
+    }
+    document.getElementById('orderHistoryLink').style.display = profile ? '' : 'none';
+}
+
+async function rebookOrder(rawId) {
+    const requestId = normalizeRequestId(rawId);
+    const orders = await currentAuthBackend().listOrders(readSession());
+    const order = orders.find(o => o.requestId === requestId);
+    if (!order) {
+        showNotification(t('notify.rebookNotFound', { id: requestId }));
+        return;
+    }
+    restoreOrder(order);
+    showNotification(t('notify.rebooked', { id: requestId }));
+}
+
+// Load the profile and apply it to the form; resolves to the profile or null
+export async function attachAccount(urlParams) {
+    const profile = await getSignedInProfile();
+    showAccountPrompt(profile);
+    onLanguageChange(() => showAccountPrompt(profile));
+    if (!profile) {
+        if (urlParams.has('rebook')) showNotification(t('account.signInPrompt'));
+        return null;
+    }
+
+    prefillSender(profile);
+    if (urlParams.has('rebook')) {
+        try {
+            await rebookOrder(urlParams.get('rebook'));
+        } catch (error) {
+            console.error('Could not load the order history:', error);
+            showNotification(t('account.loadFailed'));
+        }
+    }
+    return profile;
+}
+
+// Add a booked order to the signed-in customer's history. The first booking
+// also fills in a profile that has no name or email yet.
+export async function recordOrder(order) {
+    const session = readSession();
+    if (!session) return;
+    try {
+        const backend = currentAuthBackend();
+        await backend.addOrder(session, order);
+        const profile = await backend.getProfile(session);
+        if (!profile.name || !profile.email) {
+            await backend.saveProfile(session, {
+                name: profile.name || order.senderName,
+                email: profile.email || order.senderEmail
+            });
+        }
+    } catch (error) {
+        console.warn('Could not add the order to the account', error);
+    }
+}
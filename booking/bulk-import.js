@@ -0,0 +1,393 @@
+// Bulk orders: a merchant's CSV or spreadsheet of recipients read into rows
+// that are checked, placed on the map and priced, then sent as separate
+// orders or loaded into the form as one multi-stop job (see bulk-view.js).
+// Placing and routing the rows use the lookups in the classic scripts
+// (geocoding.js, landmarks.js, booking-link.js, routing.js) and the template
+// uses csvCell() from order-export.js, all as globals; reading and checking
+// the rows needs none of them. No DOM dependencies.
+
+import { t } from '../i18n.js';
+import { VEHICLE_ORDER, VEHICLE_TYPES } from '../vehicles.js';
+import { formatUGX } from '../pricing.js';
+import { checkServiceArea, validateServiceAreas } from '../service-areas.js';
+import { PACKAGE_FLAGS, PACKAGE_SIZES, PACKAGE_SIZE_ORDER } from '../package-details.js';
+import { COD_MAX_AMOUNT, COD_MIN_AMOUNT, PAYMENT_METHODS } from '../payments.js';
+import { ugPhoneValid, validatePackage } from './validation.js';
+import { quoteBooking } from './quote.js';
+
+export const BULK_MAX_ROWS = 200;
+
+// Row fields and the header spellings accepted for each, compared in
+// lowercase with everything but letters removed ("Weight (kg)" -> "weightkg")
+const BULK_COLUMNS = {
+    recipientName: ['recipientname', 'recipient', 'name', 'customer', 'customername'],
+    recipientPhone: ['recipientphone', 'phone', 'phonenumber', 'mobile', 'telephone', 'tel', 'contact'],
+    address: ['address', 'deliveryaddress'],
+    landmark: ['landmark', 'deliverylandmark'],
+    location: ['location', 'coordinates', 'coords', 'latlng', 'pin', 'pluscode'],
+    packageDescription: ['package', 'packagedescription', 'description', 'item', 'items'],
+    weightKg: ['weight', 'weightkg', 'kg'],
+    sizeClass: ['size', 'packagesize', 'sizeclass'],
+    quantity: ['quantity', 'qty', 'pieces'],
+    flags: ['handling', 'flags'],
+    vehicleType: ['vehicle', 'vehicletype'],
+    specialInstructions: ['instructions', 'specialinstructions', 'notes', 'note'],
+    codAmount: ['cod', 'codugx', 'codamount', 'cashondelivery', 'collect', 'collectugx']
+};
+
+// Header row of the downloadable template, one name per BULK_COLUMNS field
+const BULK_TEMPLATE_HEADER = [
+    'Recipient Name', 'Recipient Phone', 'Address', 'Landmark', 'Location',
+    'Package', 'Weight (kg)', 'Size', 'Quantity', 'Handling', 'Vehicle',
+    'Instructions', 'COD (UGX)'
+];
+
+const BULK_TEMPLATE_EXAMPLES = [
+    ['Sarah Namuli', '0772123456', 'Plot 12 Ntinda Road, Kampala', 'Opposite Shell Ntinda', '',
+        'Shoes', '1.5', 'small', '1', '', 'motorcycle', 'Call on arrival', '85000'],
+    ['John Okello', '+256701234567', 'Kisementi, Kampala', 'Acacia Mall main gate', '0.3353,32.5949',
+        'Printer', '8', 'medium', '1', 'fragile', '', '', '']
+];
+
+function headerKey(text) {
+    return String(text).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Rows of cells from CSV text: quoted cells, "" escapes, CRLF line ends and
+// a byte order mark. Excel in some locales writes ";" between cells, so the
+// separator is whichever of the two the header line uses more.
+export function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const header = source.split(/\r?\n/, 1)[0];
+    const count = ch => header.split(ch).length - 1;
+    const separator = count(';') > count(',') ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Spreadsheets drop the leading 0 of "0772123456"
+function tidyPhone(value) {
+    const cleaned = value.replace(/\s|-/g, '');
+    return /^7\d{8}$/.test(cleaned) ? '0' + cleaned : value;
+}
+
+// "Motorcycle", "tuk tuk" or "tuk_tuk" -> "tuk_tuk"; anything else is kept
+// as typed so the row check can name it
+function matchChoice(value, choices) {
+    const wanted = headerKey(value);
+    if (!wanted) return '';
+    return Object.keys(choices).find(id => headerKey(id) === wanted || headerKey(choices[id].label || choices[id]) === wanted) || value;
+}
+
+// One editable row from the cells of a line, all values as text
+function toBulkRow(cells, columns, line) {
+    const row = {
+        line, coords: null, placeLabel: '', locatedFrom: null, locationError: null,
+        quote: null, errors: [], status: 'pending', requestId: null
+    };
+    Object.keys(BULK_COLUMNS).forEach(field => {
+        const index = columns[field];
+        row[field] = index === undefined ? '' : String(cells[index] === undefined || cells[index] === null ? '' : cells[index]).trim();
+    });
+    row.recipientPhone = tidyPhone(row.recipientPhone);
+    row.vehicleType = matchChoice(row.vehicleType, VEHICLE_TYPES);
+    row.sizeClass = matchChoice(row.sizeClass, PACKAGE_SIZES);
+    return row;
+}
+
+// Rows from a table of cells (parseCsv() or a spreadsheet's first sheet),
+// the first line being the header. Returns { rows, error }.
+export function readBulkTable(table) {
+    const lines = table.filter(cells => cells.some(cell => String(cell).trim()));
+    if (!lines.length) return { rows: [], error: t('bulk.fileEmpty') };
+
+    const columns = {};
+    lines[0].forEach((text, index) => {
+        const key = headerKey(text);
+        const field = Object.keys(BULK_COLUMNS).find(name => BULK_COLUMNS[name].includes(key));
+        if (field && columns[field] === undefined) columns[field] = index;
+    });
+    const missing = [];
+    if (columns.recipientName === undefined) missing.push('Recipient Name');
+    if (columns.recipientPhone === undefined) missing.push('Recipient Phone');
+    if (columns.address === undefined && columns.location === undefined) missing.push('Address');
+    if (missing.length) return { rows: [], error: t('bulk.missingColumns', { columns: missing.join(', ') }) };
+
+    const body = lines.slice(1);
+    if (!body.length) return { rows: [], error: t('bulk.noOrders') };
+    if (body.length > BULK_MAX_ROWS) return { rows: [], error: t('bulk.tooManyRows', { max: BULK_MAX_ROWS, count: body.length }) };
+    // Line numbers as the spreadsheet shows them, the header being line 1
+    return { rows: body.map((cells, i) => toBulkRow(cells, columns, i + 2)), error: null };
+}
+
+// The template offered for download, with two example orders
+export function bulkTemplateCsv() {
+    return [BULK_TEMPLATE_HEADER].concat(BULK_TEMPLATE_EXAMPLES)
+        .map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function parseAmount(text) {
+    return Math.round(parseFloat(String(text).replace(/[,\s]/g, '').replace(/^ugx/i, '')) || 0);
+}
+
+// Package details in the shape getPackageDetails() returns
+export function bulkRowPackage(row) {
+    return {
+        weightKg: parseFloat(row.weightKg) || 0,
+        sizeClass: PACKAGE_SIZES[row.sizeClass] ? row.sizeClass : '',
+        dimensionsCm: null,
+        quantity: Math.max(1, Math.round(parseFloat(row.quantity) || 1)),
+        flags: Object.keys(PACKAGE_FLAGS).filter(flag => headerKey(row.flags).includes(flag)),
+        declaredValue: 0
+    };
+}
+
+export function bulkRowCod(row) {
+    return parseAmount(row.codAmount);
+}
+
+// Checks that need no lookups. Returns a list of error messages.
+export function validateBulkRow(row) {
+    const errors = [];
+    if (!row.recipientName) errors.push(t('bulk.recipientMissing'));
+    if (!row.recipientPhone) {
+        errors.push(t('bulk.phoneMissing'));
+    } else if (!ugPhoneValid(row.recipientPhone)) {
+        errors.push(t('notify.recipientPhone'));
+    }
+    if (!row.address && !row.location) errors.push(t('bulk.addressMissing'));
+    if (!row.landmark) errors.push(t('bulk.landmarkMissing'));
+    if (row.vehicleType && !VEHICLE_TYPES[row.vehicleType]) errors.push(t('bulk.unknownVehicle', { vehicle: row.vehicleType }));
+    if (row.sizeClass && !PACKAGE_SIZES[row.sizeClass]) {
+        errors.push(t('bulk.unknownSize', { size: row.sizeClass, sizes: PACKAGE_SIZE_ORDER.join(', ') }));
+    }
+    const packageError = validatePackage(bulkRowPackage(row), row.vehicleType);
+    if (packageError) errors.push(packageError);
+    if (row.codAmount && !(bulkRowCod(row) > 0)) errors.push(t('bulk.codNotNumber', { amount: row.codAmount }));
+    if (bulkRowCod(row) > 0 && bulkRowCod(row) < COD_MIN_AMOUNT) errors.push(t('validation.codMinimum', { amount: formatUGX(COD_MIN_AMOUNT) }));
+    if (bulkRowCod(row) > COD_MAX_AMOUNT) errors.push(t('validation.codLimit', { amount: formatUGX(COD_MAX_AMOUNT) }));
+    return errors;
+}
+
+// A pin we deliver to, else the service area's reason
+function servedPlace(coords, label) {
+    const check = checkServiceArea(coords);
+    return check.allowed ? { coords, label, error: null } : { coords: null, label, error: check.reason };
+}
+
+// Short plus codes are read against the gazetteer's towns; full ones
+// work without it
+async function plusCodePin(text) {
+    await loadLandmarks().catch(error => console.warn('Could not load landmarks:', error));
+    const place = resolvePlusCode(text);
+    return place ? [place.lat, place.lng] : null;
+}
+
+// Where the row delivers to: the location column (lat,lng or plus code),
+// a plus code in the landmark column, the geocoded address, else the
+// landmark from the gazetteer. Resolves to { coords, label, error }.
+export async function locateBulkRow(row) {
+    if (row.location) {
+        const pin = parseBookingLinkPin(row.location) || await plusCodePin(row.location);
+        if (!pin) return { coords: null, label: '', error: t('bulk.badLocation', { location: row.location }) };
+        return servedPlace(pin, row.location);
+    }
+    const landmarkCode = row.landmark ? await plusCodePin(row.landmark) : null;
+    if (landmarkCode) return servedPlace(landmarkCode, row.landmark);
+
+    const results = row.address ? await currentGeocoder().search(row.address) : [];
+    const found = results.find(place => checkServiceArea([place.lat, place.lng]).allowed);
+    if (found) return { coords: [found.lat, found.lng], label: found.label, error: null };
+    const landmark = row.landmark && searchLandmarks(row.landmark, 5)
+        .find(place => checkServiceArea([place.lat, place.lng]).allowed);
+    if (landmark) return { coords: [landmark.lat, landmark.lng], label: landmark.label, error: null };
+    if (results.length) return servedPlace([results[0].lat, results[0].lng], results[0].label);
+    return { coords: null, label: '', error: t('bulk.addressNotFound') };
+}
+
+// Price and ETA from the pickup to the row's pin, for the row's vehicle or
+// else `vehicleType` (the form's), else the recommended one of those the
+// service areas allow. Resolves to a quoteBooking() result or null when no
+// route could be found.
+export async function estimateBulkRow(row, pickup, options) {
+    const vehicleType = row.vehicleType || options.vehicleType || '';
+    const waypoints = [pickup, row.coords];
+    const points = [{ id: 'pickup', label: t('stops.pickup'), coords: pickup }, { id: 'primary', label: t('stops.delivery'), coords: row.coords }];
+    const served = VEHICLE_ORDER.filter(type => !validateServiceAreas(points, type));
+    const types = vehicleType ? [vehicleType] : served.length ? served : VEHICLE_ORDER;
+    const routes = await calculateRoutesForVehicles({ waypoints }, types);
+    return quoteBooking({ order: [0], ordered: [row.coords], pickup, waypoints, routes }, {
+        selected: vehicleType,
+        package: bulkRowPackage(row),
+        date: options.date
+    });
+}
+
+// Check, place and price one row, in place. Pins are looked up again only
+// when the address, landmark or location changed.
+// options: { pickup: [lat, lng] | null, vehicleType, date }
+export async function checkBulkRow(row, options) {
+    row.errors = validateBulkRow(row);
+    row.quote = null;
+    const locateKey = [row.address, row.landmark, row.location].join('|');
+    if (row.locatedFrom !== locateKey) {
+        if (row.address || row.location) {
+            const place = await locateBulkRow(row);
+            row.coords = place.coords;
+            row.placeLabel = place.label;
+            row.locationError = place.error;
+        } else {
+            row.coords = null;
+            row.placeLabel = '';
+            row.locationError = null;
+        }
+        row.locatedFrom = locateKey;
+    }
+    if (row.locationError) row.errors.push(row.locationError);
+
+    const knownVehicle = !row.vehicleType || VEHICLE_TYPES[row.vehicleType];
+    if (row.coords && options.pickup && knownVehicle) {
+        row.quote = await estimateBulkRow(row, options.pickup, options);
+        if (!row.quote) {
+            row.errors.push(t('bulk.noRoute'));
+        } else {
+            const chosen = row.quote.quotes.find(item => item.vehicleType === row.quote.vehicleType);
+            const areaError = validateServiceAreas([{ id: 'primary', label: t('stops.delivery'), coords: row.coords }], row.quote.vehicleType);
+            if (areaError) row.errors.push(areaError);
+            if (chosen.check.errors.length) row.errors.push(chosen.check.errors[0]);
+        }
+    }
+    row.status = row.errors.length ? 'error' : 'ready';
+    return row;
+}
+
+// Counts and the estimated total of the rows that can be sent
+export function summarizeBulkRows(rows) {
+    const ready = rows.filter(row => row.status === 'ready');
+    const priced = ready.filter(row => row.quote && row.quote.price);
+    return {
+        total: rows.length,
+        ready: ready.length,
+        errors: rows.filter(row => row.status === 'error').length,
+        sent: rows.filter(row => row.status === 'sent').length,
+        cost: priced.reduce((sum, row) => sum + row.quote.price.total, 0),
+        unpriced: ready.length - priced.length
+    };
+}
+
+// Mobile money charged to the sender is collected once per booking on the
+// success screen, so bulk orders are paid in cash or by the recipients.
+// Returns an error message or null.
+export function validateBulkPayment(payment) {
+    const method = PAYMENT_METHODS[payment.method];
+    if (payment.payer === 'sender' && method && method.mobileMoney) {
+        return t('bulk.senderMobileMoney', { method: t('paymentMethod.' + payment.method) });
+    }
+    return null;
+}
+
+// The form snapshot (readBookingForm() in main.js) with the row as its only
+// drop-off: recipient, address, package, vehicle and instructions from the
+// row, the sender, pickup, schedule and payment from the form, and cash on
+// delivery as the row asks (paid out to the form's payout number, else the
+// sender). Returns { booking, quote } for validateBooking() and buildOrder().
+export function bulkRowToBooking(base, row) {
+    const quote = row.quote;
+    const coords = row.coords.map(value => value.toFixed(6)).join(', ');
+    const address = row.address || row.placeLabel;
+    const fields = Object.assign({}, base.fields, {
+        recipientName: row.recipientName,
+        recipientPhone: row.recipientPhone,
+        deliveryAddress: address,
+        deliveryLandmark: row.landmark,
+        deliveryCoords: coords,
+        vehicleType: quote ? quote.vehicleType : row.vehicleType || base.fields.vehicleType,
+        packageDescription: row.packageDescription || base.fields.packageDescription,
+        specialInstructions: row.specialInstructions || base.fields.specialInstructions
+    });
+    const stop = {
+        id: 'primary',
+        recipientName: row.recipientName,
+        recipientPhone: row.recipientPhone,
+        address,
+        landmark: row.landmark,
+        coords
+    };
+    const cod = bulkRowCod(row);
+    const booking = Object.assign({}, base, {
+        fields,
+        stops: [stop],
+        orderedStops: [Object.assign({ stopNumber: 1 }, stop)],
+        tripPoints: base.tripPoints.filter(point => point.id === 'pickup')
+            .concat({ id: 'primary', label: t('stops.delivery'), coords: row.coords }),
+        package: bulkRowPackage(row),
+        payment: Object.assign({}, base.payment, {
+            codEnabled: cod > 0,
+            codAmount: cod,
+            codPayoutPhone: cod > 0 ? base.payment.codPayoutPhone || String(base.fields.senderPhone).trim() : ''
+        }),
+        // The one leg, as buildRouteLegs() describes it from the form
+        legs: quote ? [{
+            from: t('stops.pickup'),
+            to: t('stops.legStop', { number: 1, name: row.recipientName }),
+            distanceKm: quote.legKm[0],
+            durationMin: quote.legMin[0],
+            cost: quote.price.total
+        }] : null
+    });
+    return { booking, quote };
+}
+
+// One package for a multi-stop job: weights, pieces and declared values
+// added up, the largest size and every handling flag
+export function combineBulkPackages(rows) {
+    const packages = rows.map(bulkRowPackage);
+    const largest = packages.reduce((size, pkg) =>
+        PACKAGE_SIZE_ORDER.indexOf(pkg.sizeClass) > PACKAGE_SIZE_ORDER.indexOf(size) ? pkg.sizeClass : size, '');
+    return {
+        weightKg: Math.round(packages.reduce((sum, pkg) => sum + pkg.weightKg, 0) * 10) / 10,
+        sizeClass: largest,
+        dimensionsCm: null,
+        quantity: packages.reduce((sum, pkg) => sum + pkg.quantity, 0),
+        flags: Object.keys(PACKAGE_FLAGS).filter(flag => packages.some(pkg => pkg.flags.includes(flag))),
+        declaredValue: packages.reduce((sum, pkg) => sum + pkg.declaredValue, 0)
+    };
+}
+
+// Package descriptions of the rows, without repeats: "Shoes, Printer"
+export function combineBulkDescriptions(rows) {
+    return Array.from(new Set(rows.map(row => row.packageDescription).filter(Boolean))).join(', ');
+}
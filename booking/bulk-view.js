@@ -0,0 +1,415 @@
+// Bulk import panel on the booking page: upload a CSV or Excel file of
+// recipients, fix the rows in the preview table, then send them as separate
+// orders or load them into the form as one multi-stop job. Reading, checking
+// and pricing the rows is bulk-import.js; attachBulkImport() takes the
+// booking page's form reader, order sender and route calculation (main.js).
+
+import { onLanguageChange, t } from '../i18n.js';
+import { VEHICLE_ORDER } from '../vehicles.js';
+import { formatUGX } from '../pricing.js';
+import { loadServiceAreas } from '../service-areas.js';
+import { parseCoords } from '../stops.js';
+import { getSchedulePickupTime } from '../schedule.js';
+import { PACKAGE_SIZE_ORDER } from '../package-details.js';
+import { validateBooking } from './validation.js';
+import { buildOrder } from './messages.js';
+import { showNotification } from './notifications.js';
+import { setLocationCoords } from './locations.js';
+import {
+    parseCsv, readBulkTable, bulkTemplateCsv, checkBulkRow, summarizeBulkRows,
+    validateBulkPayment, bulkRowToBooking, combineBulkPackages, combineBulkDescriptions, bulkRowCod
+} from './bulk-import.js';
+
+// SheetJS, loaded the first time an Excel file is chosen. Served from this
+// site (vendor/, Apache-2.0) so no third-party code runs next to merchants'
+// customer lists and payments, and cached for offline use by sw.js. Releases
+// before 0.20.2 have prototype-pollution (CVE-2023-30533) and ReDoS
+// (CVE-2024-22363) bugs, and the cdnjs and npm `xlsx` copies stop at 0.18.5.
+// The file is dist/xlsx.full.min.js of the 0.20.3 release tarball; when
+// upgrading, replace it and update SHEETJS_INTEGRITY
+// (openssl dgst -sha384 -binary FILE | openssl base64 -A).
+const SHEETJS_URL = 'vendor/xlsx-0.20.3/xlsx.full.min.js';
+const SHEETJS_INTEGRITY = 'sha384-EnyY0/GSHQGSxSgMwaIPzSESbqoOLSexfnSMN2AP+39Ckmn92stwABZynq1JyzdT';
+
+// Editable columns of the preview table, in order, with their header keys
+const BULK_TABLE_FIELDS = [
+    ['recipientName', 'bulk.colRecipient'],
+    ['recipientPhone', 'bulk.colPhone'],
+    ['address', 'bulk.colAddress'],
+    ['landmark', 'bulk.colLandmark'],
+    ['location', 'bulk.colLocation'],
+    ['packageDescription', 'bulk.colPackage'],
+    ['weightKg', 'bulk.colWeight'],
+    ['sizeClass', 'bulk.colSize'],
+    ['vehicleType', 'bulk.colVehicle'],
+    ['codAmount', 'bulk.colCod']
+];
+
+// validateBooking() targets that are a column of the row rather than a form field
+const ROW_TARGETS = {
+    recipientName: 'recipientName',
+    recipientPhone: 'recipientPhone',
+    deliveryLandmark: 'landmark',
+    packageDescription: 'packageDescription',
+    vehicleType: 'vehicleType',
+    packageFields: 'weightKg'
+};
+
+let bulkRows = [];
+let bulkChecks = Promise.resolve(); // row checks run one at a time
+let bulkSending = false;
+let bulkOptions = null;
+let sheetJsLoading = null;
+
+function loadSheetJs() {
+    if (!sheetJsLoading) {
+        sheetJsLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = SHEETJS_URL;
+            script.integrity = SHEETJS_INTEGRITY;
+            script.onload = () => resolve(window.XLSX);
+            script.onerror = () => {
+                sheetJsLoading = null;
+                reject(new Error('Could not load ' + SHEETJS_URL));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return sheetJsLoading;
+}
+
+// Table of cells from the first sheet of a workbook, or from CSV text
+async function readBulkFile(file) {
+    if (/\.xlsx?$/i.test(file.name)) {
+        const XLSX = await loadSheetJs();
+        const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+    }
+    return parseCsv(await file.text());
+}
+
+function showBulkStatus(message, isError) {
+    const status = document.getElementById('bulkStatus');
+    status.textContent = message;
+    status.classList.toggle('invalid', !!isError);
+}
+
+function rowElement(row) {
+    return document.querySelector(`#bulkRows tr[data-line="${row.line}"]`);
+}
+
+function rowInput(row, field) {
+    const tr = rowElement(row);
+    return tr && tr.querySelector(`[data-field="${field}"]`);
+}
+
+// Select for the size or vehicle column; a value that matches none of the
+// choices stays selectable so the row error can point at it
+function choiceSelect(value, ids, labelPrefix, emptyLabel) {
+    const select = document.createElement('select');
+    const choices = [['', emptyLabel]].concat(ids.map(id => [id, t(labelPrefix + id)]));
+    if (value && !ids.includes(value)) choices.push([value, value]);
+    choices.forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+}
+
+function renderBulkRow(row) {
+    const tr = document.createElement('tr');
+    tr.dataset.line = row.line;
+    const line = document.createElement('th');
+    line.scope = 'row';
+    line.textContent = row.line;
+    tr.appendChild(line);
+
+    BULK_TABLE_FIELDS.forEach(([field, header]) => {
+        let input;
+        if (field === 'sizeClass') {
+            input = choiceSelect(row.sizeClass, PACKAGE_SIZE_ORDER, 'size.', t('bulk.noSize'));
+        } else if (field === 'vehicleType') {
+            input = choiceSelect(row.vehicleType, VEHICLE_ORDER, 'vehicle.', t('bulk.anyVehicle'));
+        } else {
+            input = document.createElement('input');
+            input.type = field === 'recipientPhone' ? 'tel' : 'text';
+            if (field === 'weightKg' || field === 'codAmount') input.inputMode = 'decimal';
+            input.value = row[field];
+        }
+        input.className = 'modern-input';
+        input.dataset.field = field;
+        input.setAttribute('aria-label', t('bulk.cellLabel', { column: t(header), line: row.line }));
+        const td = document.createElement('td');
+        td.appendChild(input);
+        tr.appendChild(td);
+    });
+
+    const estimate = document.createElement('td');
+    estimate.className = 'bulk-estimate';
+    const status = document.createElement('td');
+    status.className = 'bulk-status';
+    tr.append(estimate, status);
+
+    // An edited row is checked again on its own
+    tr.addEventListener('change', e => {
+        const field = e.target.dataset.field;
+        if (!field) return;
+        row[field] = e.target.value.trim();
+        checkRows([row]);
+    });
+    return tr;
+}
+
+// Estimate, status and errors of a row; the inputs are left alone so an
+// edit in progress keeps its focus
+function updateBulkRow(row) {
+    // A check still running for the rows of a replaced file
+    if (!bulkRows.includes(row)) return;
+    const tr = rowElement(row);
+    tr.className = 'bulk-row ' + row.status;
+    const price = row.quote && row.quote.price;
+    tr.querySelector('.bulk-estimate').textContent = price
+        ? `${formatUGX(price.total)} · ${t('vehicle.' + row.quote.vehicleType)}`
+        : '--';
+
+    const status = tr.querySelector('.bulk-status');
+    status.innerHTML = '';
+    if (row.status === 'sent') {
+        const link = document.createElement('a');
+        link.href = buildTrackingLink(row.requestId, row.liveKey);
+        link.target = '_blank';
+        link.textContent = t('bulk.statusSent', { id: row.requestId });
+        status.appendChild(link);
+    } else if (row.status === 'error') {
+        const list = document.createElement('ul');
+        row.errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        status.appendChild(list);
+    } else {
+        status.textContent = t(row.status === 'ready' ? 'bulk.statusReady' : 'bulk.statusPending');
+    }
+    tr.querySelectorAll('[data-field]').forEach(input => { input.disabled = row.status === 'sent'; });
+}
+
+function renderBulkSummary() {
+    const summary = summarizeBulkRows(bulkRows);
+    const parts = [t('bulk.summary', { total: summary.total, ready: summary.ready, errors: summary.errors })];
+    if (summary.sent) parts.push(t('bulk.summarySent', { count: summary.sent }));
+    if (summary.cost) parts.push(t('bulk.estimate', { cost: formatUGX(summary.cost) }));
+    document.getElementById('bulkSummary').textContent = parts.join(' · ');
+
+    const send = document.getElementById('bulkSendBtn');
+    send.querySelector('span').textContent = t('bulk.send', { count: summary.ready });
+    send.disabled = !summary.ready || bulkSending;
+    document.getElementById('bulkJobBtn').disabled = !summary.ready || bulkSending;
+}
+
+function renderBulkTable() {
+    const body = document.getElementById('bulkRows');
+    body.innerHTML = '';
+    bulkRows.forEach(row => {
+        body.appendChild(renderBulkRow(row));
+        updateBulkRow(row);
+    });
+    document.getElementById('bulkPreview').style.display = bulkRows.length ? 'block' : 'none';
+    renderBulkSummary();
+}
+
+// Pickup, vehicle and pickup time from the form, read when a check starts
+function checkOptions() {
+    const booking = bulkOptions.readForm();
+    return {
+        pickup: parseCoords(booking.fields.pickupCoords),
+        vehicleType: booking.fields.vehicleType,
+        date: getSchedulePickupTime(booking.schedule)
+    };
+}
+
+// Check rows in the background, one after another; rows already sent are skipped
+function checkRows(rows) {
+    const pending = rows.filter(row => row.status !== 'sent');
+    pending.forEach(row => {
+        row.status = 'pending';
+        updateBulkRow(row);
+    });
+    renderBulkSummary();
+    warnIfSearchLimited();
+    bulkChecks = bulkChecks.then(async () => {
+        const options = checkOptions();
+        for (let i = 0; i < pending.length; i++) {
+            const row = pending[i];
+            if (pending.length > 1) showBulkStatus(t('bulk.checking', { number: i + 1, total: pending.length }));
+            try {
+                await checkBulkRow(row, options);
+            } catch (error) {
+                console.error(`Could not check row ${row.line}:`, error);
+                row.errors = [t('bulk.lookupFailed')];
+                row.status = 'error';
+            }
+            updateBulkRow(row);
+            renderBulkSummary();
+        }
+        showBulkStatus(options.pickup ? '' : t('bulk.noPickup'));
+    });
+    return bulkChecks;
+}
+
+async function importBulkFile(file) {
+    showBulkStatus(t('bulk.reading', { name: file.name }));
+    let table;
+    try {
+        table = await readBulkFile(file);
+    } catch (error) {
+        console.error('Could not read the bulk file:', error);
+        showBulkStatus(t('bulk.readFailed', { name: file.name }), true);
+        return;
+    }
+    const { rows, error } = readBulkTable(table);
+    if (error) {
+        showBulkStatus(error, true);
+        return;
+    }
+    // Service areas decide which geocoded places can be used
+    await loadServiceAreas().catch(err => console.error('Could not load service areas:', err));
+    bulkRows = rows;
+    renderBulkTable();
+    checkRows(bulkRows);
+}
+
+// Say what is wrong with a row and show the cell or form field to fix
+function showRowError(row, error) {
+    showNotification(t('bulk.rowError', { line: row.line, message: error.message }), { urgent: true });
+    const column = ROW_TARGETS[error.target];
+    const target = column ? rowInput(row, column) : error.target && document.getElementById(error.target);
+    if (target && target.matches('input, select, textarea')) target.focus();
+    else if (target) target.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Every ready row as its own order, with the sender, pickup, pickup time
+// and payment from the form. All rows are validated before any is sent.
+async function sendBulkOrders() {
+    await bulkChecks;
+    const base = bulkOptions.readForm();
+    const paymentError = validateBulkPayment(base.payment);
+    if (paymentError) {
+        showNotification(paymentError, { urgent: true });
+        document.getElementById('paymentSection').scrollIntoView({ behavior: 'smooth' });
+        return;
+    }
+    const ready = bulkRows.filter(row => row.status === 'ready');
+    if (!ready.length) {
+        showNotification(t('bulk.nothingReady'));
+        return;
+    }
+    const prepared = [];
+    for (const row of ready) {
+        const { booking, quote } = bulkRowToBooking(base, row);
+        const error = validateBooking(booking, quote);
+        if (error) {
+            showRowError(row, error);
+            return;
+        }
+        prepared.push({ row, booking, quote });
+    }
+
+    bulkSending = true;
+    renderBulkSummary();
+    for (let i = 0; i < prepared.length; i++) {
+        const { row, booking, quote } = prepared[i];
+        showBulkStatus(t('bulk.sending', { number: i + 1, total: prepared.length }));
+        const requestId = generateRequestId();
+        const liveKey = generateLiveKey();
+        const order = buildOrder(booking, quote, {
+            requestId,
+            liveKey,
+            now: new Date(),
+            directionsLink: quote ? buildDirectionsLink(quote.vehicleType, quote.waypoints, requestId, liveKey) : ''
+        });
+        // Queued in the outbox, so a dropped connection doesn't lose the rest
+        await bulkOptions.sendOrder(order);
+        row.status = 'sent';
+        row.requestId = requestId;
+        row.liveKey = liveKey;
+        updateBulkRow(row);
+    }
+    bulkSending = false;
+    renderBulkSummary();
+    showBulkStatus('');
+    showNotification(t('bulk.sent', { count: prepared.length }));
+}
+
+// The ready rows as the stops of one booking: the first row in the delivery
+// section, the rest as extra stops, one combined package. Cash on delivery
+// is per order, so amounts in the file are not carried over.
+function loadBulkJob() {
+    const ready = bulkRows.filter(row => row.status === 'ready');
+    if (!ready.length) {
+        showNotification(t('bulk.nothingReady'));
+        return;
+    }
+    const coords = row => row.coords.map(value => value.toFixed(6)).join(', ');
+    const [first, ...rest] = ready;
+    document.getElementById('recipientName').value = first.recipientName;
+    document.getElementById('recipientPhone').value = first.recipientPhone;
+    document.getElementById('deliveryAddress').value = first.address || first.placeLabel;
+    document.getElementById('deliveryLandmark').value = first.landmark;
+    setLocationCoords('delivery', first.coords[0], first.coords[1]);
+
+    document.getElementById('extraStops').innerHTML = '';
+    rest.forEach(row => addDeliveryStop({
+        recipientName: row.recipientName,
+        recipientPhone: row.recipientPhone,
+        address: row.address || row.placeLabel,
+        landmark: row.landmark,
+        coords: coords(row)
+    }));
+
+    setPackageDetails(combineBulkPackages(ready));
+    const descriptions = combineBulkDescriptions(ready);
+    if (descriptions) document.getElementById('packageDescription').value = descriptions;
+    const instructions = ready
+        .map((row, i) => row.specialInstructions ? `Stop ${i + 1} (${row.recipientName}): ${row.specialInstructions}` : '')
+        .filter(Boolean);
+    if (instructions.length) document.getElementById('specialInstructions').value = instructions.join('\n');
+
+    document.getElementById('bulkImport').open = false;
+    showNotification(t('bulk.jobLoaded', { count: ready.length }));
+    if (ready.some(row => bulkRowCod(row) > 0)) showNotification(t('bulk.codDropped'));
+    bulkOptions.calculateRoute();
+}
+
+// options: { readForm() -> readBookingForm() snapshot, sendOrder(order) -> Promise,
+//            calculateRoute() -> Promise }
+export function attachBulkImport(options) {
+    bulkOptions = options;
+    document.getElementById('bulkFile').addEventListener('change', e => {
+        const file = e.target.files[0];
+        if (file) importBulkFile(file);
+        e.target.value = '';
+    });
+    document.getElementById('bulkTemplateBtn').addEventListener('click', () => {
+        downloadFile('vdeliver-bulk-orders.csv', 'text/csv', bulkTemplateCsv());
+    });
+    // After the pickup, vehicle or pickup time changed on the form
+    document.getElementById('bulkCheckBtn').addEventListener('click', () => checkRows(bulkRows));
+    document.getElementById('bulkSendBtn').addEventListener('click', () => {
+        sendBulkOrders().catch(error => {
+            console.error('Could not send the bulk orders:', error);
+            bulkSending = false;
+            renderBulkSummary();
+            showBulkStatus(t('bulk.sendFailed'), true);
+        });
+    });
+    document.getElementById('bulkJobBtn').addEventListener('click', loadBulkJob);
+    // Size and vehicle names, statuses and the summary are written by script
+    onLanguageChange(() => {
+        if (bulkRows.length) renderBulkTable();
+    });
+}
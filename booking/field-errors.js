@@ -0,0 +1,64 @@
+// Validation errors shown where they happen. The message goes in a
+// .field-error element next to the field, which is marked aria-invalid and
+// points at the message through aria-describedby, so screen readers read it
+// with the field. Section targets (package, schedule, payment, extra stops)
+// get the message under their header. The error is cleared as soon as the
+// field or section is edited.
+
+let shownError = null; // { target, message }
+
+function setDescribedBy(element, id, linked) {
+    const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+    if (linked) ids.push(id);
+    if (ids.length) element.setAttribute('aria-describedby', ids.join(' '));
+    else element.removeAttribute('aria-describedby');
+}
+
+function isField(element) {
+    return element.matches('input, select, textarea');
+}
+
+export function clearFieldError() {
+    if (!shownError) return;
+    const { target, message } = shownError;
+    message.remove();
+    if (isField(target)) {
+        target.removeAttribute('aria-invalid');
+        setDescribedBy(target, message.id, false);
+    }
+    shownError = null;
+}
+
+// Show `text` for the field or section with id `targetId`; returns the element or null
+export function showFieldError(targetId, text) {
+    clearFieldError();
+    const target = targetId && document.getElementById(targetId);
+    if (!target) return null;
+
+    const message = document.createElement('p');
+    message.id = targetId + 'Error';
+    message.className = 'field-error';
+    message.textContent = text;
+    if (isField(target)) {
+        (target.closest('.form-group') || target.parentElement).appendChild(message);
+        target.setAttribute('aria-invalid', 'true');
+        setDescribedBy(target, message.id, true);
+    } else {
+        const header = target.querySelector('.section-header');
+        if (header) header.after(message);
+        else target.prepend(message);
+    }
+    shownError = { target, message };
+    return target;
+}
+
+// Clear the error once the sender changes what it was about
+export function attachFieldErrors(form) {
+    const onEdit = event => {
+        if (shownError && (shownError.target === event.target || shownError.target.contains(event.target))) {
+            clearFieldError();
+        }
+    };
+    form.addEventListener('input', onEdit);
+    form.addEventListener('change', onEdit);
+}
@@ -0,0 +1,104 @@
+// Pickup, delivery and stop pins on the booking form: the hidden coordinate
+// fields, reverse-geocoded addresses, the device location and whether the
+// route section can be shown.
+
+import { t } from '../i18n.js';
+import { checkServiceArea } from '../service-areas.js';
+import { parseCoords } from '../stops.js';
+import { showNotification } from './notifications.js';
+import { refreshMapPicker } from './map-picker.js';
+
+// Reverse geocode through the geocoding service (cached and rate-limited)
+export async function getAddressFromCoordinates(lat, lng) {
+    try {
+        return await currentGeocoder().reverse(lat, lng);
+    } catch (err) {
+        console.warn('Reverse geocode failed', err);
+        return { display_name: '', country: '' };
+    }
+}
+
+// Show the route section once pickup and delivery are set inside a service area
+export function checkRouteAvailability() {
+    // Every pin change ends up here, so refresh the plus codes shown beside them
+    updatePlusCodes();
+    const pickup = parseCoords(document.getElementById('pickupCoordsHidden').value);
+    const delivery = parseCoords(document.getElementById('deliveryCoordsHidden').value);
+    const available = pickup && delivery && checkServiceArea(pickup).allowed && checkServiceArea(delivery).allowed;
+    document.getElementById('routeSection').style.display = available ? 'block' : 'none';
+}
+
+// Set the pickup or delivery pin without the map picker (saved places, repeat
+// order, address search, booking links)
+export function setLocationCoords(type, lat, lng) {
+    document.getElementById(type + 'CoordsHidden').value = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    notifyStopsChange();
+    refreshMapPicker(type, [lat, lng]);
+    checkRouteAvailability();
+}
+
+// Store a pin chosen on the map picker or from the device. type is 'pickup',
+// 'delivery' or 'stop' (with stopId); an empty address keeps the one typed in.
+export function setPickedLocation(type, stopId, lat, lng, address) {
+    if (type === 'stop') {
+        setStopLocation(stopId, lat, lng, address);
+    } else {
+        if (address) document.getElementById(type + 'Address').value = address;
+        document.getElementById(type + 'CoordsHidden').value = `${lat}, ${lng}`;
+        notifyStopsChange();
+    }
+    checkRouteAvailability();
+}
+
+function geolocationErrorMessage(error) {
+    const reasons = {
+        [error.PERMISSION_DENIED]: 'notify.allowLocation',
+        [error.POSITION_UNAVAILABLE]: 'notify.positionUnavailable',
+        [error.TIMEOUT]: 'notify.locationTimeout'
+    };
+    return t('notify.locationError') + ' ' + t(reasons[error.code] || 'notify.unknownError');
+}
+
+// Find the device and call onFound([lat, lng]) if it is inside a service
+// area; `button` shows a spinner meanwhile
+export function locateDevice(button, onFound) {
+    if (!navigator.geolocation) {
+        showNotification(t('notify.noGeolocation'));
+        return;
+    }
+    const original = button.innerHTML;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> ' + t('button.locating');
+    button.disabled = true;
+    const done = () => {
+        button.innerHTML = original;
+        button.disabled = false;
+    };
+
+    navigator.geolocation.getCurrentPosition(position => {
+        done();
+        const point = [position.coords.latitude, position.coords.longitude];
+        const area = checkServiceArea(point);
+        if (!area.allowed) {
+            showNotification(t('notify.currentLocation', { reason: area.reason }));
+            return;
+        }
+        onFound(point);
+    }, error => {
+        console.error('Error getting location:', error);
+        done();
+        showNotification(geolocationErrorMessage(error), { urgent: true });
+    }, { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 });
+}
+
+// "Use my location" beside the pickup and delivery fields
+export function useCurrentLocation(type, button) {
+    locateDevice(button, ([latitude, longitude]) => {
+        const lat = latitude.toFixed(6);
+        const lng = longitude.toFixed(6);
+        setPickedLocation(type, null, lat, lng, '');
+        getAddressFromCoordinates(lat, lng).then(addr => {
+            if (addr && addr.display_name) document.getElementById(type + 'Address').value = addr.display_name;
+        });
+        showNotification(t(type === 'pickup' ? 'notify.pickupFromDevice' : 'notify.deliveryFromDevice'));
+    });
+}
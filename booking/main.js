@@ -0,0 +1,280 @@
+// Booking page entry point and the one place the booking modules are attached
+// to the DOM. Loaded as <script type="module"> after the classic scripts
+// (stops-ui.js, schedule-ui.js, routing.js, ...), whose functions it uses as
+// globals.
+//
+// State lives in the booking store; reading the form, validating, quoting
+// and building messages are separate modules, and this file wires events to
+// them and renders on store changes.
+
+import { onLanguageChange, t } from '../i18n.js';
+import { VEHICLE_ORDER } from '../vehicles.js';
+import { loadServiceAreas } from '../service-areas.js';
+import { parseCoords } from '../stops.js';
+import { getSchedulePickupTime } from '../schedule.js';
+import { createBookingStore } from './store.js';
+import { quoteBooking } from './quote.js';
+import { validateBooking } from './validation.js';
+import { buildOrder, buildTrackingDetails, buildSubmissionFields, generateWhatsAppMessage, whatsAppLink } from './messages.js';
+import { showNotification, copyToClipboard } from './notifications.js';
+import {
+    getAddressFromCoordinates, checkRouteAvailability, setLocationCoords,
+    setPickedLocation, locateDevice, useCurrentLocation
+} from './locations.js';
+import { attachMapPicker, openMapPicker } from './map-picker.js';
+import { renderQuote } from './route-view.js';
+import { attachAccount, recordOrder } from './account.js';
+import { attachBulkImport } from './bulk-view.js';
+import { showFieldError, clearFieldError, attachFieldErrors } from './field-errors.js';
+
+const TEXT_FIELDS = [
+    'senderName', 'senderPhone', 'senderEmail', 'recipientName', 'recipientPhone',
+    'pickupAddress', 'pickupLandmark', 'deliveryAddress', 'deliveryLandmark',
+    'vehicleType', 'packageDescription', 'specialInstructions', 'emergencyContact'
+];
+
+const store = createBookingStore();
+let tripChanges = 0; // pin and stop changes, so a route that was slow to come back can be dropped
+
+// The classic scripts (stops-ui.js, address-book.js, booking-link.js,
+// geocoding-ui.js, landmarks-ui.js, ...) still call these as globals
+Object.assign(window, {
+    showNotification,
+    copyToClipboard,
+    getAddressFromCoordinates,
+    checkRouteAvailability,
+    setLocationCoords,
+    openMapPicker
+});
+
+// Plain snapshot of the form for validation.js and messages.js
+function readBookingForm() {
+    const fields = {};
+    TEXT_FIELDS.forEach(id => { fields[id] = document.getElementById(id).value; });
+    fields.pickupCoords = document.getElementById('pickupCoordsHidden').value;
+    fields.deliveryCoords = document.getElementById('deliveryCoordsHidden').value;
+    const quote = store.get().quote;
+    return {
+        fields,
+        callRecipient: document.getElementById('callRecipient').checked,
+        recipientNotify: document.getElementById('recipientNotify').value,
+        termsAccepted: document.getElementById('termsAgreement').checked,
+        stops: getDeliveryStops(),
+        orderedStops: getOrderedStops(),
+        tripPoints: getTripPoints(),
+        schedule: getSchedule(),
+        payment: getPaymentDetails(),
+        package: getPackageDetails(),
+        legs: quote ? buildRouteLegs(quote.order, quote.legKm, quote.legMin, quote.price) : null
+    };
+}
+
+// Re-quote the routed vehicles for the current vehicle, package and pickup time
+function requote() {
+    const { vehicleRoutes } = store.get();
+    store.set({
+        quote: vehicleRoutes ? quoteBooking(vehicleRoutes, {
+            selected: document.getElementById('vehicleType').value,
+            package: getPackageDetails(),
+            date: getSchedulePickupTime(getSchedule())
+        }) : null
+    });
+}
+
+// Route every vehicle class for the pins on the form
+async function calculateRoute() {
+    const pickup = parseCoords(document.getElementById('pickupCoordsHidden').value);
+    if (!pickup || !parseCoords(document.getElementById('deliveryCoordsHidden').value)) {
+        showNotification(t('notify.setBothLocations'));
+        return;
+    }
+    const stops = getDeliveryStops();
+    const unset = stops.findIndex(stop => !parseCoords(stop.coords));
+    if (unset !== -1) {
+        showNotification(t('notify.selectStop', { number: unset + 1 }));
+        return;
+    }
+
+    // Visit the drop-offs in the suggested order
+    const points = stops.map(stop => parseCoords(stop.coords));
+    const order = optimizeStopOrder(pickup, points);
+    const ordered = order.map(i => points[i]);
+    const waypoints = [pickup].concat(ordered);
+    const changes = tripChanges;
+
+    // Every vehicle at once, through the routing providers in configured
+    // order; the last one is a straight-line estimate
+    const routes = await calculateRoutesForVehicles({ waypoints, instructions: true }, VEHICLE_ORDER);
+    // A pin or stop changed while routing: these routes are for the old trip
+    if (changes !== tripChanges) return;
+    if (!Object.keys(routes).length) {
+        showNotification(t('notify.routeFailed'));
+        return;
+    }
+    store.set({ vehicleRoutes: { order, ordered, pickup, waypoints, routes } });
+    const { quote } = store.get();
+    showNotification(quote && quote.route.estimate ? t('notify.routeEstimated') : t('notify.routeCalculated'));
+}
+
+function clearRoute() {
+    store.set({ vehicleRoutes: null });
+    showNotification(t('notify.routeCleared'));
+}
+
+function showSubmitting(submitting) {
+    const button = document.getElementById('submitBtn');
+    button.querySelector('.btn-text').style.display = submitting ? 'none' : 'flex';
+    button.querySelector('.btn-loading').style.display = submitting ? 'flex' : 'none';
+    button.disabled = submitting;
+}
+
+function showSuccessScreen() {
+    document.getElementById('deliveryForm').style.display = 'none';
+    document.getElementById('successMessage').style.display = 'block';
+}
+
+// Request ID and tracking link on the success screen
+function showRequestId(requestId, liveKey) {
+    document.getElementById('successRequestId').textContent = requestId;
+    document.getElementById('trackRequestLink').href = buildTrackingLink(requestId, liveKey);
+}
+
+// What the recipients were texted; in sandbox mode the texts themselves, as
+// there is no gateway to deliver them
+function showRecipientNotices(notices) {
+    const status = document.getElementById('recipientNoticeStatus');
+    const text = document.getElementById('recipientNoticeText');
+    status.style.display = notices.length ? '' : 'none';
+    text.innerHTML = '';
+    notices.forEach(notice => {
+        const line = document.createElement('p');
+        line.textContent = notice.status === 'failed'
+            ? t('success.noticeFailed', { phone: maskPhone(notice.to) })
+            : t(notice.sandbox ? 'success.noticeSandbox' : 'success.noticeSent', { phone: maskPhone(notice.to), text: notice.text });
+        text.appendChild(line);
+    });
+}
+
+// Keep, export and send a booked order: registered for tracking from this
+// browser and the account's history, then queued in the offline outbox, so
+// it is sent now when online, otherwise retried with backoff once the
+// connection returns. Also used for each order of a bulk import. Resolves to
+// the texts sent to the recipients (see notifyRecipients()).
+async function sendOrder(order) {
+    try {
+        saveLocalOrder(order.requestId, buildTrackingDetails(order));
+    } catch (err) {
+        // Still sent; only tracking from this browser is lost
+        console.error('Could not save the order for tracking:', err);
+        showNotification(t(isStorageFullError(err) ? 'notify.storageFull' : 'notify.trackingNotSaved'), { urgent: true });
+    }
+    saveLastOrder(order);
+    recordOrder(order);
+    publishOrder(buildOrderDocument(order));
+
+    const form = document.getElementById('deliveryForm');
+    const formData = new FormData(form);
+    buildSubmissionFields(order).forEach(([name, value]) => formData.set(name, value));
+    try {
+        await queueSubmission(order.requestId, form.action, formData);
+    } catch (err) {
+        console.error('Could not queue the request:', err);
+    }
+    return notifyRecipients({ requestId: order.requestId, details: buildTrackingDetails(order) }, 'created');
+}
+
+async function submitBooking(event) {
+    event.preventDefault();
+    const booking = readBookingForm();
+    const { quote } = store.get();
+    const error = validateBooking(booking, quote);
+    if (error) {
+        showNotification(error.message, { urgent: true });
+        const target = showFieldError(error.target, error.message);
+        if (target && target.matches('input, select, textarea')) target.focus();
+        else if (target) target.scrollIntoView({ behavior: 'smooth' });
+        return;
+    }
+    clearFieldError();
+
+    const requestId = generateRequestId();
+    const liveKey = generateLiveKey();
+    const order = buildOrder(booking, quote, {
+        requestId,
+        liveKey,
+        now: new Date(),
+        directionsLink: quote ? buildDirectionsLink(quote.vehicleType, quote.waypoints, requestId, liveKey) : ''
+    });
+    store.set({ order, submitting: true });
+
+    showRequestId(requestId, liveKey);
+    // The success screen shows the real pending/sent/failed status (outbox-ui.js)
+    watchSubmission(requestId);
+    showRecipientNotices(await sendOrder(order));
+    store.set({ submitting: false });
+    showSuccessScreen();
+    startPayment(requestId, order.payment, order.routePrice);
+}
+
+// Works before submitting too: the message is built from the form as it is
+function sendViaWhatsApp() {
+    const order = store.get().order ||
+        buildOrder(readBookingForm(), store.get().quote, { requestId: null, now: new Date() });
+    window.open(whatsAppLink(generateWhatsAppMessage(order)), '_blank');
+}
+
+store.onChange((state, changed) => {
+    if (changed.includes('vehicleRoutes')) requote();
+    if (changed.includes('quote')) renderQuote(state.quote);
+    if (changed.includes('submitting')) showSubmitting(state.submitting);
+});
+// Night/weekend and weight/size surcharges follow the pickup time and
+// package, and every vehicle is already routed, so changing any of them
+// (the vehicle included, via onPackageChange) just re-quotes
+onScheduleChange(requote);
+onPackageChange(requote);
+// Routes are for the pins and stops they were calculated with
+onStopsChange(() => {
+    tripChanges += 1;
+    store.set({ vehicleRoutes: null });
+});
+onLanguageChange(() => renderQuote(store.get().quote));
+
+attachMapPicker({
+    reverseGeocode: getAddressFromCoordinates,
+    locate: locateDevice,
+    onSelect(type, stopId, lat, lng, address) {
+        setPickedLocation(type, stopId, lat, lng, address);
+        showNotification(t({ pickup: 'notify.pickupFromMap', stop: 'notify.stopFromMap' }[type] || 'notify.deliveryFromMap'));
+    }
+});
+
+document.getElementById('pickupMapPickerBtn').addEventListener('click', () => openMapPicker('pickup'));
+document.getElementById('deliveryMapPickerBtn').addEventListener('click', () => openMapPicker('delivery'));
+document.getElementById('getCurrentLocationPickup').addEventListener('click', e => useCurrentLocation('pickup', e.currentTarget));
+document.getElementById('getCurrentLocationDelivery').addEventListener('click', e => useCurrentLocation('delivery', e.currentTarget));
+document.getElementById('calculateRoute').addEventListener('click', calculateRoute);
+document.getElementById('clearRoute').addEventListener('click', clearRoute);
+document.getElementById('deliveryForm').addEventListener('submit', submitBooking);
+attachFieldErrors(document.getElementById('deliveryForm'));
+document.getElementById('whatsappBtn').addEventListener('click', sendViaWhatsApp);
+// A fresh form, without ?success=true or a booking link's parameters
+document.getElementById('newRequestBtn').addEventListener('click', () => {
+    window.location.href = window.location.pathname;
+});
+
+attachBulkImport({ readForm: readBookingForm, sendOrder, calculateRoute });
+
+// Modules run once the page is parsed, after the classic scripts
+const urlParams = new URLSearchParams(window.location.search);
+// Back from the FormSubmit redirect
+if (urlParams.get('success') === 'true') showSuccessScreen();
+// Shareable booking links pre-fill the form
+prefillFromBookingLink(urlParams);
+// Signed-in customers get their sender details, and ?rebook= an earlier order
+attachAccount(urlParams);
+// Route availability depends on the service areas
+loadServiceAreas().then(checkRouteAvailability).catch(error => {
+    console.error('Could not load service areas:', error);
+    showNotification(t('notify.serviceAreasFailed'));
+});
@@ -0,0 +1,278 @@
+// Map picker modal for the pickup, delivery and extra-stop pins. The Leaflet
+// map is created the first time the picker opens. attachMapPicker() wires the
+// modal; what happens to a chosen pin is up to the caller (see main.js).
+//
+// Works from the keyboard too: the marker moves with the arrow keys
+// (map-keyboard.js), "Pin the map centre" drops it where the map was panned
+// to, focus stays inside the dialog while it is open and Escape closes it.
+// Where the pin lands is announced through the #mapPickerLive region.
+
+import { onLanguageChange, t } from '../i18n.js';
+import { addServiceAreaLayer, checkServiceArea } from '../service-areas.js';
+import { parseCoords } from '../stops.js';
+import { showNotification } from './notifications.js';
+
+const KAMPALA = [0.3476, 32.5825];
+
+let mapPickerMap = null;
+let mapPickerMarker = null;
+let selectedLocation = null; // [lat, lng] under the marker
+let pickingType = ''; // 'pickup', 'delivery' or 'stop'
+let pickingStopId = null; // extra stop being edited when pickingType is 'stop'
+let pickerOptions = null;
+let describeMarker = null; // re-applies the marker's accessible name
+let returnFocus = null; // element focused before the picker opened
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function modalOpen() {
+    return document.getElementById('mapPickerModal').style.display === 'block';
+}
+
+function toPoint(latlng) {
+    return Array.isArray(latlng) ? latlng : [latlng.lat, latlng.lng];
+}
+
+// Pin already chosen for the location being edited, if any
+function getPickerStartCoords() {
+    const input = pickingType === 'stop'
+        ? document.querySelector(`.delivery-stop[data-stop-id="${pickingStopId}"] .stop-coords`)
+        : document.getElementById(pickingType + 'CoordsHidden');
+    return input ? parseCoords(input.value) : null;
+}
+
+function updateMarkerStyle() {
+    const element = mapPickerMarker && mapPickerMarker.getElement();
+    if (element) element.className = 'map-picker-marker' + (pickingType !== 'pickup' ? ' delivery-marker' : '');
+}
+
+function updateMapPickerLocation(latlng) {
+    const point = toPoint(latlng);
+    selectedLocation = point;
+    const lat = point[0].toFixed(6);
+    const lng = point[1].toFixed(6);
+    document.getElementById('mapPickerLatitude').value = lat;
+    document.getElementById('mapPickerLongitude').value = lng;
+    if (mapPickerMarker) mapPickerMarker.setLatLng(point);
+    mapPickerMap.setView(point, Math.max(mapPickerMap.getZoom(), 14));
+
+    const address = document.getElementById('mapPickerAddress');
+    pickerOptions.reverseGeocode(lat, lng).then(addr => {
+        address.value = addr && addr.display_name ? addr.display_name : t('mapPicker.addressNotFound');
+    }).catch(() => {
+        address.value = t('mapPicker.addressError');
+    }).then(() => {
+        document.getElementById('mapPickerLive').textContent = t('mapPicker.pinAt', { address: address.value, lat, lng });
+    });
+}
+
+// Accept a point only inside a service area
+function pickIfServed(latlng, message) {
+    const area = checkServiceArea(latlng);
+    if (!area.allowed) {
+        showNotification(message ? message(area.reason) : area.reason, { urgent: true });
+        return false;
+    }
+    updateMapPickerLocation(latlng);
+    return true;
+}
+
+// A dragged or nudged marker: outside a service area it goes back to the last good point
+function dropMarker(latlng) {
+    if (!pickIfServed(latlng, reason => t('notify.markerMovedBack', { reason }))) {
+        mapPickerMarker.setLatLng(selectedLocation || KAMPALA);
+    }
+}
+
+function initMapPicker() {
+    const osm = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 19,
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    });
+    const carto = L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', {
+        maxZoom: 20,
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, &copy; <a href="https://carto.com/attributions">CARTO</a>'
+    });
+    const satellite = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
+        maxZoom: 19,
+        attribution: '&copy; <a href="https://www.esri.com/">Esri</a>'
+    });
+
+    mapPickerMap = L.map('mapPickerMap', { center: KAMPALA, zoom: 12, layers: [carto], zoomControl: false });
+    L.control.zoom({ position: 'topright' }).addTo(mapPickerMap);
+    L.control.scale({ imperial: false, position: 'bottomleft' }).addTo(mapPickerMap);
+    L.control.layers({ 'Street': carto, 'OpenStreetMap': osm, 'Satellite': satellite }, null, { position: 'topright' }).addTo(mapPickerMap);
+    addServiceAreaLayer(mapPickerMap);
+
+    L.Control.geocoder({
+        geocoder: createLeafletGeocoder(),
+        position: 'topleft',
+        placeholder: t('placeholder.mapSearch'),
+        defaultMarkGeocode: false
+    }).on('markgeocode', e => {
+        if (pickIfServed(e.geocode.center)) mapPickerMap.setView(e.geocode.center, 16);
+    }).addTo(mapPickerMap);
+
+    mapPickerMarker = L.marker(KAMPALA, {
+        icon: L.divIcon({ className: 'map-picker-marker', iconSize: [40, 40], iconAnchor: [20, 40] }),
+        draggable: true
+    }).addTo(mapPickerMap);
+    updateMarkerStyle();
+
+    mapPickerMap.on('click', e => pickIfServed(e.latlng));
+    mapPickerMarker.on('dragend', e => dropMarker(e.target.getLatLng()));
+    describeMarker = enableMarkerKeyboard(mapPickerMap, mapPickerMarker, {
+        label: () => t(pickingType === 'pickup' ? 'mapPicker.pickupPin' : 'mapPicker.deliveryPin'),
+        onMove: dropMarker
+    });
+
+    updateMapPickerLocation(KAMPALA);
+    setTimeout(() => {
+        document.querySelector('.map-loading-overlay').style.display = 'none';
+    }, 1000);
+}
+
+function performMapPickerSearch() {
+    const query = document.getElementById('mapPickerSearchInput').value.trim();
+    if (!query) return;
+    warnIfSearchLimited();
+
+    // Search Uganda through the geocoding service; prefer a match we deliver to
+    currentGeocoder().search(query)
+        .then(results => {
+            if (!results.length) {
+                showNotification(t('notify.notFound'));
+                return;
+            }
+            const result = results.find(r => checkServiceArea([r.lat, r.lng]).allowed) || results[0];
+            const point = [result.lat, result.lng];
+            if (!pickIfServed(point)) return;
+            mapPickerMap.setView(point, 16);
+            document.getElementById('mapPickerAddress').value = result.label;
+        })
+        .catch(error => {
+            console.error('Search error:', error);
+            showNotification(t('notify.searchFailed'));
+        });
+}
+
+// Hand the chosen pin to the caller; the picker stays open so the sender
+// can keep adjusting until they close it
+function selectMapPickerLocation() {
+    if (!selectedLocation) {
+        showNotification(t('notify.selectOnMap'));
+        return;
+    }
+    const lat = selectedLocation[0].toFixed(6);
+    const lng = selectedLocation[1].toFixed(6);
+    pickerOptions.onSelect(pickingType, pickingStopId, lat, lng, document.getElementById('mapPickerAddress').value);
+}
+
+// Tab and Shift+Tab cycle through the dialog; Escape closes it
+function keepFocusInPicker(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeMapPicker();
+        return;
+    }
+    if (event.key !== 'Tab') return;
+    const focusable = Array.from(event.currentTarget.querySelectorAll(FOCUSABLE))
+        .filter(element => element.offsetParent !== null);
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+function closeMapPicker() {
+    document.getElementById('mapPickerModal').style.display = 'none';
+    document.querySelector('.app-container').inert = false;
+    if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+    returnFocus = null;
+}
+
+export function openMapPicker(type, stopId) {
+    pickingType = type;
+    pickingStopId = stopId || null;
+
+    // The text is keyed so a language switch while the picker is open re-translates it
+    const modal = document.getElementById('mapPickerModal');
+    const instructions = document.getElementById('mapPickerInstructions');
+    const point = type === 'pickup' ? 'pickup' : 'delivery';
+    instructions.className = 'map-picker-instructions' + (point === 'delivery' ? ' delivery-instructions' : '');
+    document.getElementById('mapPickerTitle').setAttribute('data-i18n', `mapPicker.${point}Title`);
+    instructions.querySelector('h4').setAttribute('data-i18n', `mapPicker.${point}Heading`);
+    instructions.querySelector('p').setAttribute('data-i18n', `mapPicker.${point}Steps`);
+    translatePage(modal);
+    if (!modalOpen()) returnFocus = document.activeElement;
+    modal.style.display = 'block';
+    // The page behind the dialog can't be reached or read while it is open
+    document.querySelector('.app-container').inert = true;
+
+    if (!mapPickerMap) {
+        initMapPicker();
+    } else {
+        mapPickerMap.setView(KAMPALA, 12);
+        if (mapPickerMarker) {
+            mapPickerMarker.setLatLng(KAMPALA);
+            updateMarkerStyle();
+        }
+        ['mapPickerLatitude', 'mapPickerLongitude', 'mapPickerAddress', 'mapPickerSearchInput'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        selectedLocation = null;
+    }
+
+    describeMarker();
+
+    // Start from the pin already set for this location (e.g. from a saved place)
+    const start = getPickerStartCoords();
+    if (start) updateMapPickerLocation(start);
+    document.getElementById('mapPickerSearchInput').focus();
+}
+
+// Follow a pin set elsewhere while the picker is open on that location
+export function refreshMapPicker(type, point) {
+    if (mapPickerMap && pickingType === type && modalOpen()) updateMapPickerLocation(point);
+}
+
+// options: { onSelect(type, stopId, lat, lng, address), reverseGeocode(lat, lng),
+//            locate(button, onFound) }
+export function attachMapPicker(options) {
+    pickerOptions = options;
+    const on = (id, event, fn) => document.getElementById(id).addEventListener(event, fn);
+
+    on('mapPickerSearchBtn', 'click', performMapPickerSearch);
+    on('mapPickerSearchInput', 'keypress', e => {
+        if (e.key === 'Enter') performMapPickerSearch();
+    });
+    on('mapPickerUseMyLocation', 'click', e => {
+        options.locate(e.currentTarget, point => {
+            updateMapPickerLocation(point);
+            showNotification(t('notify.locationFound'));
+        });
+    });
+    on('mapPickerResetLocation', 'click', () => {
+        updateMapPickerLocation(KAMPALA);
+        mapPickerMap.setView(KAMPALA, 12);
+    });
+    // For keyboard users: pan with the arrow keys, then drop the pin there
+    on('mapPickerPinCentre', 'click', () => pickIfServed(mapPickerMap.getCenter()));
+    on('mapPickerSelectLocation', 'click', selectMapPickerLocation);
+    on('mapPickerCancelSelection', 'click', closeMapPicker);
+    on('closeMapPicker', 'click', closeMapPicker);
+    on('mapPickerModal', 'keydown', keepFocusInPicker);
+    // Close when clicking outside the dialog
+    on('mapPickerModal', 'click', e => {
+        if (e.target === e.currentTarget) closeMapPicker();
+    });
+    onLanguageChange(() => {
+        if (describeMarker) describeMarker();
+    });
+}
@@ -0,0 +1,212 @@
+// The booked order and the messages built from it: the order record kept on
+// this device and exported (order-export.js), the extra fields of the
+// FormSubmit email and the WhatsApp message. generateRecipientKey() is a
+// global from recipient-notifications.js, a classic script. No DOM
+// dependencies.
+
+import { DEFAULT_LANGUAGE, getLanguage, t } from '../i18n.js';
+import { formatPriceBreakdown } from '../pricing.js';
+import { plusCodeForCoords } from '../plus-codes.js';
+import { formatLegsForMessage, formatStopsForMessage } from '../stops.js';
+import { formatRecurrenceForMessage, formatScheduleForMessage } from '../schedule.js';
+import { formatPackageForMessage } from '../package-details.js';
+import { formatCodForMessage, formatPaymentForMessage } from '../payments.js';
+import { routeSourceLabel, formatQuoteFigures } from './quote.js';
+
+export const DISPATCHER_WHATSAPP = '256757268074';
+
+// Order record from a readBookingForm() snapshot and the current quote.
+// meta: { requestId, liveKey, now: Date, directionsLink }
+// A booked order (one with a request ID) gives every stop the key for its
+// recipient's confirmation link (recipient-notifications.js). liveKey opens
+// the rider's live location from the rider and tracking links (tracking.js).
+export function buildOrder(booking, quote, meta) {
+    const fields = booking.fields;
+    const text = id => String(fields[id] || '').trim();
+    const figures = formatQuoteFigures(quote);
+    const price = quote ? quote.price : null;
+    return {
+        requestId: meta.requestId,
+        liveKey: meta.liveKey || '',
+        createdAt: meta.now.toISOString(),
+        senderName: text('senderName'),
+        senderPhone: text('senderPhone'),
+        senderEmail: text('senderEmail'),
+        pickupAddress: text('pickupAddress'),
+        pickupLandmark: text('pickupLandmark'),
+        pickupCoords: fields.pickupCoords,
+        pickupPlusCode: plusCodeForCoords(fields.pickupCoords),
+        recipientName: text('recipientName'),
+        recipientPhone: text('recipientPhone'),
+        deliveryAddress: text('deliveryAddress'),
+        deliveryLandmark: text('deliveryLandmark'),
+        deliveryCoords: fields.deliveryCoords,
+        deliveryPlusCode: plusCodeForCoords(fields.deliveryCoords),
+        deliveryStops: meta.requestId
+            ? booking.orderedStops.map(stop => Object.assign({ recipientKey: generateRecipientKey() }, stop))
+            : booking.orderedStops,
+        schedule: booking.schedule,
+        pickupTime: formatScheduleForMessage(booking.schedule),
+        recurrence: formatRecurrenceForMessage(booking.schedule),
+        payment: booking.payment,
+        vehicleType: fields.vehicleType,
+        packageDescription: text('packageDescription'),
+        package: booking.package,
+        specialInstructions: text('specialInstructions') || 'None',
+        emergencyContact: text('emergencyContact') || 'Not provided',
+        callRecipient: booking.callRecipient,
+        recipientNotify: booking.recipientNotify,
+        // Texts to the recipients go out in the language the order was booked in
+        recipientLanguage: getLanguage(),
+        routeDistance: figures.distance,
+        routeDuration: figures.duration,
+        routeCost: figures.cost,
+        routeCostBreakdown: formatPriceBreakdown(price),
+        routeSource: routeSourceLabel(quote) || 'Not calculated',
+        routeLegs: formatLegsForMessage(booking.legs),
+        routeLegList: booking.legs || [],
+        routePrice: price,
+        directionsLink: meta.directionsLink || '',
+        timestamp: meta.now.toLocaleString('en-UG', { timeZone: 'Africa/Kampala' })
+    };
+}
+
+// What saveLocalOrder() keeps for tracking from this browser
+export function buildTrackingDetails(order) {
+    return {
+        liveKey: order.liveKey,
+        senderName: order.senderName,
+        senderPhone: order.senderPhone,
+        pickupAddress: order.pickupAddress,
+        pickupCoords: order.pickupCoords,
+        recipientName: order.recipientName,
+        recipientPhone: order.recipientPhone,
+        deliveryAddress: order.deliveryAddress,
+        deliveryCoords: order.deliveryCoords,
+        deliveryLandmark: order.deliveryLandmark,
+        deliveryStops: order.deliveryStops.map(stop => ({
+            stopNumber: stop.stopNumber,
+            recipientName: stop.recipientName,
+            recipientPhone: stop.recipientPhone,
+            address: stop.address,
+            landmark: stop.landmark,
+            coords: stop.coords,
+            recipientKey: stop.recipientKey
+        })),
+        vehicleType: order.vehicleType,
+        packageDescription: order.packageDescription,
+        routeDistance: order.routeDistance,
+        routeCost: order.routeCost,
+        pickupTime: order.pickupTime,
+        recipientNotify: order.recipientNotify,
+        recipientLanguage: order.recipientLanguage,
+        payment: Object.assign({ status: 'not_started' }, order.payment)
+    };
+}
+
+// [name, value] pairs added to the form fields for FormSubmit. The
+// dispatcher's email stays in English whatever the page language.
+export function buildSubmissionFields(order) {
+    const fields = [
+        ['_subject', `🚀 VDELIVER - New Delivery Request ${order.requestId}`],
+        ['Request ID', order.requestId],
+        // From the order rather than the form, which a bulk import doesn't fill in
+        ['Recipient Name', order.recipientName],
+        ['Recipient Phone', order.recipientPhone],
+        ['Delivery Address', order.deliveryAddress],
+        ['Delivery Landmark', order.deliveryLandmark],
+        ['Package Description', order.packageDescription],
+        ['Vehicle Type', order.vehicleType],
+        ['Special Instructions', order.specialInstructions],
+        ['Recipient Notifications', { sms: 'SMS', whatsapp: 'WhatsApp', none: 'None' }[order.recipientNotify] || 'SMS'],
+        ['Pickup Coordinates', order.pickupCoords],
+        ['Delivery Coordinates', order.deliveryCoords],
+        order.pickupPlusCode ? ['Pickup Plus Code', order.pickupPlusCode] : null,
+        order.deliveryPlusCode ? ['Delivery Plus Code', order.deliveryPlusCode] : null,
+        ['Pickup Time', formatScheduleForMessage(order.schedule, DEFAULT_LANGUAGE)],
+        ['Package', formatPackageForMessage(order.package, DEFAULT_LANGUAGE)],
+        ['Payment', formatPaymentForMessage(order.payment, DEFAULT_LANGUAGE)],
+        ['Cash on Delivery', formatCodForMessage(order.payment, DEFAULT_LANGUAGE)],
+        ['Recurrence', formatRecurrenceForMessage(order.schedule, DEFAULT_LANGUAGE)],
+        ['Route Distance', order.routeDistance],
+        ['Route Duration', order.routeDuration],
+        ['Route Source', order.routeSource],
+        ['Estimated Cost', order.routeCost],
+        ['Cost Breakdown', formatPriceBreakdown(order.routePrice, DEFAULT_LANGUAGE)],
+        order.directionsLink ? ['Rider Directions', order.directionsLink] : null
+    ];
+    if (order.deliveryStops.length > 1) {
+        fields.push(['Delivery Stops', formatStopsForMessage(order.deliveryStops, DEFAULT_LANGUAGE)]);
+        fields.push(['Route Legs', order.routeLegs || 'Not calculated']);
+    }
+    fields.push(['Submission Time', order.timestamp]);
+    return fields.filter(Boolean);
+}
+
+// WhatsApp message for the dispatcher, in `lang` (the page language when omitted)
+export function generateWhatsAppMessage(order, lang) {
+    const label = (key, params) => t(key, params, lang);
+    const heading = key => label(key).toUpperCase();
+    // Multi-stop jobs list every stop in visiting order
+    let stopsSection = '';
+    if (order.deliveryStops && order.deliveryStops.length > 1) {
+        stopsSection = `${heading('wa.allStops')}:\n${formatStopsForMessage(order.deliveryStops, lang)}\n\n`;
+        if (order.routeLegs) stopsSection += `${heading('wa.legs')}:\n${order.routeLegs}\n\n`;
+    }
+    const coordinates = coords => coords && coords !== 'Not set' ? `${label('wa.coordinates')}: ${coords}` : '';
+    const plusCode = code => code ? `${label('wa.plusCode')}: ${code}` : '';
+
+    return `🚀 VDELIVER - ${label('wa.title')}
+${order.requestId ? `${label('wa.requestId')}: ${order.requestId}\n` : ''}
+${label('wa.sender')}: ${order.senderName} (${order.senderPhone})
+${label('wa.email')}: ${order.senderEmail}
+
+${heading('wa.pickup')}:
+${label('wa.address')}: ${order.pickupAddress}
+${label('wa.landmark')}: ${order.pickupLandmark}
+${coordinates(order.pickupCoords)}
+${plusCode(order.pickupPlusCode)}
+
+${heading('wa.recipient')}:
+${label('wa.name')}: ${order.recipientName}
+${label('wa.phone')}: ${order.recipientPhone}
+
+${heading('wa.delivery')}:
+${label('wa.address')}: ${order.deliveryAddress}
+${label('wa.landmark')}: ${order.deliveryLandmark}
+${coordinates(order.deliveryCoords)}
+${plusCode(order.deliveryPlusCode)}
+
+${heading('wa.pickupTime')}:
+${formatScheduleForMessage(order.schedule, lang)}
+${label('wa.repeat')}: ${formatRecurrenceForMessage(order.schedule, lang)}
+
+${stopsSection}${heading('wa.details')}:
+${label('wa.vehicle')}: ${label('vehicle.' + order.vehicleType)}
+${label('wa.package')}: ${order.packageDescription}
+${formatPackageForMessage(order.package, lang)}
+${label('wa.instructions')}: ${order.specialInstructions}
+${label('wa.emergency')}: ${order.emergencyContact}
+${label('wa.callRecipient')}: ${order.callRecipient ? label('wa.yes') : label('wa.no')}
+
+${heading('wa.route')}:
+${label('wa.distance')}: ${order.routeDistance}
+${label('wa.duration')}: ${order.routeDuration}
+${label('wa.source')}: ${order.routeSource || label('wa.notCalculated')}
+${label('wa.cost')}: ${order.routeCost}
+${order.directionsLink ? `${label('wa.directions')}: ${order.directionsLink}\n` : ''}
+${heading('wa.costBreakdown')}:
+${formatPriceBreakdown(order.routePrice, lang)}
+
+${heading('wa.payment')}:
+${formatPaymentForMessage(order.payment, lang)}
+${label('wa.cashOnDelivery')}: ${formatCodForMessage(order.payment, lang)}
+
+${label('wa.time')}: ${order.timestamp}
+---
+${label('wa.sentVia', { app: 'VDELIVER Uganda' })}`.trim();
+}
+
+export function whatsAppLink(message) {
+    return `https://wa.me/${DISPATCHER_WHATSAPP}?text=${encodeURIComponent(message)}`;
+}
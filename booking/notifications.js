@@ -0,0 +1,36 @@
+// Toast notifications and copy-to-clipboard for the booking page, also used
+// by the dispatch and directions pages. The toast is styled by .notification
+// in style.css. Toasts are added to the page's live regions so screen readers
+// announce them: #notificationRegion (polite) for updates and #alertRegion
+// (assertive) for errors.
+
+import { t } from '../i18n.js';
+
+// options: { urgent: true } for errors that stop what the user was doing
+export function showNotification(message, options) {
+    const urgent = !!(options && options.urgent);
+    const region = document.getElementById(urgent ? 'alertRegion' : 'notificationRegion');
+    const notification = document.createElement('div');
+    notification.className = 'notification' + (urgent ? ' urgent' : '');
+    notification.textContent = message;
+    (region || document.body).appendChild(notification);
+    setTimeout(() => notification.remove(), urgent ? 6000 : 3500);
+}
+
+// Copy the value of a text input, e.g. the booking link
+export function copyToClipboard(elementId) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    element.select();
+    element.setSelectionRange(0, 99999);
+
+    try {
+        navigator.clipboard.writeText(element.value).then(() => {
+            showNotification(t('notify.linkCopied'));
+        });
+    } catch (err) {
+        document.execCommand('copy');
+        showNotification(t('notify.linkCopied'));
+    }
+}
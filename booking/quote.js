@@ -0,0 +1,49 @@
+// Price and ETA for a calculated trip. No DOM dependencies.
+
+import { buildVehicleQuotes, recommendVehicle } from '../vehicles.js';
+import { formatUGX } from '../pricing.js';
+
+// Quote every routed vehicle and pick the one to show: the sender's choice,
+// else the recommended vehicle, else the first that routed.
+// vehicleRoutes: { order, ordered, pickup, waypoints, routes } (see store.js)
+// options: { selected, package, date }
+export function quoteBooking(vehicleRoutes, options) {
+    const { order, ordered, pickup, waypoints, routes } = vehicleRoutes;
+    const pkg = options.package && options.package.weightKg > 0 ? options.package : null;
+    const quotes = buildVehicleQuotes(routes, { pickup, stops: ordered, date: options.date, package: pkg });
+    if (!quotes.length) return null;
+    const recommended = recommendVehicle(quotes);
+    const shown = quotes.find(quote => quote.vehicleType === options.selected) ||
+        quotes.find(quote => quote.vehicleType === recommended) ||
+        quotes[0];
+
+    return {
+        quotes,
+        recommended,
+        selected: options.selected || '',
+        vehicleType: shown.vehicleType,
+        route: shown.route,
+        price: shown.price,
+        distanceKm: shown.distanceKm,
+        durationMin: shown.durationMin,
+        legKm: shown.route.legs.map(leg => leg.distanceKm),
+        legMin: shown.route.legs.map(leg => leg.durationMin),
+        order,
+        waypoints
+    };
+}
+
+// Provider of the quoted route, flagged when it is only an estimate
+export function routeSourceLabel(quote) {
+    if (!quote) return '';
+    return quote.route.providerLabel + (quote.route.estimate ? ' (estimate)' : '');
+}
+
+// Route figures as the route section shows them
+export function formatQuoteFigures(quote) {
+    return {
+        distance: quote ? quote.distanceKm.toFixed(1) + ' km' : '--',
+        duration: quote ? quote.durationMin + ' min' : '--',
+        cost: quote && quote.price ? formatUGX(quote.price.total) : '--'
+    };
+}
@@ -0,0 +1,60 @@
+// Route section of the booking form: totals, price breakdown, provider note,
+// the vehicle comparison card, per-leg figures and turn-by-turn directions,
+// all drawn from one quoteBooking() result (null clears them).
+
+import { t } from '../i18n.js';
+import { formatUGX, priceItemLabel } from '../pricing.js';
+import { formatQuoteFigures } from './quote.js';
+
+function showRoutePrice(price) {
+    const list = document.getElementById('routeCostBreakdown');
+    list.innerHTML = '';
+    if (!price) {
+        list.style.display = 'none';
+        return;
+    }
+    price.items.forEach(item => {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        const amount = document.createElement('span');
+        label.textContent = priceItemLabel(item);
+        amount.textContent = formatUGX(item.amount);
+        li.append(label, amount);
+        list.appendChild(li);
+    });
+    list.style.display = 'block';
+}
+
+// Say which provider produced the route and whether it is only an estimate
+function showRouteProvider(route) {
+    const el = document.getElementById('routeProvider');
+    if (!route) {
+        el.style.display = 'none';
+        return;
+    }
+    el.className = 'route-provider' + (route.estimate ? ' estimate' : '');
+    el.textContent = route.estimate
+        ? t('route.estimateNote', { provider: route.providerLabel })
+        : t('route.by', { provider: route.providerLabel });
+    el.style.display = 'block';
+}
+
+export function renderQuote(quote) {
+    const figures = formatQuoteFigures(quote);
+    document.getElementById('routeDistance').textContent = figures.distance;
+    document.getElementById('routeDuration').textContent = figures.duration;
+    document.getElementById('routeCost').textContent = figures.cost;
+    showRoutePrice(quote && quote.price);
+    showRouteProvider(quote && quote.route);
+
+    if (!quote) {
+        renderVehicleComparison(null);
+        resetStopOrder();
+        showDirections(null);
+        return;
+    }
+    renderVehicleComparison(quote.quotes, { selected: quote.selected, recommended: quote.recommended });
+    setStopOrder(quote.order);
+    showRouteLegs(buildRouteLegs(quote.order, quote.legKm, quote.legMin, quote.price));
+    showDirections(quote.route, quote.vehicleType, quote.waypoints);
+}
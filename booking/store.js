@@ -0,0 +1,39 @@
+// Booking state for the booking page. Everything the page used to keep in
+// loose globals (routes, the current quote, the submitted order) lives in one
+// store; views subscribe with onChange() instead of being called from every
+// place that changes something. No DOM dependencies.
+
+export const INITIAL_BOOKING_STATE = {
+    vehicleRoutes: null, // { order, ordered, pickup, waypoints, routes } from Calculate Route
+    quote: null, // quoteBooking() result for the vehicle shown
+    order: null, // buildOrder() result of the last submission
+    submitting: false
+};
+
+export function createBookingStore(initial) {
+    let state = Object.assign({}, INITIAL_BOOKING_STATE, initial);
+    const listeners = [];
+
+    return {
+        get() {
+            return state;
+        },
+
+        // Shallow-merge `patch`; listeners hear about the keys that changed
+        set(patch) {
+            const changed = Object.keys(patch).filter(key => state[key] !== patch[key]);
+            if (!changed.length) return;
+            state = Object.assign({}, state, patch);
+            listeners.forEach(fn => fn(state, changed));
+        },
+
+        // Run fn(state, changedKeys) after every change
+        onChange(fn) {
+            listeners.push(fn);
+            return () => {
+                const index = listeners.indexOf(fn);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+    };
+}
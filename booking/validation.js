@@ -0,0 +1,119 @@
+// Checks run before a booking is sent. Each validator returns an error
+// message or null; validateBooking() runs them in form order and says which
+// field or section to show. Works on the plain snapshot readBookingForm()
+// takes (see main.js). No DOM dependencies.
+
+import { t } from '../i18n.js';
+import { formatUGX } from '../pricing.js';
+import { validateServiceAreas } from '../service-areas.js';
+import { parseCoords } from '../stops.js';
+import { validateSchedule } from '../schedule.js';
+import { checkPackageSuitability } from '../package-details.js';
+import { COD_MAX_AMOUNT, COD_MIN_AMOUNT, PAYMENT_METHODS, phoneMatchesPaymentMethod } from '../payments.js';
+
+export const REQUIRED_FIELDS = [
+    'senderName', 'senderPhone', 'senderEmail', 'recipientName', 'recipientPhone',
+    'packageDescription', 'vehicleType', 'pickupLandmark', 'deliveryLandmark'
+];
+
+// Accepts +2567XXXXXXXX, 2567XXXXXXXX and 07XXXXXXXX, with spaces or dashes
+export function ugPhoneValid(value) {
+    if (!value) return false;
+    const cleaned = value.replace(/\s|-/g, '');
+    return /^(?:\+256|0|256)7\d{8}$/.test(cleaned);
+}
+
+// Something@domain.tld; the form has novalidate, so this replaces the browser check
+export function emailValid(value) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || '').trim());
+}
+
+// Drop-offs after the first, which have their own recipient and pin
+export function validateExtraStops(stops) {
+    const extra = stops.slice(1);
+    for (let i = 0; i < extra.length; i++) {
+        const stop = extra[i];
+        const number = i + 2;
+        if (!stop.recipientName || !stop.recipientPhone || !stop.address || !stop.landmark) {
+            return t('validation.stopIncomplete', { number });
+        }
+        if (!ugPhoneValid(stop.recipientPhone)) {
+            return t('validation.stopPhone', { number });
+        }
+        if (!parseCoords(stop.coords)) {
+            return t('validation.stopLocation', { number });
+        }
+    }
+    return null;
+}
+
+// Weight and size are required; the vehicle must be able to carry it
+export function validatePackage(pkg, vehicleType) {
+    if (!(pkg.weightKg > 0)) return t('validation.packageWeight');
+    if (!pkg.sizeClass) return t('validation.packageSize');
+    if (pkg.declaredValue < 0) return t('validation.declaredValue');
+    return checkPackageSuitability(pkg, vehicleType).errors[0] || null;
+}
+
+// Payment method and cash on delivery; `price` is the route price, if any
+export function validatePayment(payment, price) {
+    const method = PAYMENT_METHODS[payment.method];
+    if (!method) return t('validation.paymentMethod');
+    if (method.mobileMoney) {
+        if (!ugPhoneValid(payment.phone)) {
+            return t('validation.mobileMoneyPhone');
+        }
+        if (!phoneMatchesPaymentMethod(payment.phone, payment.method)) {
+            return t('validation.wrongNetwork', { phone: payment.phone, method: t('paymentMethod.' + payment.method) });
+        }
+        if (payment.payer === 'sender' && !price) {
+            return t('validation.calculateFirst');
+        }
+    }
+    if (payment.codEnabled) {
+        if (!(payment.codAmount > 0)) return t('validation.codAmount');
+        if (payment.codAmount < COD_MIN_AMOUNT) {
+            return t('validation.codMinimum', { amount: formatUGX(COD_MIN_AMOUNT) });
+        }
+        if (payment.codAmount > COD_MAX_AMOUNT) {
+            return t('validation.codLimit', { amount: formatUGX(COD_MAX_AMOUNT) });
+        }
+        if (!ugPhoneValid(payment.codPayoutPhone)) {
+            return t('validation.codPayoutPhone');
+        }
+    }
+    return null;
+}
+
+// The whole form, in the order the sender fills it in. `quote` is the
+// current quoteBooking() result or null. Returns null when the booking can
+// be sent, else { message, target } where target is the id of the field to
+// focus or the section to scroll to.
+export function validateBooking(booking, quote) {
+    const fields = booking.fields;
+    const missing = REQUIRED_FIELDS.find(id => !String(fields[id] || '').trim());
+    if (missing) return { message: t('notify.requiredFields'), target: missing };
+    if (!ugPhoneValid(fields.senderPhone)) return { message: t('notify.senderPhone'), target: 'senderPhone' };
+    if (!emailValid(fields.senderEmail)) return { message: t('notify.senderEmail'), target: 'senderEmail' };
+    if (!ugPhoneValid(fields.recipientPhone)) return { message: t('notify.recipientPhone'), target: 'recipientPhone' };
+
+    const checks = [
+        [() => validateExtraStops(booking.stops), 'extraStops'],
+        // every point inside a served area that offers the chosen vehicle
+        [() => validateServiceAreas(booking.tripPoints, fields.vehicleType), null],
+        [() => validatePackage(booking.package, fields.vehicleType), 'packageFields'],
+        // trip length for the chosen vehicle, known once the route is calculated
+        [() => {
+            const chosen = quote && quote.quotes.find(item => item.vehicleType === fields.vehicleType);
+            return chosen && chosen.check.errors.length ? chosen.check.errors[0] : null;
+        }, null],
+        [() => validateSchedule(booking.schedule), 'scheduleSection'],
+        [() => validatePayment(booking.payment, quote && quote.price), 'paymentSection'],
+        [() => booking.termsAccepted ? null : t('notify.acceptTerms'), 'termsAgreement']
+    ];
+    for (const [check, target] of checks) {
+        const message = check();
+        if (message) return { message, target };
+    }
+    return null;
+}
@@ -0,0 +1,147 @@
+// Site configuration. Edit these values per deployment; API keys left empty
+// simply switch the matching service off.
+const APP_CONFIG = {
+    routing: {
+        // Providers are tried in this order; the straight-line estimate is always last
+        providers: ['ors', 'osrm', 'graphhopper'],
+        timeoutMs: 8000, // per provider
+        ors: {
+            apiKey: '',
+            baseUrl: 'https://api.openrouteservice.org'
+        },
+        osrm: {
+            baseUrl: 'https://router.project-osrm.org'
+        },
+        graphhopper: {
+            apiKey: '',
+            baseUrl: 'https://graphhopper.com/api/1'
+        }
+    },
+    payments: {
+        // 'sandbox' simulates mobile money prompts locally; 'http' talks to a gateway
+        provider: 'sandbox',
+        sandbox: {
+            confirmAfterMs: 4000
+        },
+        http: {
+            apiKey: '',
+            baseUrl: ''
+        }
+    },
+    dispatch: {
+        // Order lists merged on the dispatcher page: 'local' (this browser),
+        // 'mock' (static demo file) and 'http' (dispatch API)
+        backends: ['local', 'mock'],
+        mockUrl: 'data/dispatch-mock.json',
+        http: {
+            apiKey: '',
+            baseUrl: ''
+        },
+        // An order is only offered the riders of its vehicle class, so keep at
+        // least one for every class in VEHICLE_TYPES (vehicles.js)
+        riders: [
+            { id: 'rider-brian', name: 'Brian S.', vehicleType: 'bicycle' },
+            { id: 'rider-musa', name: 'Musa K.', vehicleType: 'motorcycle' },
+            { id: 'rider-peter', name: 'Peter O.', vehicleType: 'motorcycle' },
+            { id: 'rider-aisha', name: 'Aisha N.', vehicleType: 'motorcycle' },
+            { id: 'rider-joseph', name: 'Joseph M.', vehicleType: 'tuk_tuk' },
+            { id: 'rider-grace', name: 'Grace N.', vehicleType: 'car' },
+            { id: 'rider-ruth', name: 'Ruth A.', vehicleType: 'van' }
+        ]
+    },
+    liveLocation: {
+        // 'local' shares fixes between tabs of this browser (demos and tests);
+        // 'websocket' relays them through the server at websocket.url. To try it
+        // locally, run `node tools/location-relay.js` and use 'ws://localhost:8788/'
+        transport: 'local',
+        websocket: {
+            url: ''
+        },
+        // Riders send a fix once they have moved minDistanceM, but no more often
+        // than every minIntervalMs, and at least every maxIntervalMs while sharing
+        minIntervalMs: 5000,
+        minDistanceM: 25,
+        maxIntervalMs: 30000,
+        // Customers re-route from the rider's position when they stray this far
+        offRouteM: 150
+    },
+    geocoding: {
+        // 'nominatim' (OpenStreetMap) or 'stub' (built-in place list, no network)
+        provider: 'nominatim',
+        nominatim: {
+            baseUrl: 'https://nominatim.openstreetmap.org',
+            // Required: contact address sent with every request, as the usage
+            // policy demands. Until it is set, searches use the built-in place
+            // list and the booking page says that address search is limited.
+            email: ''
+        },
+        minIntervalMs: 1100, // the public server allows one request per second
+        cacheSize: 300,
+        cacheTtlDays: 30,
+        // Suggestions while typing, for providers that allow it (not Nominatim,
+        // whose results come when the user presses Enter)
+        suggestMinChars: 3,
+        suggestDelayMs: 400
+    },
+    serviceAreas: {
+        // GeoJSON polygons of the areas we deliver in, with per-area availability
+        url: 'data/service-areas.geojson'
+    },
+    landmarks: {
+        // Gazetteer of stages, malls and markets, and the towns short plus codes are read against
+        url: 'data/landmarks.json'
+    },
+    webhooks: {
+        // Internal tools that receive every new order as signed JSON (see webhooks.js).
+        // To try it locally, run `node tools/webhook-receiver.js` and add
+        // { url: 'http://localhost:8787/orders', secret: 'dev-secret', events: ['order.created'] }
+        endpoints: []
+    },
+    proofOfDelivery: {
+        // 'sandbox' keeps codes in the page and shows them to the rider;
+        // 'http' asks the SMS gateway to text them to the recipient
+        otpProvider: 'sandbox',
+        otpLength: 6,
+        otpTtlMinutes: 10,
+        maxAttempts: 5,
+        photoMaxPx: 1024,
+        http: {
+            apiKey: '',
+            baseUrl: ''
+        }
+    },
+    recipientNotices: {
+        // 'mock' only logs the texts in this browser and shows them on the
+        // success screen; 'http' sends them through the messaging gateway
+        sender: 'mock',
+        channel: 'sms', // when the booking doesn't choose SMS or WhatsApp
+        arrivalRadiusM: 150, // rider this close to a drop-off counts as arrived
+        // Site address for the links in the texts, e.g. 'https://vdeliver.ug/';
+        // empty uses the address of the page sending them
+        linkBaseUrl: '',
+        http: {
+            apiKey: '',
+            baseUrl: ''
+        },
+        // Where the recipient page (confirm.html) reads and answers its stop:
+        // 'local' (orders booked in this browser) or 'http' (the dispatch API's
+        // per-stop endpoints, which check the link's key; no API key is sent)
+        confirm: {
+            backend: 'local',
+            baseUrl: ''
+        }
+    },
+    accounts: {
+        // 'local' keeps accounts in this browser and shows sign-in codes on
+        // screen; 'http' signs in through the accounts API, which texts them
+        backend: 'local',
+        otpLength: 6,
+        otpTtlMinutes: 10,
+        maxAttempts: 5,
+        sessionDays: 30,
+        http: {
+            apiKey: '',
+            baseUrl: ''
+        }
+    }
+};
@@ -0,0 +1,181 @@
+// Turn-by-turn directions: the step list, a route map that highlights the
+// selected step, and links to the printable rider view (directions.html).
+// Steps come from routing.js with request.instructions set.
+
+const MANEUVER_ICONS = {
+    depart: 'fa-play',
+    straight: 'fa-arrow-up',
+    left: 'fa-arrow-left',
+    right: 'fa-arrow-right',
+    'slight-left': 'fa-arrow-up slight-left',
+    'slight-right': 'fa-arrow-up slight-right',
+    'sharp-left': 'fa-arrow-left sharp-left',
+    'sharp-right': 'fa-arrow-right sharp-right',
+    'keep-left': 'fa-arrow-up slight-left',
+    'keep-right': 'fa-arrow-up slight-right',
+    roundabout: 'fa-sync-alt',
+    uturn: 'fa-undo',
+    via: 'fa-map-pin',
+    arrive: 'fa-flag-checkered'
+};
+
+let routeMapView = null; // route map on the booking page, created on first use
+let currentDirections = null; // { vehicleType, waypoints, steps }
+
+function formatStepDistance(km) {
+    return km < 1 ? Math.round(km * 1000 / 10) * 10 + ' m' : km.toFixed(1) + ' km';
+}
+
+// Fill an <ol> with steps; onSelect(index) fires when a step is clicked
+function renderDirectionsList(list, steps, onSelect) {
+    list.innerHTML = '';
+    steps.forEach((step, i) => {
+        const li = document.createElement('li');
+        li.className = 'direction-step';
+        li.tabIndex = 0;
+        li.innerHTML = `
+            <span class="direction-icon"><i class="fas ${MANEUVER_ICONS[step.maneuver] || MANEUVER_ICONS.straight}"></i></span>
+            <span class="direction-text">
+                <span class="direction-instruction"></span>
+                <span class="direction-street"></span>
+            </span>
+            <span class="direction-distance"></span>
+        `;
+        const instruction = stepInstruction(step);
+        li.querySelector('.direction-instruction').textContent = instruction;
+        li.querySelector('.direction-street').textContent = step.street && !instruction.includes(step.street) ? step.street : '';
+        li.querySelector('.direction-distance').textContent = step.distanceKm > 0 ? formatStepDistance(step.distanceKm) : '';
+        if (onSelect) {
+            li.addEventListener('click', () => onSelect(i));
+            li.addEventListener('keydown', e => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onSelect(i);
+                }
+            });
+        }
+        list.appendChild(li);
+    });
+}
+
+function markSelectedStep(list, index) {
+    list.querySelectorAll('.direction-step').forEach((li, i) => {
+        li.classList.toggle('selected', i === index);
+    });
+}
+
+// A Leaflet map showing one route with a highlight layer for the selected step
+function createRouteMapView(elementId) {
+    const map = L.map(elementId, { zoomControl: true, scrollWheelZoom: false });
+    L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', {
+        attribution: '© OpenStreetMap contributors, © CartoDB',
+        maxZoom: 20
+    }).addTo(map);
+    const routeGroup = L.layerGroup().addTo(map);
+    let highlight = null;
+
+    return {
+        map,
+        showRoute(route, waypoints) {
+            routeGroup.clearLayers();
+            if (highlight) {
+                map.removeLayer(highlight);
+                highlight = null;
+            }
+            const line = L.polyline(route.coordinates.map(([lng, lat]) => [lat, lng]), route.estimate
+                ? { color: '#00d4ff', weight: 4, dashArray: '6' }
+                : { color: '#00d4ff', weight: 5, opacity: 0.8 }
+            ).addTo(routeGroup);
+            waypoints.forEach((point, i) => {
+                L.circleMarker(point, {
+                    radius: 7,
+                    color: '#fff',
+                    weight: 2,
+                    fillColor: i === 0 ? '#007bff' : '#28a745',
+                    fillOpacity: 1
+                }).bindTooltip(i === 0 ? t('stops.pickup') : t('stops.title', { number: i })).addTo(routeGroup);
+            });
+            map.invalidateSize();
+            map.fitBounds(line.getBounds(), { padding: [20, 20] });
+        },
+        highlightStep(step) {
+            if (highlight) map.removeLayer(highlight);
+            const latlngs = step.coordinates.map(([lng, lat]) => [lat, lng]);
+            highlight = L.polyline(latlngs, { color: '#ffc107', weight: 8, opacity: 0.9 }).addTo(map);
+            if (latlngs.length > 1) {
+                map.fitBounds(highlight.getBounds(), { padding: [40, 40], maxZoom: 17 });
+            } else {
+                map.setView(latlngs[0], 17);
+            }
+        }
+    };
+}
+
+// Link to the printable rider view; the route is recalculated there.
+// With a request ID and the order's live key the page also offers live
+// location sharing for that order.
+function buildDirectionsLink(vehicleType, waypoints, requestId, liveKey) {
+    const params = new URLSearchParams({
+        v: vehicleType,
+        w: waypoints.map(([lat, lng]) => `${lat.toFixed(6)},${lng.toFixed(6)}`).join(';')
+    });
+    if (requestId) params.set('id', requestId);
+    if (requestId && liveKey) params.set('key', liveKey);
+    return new URL('directions.html?' + params, window.location.href).href;
+}
+
+// Parse the `w` parameter of a directions link back into waypoints
+function parseDirectionsWaypoints(value) {
+    return (value || '').split(';')
+        .map(pair => pair.split(',').map(Number))
+        .filter(([lat, lng]) => !isNaN(lat) && !isNaN(lng));
+}
+
+// Booking page: show the route map and the collapsible step list
+function showDirections(route, vehicleType, waypoints) {
+    const panel = document.getElementById('directionsPanel');
+    if (!panel) return;
+    if (!route) {
+        currentDirections = null;
+        panel.style.display = 'none';
+        document.getElementById('routeMap').style.display = 'none';
+        return;
+    }
+
+    currentDirections = { vehicleType, waypoints, steps: route.steps || [] };
+
+    document.getElementById('routeMap').style.display = 'block';
+    if (!routeMapView) routeMapView = createRouteMapView('routeMap');
+    routeMapView.showRoute(route, waypoints);
+
+    const list = document.getElementById('directionsList');
+    renderDirectionsList(list, currentDirections.steps, function(index) {
+        markSelectedStep(list, index);
+        routeMapView.highlightStep(currentDirections.steps[index]);
+    });
+    document.getElementById('directionsCount').textContent = currentDirections.steps.length;
+    panel.style.display = currentDirections.steps.length ? 'block' : 'none';
+}
+
+function toggleDirectionsList() {
+    const toggle = document.getElementById('directionsToggle');
+    const list = document.getElementById('directionsList');
+    const icon = toggle.querySelector('.fa-chevron-down, .fa-chevron-up');
+    const open = list.style.display === 'none';
+    list.style.display = open ? 'block' : 'none';
+    icon.className = open ? 'fas fa-chevron-up' : 'fas fa-chevron-down';
+    toggle.setAttribute('aria-expanded', open);
+}
+
+document.getElementById('directionsToggle')?.addEventListener('click', toggleDirectionsList);
+document.getElementById('directionsToggle')?.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        toggleDirectionsList();
+    }
+});
+
+document.getElementById('printDirectionsBtn')?.addEventListener('click', function() {
+    if (!currentDirections) return;
+    window.open(buildDirectionsLink(currentDirections.vehicleType, currentDirections.waypoints), '_blank');
+});
@@ -0,0 +1,240 @@
+// Dispatcher data layer: where the dashboard (dispatch.html) reads orders from
+// and sends rider assignments and status changes to. No DOM dependencies.
+//
+// A backend is { name, listOrders(), updateOrder(requestId, update) }:
+//   listOrders() -> Promise<[{ requestId, createdAt, status, history, details, rider }]>
+//   updateOrder(requestId, { status, rider: { id, name }, note, proofOfDelivery, otp }) -> Promise<order>
+// Orders use the same shape as the tracking page (see tracking.js).
+// Recipients' answers from confirm.html don't come through here but through
+// the recipient API (recipient-notifications.js), which only reaches one stop.
+//
+// A proof of delivery comes with the recipient's code, otp: { challengeId, code }.
+// The backend checks the code with the OTP provider before it accepts the
+// proof: the dispatch API on the server, the local and demo backends through
+// currentOtpProvider() (proof-of-delivery.js, loaded on the rider's page).
+
+// A proof is only stored with its photo, the signature and the confirmed challenge
+function isVerifiedProof(proof) {
+    return !!(proof && proof.photo && proof.signature && proof.otp && proof.otp.challengeId && proof.otp.verifiedAt);
+}
+
+// Check the code sent with a proof and return the update with the proof
+// stamped { otp: { challengeId, verifiedAt } }; the code itself is not kept.
+// A wrong code rejects with the provider's result as error.otp.
+async function confirmDeliveryCode(update) {
+    if (!update.proofOfDelivery) return update;
+    const otp = update.otp || {};
+    if (!otp.challengeId || !otp.code) throw new Error('A proof of delivery needs the code the recipient received');
+    const result = await currentOtpProvider().verifyCode(otp.challengeId, otp.code);
+    if (!result.valid) {
+        const error = new Error('The recipient code was not accepted');
+        error.otp = result;
+        throw error;
+    }
+    const proofOfDelivery = Object.assign({}, update.proofOfDelivery, {
+        otp: { challengeId: otp.challengeId, verifiedAt: new Date().toISOString() }
+    });
+    const confirmed = Object.assign({}, update, { proofOfDelivery });
+    delete confirmed.otp;
+    return confirmed;
+}
+
+// Apply a dispatcher update to an order object in place and return it.
+// An order only becomes 'delivered' together with a verified proof of delivery.
+function applyOrderUpdate(order, update) {
+    if (update.proofOfDelivery && !isVerifiedProof(update.proofOfDelivery)) {
+        throw new Error('A proof of delivery needs the photo, the signature and a code the recipient confirmed');
+    }
+    if (update.status === 'delivered' && !update.proofOfDelivery && !order.proofOfDelivery) {
+        throw new Error('Delivery is completed from the rider page once the recipient confirms the code');
+    }
+    const time = new Date().toISOString();
+    order.history = order.history || [];
+    if (update.proofOfDelivery) order.proofOfDelivery = update.proofOfDelivery;
+    if (update.rider) {
+        order.rider = update.rider;
+        if (order.status === 'received') order.status = 'rider_assigned';
+        order.history.push({ status: 'rider_assigned', time, note: 'Rider: ' + update.rider.name });
+    }
+    if (update.status && update.status !== order.status) {
+        order.status = update.status;
+        order.history.push({ status: update.status, time, note: update.note || '' });
+    }
+    return order;
+}
+
+// Orders booked in this browser (localStorage, shared with the tracking page)
+function createLocalDispatchBackend() {
+    return {
+        name: 'local',
+        async listOrders() {
+            return Object.values(readLocalOrders());
+        },
+        async updateOrder(requestId, update) {
+            if (!readLocalOrders()[requestId]) throw new Error('Unknown order: ' + requestId);
+            const confirmed = await confirmDeliveryCode(update);
+            // Read again: other tabs may have changed orders while the code was checked
+            const orders = readLocalOrders();
+            applyOrderUpdate(orders[requestId], confirmed);
+            writeLocalOrders(orders);
+            return orders[requestId];
+        }
+    };
+}
+
+// Orders from a static JSON file keyed by request ID. Changes are kept in
+// memory only, so the demo data resets when the page is reloaded.
+function createJsonDispatchBackend(url) {
+    let loaded = null;
+    function load() {
+        if (!loaded) {
+            loaded = fetch(url, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error('Dispatch data unavailable: ' + response.status);
+                    return response.json();
+                })
+                .then(data => Object.keys(data).map(requestId => Object.assign({ requestId }, data[requestId])));
+            loaded.catch(() => { loaded = null; });
+        }
+        return loaded;
+    }
+    return {
+        name: 'json',
+        listOrders: load,
+        async updateOrder(requestId, update) {
+            const order = (await load()).find(o => o.requestId === requestId);
+            if (!order) throw new Error('Unknown order: ' + requestId);
+            return applyOrderUpdate(order, await confirmDeliveryCode(update));
+        }
+    };
+}
+
+// Dispatch API exposing GET {baseUrl}/orders and PATCH {baseUrl}/orders/{id}.
+// The API verifies a proof's otp with the OTP gateway itself and answers a
+// wrong code with 422 and the gateway's { valid, attemptsLeft } result.
+function createHttpDispatchBackend(options) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (options.apiKey) headers['Authorization'] = 'Bearer ' + options.apiKey;
+
+    async function call(path, init) {
+        const response = await fetch(options.baseUrl + path, Object.assign({ headers }, init));
+        if (response.status === 422) {
+            const error = new Error('The recipient code was not accepted');
+            error.otp = await response.json().catch(() => ({ valid: false, attemptsLeft: 0 }));
+            throw error;
+        }
+        if (!response.ok) throw new Error('Dispatch API error: ' + response.status);
+        return response.json();
+    }
+
+    return {
+        name: 'http',
+        listOrders() {
+            return call('/orders');
+        },
+        updateOrder(requestId, update) {
+            return call('/orders/' + encodeURIComponent(requestId), { method: 'PATCH', body: JSON.stringify(update) });
+        }
+    };
+}
+
+// List from several backends at once; updates go back to the one that owns the order.
+// A backend that fails is skipped so the others still show.
+function createMergedDispatchBackend(backends) {
+    const owners = {};
+    return {
+        name: 'merged',
+        async listOrders() {
+            const results = await Promise.all(backends.map(backend =>
+                backend.listOrders().catch(error => {
+                    console.warn(`Dispatch backend "${backend.name}" failed`, error);
+                    return [];
+                })
+            ));
+            const orders = [];
+            results.forEach((list, i) => list.forEach(order => {
+                if (owners[order.requestId] && owners[order.requestId] !== backends[i]) return;
+                owners[order.requestId] = backends[i];
+                orders.push(Object.assign({ source: backends[i].name }, order));
+            }));
+            return orders;
+        },
+        updateOrder(requestId, update) {
+            const owner = owners[requestId];
+            if (!owner) return Promise.reject(new Error('Unknown order: ' + requestId));
+            return owner.updateOrder(requestId, update);
+        }
+    };
+}
+
+function getDispatchBackend(config) {
+    const factories = {
+        local: () => createLocalDispatchBackend(),
+        mock: () => createJsonDispatchBackend(config.mockUrl),
+        http: () => createHttpDispatchBackend(config.http)
+    };
+    return createMergedDispatchBackend(config.backends.filter(name => factories[name]).map(name => factories[name]()));
+}
+
+let dispatchBackend = null;
+
+// Override the backend, e.g. setDispatchBackend(createJsonDispatchBackend('data/dispatch-mock.json'))
+function setDispatchBackend(backend) {
+    dispatchBackend = backend;
+}
+
+function currentDispatchBackend() {
+    if (!dispatchBackend) dispatchBackend = getDispatchBackend(APP_CONFIG.dispatch);
+    return dispatchBackend;
+}
+
+// Pickup and drop-off points of an order as [lat, lng] pairs
+function getOrderPoints(order) {
+    const details = order.details || {};
+    const stops = details.deliveryStops && details.deliveryStops.length
+        ? details.deliveryStops.map(stop => stop.coords)
+        : [details.deliveryCoords];
+    return {
+        pickup: parseCoords(details.pickupCoords),
+        dropoffs: stops.map(parseCoords).filter(Boolean)
+    };
+}
+
+// Trip distance: the routed figure when known, otherwise straight-line through the stops
+function getOrderDistanceKm(order) {
+    const routed = order.details && parseFloat(order.details.routeDistance);
+    if (routed > 0) return routed;
+    const { pickup, dropoffs } = getOrderPoints(order);
+    if (!pickup || !dropoffs.length) return null;
+    return pathLengthKm(pickup, dropoffs, dropoffs.map((_, i) => i));
+}
+
+// Pricing zone of the pickup point, used as the dashboard's "area"
+function getOrderArea(order) {
+    return getPricingZone(getOrderPoints(order).pickup);
+}
+
+// Filter and sort for the dashboard list.
+// filters: { status, vehicleType, area } ('' means any); sort: 'newest'|'oldest'|'nearest'|'farthest'
+function selectDispatchOrders(orders, filters, sort) {
+    const selected = orders.filter(order =>
+        (!filters.status || order.status === filters.status) &&
+        (!filters.vehicleType || (order.details && order.details.vehicleType) === filters.vehicleType) &&
+        (!filters.area || getOrderArea(order).id === filters.area)
+    );
+    const age = order => Date.parse(order.createdAt || (order.history && order.history[0] && order.history[0].time)) || 0;
+    // Orders without a known distance go last either way
+    const byDistance = direction => (a, b) => {
+        const da = getOrderDistanceKm(a);
+        const db = getOrderDistanceKm(b);
+        if (da === null || db === null) return (da === null) - (db === null);
+        return direction * (da - db);
+    };
+    const comparators = {
+        newest: (a, b) => age(b) - age(a),
+        oldest: (a, b) => age(a) - age(b),
+        nearest: byDistance(1),
+        farthest: byDistance(-1)
+    };
+    return selected.sort(comparators[sort] || comparators.newest);
+}
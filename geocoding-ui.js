@@ -0,0 +1,209 @@
+// Address suggestions for the pickup, delivery and extra-stop address fields.
+// Lookups go through the geocoding service (geocoding.js); typed plus codes are
+// decoded locally (plus-codes.js, landmarks.js). Providers that don't allow
+// type-ahead (Nominatim) are only asked when the user presses Enter.
+
+let suggestionListCounter = 0;
+let limitedSearchWarned = false;
+
+// Address fields also take plus codes; everything else goes to the geocoder
+async function searchAddresses(query, options) {
+    if (parsePlusCodeQuery(query)) {
+        await loadLandmarks();
+        const place = resolvePlusCode(query);
+        if (place) return [place];
+    }
+    return currentGeocoder().search(query, options);
+}
+
+// Once per page: say so when address search runs on the built-in place list
+// because the real provider is not set up
+function warnIfSearchLimited() {
+    if (limitedSearchWarned || !currentGeocoder().fallback) return;
+    limitedSearchWarned = true;
+    showNotification(t('geocoding.limited'), { urgent: true });
+}
+
+// Show suggestions under `input` as the user types (or presses Enter, for
+// providers without type-ahead); onSelect(place) is called with a
+// { label, lat, lng } inside a service area. options.search(query, { signal })
+// replaces the address lookup, and is always type-ahead; options.emptyText
+// (a message key) replaces its "no results" line.
+function attachAddressSuggestions(input, onSelect, options) {
+    const settings = APP_CONFIG.geocoding;
+    const search = (options && options.search) || searchAddresses;
+    const typeahead = !!(options && options.search) || currentGeocoder().provider.typeahead;
+    const emptyText = (options && options.emptyText) || 'geocoding.noMatches';
+    const list = document.createElement('ul');
+    list.className = 'address-suggestions';
+    list.id = (input.id || 'address' + (++suggestionListCounter)) + 'Suggestions';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    input.insertAdjacentElement('afterend', list);
+    input.parentElement.classList.add('has-suggestions');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
+
+    let places = [];
+    let active = -1;
+    let timer = null;
+    let latestQuery = '';
+    let pending = null; // AbortController of the lookup still running
+
+    function cancelPending() {
+        if (pending) pending.abort();
+        pending = null;
+    }
+
+    function close() {
+        list.hidden = true;
+        list.innerHTML = '';
+        places = [];
+        active = -1;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    function highlight(index) {
+        active = index;
+        list.querySelectorAll('li').forEach((li, i) => li.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+        if (index >= 0) input.setAttribute('aria-activedescendant', `${list.id}-${index}`);
+    }
+
+    function choose(index) {
+        const place = places[index];
+        if (!place) return;
+        if (!place.check.allowed) {
+            showNotification(place.check.reason);
+            return;
+        }
+        close();
+        onSelect(place);
+    }
+
+    function showList() {
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        highlight(-1);
+    }
+
+    // A single line in the list that is not a place, e.g. "no results"
+    function showMessage(key) {
+        places = [];
+        list.innerHTML = '';
+        const li = document.createElement('li');
+        li.className = 'address-suggestion empty';
+        li.textContent = t(key);
+        list.appendChild(li);
+        showList();
+    }
+
+    function render(results) {
+        if (!results.length) {
+            showMessage(emptyText);
+            return;
+        }
+        places = results.map(place => Object.assign({ check: checkServiceArea([place.lat, place.lng]) }, place));
+        list.innerHTML = '';
+        places.forEach((place, i) => {
+            const li = document.createElement('li');
+            li.id = `${list.id}-${i}`;
+            li.className = 'address-suggestion' + (place.check.allowed ? '' : ' unavailable');
+            li.setAttribute('role', 'option');
+            li.innerHTML = '<i class="fas fa-map-marker-alt"></i><span></span>';
+            li.querySelector('span').textContent = place.label;
+            if (!place.check.allowed) {
+                const note = document.createElement('small');
+                note.textContent = place.check.area
+                    ? t('geocoding.areaUnavailable', { area: place.check.area.name })
+                    : t('geocoding.outsideAreas');
+                li.appendChild(note);
+            }
+            // mousedown fires before the input loses focus
+            li.addEventListener('mousedown', e => {
+                e.preventDefault();
+                choose(i);
+            });
+            list.appendChild(li);
+        });
+        showList();
+    }
+
+    async function suggest() {
+        const query = input.value.trim();
+        latestQuery = query;
+        cancelPending();
+        if (query.length < settings.suggestMinChars) {
+            close();
+            return;
+        }
+        warnIfSearchLimited();
+        const controller = new AbortController();
+        pending = controller;
+        let results;
+        try {
+            results = await search(query, { signal: controller.signal });
+        } catch (error) {
+            if (error.name !== 'AbortError') console.warn('Address suggestions failed', error);
+            return;
+        } finally {
+            if (pending === controller) pending = null;
+        }
+        // A slower, older lookup must not replace newer suggestions
+        if (query === latestQuery && document.activeElement === input) render(results);
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        cancelPending();
+        if (typeahead) {
+            timer = setTimeout(suggest, settings.suggestDelayMs);
+        } else if (input.value.trim().length >= settings.suggestMinChars) {
+            // Keep the list in step with what is typed: a hint, not old results
+            showMessage('geocoding.pressEnter');
+        } else {
+            close();
+        }
+    });
+    input.addEventListener('keydown', e => {
+        // Without type-ahead, Enter searches instead of submitting the form
+        if (!typeahead && e.key === 'Enter' && !places.length && input.value.trim().length >= settings.suggestMinChars) {
+            e.preventDefault();
+            suggest();
+            return;
+        }
+        if (list.hidden || !places.length) return;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            highlight((active + 1) % places.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            highlight(active <= 0 ? places.length - 1 : active - 1);
+        } else if (e.key === 'Enter' && active >= 0) {
+            e.preventDefault();
+            choose(active);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+    input.addEventListener('blur', () => {
+        clearTimeout(timer);
+        cancelPending();
+        close();
+    });
+}
+
+(function initAddressSuggestions() {
+    ['pickup', 'delivery'].forEach(type => {
+        const input = document.getElementById(type + 'Address');
+        if (!input) return;
+        attachAddressSuggestions(input, place => {
+            setLocationCoords(type, place.lat, place.lng);
+            input.value = place.code || place.label;
+            showNotification(t(type === 'pickup' ? 'geocoding.pickupSet' : 'geocoding.deliverySet'));
+        });
+    });
+})();
@@ -0,0 +1,266 @@
+// Geocoding service: address search and reverse lookups behind a pluggable
+// provider, with an LRU cache (persisted to localStorage) and a request queue
+// that keeps us within the provider's rate limit. No DOM dependencies.
+//
+// A provider is { name, label, typeahead, search(query), reverse(lat, lng) }:
+//   typeahead: true when its terms allow a search on every pause in typing
+//   search(query) -> Promise<[{ label, lat, lng, type }]>   (best match first)
+//   reverse(lat, lng) -> Promise<{ display_name, country }>
+// The stub provider uses haversineKm() from route-optimizer.js; results come
+// in the page language, getLanguage() from i18n.js.
+
+const GEOCODE_CACHE_KEY = 'vdeliver.geocodeCache';
+
+// Bias searches towards Kampala without excluding the rest of Uganda
+const GEOCODE_VIEWBOX = '32.40,0.55,32.80,0.10';
+
+// Least-recently-used cache. Entries expire after ttlMs; with a storageKey the
+// cache survives page loads.
+function createLruCache(options) {
+    const settings = Object.assign({ maxEntries: 300, ttlMs: Infinity, storageKey: null }, options);
+    const entries = new Map(); // key -> { value, time }, oldest first
+    let saveTimer = null;
+
+    if (settings.storageKey) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(settings.storageKey)) || [];
+            saved.forEach(([key, entry]) => entries.set(key, entry));
+        } catch (error) {
+            console.warn('Could not read the geocoding cache', error);
+        }
+    }
+
+    // Write at most once per second however many lookups finish
+    function scheduleSave() {
+        if (!settings.storageKey || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            try {
+                localStorage.setItem(settings.storageKey, JSON.stringify(Array.from(entries)));
+            } catch (error) {
+                console.warn('Could not save the geocoding cache', error);
+            }
+        }, 1000);
+    }
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            entries.delete(key);
+            if (Date.now() - entry.time > settings.ttlMs) {
+                scheduleSave();
+                return undefined;
+            }
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, { value, time: Date.now() });
+            while (entries.size > settings.maxEntries) entries.delete(entries.keys().next().value);
+            scheduleSave();
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+// Runs tasks one at a time, starting each at least minIntervalMs after the last.
+// A task whose signal is aborted while it waits is dropped without a request
+// and rejects with an AbortError.
+function createRequestQueue(minIntervalMs) {
+    let last = Promise.resolve();
+    let lastStart = 0;
+    return {
+        schedule(task, signal) {
+            const run = last.then(() => {
+                if (signal && signal.aborted) return null;
+                return new Promise(resolve => {
+                    setTimeout(resolve, Math.max(0, lastStart + minIntervalMs - Date.now()));
+                });
+            }).then(() => {
+                if (signal && signal.aborted) throw new DOMException('Lookup replaced by a newer one', 'AbortError');
+                lastStart = Date.now();
+                return task();
+            });
+            last = run.catch(() => {});
+            return run;
+        }
+    };
+}
+
+// OpenStreetMap Nominatim, limited to Uganda. The usage policy requires every
+// request to identify the application. Browsers cannot set a custom User-Agent,
+// so the site's origin goes as the Referer and the contact email in the query
+// string; without an email no request is sent. The policy also forbids
+// searching as the user types, so typeahead is false and the address fields
+// only search when asked to.
+function createNominatimGeocoder(options) {
+    function url(path, params) {
+        // Place names in the page language where OpenStreetMap has them, else English
+        const query = new URLSearchParams(Object.assign({ format: 'jsonv2', 'accept-language': `${getLanguage()},en` }, params));
+        query.set('email', options.email);
+        return `${options.baseUrl}/${path}?${query}`;
+    }
+
+    async function get(path, params) {
+        if (!options.email) throw new Error('Nominatim needs a contact email (APP_CONFIG.geocoding.nominatim.email)');
+        const response = await fetch(url(path, params), {
+            headers: { 'Accept': 'application/json' },
+            referrerPolicy: 'strict-origin-when-cross-origin'
+        });
+        if (!response.ok) throw new Error('Nominatim error: ' + response.status);
+        return response.json();
+    }
+
+    return {
+        name: 'nominatim',
+        label: 'OpenStreetMap Nominatim',
+        typeahead: false,
+        async search(query) {
+            const results = await get('search', {
+                q: query,
+                countrycodes: 'ug',
+                viewbox: GEOCODE_VIEWBOX,
+                bounded: 0,
+                limit: 5
+            });
+            return results.map(r => ({
+                label: r.display_name,
+                lat: parseFloat(r.lat),
+                lng: parseFloat(r.lon),
+                type: r.type || r.category || ''
+            }));
+        },
+        async reverse(lat, lng) {
+            const data = await get('reverse', { lat, lon: lng, zoom: 18, addressdetails: 1 });
+            return {
+                display_name: data.display_name || '',
+                country: (data.address && data.address.country) || ''
+            };
+        }
+    };
+}
+
+// Offline stand-in for tests and demos: a few Kampala places, matched by name
+function createStubGeocoder(places) {
+    const list = places || [
+        { label: 'Kampala Central Business District, Kampala', lat: 0.3136, lng: 32.5811, type: 'suburb' },
+        { label: 'Garden City Mall, Yusuf Lule Road, Kampala', lat: 0.3201, lng: 32.5912, type: 'mall' },
+        { label: 'Acacia Mall, Kisementi, Kampala', lat: 0.3353, lng: 32.5949, type: 'mall' },
+        { label: 'Owino Market, Kampala', lat: 0.3116, lng: 32.5753, type: 'marketplace' },
+        { label: 'Makerere University, Kampala', lat: 0.3295, lng: 32.5700, type: 'university' },
+        { label: 'Ntinda Shopping Complex, Kampala', lat: 0.3544, lng: 32.6143, type: 'mall' },
+        { label: 'Entebbe International Airport, Entebbe', lat: 0.0424, lng: 32.4435, type: 'aerodrome' }
+    ];
+    return {
+        name: 'stub',
+        label: 'Built-in place list',
+        typeahead: true,
+        async search(query) {
+            const words = query.toLowerCase().split(/[\s,]+/).filter(Boolean);
+            return list.filter(place => words.every(word => place.label.toLowerCase().includes(word))).slice(0, 5);
+        },
+        async reverse(lat, lng) {
+            const nearest = list.reduce((best, place) =>
+                haversineKm([lat, lng], [place.lat, place.lng]) < haversineKm([lat, lng], [best.lat, best.lng]) ? place : best
+            );
+            return { display_name: 'Near ' + nearest.label, country: 'Uganda' };
+        }
+    };
+}
+
+// Wraps a provider with the cache and the queue. Identical lookups already in
+// flight share one request; results are cached per language. search() takes
+// { signal } so a lookup still waiting in the queue can be dropped once a newer
+// one replaces it. options.fallback marks a stand-in for a provider that is
+// not set up (see getGeocoder()).
+function createGeocodingService(provider, options) {
+    const cache = createLruCache({
+        maxEntries: options.cacheSize,
+        ttlMs: options.cacheTtlDays * 86400000,
+        storageKey: options.storageKey
+    });
+    const queue = createRequestQueue(options.minIntervalMs);
+    const inFlight = {};
+
+    function lookup(key, request, signal) {
+        const cached = cache.get(key);
+        if (cached !== undefined) return Promise.resolve(cached);
+        if (!inFlight[key]) {
+            inFlight[key] = queue.schedule(request, signal)
+                .then(result => {
+                    cache.set(key, result);
+                    return result;
+                })
+                .finally(() => { delete inFlight[key]; });
+        }
+        return inFlight[key];
+    }
+
+    return {
+        provider,
+        fallback: !!options.fallback,
+        search(query, searchOptions) {
+            const normalized = query.trim().replace(/\s+/g, ' ');
+            if (!normalized) return Promise.resolve([]);
+            const signal = searchOptions && searchOptions.signal;
+            return lookup(`${provider.name}:${getLanguage()}:s:${normalized.toLowerCase()}`, () => provider.search(normalized), signal);
+        },
+        // Coordinates are rounded to about a metre so nearby clicks share a lookup
+        reverse(lat, lng) {
+            const la = Number(lat).toFixed(5);
+            const ln = Number(lng).toFixed(5);
+            return lookup(`${provider.name}:${getLanguage()}:r:${la},${ln}`, () => provider.reverse(Number(la), Number(ln)));
+        }
+    };
+}
+
+// Nominatim without its required contact email falls back to the built-in
+// place list, flagged so the page can warn that search is limited
+function getGeocoder(config) {
+    const fallback = config.provider !== 'stub' && !config.nominatim.email;
+    if (fallback) {
+        console.warn('Address search uses the built-in place list: set APP_CONFIG.geocoding.nominatim.email, which the Nominatim usage policy requires');
+    }
+    const provider = config.provider === 'stub' || fallback
+        ? createStubGeocoder()
+        : createNominatimGeocoder(config.nominatim);
+    return createGeocodingService(provider, Object.assign({ storageKey: GEOCODE_CACHE_KEY, fallback }, config));
+}
+
+let geocoder = null;
+
+// Override the service, e.g. setGeocoder(createGeocodingService(createStubGeocoder(), {...})) in tests
+function setGeocoder(service) {
+    geocoder = service;
+}
+
+function currentGeocoder() {
+    if (!geocoder) geocoder = getGeocoder(APP_CONFIG.geocoding);
+    return geocoder;
+}
+
+// Adapter for the leaflet-control-geocoder search box, so map searches use
+// the same provider, cache and queue. Supports both the callback and the
+// promise style of the plugin's geocode() API.
+function createLeafletGeocoder() {
+    return {
+        geocode(query, callback, context) {
+            const results = currentGeocoder().search(query)
+                .then(places => places.map(place => ({
+                    name: place.label,
+                    center: L.latLng(place.lat, place.lng),
+                    bbox: L.latLngBounds([place.lat, place.lng], [place.lat, place.lng])
+                })))
+                .catch(error => {
+                    console.warn('Map search failed', error);
+                    return [];
+                });
+            if (callback) results.then(list => callback.call(context, list));
+            return results;
+        }
+    };
+}
@@ -0,0 +1,22 @@
+// The shared logic is written as ES modules: i18n.js and the locales,
+// vehicles.js, pricing.js, service-areas.js, plus-codes.js, stops.js,
+// schedule.js, package-details.js and payments.js. The classic scripts still
+// use it as globals, so every page loads this module first and the classic
+// scripts after it with `defer`, which runs them in order once it has.
+// Inline classic scripts can't wait, so they only use these from
+// DOMContentLoaded on. config.js stays a classic script loaded before all of it.
+
+import * as i18n from './i18n.js';
+import './locales/en.js';
+import './locales/lg.js';
+import './locales/sw.js';
+import * as vehicles from './vehicles.js';
+import * as pricing from './pricing.js';
+import * as serviceAreas from './service-areas.js';
+import * as plusCodes from './plus-codes.js';
+import * as stops from './stops.js';
+import * as schedule from './schedule.js';
+import * as packageDetails from './package-details.js';
+import * as payments from './payments.js';
+
+Object.assign(window, i18n, vehicles, pricing, serviceAreas, plusCodes, stops, schedule, packageDetails, payments);
@@ -0,0 +1,37 @@
+// Puts the translations from i18n.js on the page. Static text is marked in the
+// HTML: data-i18n="key" replaces an element's text, data-i18n-placeholder,
+// data-i18n-aria-label, data-i18n-title and data-i18n-alt set that attribute. Wrap text that
+// sits next to an icon in a <span data-i18n> so the icon survives. Language
+// switchers are <select class="language-select">; text the scripts write
+// later is translated where it is written.
+
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
+
+function translatePage(root) {
+    const scope = root || document;
+    scope.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    I18N_ATTRIBUTES.forEach(attribute => {
+        scope.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+(function initLanguageSwitcher() {
+    const selects = document.querySelectorAll('.language-select');
+    selects.forEach(select => {
+        Object.entries(LANGUAGES).forEach(([code, name]) => select.add(new Option(name, code)));
+        select.value = getLanguage();
+        select.addEventListener('change', () => setLanguage(select.value));
+    });
+
+    function applyLanguage(lang) {
+        document.documentElement.lang = lang;
+        selects.forEach(select => { select.value = lang; });
+        translatePage(document);
+    }
+    onLanguageChange(applyLanguage);
+    applyLanguage(getLanguage());
+})();
@@ -0,0 +1,77 @@
+// Interface translations. Each locales/<lang>.js registers a catalogue with
+// registerMessages(); t(key, params) looks the key up in the chosen language,
+// then in English, and finally returns the key itself, so a missing
+// translation shows English rather than nothing. Messages take named
+// parameters: t('notify.selectStop', { number: 2 }) for "... stop {number}".
+// The choice is kept in localStorage. No DOM dependencies; i18n-ui.js
+// translates the page and runs the language switcher. ES module: classic
+// scripts get these functions as globals from globals.js.
+
+export const LANGUAGES = {
+    en: 'English',
+    lg: 'Luganda',
+    sw: 'Kiswahili'
+};
+
+// Locale for dates in each language, Ugandan conventions first
+export const LANGUAGE_LOCALES = {
+    en: 'en-UG',
+    lg: 'lg-UG',
+    sw: 'sw-UG'
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_KEY = 'vdeliver.language';
+
+const MESSAGES = {};
+const languageListeners = [];
+let currentLanguage = null;
+
+export function registerMessages(lang, catalogue) {
+    MESSAGES[lang] = Object.assign(MESSAGES[lang] || {}, catalogue);
+}
+
+function formatMessage(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params && params[name] !== undefined && params[name] !== null ? String(params[name]) : match);
+}
+
+// Translate `key` into `lang` (the chosen language when omitted)
+export function t(key, params, lang) {
+    const language = lang || getLanguage();
+    const catalogue = MESSAGES[language] || {};
+    const fallback = MESSAGES[DEFAULT_LANGUAGE] || {};
+    const template = key in catalogue ? catalogue[key] : key in fallback ? fallback[key] : key;
+    return formatMessage(template, params);
+}
+
+// Saved choice, else the browser's language when we have it, else English
+export function getLanguage() {
+    if (currentLanguage) return currentLanguage;
+    let saved = null;
+    try {
+        saved = typeof localStorage !== 'undefined' ? localStorage.getItem(LANGUAGE_KEY) : null;
+    } catch (error) {
+        console.warn('Could not read the language setting', error);
+    }
+    const browser = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+    const candidates = [saved].concat(browser.map(tag => String(tag || '').slice(0, 2).toLowerCase()));
+    currentLanguage = candidates.find(lang => LANGUAGES[lang]) || DEFAULT_LANGUAGE;
+    return currentLanguage;
+}
+
+export function setLanguage(lang) {
+    if (!LANGUAGES[lang]) throw new Error(`Unknown language "${lang}"`);
+    currentLanguage = lang;
+    try {
+        localStorage.setItem(LANGUAGE_KEY, lang);
+    } catch (error) {
+        console.warn('Could not save the language setting', error);
+    }
+    languageListeners.forEach(fn => fn(lang));
+}
+
+// Run fn(lang) whenever the language changes
+export function onLanguageChange(fn) {
+    languageListeners.push(fn);
+}
@@ -0,0 +1,51 @@
+// Landmark fields: pick a well-known stage, mall or market from the gazetteer
+// (landmarks.js) or type a plus code, and the pin moves there. Also shows the
+// plus code of every pin set on the form.
+
+// Suggestions under a landmark field; onSelect(place) moves the pin
+function attachLandmarkSuggestions(input, onSelect) {
+    attachAddressSuggestions(input, place => {
+        input.value = describeLandmarkChoice(input.value, place);
+        onSelect(place);
+    }, {
+        search: searchLandmarksOrPlusCode,
+        emptyText: 'landmarks.noMatches'
+    });
+}
+
+function renderPlusCode(element, coordsValue) {
+    if (!element) return;
+    const code = plusCodeForCoords(coordsValue);
+    element.hidden = !code;
+    if (!code) return;
+    element.innerHTML = '<i class="fas fa-hashtag"></i> <span data-i18n="landmarks.plusCode">Plus code</span> <strong></strong> ' +
+        '<a target="_blank" rel="noopener" data-i18n="landmarks.viewOnMap">View on map</a>';
+    translatePage(element);
+    element.querySelector('strong').textContent = code;
+    element.querySelector('a').href = plusCodeUrl(code);
+}
+
+// Plus codes beside the pickup, delivery and extra-stop pins
+function updatePlusCodes() {
+    ['pickup', 'delivery'].forEach(type => {
+        const coords = document.getElementById(type + 'CoordsHidden');
+        renderPlusCode(document.getElementById(type + 'PlusCode'), coords && coords.value);
+    });
+    document.querySelectorAll('#extraStops .delivery-stop').forEach(stop => {
+        renderPlusCode(stop.querySelector('.stop-plus-code'), stop.querySelector('.stop-coords').value);
+    });
+}
+
+(function initLandmarkSuggestions() {
+    ['pickup', 'delivery'].forEach(type => {
+        const input = document.getElementById(type + 'Landmark');
+        if (!input) return;
+        attachLandmarkSuggestions(input, place => {
+            setLocationCoords(type, place.lat, place.lng);
+            const address = document.getElementById(type + 'Address');
+            if (!address.value.trim()) address.value = place.code || place.label;
+            showNotification(t(type === 'pickup' ? 'landmarks.pickupPinSet' : 'landmarks.deliveryPinSet', { place: place.code || place.name }));
+        });
+    });
+    loadLandmarks().catch(error => console.warn('Could not load landmarks', error));
+})();
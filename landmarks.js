@@ -0,0 +1,123 @@
+// Landmark gazetteer: well-known stages, malls and markets people give as
+// directions ("opposite Shell Ntinda"), loaded from APP_CONFIG.landmarks.url.
+// The file holds
+//   localities: [{ name, aliases, lat, lng }]  towns used to recover short plus codes
+//   landmarks:  [{ id, name, aliases, kind, area, lat, lng }]
+// Uses plus-codes.js. No DOM dependencies.
+
+let gazetteer = null;
+let gazetteerLoading = null;
+
+// How people say where a place is relative to a landmark
+const LANDMARK_RELATION_PATTERN = /^(opposite|opp\.?|near|next to|behind|beside|facing|in front of|after|before|around|at|by|off)\s+/i;
+
+// Fetch the gazetteer once; later calls share the same promise
+function loadLandmarks() {
+    if (!gazetteerLoading) {
+        gazetteerLoading = fetch(APP_CONFIG.landmarks.url, { headers: { 'Accept': 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error('Landmarks unavailable: ' + response.status);
+                return response.json();
+            })
+            .then(data => {
+                setLandmarks(data);
+                return gazetteer;
+            });
+        gazetteerLoading.catch(() => { gazetteerLoading = null; });
+    }
+    return gazetteerLoading;
+}
+
+// Replace the gazetteer, e.g. setLandmarks({ localities: [...], landmarks: [...] }) in tests
+function setLandmarks(data) {
+    gazetteer = { localities: data.localities || [], landmarks: data.landmarks || [] };
+}
+
+// "opposite Shell Ntinda" -> { relation: 'opposite', name: 'Shell Ntinda' }
+function splitLandmarkRelation(text) {
+    const value = String(text || '').trim();
+    const match = value.match(LANDMARK_RELATION_PATTERN);
+    return match
+        ? { relation: match[1].toLowerCase(), name: value.slice(match[0].length).trim() }
+        : { relation: '', name: value };
+}
+
+function landmarkWords(text) {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Landmarks whose name, aliases or area contain every typed word (as a word
+// prefix), best matches first: { label, name, lat, lng, type, landmark }
+function searchLandmarks(query, limit) {
+    if (!gazetteer) return [];
+    const words = landmarkWords(splitLandmarkRelation(query).name);
+    if (!words.length) return [];
+    const prefix = words.join(' ');
+    return gazetteer.landmarks
+        .map(landmark => {
+            const names = [landmark.name].concat(landmark.aliases || []).map(name => landmarkWords(name).join(' '));
+            const haystack = landmarkWords(names.join(' ') + ' ' + (landmark.area || ''));
+            if (!words.every(word => haystack.some(candidate => candidate.startsWith(word)))) return null;
+            const score = names.some(name => name.startsWith(prefix)) ? 0 : 1;
+            return { landmark, score };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.score - b.score || a.landmark.name.localeCompare(b.landmark.name))
+        .slice(0, limit || 5)
+        .map(({ landmark }) => ({
+            label: landmark.area && !landmark.name.includes(landmark.area) ? `${landmark.name}, ${landmark.area}` : landmark.name,
+            name: landmark.name,
+            lat: landmark.lat,
+            lng: landmark.lng,
+            type: landmark.kind,
+            landmark
+        }));
+}
+
+// Town by name or alias, or null
+function findLocality(name) {
+    if (!gazetteer || !name) return null;
+    const wanted = name.trim().toLowerCase();
+    return gazetteer.localities.find(locality =>
+        locality.name.toLowerCase() === wanted || (locality.aliases || []).includes(wanted)
+    ) || null;
+}
+
+// A typed plus code as a place: { label, code, lat, lng, type }, or null.
+// Short codes are recovered near the named town, else near the first one
+// in the gazetteer (Kampala).
+function resolvePlusCode(text) {
+    const parsed = parsePlusCodeQuery(text);
+    if (!parsed) return null;
+    let code = parsed.code;
+    let reference = null;
+    if (isShortPlusCode(code)) {
+        reference = findLocality(parsed.locality) || (gazetteer && gazetteer.localities[0]);
+        if (!reference) return null;
+        code = recoverShortPlusCode(code, reference.lat, reference.lng);
+    }
+    const cell = decodePlusCode(code);
+    return {
+        label: reference ? t('landmarks.plusCodeNear', { code, place: reference.name }) : t('landmarks.plusCodeLabel', { code }),
+        code,
+        lat: cell.lat,
+        lng: cell.lng,
+        type: 'plus code'
+    };
+}
+
+// Suggestions for a landmark field: a plus code when one was typed,
+// otherwise matching landmarks
+async function searchLandmarksOrPlusCode(query) {
+    await loadLandmarks();
+    const place = resolvePlusCode(query);
+    return place ? [place] : searchLandmarks(query);
+}
+
+// Text for the landmark field once a suggestion is chosen, keeping how the
+// customer described the spot ("opposite" + "Shell Ntinda")
+function describeLandmarkChoice(typed, place) {
+    if (place.code) return place.code;
+    const { relation } = splitLandmarkRelation(typed);
+    return relation ? `${relation} ${place.name}` : place.name;
+}
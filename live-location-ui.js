@@ -0,0 +1,226 @@
+// Live location on the pages: rider mode on the directions page and the moving
+// rider marker with ETA on the tracking page. Transports and ETA maths live in
+// live-location.js; rider mode also texts recipients on arrival
+// (recipient-notifications.js).
+
+const REROUTE_MIN_INTERVAL_MS = 60000;
+
+let stopLiveTracking = null;
+let stopRiderSharing = null;
+
+// Tracking page map: order pins, the remaining route, the rider and their trail
+function createLiveTrackingView(elementId) {
+    const map = L.map(elementId, { zoomControl: true, scrollWheelZoom: false });
+    L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', {
+        attribution: '© OpenStreetMap contributors, © CartoDB',
+        maxZoom: 20
+    }).addTo(map);
+    const pins = L.layerGroup().addTo(map);
+    const routeLine = L.polyline([], { color: '#00d4ff', weight: 5, opacity: 0.7 }).addTo(map);
+    const trail = L.polyline([], { color: '#ffc107', weight: 3, opacity: 0.9 }).addTo(map);
+    let rider = null;
+    let fitted = false;
+
+    return {
+        map,
+        showOrder(order) {
+            pins.clearLayers();
+            routeLine.setLatLngs([]);
+            trail.setLatLngs([]);
+            if (rider) {
+                map.removeLayer(rider);
+                rider = null;
+            }
+            fitted = false;
+            const { pickup, dropoffs } = getOrderPoints(order);
+            const points = (pickup ? [pickup] : []).concat(dropoffs);
+            points.forEach((point, i) => {
+                L.circleMarker(point, {
+                    radius: 7,
+                    color: '#fff',
+                    weight: 2,
+                    fillColor: pickup && i === 0 ? '#007bff' : '#28a745',
+                    fillOpacity: 1
+                }).bindTooltip(pickup && i === 0 ? t('stops.pickup') : t('map.dropoff')).addTo(pins);
+            });
+            map.invalidateSize();
+            if (points.length) map.fitBounds(points, { padding: [30, 30], maxZoom: 15 });
+        },
+        showRoute(route) {
+            routeLine.setLatLngs(route.coordinates.map(([lng, lat]) => [lat, lng]));
+            routeLine.setStyle({ dashArray: route.estimate ? '6' : null });
+        },
+        addFix(fix) {
+            const point = [fix.lat, fix.lng];
+            trail.addLatLng(point);
+            if (!rider) {
+                rider = L.marker(point, {
+                    icon: L.divIcon({ className: 'live-rider-marker', html: '<i class="fas fa-motorcycle"></i>', iconSize: [34, 34], iconAnchor: [17, 17] }),
+                    zIndexOffset: 1000
+                }).bindTooltip(t('map.rider')).addTo(map);
+            } else {
+                rider.setLatLng(point);
+            }
+            // Bring the rider into view once; after that leave the map where the customer put it
+            if (!fitted) {
+                fitted = true;
+                map.fitBounds(L.featureGroup([pins, rider]).getBounds(), { padding: [30, 30], maxZoom: 16 });
+            }
+        }
+    };
+}
+
+function formatLiveEta(eta) {
+    const arrival = new Date(eta.arrival).toLocaleTimeString([LANGUAGE_LOCALES[getLanguage()], LANGUAGE_LOCALES[DEFAULT_LANGUAGE]], {
+        timeZone: 'Africa/Kampala',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    const km = eta.remainingKm.toFixed(1);
+    if (eta.minutes <= 1) return t('live.arrivingNow', { km });
+    return t('live.eta', { minutes: eta.minutes, time: arrival, km });
+}
+
+// Follow the rider for an order with its live `key`: move the marker on every
+// fix and keep the ETA current. The route is recalculated from the rider's
+// position on the first fix and whenever they leave it.
+function startLiveTracking(order, key, view, onEta) {
+    const vehicleType = (order.details && order.details.vehicleType) || 'motorcycle';
+    const remaining = getRemainingWaypoints(order);
+    let route = null;
+    let routing = false;
+    let lastRouted = 0;
+    let latestFix = null;
+
+    async function reroute(fix) {
+        routing = true;
+        lastRouted = Date.now();
+        try {
+            route = adjustRouteForVehicle(await calculateRouteWithProviders({ vehicleType, waypoints: [[fix.lat, fix.lng]].concat(remaining) }), vehicleType);
+            view.showRoute(route);
+        } catch (error) {
+            console.error('Could not route from the rider position:', error);
+        }
+        routing = false;
+        if (route) onEta(estimateLiveEta(route, latestFix, APP_CONFIG.liveLocation.offRouteM), latestFix);
+    }
+
+    const unsubscribe = currentLocationTransport().subscribe(order.requestId, key, fix => {
+        latestFix = fix;
+        view.addFix(fix);
+        if (!remaining.length) return;
+        const eta = route ? estimateLiveEta(route, fix, APP_CONFIG.liveLocation.offRouteM) : null;
+        if (eta) onEta(eta, fix);
+        if (!routing && (!route || (eta.offRoute && Date.now() - lastRouted >= REROUTE_MIN_INTERVAL_MS))) reroute(fix);
+    });
+    return unsubscribe;
+}
+
+// Tracking page: show the live map for orders that are on the way. `key` comes
+// from the tracking link; without it the map shows the order but not the rider.
+function showLiveTracking(order, key) {
+    const section = document.getElementById('liveTrackingSection');
+    if (!section) return;
+    if (stopLiveTracking) {
+        stopLiveTracking();
+        stopLiveTracking = null;
+    }
+    const { pickup, dropoffs } = getOrderPoints(order);
+    if (!LIVE_STATUSES.includes(order.status) || (!pickup && !dropoffs.length)) {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+    if (!section.view) section.view = createLiveTrackingView('trackingMap');
+    section.view.showOrder(order);
+
+    const etaText = document.getElementById('liveEta');
+    const updated = document.getElementById('liveUpdated');
+    updated.textContent = '';
+    if (!key) {
+        etaText.textContent = t('live.needsKey');
+        return;
+    }
+    etaText.textContent = t('live.waiting');
+    stopLiveTracking = startLiveTracking(order, key, section.view, function(eta, fix) {
+        etaText.textContent = formatLiveEta(eta);
+        updated.textContent = t('live.lastUpdate', { time: formatTrackingTime(fix.time) });
+    });
+}
+
+function showRiderSharingStatus(message, sharing) {
+    document.getElementById('shareLocationStatus').textContent = message;
+    const button = document.getElementById('shareLocationBtn');
+    button.classList.toggle('sharing', sharing);
+    button.innerHTML = sharing
+        ? '<i class="fas fa-stop-circle"></i> ' + t('live.stopSharing')
+        : '<i class="fas fa-satellite-dish"></i> ' + t('live.startSharing');
+}
+
+// Text the recipients whose drop-off the rider has reached. The order is
+// loaded again each time so a pin the recipient has just moved counts.
+async function notifyRiderArrivals(requestId, fix) {
+    try {
+        const order = (await currentDispatchBackend().listOrders()).find(o => o.requestId === requestId);
+        if (!order) return;
+        const stops = findArrivedStops(order, fix, APP_CONFIG.recipientNotices.arrivalRadiusM);
+        if (stops.length) await notifyRecipients(order, 'arrived', { stops });
+    } catch (error) {
+        console.error('Could not tell the recipient the rider has arrived:', error);
+    }
+}
+
+// Directions page, opened with ?id=VD-XXXXXX&key=...: the rider shares their position for that order
+(function initRiderMode() {
+    const panel = document.getElementById('riderSharePanel');
+    if (!panel) return;
+    const params = new URLSearchParams(window.location.search);
+    const requestId = normalizeRequestId(params.get('id'));
+    if (!requestId) return;
+    const key = params.get('key');
+
+    panel.style.display = 'block';
+    document.getElementById('riderShareRequestId').textContent = requestId;
+    if (!key) {
+        showRiderSharingStatus(t('live.riderLinkNoKey'), false);
+        document.getElementById('shareLocationBtn').disabled = true;
+        return;
+    }
+    showRiderSharingStatus(t('live.notSharing'), false);
+
+    document.getElementById('shareLocationBtn').addEventListener('click', function() {
+        if (stopRiderSharing) {
+            stopRiderSharing();
+            stopRiderSharing = null;
+            showRiderSharingStatus(t('live.sharingStopped'), false);
+            return;
+        }
+        if (!navigator.geolocation) {
+            showNotification(t('live.noGeolocation'));
+            return;
+        }
+        showRiderSharingStatus(t('live.finding'), true);
+        stopRiderSharing = startLocationSharing(requestId, key, {
+            onSent(fix) {
+                showRiderSharingStatus(t('live.sharing', { time: formatTrackingTime(fix.time), accuracy: fix.accuracy }), true);
+                notifyRiderArrivals(requestId, fix);
+            },
+            onError(error) {
+                console.error('Location sharing error:', error);
+                if (error.code === 1) { // PERMISSION_DENIED
+                    stopRiderSharing();
+                    stopRiderSharing = null;
+                    showRiderSharingStatus(t('live.permissionDenied'), false);
+                } else {
+                    showRiderSharingStatus(t('live.unavailable'), true);
+                }
+            }
+        });
+    });
+
+    // Release the GPS watch when the rider leaves the page
+    window.addEventListener('pagehide', function() {
+        if (stopRiderSharing) stopRiderSharing();
+    });
+})();
@@ -0,0 +1,288 @@
+// Live rider location: the rider's phone publishes GPS fixes and the tracking
+// page subscribes to them. No DOM dependencies.
+//
+// A fix is { lat, lng, accuracy, heading, speed, time } (time as an ISO string).
+// A transport is { name, publish(requestId, key, fix), subscribe(requestId, key, onFix) -> unsubscribe }.
+// `key` is the order's liveKey from the rider and tracking links (tracking.js):
+// fixes only travel between a rider and customers holding the same key.
+// Subscribers first receive the fixes already recorded for the order (oldest
+// first), then each new one as it arrives. A fix is passed on once: a trail
+// sent again, e.g. after a reconnect, skips the fixes already seen.
+// Uses haversineKm() from route-optimizer.js and getOrderPoints() from dispatch.js.
+
+const LIVE_TRAIL_KEY = 'vdeliver.liveTrails';
+const LIVE_TRAIL_LIMIT = 200; // fixes kept per order
+const LIVE_STATUSES = ['rider_assigned', 'picked_up', 'in_transit'];
+
+function fixFromPosition(position) {
+    const c = position.coords;
+    return {
+        lat: c.latitude,
+        lng: c.longitude,
+        accuracy: Math.round(c.accuracy),
+        heading: c.heading,
+        speed: c.speed,
+        time: new Date(position.timestamp || Date.now()).toISOString()
+    };
+}
+
+// Throttle for outgoing fixes; `rules` are minIntervalMs, minDistanceM and maxIntervalMs
+function shouldSendFix(lastSent, fix, rules) {
+    if (!lastSent) return true;
+    const elapsed = Date.parse(fix.time) - Date.parse(lastSent.time);
+    if (elapsed < rules.minIntervalMs) return false;
+    if (elapsed >= rules.maxIntervalMs) return true;
+    return haversineKm([lastSent.lat, lastSent.lng], [fix.lat, fix.lng]) * 1000 >= rules.minDistanceM;
+}
+
+// Trails and listeners are kept per order and key, so a wrong key only ever
+// sees an empty trail of its own
+function liveChannel(requestId, key) {
+    return requestId + '/' + key;
+}
+
+// Wrap onFix so it only sees fixes newer than the last one it was given
+function newFixesOnly(onFix) {
+    let lastTime = -Infinity;
+    return fix => {
+        const time = Date.parse(fix.time);
+        if (!(time > lastTime)) return;
+        lastTime = time;
+        onFix(fix);
+    };
+}
+
+function readLiveTrails() {
+    try {
+        return JSON.parse(localStorage.getItem(LIVE_TRAIL_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read rider trails', error);
+        return {};
+    }
+}
+
+function appendLiveTrail(channel, fix) {
+    const trails = readLiveTrails();
+    const trail = (trails[channel] || []).concat(fix).slice(-LIVE_TRAIL_LIMIT);
+    trails[channel] = trail;
+    try {
+        localStorage.setItem(LIVE_TRAIL_KEY, JSON.stringify(trails));
+    } catch (error) {
+        console.warn('Could not save rider trail', error);
+    }
+    return trail;
+}
+
+// Stand-in for the location server: fixes go through localStorage and a
+// BroadcastChannel, so a rider tab and a tracking tab in the same browser
+// (or a test) can exercise the whole flow without a backend.
+function createLocalLocationTransport() {
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('vdeliver-live-location') : null;
+    const listeners = [];
+
+    function deliver(name, fix) {
+        listeners.filter(l => l.channel === name).forEach(l => l.onFix(fix));
+    }
+    if (channel) channel.onmessage = event => deliver(event.data.channel, event.data.fix);
+
+    return {
+        name: 'local',
+        async publish(requestId, key, fix) {
+            const name = liveChannel(requestId, key);
+            appendLiveTrail(name, fix);
+            if (channel) channel.postMessage({ channel: name, fix });
+            deliver(name, fix);
+        },
+        subscribe(requestId, key, onFix) {
+            const listener = { channel: liveChannel(requestId, key), onFix: newFixesOnly(onFix) };
+            (readLiveTrails()[listener.channel] || []).forEach(listener.onFix);
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+    };
+}
+
+// Location relay over a WebSocket. Messages are JSON:
+//   rider -> server:  { type: 'location', requestId, key, fix }
+//   client -> server: { type: 'subscribe', requestId, key } / { type: 'unsubscribe', requestId, key }
+//   server -> client: { type: 'trail', requestId, key, fixes } once after subscribing,
+//                     then { type: 'location', requestId, key, fix } per fix
+// The server refuses messages without the order's key. The socket reconnects
+// after a drop and subscribes again; the trail that comes back is filtered
+// down to the fixes each listener hasn't had.
+function createWebSocketLocationTransport(options) {
+    const reconnectMs = options.reconnectMs || 3000;
+    const listeners = [];
+    const outbox = [];
+    let socket = null;
+
+    function send(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        } else {
+            outbox.push(message);
+            connect();
+        }
+    }
+
+    function connect() {
+        if (socket && socket.readyState <= WebSocket.OPEN) return;
+        socket = new WebSocket(options.url);
+        socket.onopen = () => {
+            new Set(listeners.map(l => l.channel)).forEach(name => {
+                const { requestId, key } = listeners.find(l => l.channel === name);
+                socket.send(JSON.stringify({ type: 'subscribe', requestId, key }));
+            });
+            outbox.splice(0).filter(m => m.type === 'location').forEach(m => socket.send(JSON.stringify(m)));
+        };
+        socket.onmessage = event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed location message', error);
+                return;
+            }
+            const fixes = message.type === 'trail' ? message.fixes : message.type === 'location' ? [message.fix] : [];
+            const name = liveChannel(message.requestId, message.key);
+            listeners.filter(l => l.channel === name).forEach(l => fixes.forEach(l.onFix));
+        };
+        socket.onclose = () => {
+            if (listeners.length || outbox.length) setTimeout(connect, reconnectMs);
+        };
+        socket.onerror = error => console.warn('Location socket error', error);
+    }
+
+    return {
+        name: 'websocket',
+        async publish(requestId, key, fix) {
+            send({ type: 'location', requestId, key, fix });
+        },
+        subscribe(requestId, key, onFix) {
+            const listener = { requestId, key, channel: liveChannel(requestId, key), onFix: newFixesOnly(onFix) };
+            listeners.push(listener);
+            send({ type: 'subscribe', requestId, key });
+            return () => {
+                // Already unsubscribed: nothing to remove or tell the server
+                const index = listeners.indexOf(listener);
+                if (index === -1) return;
+                listeners.splice(index, 1);
+                if (!listeners.some(l => l.channel === listener.channel)) send({ type: 'unsubscribe', requestId, key });
+            };
+        }
+    };
+}
+
+function getLocationTransport(config) {
+    if (config.transport === 'websocket' && config.websocket.url) {
+        return createWebSocketLocationTransport(config.websocket);
+    }
+    return createLocalLocationTransport();
+}
+
+let locationTransport = null;
+
+// Override the transport, e.g. setLocationTransport(createLocalLocationTransport()) in tests
+function setLocationTransport(transport) {
+    locationTransport = transport;
+}
+
+function currentLocationTransport() {
+    if (!locationTransport) locationTransport = getLocationTransport(APP_CONFIG.liveLocation);
+    return locationTransport;
+}
+
+// Rider mode: watch the phone's position and publish throttled fixes for the
+// order's `key`. Returns a function that stops sharing.
+function startLocationSharing(requestId, key, callbacks) {
+    const rules = APP_CONFIG.liveLocation;
+    let lastSent = null;
+    let latest = null;
+
+    function send(fix) {
+        lastSent = fix;
+        currentLocationTransport().publish(requestId, key, fix)
+            .then(() => callbacks.onSent && callbacks.onSent(fix))
+            .catch(error => callbacks.onError && callbacks.onError(error));
+    }
+
+    const watchId = navigator.geolocation.watchPosition(position => {
+        latest = fixFromPosition(position);
+        if (shouldSendFix(lastSent, latest, rules)) send(latest);
+    }, error => {
+        if (callbacks.onError) callbacks.onError(error);
+    }, { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 });
+
+    // A parked rider produces no new positions; repeat the last one so the
+    // customer can see the rider is still online
+    const heartbeat = setInterval(() => {
+        if (latest && Date.now() - Date.parse(lastSent.time) >= rules.maxIntervalMs) {
+            send(Object.assign({}, latest, { time: new Date().toISOString() }));
+        }
+    }, rules.maxIntervalMs);
+
+    return function stop() {
+        navigator.geolocation.clearWatch(watchId);
+        clearInterval(heartbeat);
+    };
+}
+
+// Where the rider still has to go: the pickup until it is collected, then the drop-offs
+function getRemainingWaypoints(order) {
+    const { pickup, dropoffs } = getOrderPoints(order);
+    const collected = order.status === 'picked_up' || order.status === 'in_transit';
+    return (collected || !pickup ? [] : [pickup]).concat(dropoffs);
+}
+
+// Closest point of a route line ([[lng, lat], ...]) to `point` ([lat, lng]).
+// Returns { segment, fraction, distanceM }: the point lies `fraction` of the way
+// along the segment that starts at coordinates[segment].
+function nearestPointOnRoute(point, coordinates) {
+    const cosLat = Math.cos(point[0] * Math.PI / 180);
+    let best = { segment: 0, fraction: 0, distanceM: Infinity };
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        // Flat projection is accurate enough over one road segment
+        const [ax, ay] = [coordinates[i][0] * cosLat, coordinates[i][1]];
+        const [bx, by] = [coordinates[i + 1][0] * cosLat, coordinates[i + 1][1]];
+        const [px, py] = [point[1] * cosLat, point[0]];
+        const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2;
+        const fraction = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / lengthSq)) : 0;
+        const onRoute = [ay + fraction * (by - ay), (ax + fraction * (bx - ax)) / cosLat];
+        const distanceM = haversineKm(point, onRoute) * 1000;
+        if (distanceM < best.distanceM) best = { segment: i, fraction, distanceM };
+    }
+    return best;
+}
+
+// Length of the route line left after `nearest` (from nearestPointOnRoute)
+function remainingRouteKm(coordinates, nearest) {
+    const toLatLng = ([lng, lat]) => [lat, lng];
+    let km = 0;
+    for (let i = nearest.segment; i < coordinates.length - 1; i++) {
+        const segmentKm = haversineKm(toLatLng(coordinates[i]), toLatLng(coordinates[i + 1]));
+        km += i === nearest.segment ? segmentKm * (1 - nearest.fraction) : segmentKm;
+    }
+    return km;
+}
+
+// ETA from the rider's position along the remaining route, at the route's own pace.
+// `route` is a routing result that starts at (or near) the rider. Returns
+// { remainingKm, minutes, arrival, offRoute } — offRoute means the rider has left
+// the line by more than offRouteM and the route should be recalculated.
+function estimateLiveEta(route, fix, offRouteM) {
+    const point = [fix.lat, fix.lng];
+    const totalKm = route.legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+    const totalMin = route.legs.reduce((sum, leg) => sum + leg.durationMin, 0);
+    const nearest = nearestPointOnRoute(point, route.coordinates);
+    const remainingKm = remainingRouteKm(route.coordinates, nearest);
+    const minutes = totalKm > 0 ? Math.ceil(remainingKm / totalKm * totalMin) : 0;
+    return {
+        remainingKm,
+        minutes,
+        arrival: new Date(Date.parse(fix.time) + minutes * 60000).toISOString(),
+        offRoute: nearest.distanceM > offRouteM
+    };
+}
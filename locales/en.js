@@ -0,0 +1,654 @@
+// English messages; the fallback for keys missing from the other catalogues
+import { registerMessages } from '../i18n.js';
+
+registerMessages('en', {
+    'page.title': 'VDELIVER | Premium Package Delivery (Uganda-only)',
+    'language.label': 'Language',
+
+    // Navigation and footer
+    'nav.home': 'Home',
+    'nav.request': 'Request Delivery',
+    'nav.track': 'Track Order',
+    'nav.contact': 'Contact',
+    'nav.account': 'My Account',
+    'footer.tagline': 'Fast, reliable deliveries across Uganda.',
+
+    // Booking form
+    'form.title': 'Package Delivery Request',
+    'form.subtitle': 'Precision delivery within Uganda only',
+    'outbox.title': 'Requests waiting to send',
+    'outbox.pendingTitle': 'Request saved — sending…',
+    'outbox.pendingText': 'Your request is stored on this device and will be sent automatically, even if you go offline. Keep this page or the app open until it shows as sent.',
+    'outbox.sentTitle': 'Request received',
+    'outbox.sentText': 'Thanks — your delivery request was received. A dispatcher will contact you shortly.',
+    'outbox.failedTitle': 'Request not sent',
+    'outbox.failedText': 'We could not reach our servers after several attempts. Retry now, or send the request via WhatsApp instead.',
+    'outbox.pending': 'Pending',
+    'outbox.sent': 'Sent',
+    'outbox.failed': 'Failed',
+    'outbox.waitingForConnection': '{status} — waiting for a connection',
+    'outbox.retrying': '{status} — retrying (attempt {attempt})',
+    'outbox.retry': 'Retry',
+    'repeat.lastOrder': 'Last order:',
+    'repeat.button': 'Repeat last order',
+    'section.sender': 'Sender Information',
+    'section.location': 'Location Details',
+    'section.pickup': 'Pickup Location',
+    'section.delivery': 'Delivery Location',
+    'section.route': 'Route Information',
+    'section.pickupTime': 'Pickup Time',
+    'section.specs': 'Delivery Specifications',
+    'section.payment': 'Payment',
+    'field.fullName': 'Full Name *',
+    'field.phone': 'Phone Number * (Uganda format)',
+    'field.email': 'Email Address *',
+    'field.address': 'Address *',
+    'field.landmark': 'Landmark *',
+    'field.recipientName': 'Recipient Name *',
+    'field.recipientPhone': 'Recipient Phone * (Uganda format)',
+    'field.deliveryAddress': 'Delivery Address *',
+    'field.pickupDate': 'Pickup Date *',
+    'field.pickupWindow': 'Pickup Window *',
+    'field.repeat': 'Repeat',
+    'field.repeatUntil': 'Repeat Until *',
+    'field.vehicle': 'Transport Mode *',
+    'field.weight': 'Total Weight (kg) *',
+    'field.size': 'Size *',
+    'field.dimensions': 'Dimensions (cm, optional)',
+    'field.quantity': 'Number of Items',
+    'field.declaredValue': 'Declared Value (UGX)',
+    'field.packageDetails': 'Package Details *',
+    'field.instructions': 'Special Instructions',
+    'field.paymentMethod': 'Payment Method *',
+    'field.mobileMoney': 'Mobile Money Number *',
+    'field.codEnabled': 'Rider collects cash on delivery for me',
+    'field.codAmount': 'Amount to Collect (UGX) *',
+    'field.codPayout': 'Send Collected Cash To (mobile money) *',
+    'field.emergency': 'Emergency Contact',
+    'field.callRecipient': 'Call recipient on arrival',
+    'field.recipientNotify': 'Text the recipient',
+    'field.notifySms': 'By SMS',
+    'field.notifyWhatsapp': 'By WhatsApp',
+    'field.notifyNone': 'Don\'t text them',
+    'field.recipientNotifyHint': 'When booked, when the rider is on the way and on arrival, with a link to confirm the pin or choose another time',
+    'field.terms': 'I agree to the terms of service and privacy policy *',
+    'placeholder.pickupAddress': 'Enter pickup address',
+    'placeholder.deliveryAddress': 'Enter delivery address',
+    'placeholder.landmark': 'Landmark or plus code, e.g. opposite Shell Ntinda',
+    'placeholder.weight': 'e.g. 2.5',
+    'placeholder.optional': 'Optional',
+    'placeholder.packageDetails': 'Describe package contents, dimensions, and special handling requirements',
+    'placeholder.instructions': 'Delivery timing preferences, access codes, or special handling notes',
+    'placeholder.mapSearch': 'Search places in Uganda...',
+    'placeholder.clickMap': 'Click on map',
+    'placeholder.addressAppears': 'Address will appear here',
+    'option.selectVehicle': 'Select transport mode',
+    'option.selectSize': 'Select package size',
+    'option.noRepeat': 'Does not repeat',
+    'option.daily': 'Daily',
+    'option.weekly': 'Weekly on chosen days',
+    'schedule.asap': 'As soon as possible',
+    'schedule.today': 'Later today',
+    'schedule.date': 'Another day',
+    'schedule.scheduled': 'Scheduled',
+    'schedule.window': '{mode}: {date}, {start}–{end} (Kampala time)',
+    'schedule.oneOff': 'One-off',
+    'schedule.daily': 'Daily',
+    'schedule.weeklyOn': 'Weekly on {days}',
+    'schedule.repeatUntil': '{days} until {date} ({count} pickups)',
+    'schedule.closedNow': 'We are closed right now (today {open}–{close}). Please schedule the pickup for a later time',
+    'schedule.chooseDateTime': 'Please choose a pickup date and time',
+    'schedule.datePast': 'The pickup date is in the past',
+    'schedule.tooFarAhead': 'Pickups can be booked at most {days} days ahead',
+    'schedule.outsideHours': 'Pickups on {day} must fit between {open} and {close}',
+    'schedule.slotGone': 'That pickup slot is no longer available. Please choose a later time',
+    'schedule.chooseWeekday': 'Choose at least one weekday for the weekly pickup',
+    'schedule.chooseEndDate': 'Please choose an end date for the recurring pickup',
+    'schedule.endBeforeStart': 'The end date must be after the first pickup',
+    'schedule.tooLong': 'Recurring pickups can run for at most {days} days',
+    'schedule.noRepeats': 'No repeat pickups fall inside operating hours before the end date',
+    'schedule.noSlots': 'No slots left on this day',
+    'schedule.chooseDateFirst': 'Choose a date first',
+    'schedule.asapSummary': 'A rider will be dispatched as soon as your request is confirmed.',
+    'schedule.operatingHours': 'Operating hours (Kampala time): {hours}',
+    'weekday.Mon': 'Mon',
+    'weekday.Tue': 'Tue',
+    'weekday.Wed': 'Wed',
+    'weekday.Thu': 'Thu',
+    'weekday.Fri': 'Fri',
+    'weekday.Sat': 'Sat',
+    'weekday.Sun': 'Sun',
+    'flag.fragile': 'Fragile',
+    'flag.perishable': 'Perishable',
+    'flag.documents': 'Documents',
+    'payer.sender': 'Sender pays',
+    'payer.recipient': 'Recipient pays',
+    'size.small': 'Small',
+    'size.medium': 'Medium',
+    'size.large': 'Large',
+    'size.bulky': 'Bulky',
+    'size.smallHint': 'fits in a backpack',
+    'size.mediumHint': 'fits in a rider\'s carrier box',
+    'size.largeHint': 'needs a car boot',
+    'size.bulkyHint': 'fills the back seat',
+    'paymentMethod.cash': 'Cash',
+    'paymentMethod.mtn_momo': 'MTN MoMo',
+    'paymentMethod.airtel_money': 'Airtel Money',
+    'vehicle.bicycle': 'Bicycle',
+    'vehicle.motorcycle': 'Motorcycle',
+    'vehicle.tuk_tuk': 'Tuk-tuk',
+    'vehicle.car': 'Car',
+    'vehicle.van': 'Van / pickup truck',
+    'vehicle.tooFar': '{vehicle}: {distance} km is too far (at most {max} km)',
+    'vehicleHint.bicycle': 'Small parcels nearby',
+    'vehicleHint.motorcycle': 'Rapid delivery',
+    'vehicleHint.tuk_tuk': 'Bigger loads around town',
+    'vehicleHint.car': 'Secure transport',
+    'vehicleHint.van': 'Furniture and bulk goods',
+    'button.selectFromMap': 'Select from Map',
+    'button.useMyLocation': 'Use My Location',
+    'button.locating': 'Locating...',
+    'button.savePlace': 'Save place',
+    'button.removePlace': 'Remove selected place',
+    'button.addStop': 'Add Another Stop',
+    'button.copyBookingLink': 'Copy booking link',
+    'button.calculateRoute': 'Calculate Route',
+    'button.clearRoute': 'Clear Route',
+    'button.riderView': 'Rider View / Print',
+    'button.submit': 'Submit Delivery Request',
+    'button.sending': 'Sending...',
+    'button.track': 'Track Request',
+    'button.whatsapp': 'Send via WhatsApp',
+    'button.newRequest': 'Create New Request',
+    'button.search': 'Search',
+    'button.resetKampala': 'Reset to Kampala',
+    'button.selectLocation': 'Select This Location',
+    'button.cancel': 'Cancel',
+    'button.close': 'Close',
+    'button.pinCentre': 'Pin the map centre',
+    'bookingLink.intro': 'Shops: share a link that opens this form with your location and package already filled in.',
+    'bookingLink.label': 'Booking link',
+    'bookingLink.pickupRefused': 'Booking link pickup location: {reason}',
+    'bookingLink.deliveryRefused': 'Booking link delivery location: {reason}',
+    'bookingLink.ignored': 'Some booking link details could not be used: {fields}',
+    'route.distance': 'Distance',
+    'route.duration': 'Duration',
+    'route.cost': 'Est. Cost (UGX)',
+    'route.directions': 'Turn-by-turn directions',
+    'route.estimateNote': '{provider} — routing services unavailable, distance and time are approximate',
+    'route.by': 'Route by {provider}',
+    'price.base': 'Base fee',
+    'price.distance': 'Distance ({km} km)',
+    'price.stops': 'Extra stops ({count} x {fee})',
+    'price.weight': 'Weight surcharge ({extra} kg over {included} kg)',
+    'price.size': 'Size surcharge ({size})',
+    'price.zone': '{zone} zone (x{multiplier})',
+    'price.night': 'Night surcharge',
+    'price.weekend': 'Weekend surcharge',
+    'price.minimum': 'Minimum fare top-up',
+    'price.rounding': 'Rounding',
+    'price.total': 'Total',
+    'zone.central': 'Central Kampala',
+    'zone.greater-kampala': 'Greater Kampala',
+    'zone.upcountry': 'Upcountry',
+    'stops.title': 'Stop {number}',
+    'stops.remove': 'Remove',
+    'stops.pickup': 'Pickup',
+    'stops.delivery': 'Delivery',
+    'stops.legStop': 'Stop {number} ({name})',
+    'stops.recipient': 'recipient',
+    'stops.visitingOrder': 'Suggested visiting order',
+    'maneuver.depart': 'Head out',
+    'maneuver.straight': 'Continue straight',
+    'maneuver.left': 'Turn left',
+    'maneuver.right': 'Turn right',
+    'maneuver.slight-left': 'Bear left',
+    'maneuver.slight-right': 'Bear right',
+    'maneuver.sharp-left': 'Turn sharp left',
+    'maneuver.sharp-right': 'Turn sharp right',
+    'maneuver.keep-left': 'Keep left',
+    'maneuver.keep-right': 'Keep right',
+    'maneuver.roundabout': 'Take the roundabout',
+    'maneuver.uturn': 'Make a U-turn',
+    'maneuver.via': 'Arrive at the stop',
+    'maneuver.arrive': 'Arrive at your destination',
+    'maneuver.on': '{action} on {street}',
+    'maneuver.onto': '{action} onto {street}',
+    'maneuver.headToDelivery': 'Head to the delivery point',
+    'maneuver.headToStop': 'Head to stop {number}',
+    'comparison.title': 'Compare vehicles',
+    'comparison.recommended': 'Recommended',
+    'comparison.eta': 'ETA',
+    'comparison.minutes': '{minutes} min',
+    'comparison.capacity': 'Carries',
+    'comparison.capacityValue': 'up to {weight} kg, {size}',
+    'comparison.choose': 'Choose',
+    'comparison.chosen': 'Chosen',
+    'comparison.noneFits': 'None of our vehicles can take this package on this trip. Please contact us for a custom quote.',
+    'success.requestId': 'Your request ID:',
+    'success.download': 'Download this order:',
+    'success.noticeSandbox': 'Sandbox — text to {phone}: "{text}"',
+    'success.noticeSent': 'We texted the recipient ({phone}) a link to confirm the drop-off.',
+    'success.noticeFailed': 'Could not text the recipient ({phone}). The dispatcher will call them.',
+
+    // Map picker
+    'mapPicker.title': 'Select Location - VDELIVER',
+    'mapPicker.pickupTitle': 'Select Pickup Location - VDELIVER',
+    'mapPicker.deliveryTitle': 'Select Delivery Location - VDELIVER',
+    'mapPicker.loading': 'Loading map...',
+    'mapPicker.howTo': 'How to select a location:',
+    'mapPicker.steps': '1. Search for a place or click directly on the map\n2. Use "My Location" to find your current position\n3. Review the coordinates and address\n4. Click "Select This Location" to confirm',
+    'mapPicker.pickupHeading': 'Select Pickup Location:',
+    'mapPicker.pickupSteps': '1. Search for your pickup location or click on the map\n2. Use "My Location" to find your current position\n3. Review the coordinates and address\n4. Click "Select This Location" to confirm pickup point',
+    'mapPicker.deliveryHeading': 'Select Delivery Location:',
+    'mapPicker.deliverySteps': '1. Search for the delivery location or click on the map\n2. Use "My Location" to find recipient\'s position\n3. Review the coordinates and address\n4. Click "Select This Location" to confirm delivery point',
+    'mapPicker.selected': 'Selected Location',
+    'mapPicker.latitude': 'Latitude:',
+    'mapPicker.longitude': 'Longitude:',
+    'mapPicker.address': 'Address:',
+    'mapPicker.mapLabel': 'Map. The arrow keys pan it, plus and minus zoom.',
+    'mapPicker.keyboardHint': 'Keyboard: pan the map with the arrow keys and choose "Pin the map centre", or Tab to the pin and move it with the arrow keys. Escape closes the map.',
+    'mapPicker.pickupPin': 'Pickup pin. Use the arrow keys to move it; hold Shift to move it further.',
+    'mapPicker.deliveryPin': 'Drop-off pin. Use the arrow keys to move it; hold Shift to move it further.',
+    'mapPicker.pinAt': 'Pin at {address} ({lat}, {lng})',
+    'mapPicker.addressNotFound': 'Address not found',
+    'mapPicker.addressError': 'Error retrieving address',
+
+    // Notifications and validation
+    'notify.notFound': 'Location not found. Please try a different search term.',
+    'notify.searchFailed': 'Search failed. Please try again.',
+    'notify.noGeolocation': 'Geolocation is not supported by your browser',
+    'notify.currentLocation': 'Your current location: {reason}',
+    'notify.locationFound': 'Location found',
+    'notify.locationError': 'Unable to get your current location.',
+    'notify.allowLocation': 'Please allow location access in your browser settings.',
+    'notify.positionUnavailable': 'Location information is unavailable.',
+    'notify.locationTimeout': 'Location request timed out.',
+    'notify.unknownError': 'An unknown error occurred.',
+    'notify.selectOnMap': 'Please select a location first by clicking on the map.',
+    'notify.pickupFromMap': 'Pickup location set from map',
+    'notify.stopFromMap': 'Stop location set from map',
+    'notify.deliveryFromMap': 'Delivery location set from map',
+    'notify.pickupFromDevice': 'Pickup location set from your location',
+    'notify.deliveryFromDevice': 'Delivery location set from your location',
+    'notify.setBothLocations': 'Please set both pickup and delivery locations first.',
+    'notify.selectStop': 'Please select a map location for stop {number}',
+    'notify.routeFailed': 'Could not calculate the route. Please try again.',
+    'notify.routeEstimated': 'Estimated route shown (routing services unavailable)',
+    'notify.routeCalculated': 'Route calculated successfully',
+    'notify.routeCleared': 'Route cleared',
+    'notify.linkCopied': 'Link copied to clipboard!',
+    'notify.storageFull': 'This browser\'s storage is full, so the order can\'t be tracked from here. It has still been sent.',
+    'notify.trackingNotSaved': 'Could not save the order for tracking in this browser. It has still been sent.',
+    'notify.requiredFields': 'Please complete all required fields including landmarks',
+    'notify.senderPhone': 'Sender phone must be a valid Ugandan number (e.g. +2567...)',
+    'notify.senderEmail': 'Sender email must be a valid address (e.g. name@example.com)',
+    'notify.recipientPhone': 'Recipient phone must be a valid Ugandan number (e.g. +2567...)',
+    'notify.acceptTerms': 'Please agree to the terms of service and privacy policy',
+    'notify.serviceAreasFailed': 'Could not load our service areas. Please reload the page.',
+    'notify.markerMovedBack': '{reason} Moving the marker back.',
+    'notify.rebooked': 'Order {id} restored — check the details and pickup time before submitting',
+    'notify.rebookNotFound': 'Order {id} is not in your order history',
+    'notify.orderRestored': 'Previous order restored — check the details and pickup time before submitting',
+    'validation.stopIncomplete': 'Stop {number}: please complete recipient, address and landmark',
+    'validation.stopPhone': 'Stop {number}: recipient phone must be a valid Ugandan number (e.g. +2567...)',
+    'validation.stopLocation': 'Stop {number}: please select the location on the map',
+    'validation.packageWeight': 'Please enter the package weight',
+    'validation.packageSize': 'Please choose a package size',
+    'validation.declaredValue': 'The declared value can\'t be negative',
+    'validation.paymentMethod': 'Please choose a payment method',
+    'validation.mobileMoneyPhone': 'Mobile money number must be a valid Ugandan number (e.g. +2567...)',
+    'validation.wrongNetwork': '{phone} is not an {method} number',
+    'validation.calculateFirst': 'Please calculate the route first so we know how much to charge',
+    'validation.codAmount': 'Enter the cash-on-delivery amount the rider should collect',
+    'validation.codMinimum': 'Cash on delivery starts at {amount}',
+    'validation.codLimit': 'Cash on delivery is limited to {amount} per order',
+    'validation.codPayoutPhone': 'Payout number for the collected cash must be a valid Ugandan number (e.g. +2567...)',
+    'package.tooHeavy': '{weight} kg is too heavy for a {vehicle} (max {max} kg)',
+    'package.nearLimit': '{weight} kg is close to the {vehicle} limit of {max} kg',
+    'package.tooBig': 'The package is larger than our biggest size class. Please contact us for a custom quote',
+    'package.doesNotFit': '{size} packages don\'t fit on a {vehicle}',
+    'package.fragileOpen': 'Fragile items ride in a padded box on a {vehicle}; choose a car or van for glass or large electronics',
+    'package.perishableOpen': 'Large perishable loads keep better in a car or van',
+    'package.highValue': 'Items worth over {amount} are confirmed by phone before pickup',
+    'package.suggestVehicle': 'A {vehicle} can carry this package.',
+    'package.sizeOption': '{size} — {hint} (up to {dimensions} cm)',
+    'serviceArea.loading': 'Still loading our service areas — please try again in a moment.',
+    'serviceArea.outside': 'We don\'t cover this area yet. We currently deliver in {areas}.',
+    'serviceArea.closed': 'We don\'t cover {area} yet: {reason}.',
+    'serviceArea.notAvailable': 'deliveries are not available here',
+    'serviceArea.onlyBy': 'in {area} we only deliver by {vehicles}',
+    'serviceArea.orList': '{items} or {last}',
+    'addressBook.choose': 'Choose a saved place…',
+    'addressBook.empty': 'No saved places yet',
+    'addressBook.setFirst': 'Set the address and map location before saving this place',
+    'addressBook.namePrompt': 'Name this place (e.g. "Shop – Kikuubo")',
+    'addressBook.pickupSet': 'Pickup set to "{place}"',
+    'addressBook.deliverySet': 'Delivery set to "{place}"',
+    'addressBook.confirmRemove': 'Remove "{place}" from your address book?',
+    'addressBook.saved': 'Saved "{place}" to your address book',
+    'payment.recipientApproves': 'The recipient approves an {method} prompt on {phone} when the rider arrives.',
+    'payment.theirPhone': 'their phone',
+    'payment.recipientCash': 'The recipient pays the rider in cash on delivery.',
+    'payment.senderApproves': 'After you submit, approve the {method} prompt on {phone} to pay the delivery fee.',
+    'payment.yourPhone': 'your phone',
+    'payment.senderCash': 'Pay the rider in cash at pickup.',
+    'payment.requesting': 'Requesting {amount} via {method}…',
+    'payment.startFailed': 'Could not start the payment. Retry, or pay the rider in cash.',
+    'payment.dueFromRecipient': 'Delivery fee due from the recipient on delivery ({method})',
+    'payment.dueAtPickup': 'Delivery fee due in cash at pickup',
+    'geocoding.noMatches': 'No matching places in Uganda',
+    'geocoding.areaUnavailable': 'Not available: {area}',
+    'geocoding.outsideAreas': 'Outside our service areas',
+    'geocoding.pickupSet': 'Pickup location set',
+    'geocoding.deliverySet': 'Delivery location set',
+    'geocoding.pressEnter': 'Press Enter to search',
+    'geocoding.limited': 'Address search only knows a few Kampala places right now. Pick the location on the map instead.',
+    'landmarks.noMatches': 'No landmark found. Try a stage, mall or market, or a plus code like 8JHC+2V',
+    'landmarks.plusCode': 'Plus code',
+    'landmarks.viewOnMap': 'View on map',
+    'landmarks.pickupPinSet': 'Pickup pin set at {place}',
+    'landmarks.deliveryPinSet': 'Delivery pin set at {place}',
+    'landmarks.plusCodeLabel': 'Plus code {code}',
+    'landmarks.plusCodeNear': 'Plus code {code} (near {place})',
+
+    // WhatsApp message
+    'wa.title': 'DELIVERY REQUEST',
+    'wa.requestId': 'Request ID',
+    'wa.sender': 'Sender',
+    'wa.name': 'Name',
+    'wa.phone': 'Phone',
+    'wa.email': 'Email',
+    'wa.pickup': 'Pickup',
+    'wa.address': 'Address',
+    'wa.landmark': 'Landmark',
+    'wa.coordinates': 'Coordinates',
+    'wa.plusCode': 'Plus code',
+    'wa.notSet': 'Not set',
+    'wa.recipient': 'Recipient',
+    'wa.delivery': 'Delivery',
+    'wa.pickupTime': 'Pickup Time',
+    'wa.repeat': 'Repeat',
+    'wa.allStops': 'All stops (visiting order)',
+    'wa.stop': 'Stop {number}',
+    'wa.formStop': 'form stop {number}',
+    'wa.legs': 'Legs',
+    'wa.details': 'Details',
+    'wa.vehicle': 'Vehicle',
+    'wa.package': 'Package',
+    'wa.weight': 'Weight',
+    'wa.size': 'Size',
+    'wa.quantity': 'Quantity',
+    'wa.handling': 'Handling',
+    'wa.standard': 'Standard',
+    'wa.declaredValue': 'Declared value',
+    'wa.notDeclared': 'Not declared',
+    'wa.notProvided': 'Not provided',
+    'wa.instructions': 'Instructions',
+    'wa.emergency': 'Emergency contact',
+    'wa.callRecipient': 'Call recipient',
+    'wa.yes': 'Yes',
+    'wa.no': 'No',
+    'wa.route': 'Route',
+    'wa.distance': 'Distance',
+    'wa.duration': 'Duration',
+    'wa.source': 'Source',
+    'wa.cost': 'Est. cost',
+    'wa.directions': 'Directions',
+    'wa.costBreakdown': 'Cost breakdown',
+    'wa.notCalculated': 'Not calculated',
+    'wa.payment': 'Payment',
+    'wa.notSpecified': 'Not specified',
+    'wa.cashOnDelivery': 'Cash on delivery',
+    'wa.codNone': 'None',
+    'wa.codCollect': 'Collect {amount} from the recipient; pay out to {phone}',
+    'wa.time': 'Request time',
+    'wa.sentVia': 'Sent via {app}',
+
+    // Account page
+    'account.pageTitle': 'My Account | VDELIVER',
+    'account.title': 'My Account',
+    'account.subtitle': 'Sign in with your phone number to keep your details and order history',
+    'account.signInTitle': 'Sign in',
+    'account.phone': 'Phone Number (Uganda)',
+    'account.sendCode': 'Send code',
+    'account.resendCode': 'Send a new code',
+    'account.code': 'Code sent by SMS',
+    'account.codePlaceholder': '6-digit code',
+    'account.verify': 'Sign in',
+    'account.codeSent': 'Code sent to {phone}',
+    'account.sandboxCode': 'Sandbox: the code sent to {phone} is {code}',
+    'account.sendFailed': 'Could not send the code. Check the number and try again.',
+    'account.verifyFailed': 'Could not check the code. Try again.',
+    'account.invalidPhone': 'Enter a Ugandan mobile number, e.g. 0772 123456',
+    'account.enterCode': 'Enter the code we sent you',
+    'account.requestNewCode': 'That code can no longer be used. Send a new code to sign in.',
+    'account.nameRequired': 'Please enter your name',
+    'account.invalidEmail': 'Please enter a valid email address',
+    'otp.confirmed': 'Code confirmed',
+    'otp.wrongCode': 'Wrong code. Tries left: {count}',
+    'otp.expired': 'The code has expired. Send a new one.',
+    'otp.tooManyTries': 'Too many wrong codes. Send a new one.',
+    'pod.photoMissing': 'Take a photo of the package at the drop-off',
+    'pod.photoUnreadable': 'Could not read the photo',
+    'pod.signatureMissing': 'Ask the recipient to sign on the screen',
+    'pod.sendCodeFirst': 'Send the code to the recipient first',
+    'pod.codeMissing': 'Enter the code the recipient received by SMS',
+    'pod.sandboxCode': 'Sandbox: the code sent to {phone} is {code}',
+    'pod.codeSent': 'Code sent to {phone}. Ask the recipient to read it out.',
+    'pod.resendCode': 'Send a new code',
+    'pod.sendFailed': 'Could not send the code. Check the connection and try again.',
+    'pod.confirmed': 'Delivery confirmed',
+    'pod.storageFull': 'The phone\'s storage is full, so the photo and signature were not saved. Free some space, then confirm again.',
+    'pod.confirmFailed': 'Could not confirm the delivery. Try again.',
+    'pod.summary': 'Handed over {time} · code confirmed by the recipient ({phone})',
+    'account.profileTitle': 'Your details',
+    'account.name': 'Full Name',
+    'account.email': 'Email Address',
+    'account.saveProfile': 'Save details',
+    'account.profileSaved': 'Your details were saved',
+    'account.signedInAs': 'Signed in as {phone}',
+    'account.signOut': 'Sign out',
+    'account.bookDelivery': 'Book a delivery',
+    'account.historyTitle': 'Order history',
+    'account.noOrders': 'No orders yet. Requests you send while signed in show up here.',
+    'account.loadFailed': 'Could not load your account. Check the connection and try again.',
+    'account.rebook': 'Rebook',
+    'account.trackOrder': 'Track',
+    'account.stops': '{count} stops',
+    'account.signInPrompt': 'Sign in to fill in your details and keep your order history',
+    'status.received': 'Request received',
+    'status.rider_assigned': 'Rider assigned',
+    'status.picked_up': 'Picked up',
+    'status.in_transit': 'In transit',
+    'status.delivered': 'Delivered',
+    'map.dropoff': 'Drop-off',
+    'map.dropoffNumber': 'Drop-off {number}',
+    'map.rider': 'Rider',
+    'live.waiting': 'Waiting for the rider to share their location…',
+    'live.needsKey': 'Open the tracking link from your booking to see the rider on the map',
+    'live.arrivingNow': 'Rider is arriving now ({km} km left)',
+    'live.eta': 'About {minutes} min away — arrives around {time} ({km} km left)',
+    'live.lastUpdate': 'Last update {time}',
+    'live.startSharing': 'Share live location',
+    'live.stopSharing': 'Stop sharing location',
+    'live.notSharing': 'Location is not being shared',
+    'live.sharingStopped': 'Location sharing stopped',
+    'live.riderLinkNoKey': 'This link cannot share the location. Ask the dispatcher for the rider link.',
+    'live.noGeolocation': 'This phone cannot share its location',
+    'live.finding': 'Finding your location…',
+    'live.sharing': 'Sharing · last sent {time} (±{accuracy} m)',
+    'live.permissionDenied': 'Location permission denied. Allow it in the browser settings to share.',
+    'live.unavailable': 'Location unavailable, still trying…',
+    'dispatch.minutesAgo': '{count} min ago',
+    'dispatch.hoursAgo': '{count} h ago',
+    'dispatch.daysAgo': '{count} days ago',
+    'dispatch.noPickup': 'Pickup not set',
+    'dispatch.noDropoff': 'Drop-off not set',
+    'dispatch.distanceUnknown': 'distance unknown',
+    'dispatch.assignRider': 'Assign rider',
+    'dispatch.assignRiderOption': 'Assign rider…',
+    'dispatch.changeStatus': 'Change status',
+    'dispatch.summary': '{shown} of {total} requests shown · {waiting} waiting for a rider',
+    'dispatch.loadFailed': 'Could not load requests. Refresh to try again.',
+    'dispatch.riderAssigned': '{rider} assigned to {id}',
+    'dispatch.statusChanged': '{id}: {status}',
+    'dispatch.noticesFailed': 'could not text {failed} of {total} recipients',
+    'dispatch.noticesSent': 'recipients told the rider is on the way',
+    'dispatch.updateFailed': 'Could not update {id}: {error}',
+    'track.pageTitle': 'Track Delivery | VDELIVER',
+    'track.title': 'Track Your Delivery',
+    'track.subtitle': 'Enter the request ID from your confirmation',
+    'track.requestId': 'Request ID',
+    'track.placeholder': 'e.g. VD-7K3Q9M',
+    'track.button': 'Track',
+    'track.request': 'Request',
+    'track.liveTitle': 'Live rider location',
+    'track.proofTitle': 'Proof of delivery',
+    'track.proofPhotoAlt': 'Photo of the delivered package',
+    'track.proofPhotoCaption': 'Package at drop-off',
+    'track.proofSignature': 'Recipient\'s signature',
+    'track.notFound': 'We couldn\'t find that request. Check the ID and try again, or contact us on WhatsApp.',
+
+    // Bulk import
+    'bulk.title': 'Import orders from a CSV or Excel file',
+    'bulk.hint': 'One row per recipient. Fill in the sender, pickup, pickup time and payment on the form below first: every order uses them, and costs are estimated from the pickup.',
+    'bulk.file': 'Orders file (.csv or .xlsx)',
+    'bulk.template': 'Download template',
+    'bulk.colLine': 'Row',
+    'bulk.colRecipient': 'Recipient',
+    'bulk.colPhone': 'Phone',
+    'bulk.colAddress': 'Address',
+    'bulk.colLandmark': 'Landmark',
+    'bulk.colLocation': 'Location',
+    'bulk.colPackage': 'Package',
+    'bulk.colWeight': 'Weight (kg)',
+    'bulk.colSize': 'Size',
+    'bulk.colVehicle': 'Vehicle',
+    'bulk.colCod': 'COD (UGX)',
+    'bulk.colEstimate': 'Estimate',
+    'bulk.colStatus': 'Status',
+    'bulk.cellLabel': '{column}, row {line}',
+    'bulk.noSize': 'Not set',
+    'bulk.anyVehicle': 'Any vehicle',
+    'bulk.statusPending': 'Checking...',
+    'bulk.statusReady': 'Ready',
+    'bulk.statusSent': 'Sent as {id}',
+    'bulk.summary': '{total} rows: {ready} ready, {errors} to fix',
+    'bulk.summarySent': '{count} sent',
+    'bulk.estimate': 'estimated total {cost}',
+    'bulk.checkAgain': 'Check again',
+    'bulk.loadJob': 'Load as one multi-stop job',
+    'bulk.send': 'Send {count} separate orders',
+    'bulk.reading': 'Reading {name}...',
+    'bulk.readFailed': 'Could not read {name}. Save it as .csv or .xlsx and try again.',
+    'bulk.checking': 'Checking row {number} of {total}...',
+    'bulk.lookupFailed': 'Could not look up this row. Try again, or put lat,lng or a plus code in the Location column.',
+    'bulk.noPickup': 'Set the pickup location on the form to estimate costs, then check again.',
+    'bulk.rowError': 'Row {line}: {message}',
+    'bulk.nothingReady': 'No rows are ready yet. Fix the rows marked in red first.',
+    'bulk.sending': 'Sending order {number} of {total}...',
+    'bulk.sent': '{count} orders sent. Track each one from its link in the table.',
+    'bulk.sendFailed': 'Sending stopped. Rows not marked as sent can be sent again.',
+    'bulk.jobLoaded': '{count} stops loaded into the form. Calculating the route...',
+    'bulk.codDropped': 'Cash-on-delivery amounts are per order and were not carried over to the multi-stop job.',
+    'bulk.fileEmpty': 'The file is empty',
+    'bulk.missingColumns': 'Missing columns: {columns}. Download the template to see the expected layout.',
+    'bulk.noOrders': 'The file has a header but no orders',
+    'bulk.tooManyRows': 'Up to {max} orders per file; this one has {count}',
+    'bulk.recipientMissing': 'Recipient name is missing',
+    'bulk.phoneMissing': 'Recipient phone is missing',
+    'bulk.addressMissing': 'Address is missing',
+    'bulk.landmarkMissing': 'Landmark is missing',
+    'bulk.unknownVehicle': 'Unknown vehicle "{vehicle}"',
+    'bulk.unknownSize': 'Unknown package size "{size}" (use {sizes})',
+    'bulk.codNotNumber': 'Cash-on-delivery amount "{amount}" is not a number',
+    'bulk.badLocation': 'Could not read the location "{location}" — use lat,lng or a plus code',
+    'bulk.addressNotFound': 'Address not found — add a location (lat,lng or plus code)',
+    'bulk.noRoute': 'Could not calculate a route to this address',
+    'bulk.senderMobileMoney': 'Separate orders can\'t each take an {method} payment from you. Choose cash, or let the recipients pay, to send them in bulk.',
+
+    // Recipient notices and confirmation page
+    'notice.created': 'VDELIVER: {sender} has booked a delivery to you ({id}).',
+    'notice.onTheWay': 'VDELIVER: your delivery {id} from {sender} is on the way.',
+    'notice.arrived': 'VDELIVER: the rider with your delivery {id} has arrived at {place}.',
+    'notice.link': 'Confirm your location, fix the pin or reschedule: {link}',
+    'notice.answerConfirmed': 'Stop {stop}: location confirmed',
+    'notice.answerMoved': 'Stop {stop}: pin moved ({landmark})',
+    'notice.answerRescheduled': 'Stop {stop}: deliver {date} at {time}',
+    'notice.logSent': 'Texted {phone}',
+    'notice.logSandbox': 'Sandbox text to {phone}: {text}',
+    'confirm.pageTitle': 'Your Delivery | VDELIVER',
+    'confirm.title': 'Your delivery',
+    'confirm.subtitle': 'Check where the rider should bring your package, or choose another time',
+    'confirm.loading': 'Loading your delivery…',
+    'confirm.loadFailed': 'Could not load your delivery. Check your connection and reload the page.',
+    'confirm.invalidLink': 'This link is not valid. Please use the link from your latest text message.',
+    'confirm.from': 'Delivery from {sender}',
+    'confirm.requestId': 'Request ID',
+    'confirm.address': 'Delivery address',
+    'confirm.landmark': 'Landmark',
+    'confirm.when': 'Delivery time',
+    'confirm.whenDispatcher': 'As arranged with the sender',
+    'confirm.delivered': 'This package has been delivered.',
+    'confirm.pinTitle': 'Is this the right place?',
+    'confirm.pinHint': 'Drag the pin or tap the map where the rider should stop.',
+    'confirm.confirmLocation': 'Yes, this is the place',
+    'confirm.useMyLocation': 'Use my location',
+    'confirm.locating': 'Finding your location…',
+    'confirm.pinMoved': 'Pin moved. Add a landmark and save it.',
+    'confirm.newLandmark': 'Landmark near the new pin *',
+    'confirm.landmarkPlaceholder': 'e.g. Blue gate opposite Shell Kisementi',
+    'confirm.savePin': 'Save the new pin',
+    'confirm.confirmed': 'Thank you — the rider will come to this place.',
+    'confirm.pinSaved': 'Thank you — the rider will come to the new pin.',
+    'confirm.saveFailed': 'Could not save. Check your connection and try again.',
+    'confirm.pinRequired': 'Move the pin to the drop-off first',
+    'confirm.landmarkRequired': 'Please describe a landmark near the new pin',
+    'confirm.rescheduleTitle': 'Not around? Choose another time',
+    'confirm.date': 'Date',
+    'confirm.time': 'Time',
+    'confirm.chooseDate': 'Choose a date first',
+    'confirm.noSlots': 'No delivery times left on this day',
+    'confirm.reschedule': 'Reschedule',
+    'confirm.rescheduled': 'Thank you — we will deliver on {when}.',
+    'confirm.timeRequired': 'Please choose a date and time',
+    'confirm.datePast': 'That date is in the past',
+    'confirm.dateTooFar': 'Deliveries can be moved at most {days} days ahead',
+    'confirm.slotUnavailable': 'That time is no longer available. Please choose a later time',
+    'confirm.unknownAnswer': 'Unknown answer: {action}',
+
+    // Contact page
+    'contact.pageTitle': 'Contact Us | VDELIVER | Revolutionizing Package Delivery',
+    'contact.title': 'Contact Us',
+    'contact.subtitle': 'Get in touch with our team for any inquiries or support',
+    'contact.phone': 'Phone',
+    'contact.callNow': 'Call Now',
+    'contact.email': 'Email',
+    'contact.sendEmail': 'Send Email',
+    'contact.messageUs': 'Message Us',
+    'contact.hours': 'Business Hours',
+    'contact.hoursValue': 'Mon–Fri 07:00–23:00, Sat 08:00–23:00, Sun 09:00–22:00 (Kampala time)',
+    'contact.hoursNote': 'Pickups from 21:00 carry a night surcharge',
+    'contact.fullName': 'Full Name',
+    'contact.emailAddress': 'Email Address',
+    'contact.phoneNumber': 'Phone Number',
+    'contact.subject': 'Subject',
+    'contact.message': 'Message',
+    'contact.send': 'Send Message',
+    'contact.faqTitle': 'Frequently Asked Questions',
+    'contact.faqSubtitle': 'Quick answers to common questions',
+    'contact.faqAreasQ': 'What areas in Uganda do you serve?',
+    'contact.faqAreasA': 'We currently deliver in Greater Kampala (Kampala, Wakiso, Mukono and Entebbe) and in Jinja, where we take car and van deliveries only. Mbarara is opening soon and Gulu is paused while we set up a local hub.',
+    'contact.faqSpeedQ': 'How quickly can you deliver my package?',
+    'contact.faqSpeedA': 'Our average delivery time is under 60 minutes within the same urban area. Delivery times may vary based on distance, traffic conditions, and package specifications.',
+    'contact.faqRatesQ': 'What are your delivery rates?',
+    'contact.faqRatesA': 'We offer competitive pricing from a 3,000 UGX base fee plus distance-based charges. Motorcycle delivery starts at 1,500 UGX per km and car delivery at 4,000 UGX per km, with lower rates on longer trips. Minimum fares, zone rates and night/weekend surcharges apply, and every quote shows an itemised breakdown.',
+    'contact.faqSameDayQ': 'Do you offer same-day delivery?',
+    'contact.faqSameDayA': 'Yes! We specialize in same-day and express delivery services. Most deliveries within urban areas are completed within hours of request.',
+    'contact.waTitle': 'CONTACT REQUEST',
+    'contact.waPersonal': 'Personal Details',
+    'contact.waMessageDetails': 'Message Details',
+    'contact.waSentVia': 'Sent via VDELIVER Contact Form',
+    'contact.thanks': 'Thank you for your message! We\'ve opened WhatsApp for you to send your inquiry directly to our team.'
+});
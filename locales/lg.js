@@ -0,0 +1,654 @@
+// Luganda messages; keys missing here fall back to English
+import { registerMessages } from '../i18n.js';
+
+registerMessages('lg', {
+    'page.title': 'VDELIVER | Okutwala Ebintu (Mu Uganda Mwokka)',
+    'language.label': 'Olulimi',
+
+    // Navigation and footer
+    'nav.home': 'Awaka',
+    'nav.request': 'Saba Okutwalirwa',
+    'nav.track': 'Goberera Order',
+    'nav.contact': 'Tukwatagane',
+    'nav.account': 'Akawunti Yange',
+    'footer.tagline': 'Okutwala ebintu amangu era okwesigika mu Uganda yonna.',
+
+    // Booking form
+    'form.title': 'Okusaba Okutwalirwa Ekintu',
+    'form.subtitle': 'Tutwala ebintu mu Uganda mwokka',
+    'outbox.title': 'Okusaba okulinda okusindikibwa',
+    'outbox.pendingTitle': 'Okusaba kuterekeddwa — kusindikibwa…',
+    'outbox.pendingText': 'Okusaba kwo kuterekeddwa ku kyuma kino era kujja kusindikibwa kokka, ne bw\'oba toli ku mutimbagano. Leka omuko guno oba app nga biggule okutuusa lwe kiraga nti kusindikiddwa.',
+    'outbox.sentTitle': 'Okusaba kufunye',
+    'outbox.sentText': 'Webale — okusaba kwo kufunye. Dispatcher ajja kukukubira mangu.',
+    'outbox.failedTitle': 'Okusaba tekusindikiddwa',
+    'outbox.failedText': 'Tetusobodde kutuuka ku seva zaffe oluvannyuma lw\'okugezaako emirundi egiwerako. Gezaako nate, oba sindika okusaba ku WhatsApp.',
+    'outbox.pending': 'Kulindiriddwa',
+    'outbox.sent': 'Kusindikiddwa',
+    'outbox.failed': 'Kulemeddwa',
+    'outbox.waitingForConnection': '{status} — tulinda omutimbagano',
+    'outbox.retrying': '{status} — tuddamu okugezaako (omulundi {attempt})',
+    'outbox.retry': 'Gezaako nate',
+    'repeat.lastOrder': 'Order esembayo:',
+    'repeat.button': 'Ddamu order esembayo',
+    'section.sender': 'Ebikwata ku Asindika',
+    'section.location': 'Ebifo',
+    'section.pickup': 'Ekifo We Tukimira',
+    'section.delivery': 'Ekifo We Tukitwala',
+    'section.route': 'Ebikwata ku Kkubo',
+    'section.pickupTime': 'Essaawa ey\'Okukimira',
+    'section.specs': 'Ebikwata ku Kutwala',
+    'section.payment': 'Okusasula',
+    'field.fullName': 'Amannya Gonna *',
+    'field.phone': 'Essimu * (nnamba ya Uganda)',
+    'field.email': 'Email *',
+    'field.address': 'Endagiriro *',
+    'field.landmark': 'Akabonero *',
+    'field.recipientName': 'Erinnya ly\'Afuna *',
+    'field.recipientPhone': 'Essimu y\'Afuna * (nnamba ya Uganda)',
+    'field.deliveryAddress': 'Endagiriro We Tukitwala *',
+    'field.pickupDate': 'Olunaku lw\'Okukimira *',
+    'field.pickupWindow': 'Ebiseera by\'Okukimira *',
+    'field.repeat': 'Okuddiŋŋana',
+    'field.repeatUntil': 'Ddiŋŋana Okutuusa *',
+    'field.vehicle': 'Ekidduka *',
+    'field.weight': 'Obuzito Bwonna (kg) *',
+    'field.size': 'Obunene *',
+    'field.dimensions': 'Ebipimo (cm, si kya tteeka)',
+    'field.quantity': 'Omuwendo gw\'Ebintu',
+    'field.declaredValue': 'Omuwendo gw\'Ekintu (UGX)',
+    'field.packageDetails': 'Ebikwata ku Kintu *',
+    'field.instructions': 'Ebiragiro Eby\'enjawulo',
+    'field.paymentMethod': 'Engeri y\'Okusasula *',
+    'field.mobileMoney': 'Nnamba ya Mobile Money *',
+    'field.codEnabled': 'Omuvuzi ansoloozeze ssente ng\'atuusizza',
+    'field.codAmount': 'Ssente Ez\'okusolooza (UGX) *',
+    'field.codPayout': 'Ssente Ezisoloozeddwa Zisindike ku (mobile money) *',
+    'field.emergency': 'Essimu ey\'Obwerinde',
+    'field.callRecipient': 'Kuba essimu eri afuna ng\'otuuse',
+    'field.recipientNotify': 'Wandiikira afuna',
+    'field.notifySms': 'Ku SMS',
+    'field.notifyWhatsapp': 'Ku WhatsApp',
+    'field.notifyNone': 'Tomuwandiikira',
+    'field.recipientNotifyHint': 'Nga kibukkiddwa, nga omuvuzi ali mu kkubo era ng\'atuuse, ne link okukakasa ekifo oba okulonda obudde obulala',
+    'field.terms': 'Nzikiriza obukwakkulizo bw\'obuweereza n\'enkuuma y\'ebyange *',
+    'placeholder.pickupAddress': 'Wandiika endagiriro we tukimira',
+    'placeholder.deliveryAddress': 'Wandiika endagiriro we tukitwala',
+    'placeholder.landmark': 'Akabonero oba plus code, okug. emitala wa Shell Ntinda',
+    'placeholder.weight': 'okug. 2.5',
+    'placeholder.optional': 'Si kya tteeka',
+    'placeholder.packageDetails': 'Nnyonnyola ebiri mu kintu, ebipimo, n\'engeri gye kikwatibwamu',
+    'placeholder.instructions': 'Ebiseera by\'oyagala, koodi z\'okuyingira, oba engeri y\'okukwata ekintu',
+    'placeholder.mapSearch': 'Noonya ebifo mu Uganda...',
+    'placeholder.clickMap': 'Nyiga ku maapu',
+    'placeholder.addressAppears': 'Endagiriro ejja kulabikira wano',
+    'option.selectVehicle': 'Londa ekidduka',
+    'option.selectSize': 'Londa obunene bw\'ekintu',
+    'option.noRepeat': 'Tekiddiŋŋana',
+    'option.daily': 'Buli lunaku',
+    'option.weekly': 'Buli wiiki ku nnaku z\'olonze',
+    'schedule.asap': 'Mangu ddala nga bwe kisoboka',
+    'schedule.today': 'Oluvannyuma leero',
+    'schedule.date': 'Olunaku olulala',
+    'schedule.scheduled': 'Kitegekeddwa',
+    'schedule.window': '{mode}: {date}, {start}–{end} (essaawa z\'e Kampala)',
+    'schedule.oneOff': 'Omulundi gumu',
+    'schedule.daily': 'Buli lunaku',
+    'schedule.weeklyOn': 'Buli wiiki ku {days}',
+    'schedule.repeatUntil': '{days} okutuusa {date} (emirundi {count} egy\'okukima)',
+    'schedule.closedNow': 'Kati tuggaddewo (leero {open}–{close}). Teekateeka okukima mu kiseera ekirala',
+    'schedule.chooseDateTime': 'Londa olunaku n\'essaawa ey\'okukima',
+    'schedule.datePast': 'Olunaku lw\'okukima lwayita dda',
+    'schedule.tooFarAhead': 'Okukima kusabibwa nga tekusukka nnaku {days} mu maaso',
+    'schedule.outsideHours': 'Okukima ku {day} kulina okubeera wakati wa {open} ne {close}',
+    'schedule.slotGone': 'Essaawa eyo tekyaliiwo. Londa essaawa endala egenda mu maaso',
+    'schedule.chooseWeekday': 'Londa waakiri olunaku lumu mu wiiki olw\'okukima',
+    'schedule.chooseEndDate': 'Londa olunaku okukima okuddiŋŋana we kunaakoma',
+    'schedule.endBeforeStart': 'Olunaku olw\'enkomerero lulina okujja oluvannyuma lw\'okukima okusooka',
+    'schedule.tooLong': 'Okukima okuddiŋŋana tekusukka nnaku {days}',
+    'schedule.noRepeats': 'Tewali kukima kuddiŋŋana mu ssaawa ze tukola nga olunaku olw\'enkomerero terunnatuuka',
+    'schedule.noSlots': 'Tewali ssaawa zisigaddeyo ku lunaku luno',
+    'schedule.chooseDateFirst': 'Sooka olonde olunaku',
+    'schedule.asapSummary': 'Omuvuzi ajja kusindikibwa amangu ddala ng\'okusaba kwo kukakasiddwa.',
+    'schedule.operatingHours': 'Essaawa ze tukola (ez\'e Kampala): {hours}',
+    'weekday.Mon': 'Bbal',
+    'weekday.Tue': 'Lw2',
+    'weekday.Wed': 'Lw3',
+    'weekday.Thu': 'Lw4',
+    'weekday.Fri': 'Lw5',
+    'weekday.Sat': 'Lw6',
+    'weekday.Sun': 'Ssab',
+    'flag.fragile': 'Kyetaaga obwegendereza',
+    'flag.perishable': 'Kyonooneka mangu',
+    'flag.documents': 'Ebiwandiiko',
+    'payer.sender': 'Asindika y\'asasula',
+    'payer.recipient': 'Afuna y\'asasula',
+    'size.small': 'Kitono',
+    'size.medium': 'Kya wakati',
+    'size.large': 'Kinene',
+    'size.bulky': 'Kinene nnyo',
+    'size.smallHint': 'kigya mu bbaagi ey\'oku mugongo',
+    'size.mediumHint': 'kigya mu ssanduuko y\'omuvuzi',
+    'size.largeHint': 'kyetaaga buutu ya mmotoka',
+    'size.bulkyHint': 'kijjuza entebe ez\'emabega',
+    'paymentMethod.cash': 'Ssente enkalu',
+    'paymentMethod.mtn_momo': 'MTN MoMo',
+    'paymentMethod.airtel_money': 'Airtel Money',
+    'vehicle.bicycle': 'Akagaali',
+    'vehicle.motorcycle': 'Pikipiki',
+    'vehicle.tuk_tuk': 'Tuku-tuku',
+    'vehicle.car': 'Mmotoka',
+    'vehicle.van': 'Loole entono / pikapu',
+    'vehicle.tooFar': '{vehicle}: km {distance} wala nnyo (tesukka km {max})',
+    'vehicleHint.bicycle': 'Ebintu ebitono okumpi',
+    'vehicleHint.motorcycle': 'Okutwala mangu',
+    'vehicleHint.tuk_tuk': 'Ebintu ebinene mu kibuga',
+    'vehicleHint.car': 'Okutwala okw\'obukuumi',
+    'vehicleHint.van': 'Ebintu by\'omu nju n\'ebingi',
+    'button.selectFromMap': 'Londa ku Maapu',
+    'button.useMyLocation': 'Kozesa We Ndi',
+    'button.locating': 'Tunoonya...',
+    'button.savePlace': 'Tereka ekifo',
+    'button.removePlace': 'Ggyawo ekifo ekirondeddwa',
+    'button.addStop': 'Gattako Ekifo Ekirala',
+    'button.copyBookingLink': 'Koppa link y\'okusaba',
+    'button.calculateRoute': 'Bala Ekkubo',
+    'button.clearRoute': 'Ggyawo Ekkubo',
+    'button.riderView': 'Eby\'Omuvuzi / Kuba mu Kyapa',
+    'button.submit': 'Sindika Okusaba',
+    'button.sending': 'Tusindika...',
+    'button.track': 'Goberera Okusaba',
+    'button.whatsapp': 'Sindika ku WhatsApp',
+    'button.newRequest': 'Saba Omulala',
+    'button.search': 'Noonya',
+    'button.resetKampala': 'Ddayo e Kampala',
+    'button.selectLocation': 'Londa Ekifo Kino',
+    'button.cancel': 'Sazaamu',
+    'button.close': 'Ggalawo',
+    'button.pinCentre': 'Teeka akabonero wakati mu maapu',
+    'bookingLink.intro': 'Amaduuka: mugabane link eggulawo foomu eno nga ekifo kyammwe n\'ekintu biwandiikiddwamu dda.',
+    'bookingLink.label': 'Link y\'okusaba',
+    'bookingLink.pickupRefused': 'Ekifo ky\'okukimira mu link: {reason}',
+    'bookingLink.deliveryRefused': 'Ekifo ky\'okutwala mu link: {reason}',
+    'bookingLink.ignored': 'Ebimu ku biri mu link tebisobose kukozesebwa: {fields}',
+    'route.distance': 'Obuwanvu',
+    'route.duration': 'Ebbanga',
+    'route.cost': 'Ssente Eziteeberezebwa (UGX)',
+    'route.directions': 'Ekkubo mu bitundu',
+    'route.estimateNote': '{provider} — empeereza y\'amakubo tekola, obuwanvu n\'ebbanga biteeberezebwa',
+    'route.by': 'Ekkubo okuva ku {provider}',
+    'price.base': 'Ssente ez\'omusingi',
+    'price.distance': 'Obuwanvu (km {km})',
+    'price.stops': 'Ebifo ebirala ({count} x {fee})',
+    'price.weight': 'Ssente ez\'obuzito (kg {extra} okusukka kg {included})',
+    'price.size': 'Ssente ez\'obunene ({size})',
+    'price.zone': 'Ekitundu kya {zone} (x{multiplier})',
+    'price.night': 'Ssente ez\'ekiro',
+    'price.weekend': 'Ssente ez\'enkomerero ya wiiki',
+    'price.minimum': 'Okwongerako okutuuka ku ssente ezisinga obutono',
+    'price.rounding': 'Okwetooloozaako',
+    'price.total': 'Omugatte',
+    'zone.central': 'Kampala wakati',
+    'zone.greater-kampala': 'Kampala ennene',
+    'zone.upcountry': 'Ebyalo',
+    'stops.title': 'Ekifo {number}',
+    'stops.remove': 'Ggyawo',
+    'stops.pickup': 'Okukimira',
+    'stops.delivery': 'Okutwala',
+    'stops.legStop': 'Ekifo {number} ({name})',
+    'stops.recipient': 'afuna',
+    'stops.visitingOrder': 'Engeri y\'okutuuka ku bifo gye tuteesa',
+    'maneuver.depart': 'Tandika olugendo',
+    'maneuver.straight': 'Genda butereevu',
+    'maneuver.left': 'Kyuka ku kkono',
+    'maneuver.right': 'Kyuka ku ddyo',
+    'maneuver.slight-left': 'Weta katono ku kkono',
+    'maneuver.slight-right': 'Weta katono ku ddyo',
+    'maneuver.sharp-left': 'Kyuka nnyo ku kkono',
+    'maneuver.sharp-right': 'Kyuka nnyo ku ddyo',
+    'maneuver.keep-left': 'Sigala ku kkono',
+    'maneuver.keep-right': 'Sigala ku ddyo',
+    'maneuver.roundabout': 'Yita ku roundabout',
+    'maneuver.uturn': 'Kyuka odde emabega',
+    'maneuver.via': 'Tuuka ku kifo',
+    'maneuver.arrive': 'Tuuka gy\'ogenda',
+    'maneuver.on': '{action} ku {street}',
+    'maneuver.onto': '{action} oyingire {street}',
+    'maneuver.headToDelivery': 'Genda we tutwala',
+    'maneuver.headToStop': 'Genda ku kifo {number}',
+    'comparison.title': 'Geraageranya ebidduka',
+    'comparison.recommended': 'Ekirungi okusinga',
+    'comparison.eta': 'Obudde bw\'okutuuka',
+    'comparison.minutes': 'eddakiika {minutes}',
+    'comparison.capacity': 'Kisitula',
+    'comparison.capacityValue': 'okutuuka ku kg {weight}, {size}',
+    'comparison.choose': 'Londa',
+    'comparison.chosen': 'Kirondeddwa',
+    'comparison.noneFits': 'Tewali kidduka kyaffe kisobola kutwala kintu kino ku lugendo luno. Tukwatagane tukuwe ebbeeyi ey\'enjawulo.',
+    'success.requestId': 'Nnamba y\'okusaba kwo:',
+    'success.download': 'Wanula order eno:',
+    'success.noticeSandbox': 'Sandbox — obubaka eri {phone}: "{text}"',
+    'success.noticeSent': 'Tuwandiikidde afuna ({phone}) link okukakasa ekifo.',
+    'success.noticeFailed': 'Tetusobodde kuwandiikira afuna ({phone}). Dispatcher ajja kumukubira.',
+
+    // Map picker
+    'mapPicker.title': 'Londa Ekifo - VDELIVER',
+    'mapPicker.pickupTitle': 'Londa We Tukimira - VDELIVER',
+    'mapPicker.deliveryTitle': 'Londa We Tukitwala - VDELIVER',
+    'mapPicker.loading': 'Maapu ejja...',
+    'mapPicker.howTo': 'Engeri y\'okulonda ekifo:',
+    'mapPicker.steps': '1. Noonya ekifo oba nyiga butereevu ku maapu\n2. Kozesa "We Ndi" okuzuula w\'oli\n3. Kebera ennamba z\'ekifo n\'endagiriro\n4. Nyiga "Londa Ekifo Kino" okukakasa',
+    'mapPicker.pickupHeading': 'Londa We Tukimira:',
+    'mapPicker.pickupSteps': '1. Noonya we tukimira oba nyiga ku maapu\n2. Kozesa "We Ndi" okuzuula w\'oli\n3. Kebera ennamba z\'ekifo n\'endagiriro\n4. Nyiga "Londa Ekifo Kino" okukakasa we tukimira',
+    'mapPicker.deliveryHeading': 'Londa We Tukitwala:',
+    'mapPicker.deliverySteps': '1. Noonya we tukitwala oba nyiga ku maapu\n2. Kozesa "We Ndi" okuzuula afuna w\'ali\n3. Kebera ennamba z\'ekifo n\'endagiriro\n4. Nyiga "Londa Ekifo Kino" okukakasa we tukitwala',
+    'mapPicker.selected': 'Ekifo Ekirondeddwa',
+    'mapPicker.latitude': 'Latitude:',
+    'mapPicker.longitude': 'Longitude:',
+    'mapPicker.address': 'Endagiriro:',
+    'mapPicker.mapLabel': 'Maapu. Obusaale ku kiwandiiko bugitambuza, plus ne minus bigisembeza oba okugyawo.',
+    'mapPicker.keyboardHint': 'Kiwandiiko: tambuza maapu n\'obusaale olonde "Teeka akabonero wakati mu maapu", oba nyiga Tab otuuke ku kabonero okatambuze n\'obusaale. Escape eggalawo maapu.',
+    'mapPicker.pickupPin': 'Akabonero k\'ekifo we tukikima. Kozesa obusaale okukatambuza; kwata Shift okukatambuza ewala.',
+    'mapPicker.deliveryPin': 'Akabonero k\'ekifo we tukitwala. Kozesa obusaale okukatambuza; kwata Shift okukatambuza ewala.',
+    'mapPicker.pinAt': 'Akabonero kali ku {address} ({lat}, {lng})',
+    'mapPicker.addressNotFound': 'Endagiriro tezuuliddwa',
+    'mapPicker.addressError': 'Waliwo ekisobu mu kufuna endagiriro',
+
+    // Notifications and validation
+    'notify.notFound': 'Ekifo tekizuuliddwa. Gezaako ebigambo ebirala.',
+    'notify.searchFailed': 'Okunoonya kulemeddwa. Ddamu ogezeeko.',
+    'notify.noGeolocation': 'Browser yo tesobola kuzuula w\'oli',
+    'notify.currentLocation': 'W\'oli kati: {reason}',
+    'notify.locationFound': 'Ekifo kizuuliddwa',
+    'notify.locationError': 'Tetusobodde kuzuula w\'oli.',
+    'notify.allowLocation': 'Kkiriza browser yo okumanya w\'oli mu settings.',
+    'notify.positionUnavailable': 'Ebikwata ku kifo tebiriiwo.',
+    'notify.locationTimeout': 'Okunoonya ekifo kutwalidde ebbanga ddene.',
+    'notify.unknownError': 'Wabaddewo ensobi etamanyiddwa.',
+    'notify.selectOnMap': 'Sooka olonde ekifo ng\'onyiga ku maapu.',
+    'notify.pickupFromMap': 'We tukimira ateekeddwawo okuva ku maapu',
+    'notify.stopFromMap': 'Ekifo kiteekeddwawo okuva ku maapu',
+    'notify.deliveryFromMap': 'We tukitwala ateekeddwawo okuva ku maapu',
+    'notify.pickupFromDevice': 'We tukimira ateekeddwawo okuva w\'oli',
+    'notify.deliveryFromDevice': 'We tukitwala ateekeddwawo okuva w\'oli',
+    'notify.setBothLocations': 'Sooka oteekewo we tukimira ne we tukitwala.',
+    'notify.selectStop': 'Londa ekifo ku maapu eky\'ekifo {number}',
+    'notify.routeFailed': 'Tetusobodde kubala kkubo. Ddamu ogezeeko.',
+    'notify.routeEstimated': 'Ekkubo eriteeberezebwa lirabisiddwa (empeereza y\'amakubo tekola)',
+    'notify.routeCalculated': 'Ekkubo libaliddwa bulungi',
+    'notify.routeCleared': 'Ekkubo liggiddwawo',
+    'notify.linkCopied': 'Link ekoppeddwa!',
+    'notify.storageFull': 'Ekifo ky\'okutereka mu browser kijjudde, n\'olwekyo tosobola kulondoola oda okuva wano. Naye esindikiddwa.',
+    'notify.trackingNotSaved': 'Oda tesobodde kuterekebwa mu browser eno okugirondoola. Naye esindikiddwa.',
+    'notify.requiredFields': 'Jjuza ebifo byonna ebyetaagisa omuli n\'obubonero',
+    'notify.senderPhone': 'Essimu y\'asindika erina okuba nnamba ya Uganda entuufu (okug. +2567...)',
+    'notify.senderEmail': 'Email y\'asindika erina okuba entuufu (okug. name@example.com)',
+    'notify.recipientPhone': 'Essimu y\'afuna erina okuba nnamba ya Uganda entuufu (okug. +2567...)',
+    'notify.acceptTerms': 'Kkiriza obukwakkulizo bw\'obuweereza n\'enkuuma y\'ebyange',
+    'notify.serviceAreasFailed': 'Tetusobodde kufuna bitundu bye tuweereza. Ddamu otikke omuko.',
+    'notify.markerMovedBack': '{reason} Akabonero tukazzizza emabega.',
+    'notify.rebooked': 'Order {id} ezziddwawo — kebera ebigikwatako n\'essaawa y\'okunona nga tonnasindika',
+    'notify.rebookNotFound': 'Order {id} teri mu byafaayo bya order zo',
+    'notify.orderRestored': 'Order eyasooka ezziddwawo — kebera ebigikwatako n\'essaawa y\'okunona nga tonnasindika',
+    'validation.stopIncomplete': 'Ekifo {number}: jjuza afuna, endagiriro n\'akabonero',
+    'validation.stopPhone': 'Ekifo {number}: essimu y\'afuna erina okuba nnamba ya Uganda entuufu (okug. +2567...)',
+    'validation.stopLocation': 'Ekifo {number}: londa ekifo ku maapu',
+    'validation.packageWeight': 'Wandiika obuzito bw\'ekintu',
+    'validation.packageSize': 'Londa obunene bw\'ekintu',
+    'validation.declaredValue': 'Omuwendo gw\'ekintu tegusobola kuba wansi wa zero',
+    'validation.paymentMethod': 'Londa engeri y\'okusasula',
+    'validation.mobileMoneyPhone': 'Nnamba ya mobile money erina okuba nnamba ya Uganda entuufu (okug. +2567...)',
+    'validation.wrongNetwork': '{phone} si nnamba ya {method}',
+    'validation.calculateFirst': 'Sooka obale ekkubo tumanye ssente z\'okusasula',
+    'validation.codAmount': 'Wandiika ssente omuvuzi z\'alina okusolooza ng\'atuusa',
+    'validation.codMinimum': 'Ssente ku kutuusa zitandikira ku {amount}',
+    'validation.codLimit': 'Ssente ku kutuusa tezisukka {amount} ku buli order',
+    'validation.codPayoutPhone': 'Nnamba ey\'okuweerezaako ssente ezisoloozeddwa erina okuba nnamba ya Uganda entuufu (okug. +2567...)',
+    'package.tooHeavy': 'kg {weight} nzito nnyo ku {vehicle} (tesukka kg {max})',
+    'package.nearLimit': 'kg {weight} kumpi n\'ekkomo lya {vehicle} erya kg {max}',
+    'package.tooBig': 'Ekintu kisinga obunene bwaffe obusinga. Tukwatagane tukuwe ebbeeyi ey\'enjawulo',
+    'package.doesNotFit': 'Ebintu ebiri ku kigero "{size}" tebigya ku {vehicle}',
+    'package.fragileOpen': 'Ebintu ebyetaaga obwegendereza bitambula mu ssanduuko erimu ebiwewere ku {vehicle}; londa mmotoka oba loole ku ndabirwamu oba ebyuma ebinene',
+    'package.perishableOpen': 'Ebintu ebinene ebyonooneka mangu bikuumibwa bulungi mu mmotoka oba loole',
+    'package.highValue': 'Ebintu ebisukka {amount} mu muwendo tubikakasa ku ssimu nga tetunnabikima',
+    'package.suggestVehicle': 'Ekintu kino kisobola okutwalibwa ku {vehicle}.',
+    'package.sizeOption': '{size} — {hint} (okutuuka ku cm {dimensions})',
+    'serviceArea.loading': 'Tukyatikka ebitundu bye tuweereza — gezaako nate oluvannyuma katono.',
+    'serviceArea.outside': 'Ekitundu kino tetunnakituukamu. Kaakati tutwala mu {areas}.',
+    'serviceArea.closed': 'Tetunnatuuka mu {area}: {reason}.',
+    'serviceArea.notAvailable': 'wano tetunnatandika kutwala',
+    'serviceArea.onlyBy': 'mu {area} tutwalira ku {vehicles} kyokka',
+    'serviceArea.orList': '{items} oba {last}',
+    'addressBook.choose': 'Londa ekifo ekyaterekebwa…',
+    'addressBook.empty': 'Tewannaba kutereka kifo',
+    'addressBook.setFirst': 'Teeka endagiriro n\'ekifo ku maapu nga tonnatereka kifo kino',
+    'addressBook.namePrompt': 'Tuuma ekifo kino erinnya (okug. "Edduuka – Kikuubo")',
+    'addressBook.pickupSet': 'Okukimira kuteereddwa ku "{place}"',
+    'addressBook.deliverySet': 'Okutwala kuteereddwa ku "{place}"',
+    'addressBook.confirmRemove': 'Ggya "{place}" mu bifo byo ebyaterekebwa?',
+    'addressBook.saved': '"{place}" kiterekeddwa mu bifo byo',
+    'payment.recipientApproves': 'Afuna akakasa okusaba kwa {method} ku {phone} omuvuzi bw\'atuuka.',
+    'payment.theirPhone': 'essimu ye',
+    'payment.recipientCash': 'Afuna asasula omuvuzi ssente enkalu ng\'atuusizza.',
+    'payment.senderApproves': 'Bw\'omala okusindika, kakasa okusaba kwa {method} ku {phone} osasule ssente z\'okutwala.',
+    'payment.yourPhone': 'essimu yo',
+    'payment.senderCash': 'Sasula omuvuzi ssente enkalu ng\'akimye.',
+    'payment.requesting': 'Tusaba {amount} nga tuyita mu {method}…',
+    'payment.startFailed': 'Tetusobodde kutandika kusasula. Gezaako nate, oba sasula omuvuzi ssente enkalu.',
+    'payment.dueFromRecipient': 'Ssente z\'okutwala afuna azisasula ng\'atuusiddwako ({method})',
+    'payment.dueAtPickup': 'Ssente z\'okutwala zisasulwa nkalu nga tukima',
+    'geocoding.noMatches': 'Tewali bifo bifaanana bwe bityo mu Uganda',
+    'geocoding.areaUnavailable': 'Tekiriiwo: {area}',
+    'geocoding.outsideAreas': 'Wabweru w\'ebitundu bye tuweereza',
+    'geocoding.pickupSet': 'Ekifo eky\'okukimira kiteereddwawo',
+    'geocoding.deliverySet': 'Ekifo eky\'okutwala kiteereddwawo',
+    'geocoding.pressEnter': 'Nyiga Enter okunoonya',
+    'geocoding.limited': 'Okunoonya endagiriro kati kumanyi bifo bitono mu Kampala byokka. Londa ekifo ku maapu.',
+    'landmarks.noMatches': 'Akabonero tekazuuliddwa. Gezaako siteegi, mall oba akatale, oba plus code nga 8JHC+2V',
+    'landmarks.plusCode': 'Plus code',
+    'landmarks.viewOnMap': 'Laba ku maapu',
+    'landmarks.pickupPinSet': 'Akabonero k\'okukimira kateereddwa ku {place}',
+    'landmarks.deliveryPinSet': 'Akabonero k\'okutwala kateereddwa ku {place}',
+    'landmarks.plusCodeLabel': 'Plus code {code}',
+    'landmarks.plusCodeNear': 'Plus code {code} (okumpi ne {place})',
+
+    // WhatsApp message
+    'wa.title': 'OKUSABA OKUTWALIRWA',
+    'wa.requestId': 'Nnamba y\'okusaba',
+    'wa.sender': 'Asindika',
+    'wa.name': 'Erinnya',
+    'wa.phone': 'Essimu',
+    'wa.email': 'Email',
+    'wa.pickup': 'Okukimira',
+    'wa.address': 'Endagiriro',
+    'wa.landmark': 'Akabonero',
+    'wa.coordinates': 'Ennamba z\'ekifo',
+    'wa.plusCode': 'Plus code',
+    'wa.notSet': 'Tekiteekeddwawo',
+    'wa.recipient': 'Afuna',
+    'wa.delivery': 'Okutwala',
+    'wa.pickupTime': 'Essaawa ey\'Okukimira',
+    'wa.repeat': 'Okuddiŋŋana',
+    'wa.allStops': 'Ebifo byonna (nga bwe tunaabituukamu)',
+    'wa.stop': 'Ekifo {number}',
+    'wa.formStop': 'ekifo {number} ku foomu',
+    'wa.legs': 'Ebitundu by\'olugendo',
+    'wa.details': 'Ebikwata ku Kintu',
+    'wa.vehicle': 'Ekidduka',
+    'wa.package': 'Ekintu',
+    'wa.weight': 'Obuzito',
+    'wa.size': 'Obunene',
+    'wa.quantity': 'Omuwendo',
+    'wa.handling': 'Engeri y\'okukikwata',
+    'wa.standard': 'Bulijjo',
+    'wa.declaredValue': 'Omuwendo gw\'ekintu',
+    'wa.notDeclared': 'Tegulangiddwa',
+    'wa.notProvided': 'Tebiweereddwa',
+    'wa.instructions': 'Ebiragiro',
+    'wa.emergency': 'Essimu ey\'obwerinde',
+    'wa.callRecipient': 'Kuba essimu eri afuna',
+    'wa.yes': 'Yee',
+    'wa.no': 'Nedda',
+    'wa.route': 'Ekkubo',
+    'wa.distance': 'Obuwanvu',
+    'wa.duration': 'Ebbanga',
+    'wa.source': 'Ensibuko',
+    'wa.cost': 'Ssente eziteeberezebwa',
+    'wa.directions': 'Ekkubo',
+    'wa.costBreakdown': 'Ssente mu bitundu',
+    'wa.notCalculated': 'Tebibaliddwa',
+    'wa.payment': 'Okusasula',
+    'wa.notSpecified': 'Tekinnyonnyoddwa',
+    'wa.cashOnDelivery': 'Ssente ku kutuusa',
+    'wa.codNone': 'Tewali',
+    'wa.codCollect': 'Solooza {amount} okuva ku afuna; zisindike ku {phone}',
+    'wa.time': 'Essaawa y\'okusaba',
+    'wa.sentVia': 'Kisindikiddwa okuyita mu {app}',
+
+    // Account page
+    'account.pageTitle': 'Akawunti Yange | VDELIVER',
+    'account.title': 'Akawunti Yange',
+    'account.subtitle': 'Yingira n\'ennamba yo ey\'essimu okukuuma ebikukwatako n\'ebyafaayo bya order zo',
+    'account.signInTitle': 'Yingira',
+    'account.phone': 'Ennamba y\'Essimu (Uganda)',
+    'account.sendCode': 'Sindika koodi',
+    'account.resendCode': 'Sindika koodi empya',
+    'account.code': 'Koodi eyasindikiddwa ku SMS',
+    'account.codePlaceholder': 'Koodi ya nnamba 6',
+    'account.verify': 'Yingira',
+    'account.codeSent': 'Koodi esindikiddwa ku {phone}',
+    'account.sandboxCode': 'Sandbox: koodi esindikiddwa ku {phone} ye {code}',
+    'account.sendFailed': 'Tetusobodde kusindika koodi. Kebera ennamba ogezeeko nate.',
+    'account.verifyFailed': 'Tetusobodde kukebera koodi. Gezaako nate.',
+    'account.invalidPhone': 'Yingiza ennamba y\'essimu ya Uganda, okugeza 0772 123456',
+    'account.enterCode': 'Yingiza koodi gye tukusindikidde',
+    'account.requestNewCode': 'Koodi eyo tekyakola. Sindika koodi empya oyingire.',
+    'account.nameRequired': 'Wandiika erinnya lyo',
+    'account.invalidEmail': 'Wandiika email entuufu',
+    'otp.confirmed': 'Koodi ekakasiddwa',
+    'otp.wrongCode': 'Koodi nkyamu. Emirundi egisigaddeyo: {count}',
+    'otp.expired': 'Koodi eweddeko obudde. Sindika empya.',
+    'otp.tooManyTries': 'Koodi nkyamu nnyingi nnyo. Sindika empya.',
+    'pod.photoMissing': 'Kuba ekifaananyi ky\'ekintu w\'okitusizza',
+    'pod.photoUnreadable': 'Ekifaananyi tekisobose kusomebwa',
+    'pod.signatureMissing': 'Saba afuna assa omukono ku ssirini',
+    'pod.sendCodeFirst': 'Sooka osindikire afuna koodi',
+    'pod.codeMissing': 'Wandiika koodi afuna gye yafunye ku SMS',
+    'pod.sandboxCode': 'Sandbox: koodi eyasindikiddwa ku {phone} ye {code}',
+    'pod.codeSent': 'Koodi esindikiddwa ku {phone}. Saba afuna agisome.',
+    'pod.resendCode': 'Sindika koodi empya',
+    'pod.sendFailed': 'Koodi tesindikiddwa. Kebera omukutu ogezeeko nate.',
+    'pod.confirmed': 'Okutwala kukakasiddwa',
+    'pod.storageFull': 'Essimu ejjudde, ekifaananyi n\'omukono tebiterekeddwa. Ggyako ebimu, olwo okakase nate.',
+    'pod.confirmFailed': 'Okutwala tekukakasiddwa. Gezaako nate.',
+    'pod.summary': 'Kiweereddwa {time} · afuna akakasizza koodi ({phone})',
+    'account.profileTitle': 'Ebikukwatako',
+    'account.name': 'Amannya Gonna',
+    'account.email': 'Email',
+    'account.saveProfile': 'Tereka ebikukwatako',
+    'account.profileSaved': 'Ebikukwatako biterekeddwa',
+    'account.signedInAs': 'Oyingidde nga {phone}',
+    'account.signOut': 'Fuluma',
+    'account.bookDelivery': 'Saba okutwalirwa',
+    'account.historyTitle': 'Ebyafaayo bya order',
+    'account.noOrders': 'Tonnaba kuba na order. Okusaba kw\'osindika ng\'oyingidde kulabikira wano.',
+    'account.loadFailed': 'Tetusobodde kufuna akawunti yo. Kebera omukutu ogezeeko nate.',
+    'account.rebook': 'Ddamu osabe',
+    'account.trackOrder': 'Goberera',
+    'account.stops': 'Ebifo {count}',
+    'account.signInPrompt': 'Yingira ebikukwatako bijjuzibwe era okuume ebyafaayo bya order zo',
+    'status.received': 'Okusaba kufunye',
+    'status.rider_assigned': 'Omuvuzi alondeddwa',
+    'status.picked_up': 'Kinonyeddwa',
+    'status.in_transit': 'Kiri mu kkubo',
+    'status.delivered': 'Kituusiddwa',
+    'map.dropoff': 'Okutuusa',
+    'map.dropoffNumber': 'Okutuusa {number}',
+    'map.rider': 'Omuvuzi',
+    'live.waiting': 'Tulindiridde omuvuzi okugabana ekifo kye…',
+    'live.needsKey': 'Ggulawo link y\'okugoberera gye wafuna ng\'osaba olabe omuvuzi ku maapu',
+    'live.arrivingNow': 'Omuvuzi atuuka kati (km {km} zisigaddeyo)',
+    'live.eta': 'Asigazza eddakiika nga {minutes} — atuuka ku ssaawa {time} (km {km} zisigaddeyo)',
+    'live.lastUpdate': 'Ekisembayo {time}',
+    'live.startSharing': 'Gabana ekifo kyo kati',
+    'live.stopSharing': 'Lekera awo okugabana ekifo',
+    'live.notSharing': 'Ekifo tekigabanibwa',
+    'live.sharingStopped': 'Okugabana ekifo kukomye',
+    'live.riderLinkNoKey': 'Link eno tesobola kugabana kifo. Saba dispatcher akuwe link y\'omuvuzi.',
+    'live.noGeolocation': 'Essimu eno tesobola kugabana kifo kyayo',
+    'live.finding': 'Tunoonya ekifo kyo…',
+    'live.sharing': 'Kigabanibwa · ekisembayo {time} (±{accuracy} m)',
+    'live.permissionDenied': 'Olukusa lw\'ekifo lugaaniddwa. Lukkirize mu settings za browser okugabana.',
+    'live.unavailable': 'Ekifo tekifunise, tukyagezaako…',
+    'dispatch.minutesAgo': 'Eddakiika {count} emabega',
+    'dispatch.hoursAgo': 'Essaawa {count} emabega',
+    'dispatch.daysAgo': 'Ennaku {count} emabega',
+    'dispatch.noPickup': 'Okukimira tekuteereddwawo',
+    'dispatch.noDropoff': 'Okutuusa tekuteereddwawo',
+    'dispatch.distanceUnknown': 'obuwanvu tebumanyiddwa',
+    'dispatch.assignRider': 'Londa omuvuzi',
+    'dispatch.assignRiderOption': 'Londa omuvuzi…',
+    'dispatch.changeStatus': 'Kyusa embeera',
+    'dispatch.summary': 'Okusaba {shown} ku {total} kulagiddwa · {waiting} kulindiridde omuvuzi',
+    'dispatch.loadFailed': 'Okusaba tekusobose kuleetebwa. Ddamu otikke ogezeeko nate.',
+    'dispatch.riderAssigned': '{rider} aweereddwa {id}',
+    'dispatch.statusChanged': '{id}: {status}',
+    'dispatch.noticesFailed': 'abafuna {failed} ku {total} tebaweereddwa bubaka',
+    'dispatch.noticesSent': 'abafuna bategeezeddwa nti omuvuzi ali mu kkubo',
+    'dispatch.updateFailed': '{id} tesobose kukyusibwa: {error}',
+    'track.pageTitle': 'Goberera Okutwala | VDELIVER',
+    'track.title': 'Goberera Ekintu Kyo',
+    'track.subtitle': 'Wandiika ID y\'okusaba eri mu bubaka obukakasa',
+    'track.requestId': 'ID y\'okusaba',
+    'track.placeholder': 'okugeza VD-7K3Q9M',
+    'track.button': 'Goberera',
+    'track.request': 'Okusaba',
+    'track.liveTitle': 'Omuvuzi w\'ali kati',
+    'track.proofTitle': 'Obukakafu bw\'okutuusa',
+    'track.proofPhotoAlt': 'Ekifaananyi ky\'ekintu ekituusiddwa',
+    'track.proofPhotoCaption': 'Ekintu w\'okitusizza',
+    'track.proofSignature': 'Omukono gw\'afuna',
+    'track.notFound': 'Okusaba okwo tetukuzudde. Kebera ID ogezeeko nate, oba tukubire ku WhatsApp.',
+
+    // Bulk import
+    'bulk.title': 'Yingiza ebiragiro okuva mu fayiro ya CSV oba Excel',
+    'bulk.hint': 'Olunyiriri lumu ku buli afuna. Sooka ojjuze omusindikizi, w\'okunona, obudde bw\'okunona n\'okusasula ku foomu wammanga: buli kiragiro kibikozesa, era ssente zibalibwa okuva w\'okunona.',
+    'bulk.file': 'Fayiro y\'ebiragiro (.csv oba .xlsx)',
+    'bulk.template': 'Wanula ekifaananyi',
+    'bulk.colLine': 'Olunyiriri',
+    'bulk.colRecipient': 'Afuna',
+    'bulk.colPhone': 'Essimu',
+    'bulk.colAddress': 'Endagiriro',
+    'bulk.colLandmark': 'Akabonero',
+    'bulk.colLocation': 'Ekifo',
+    'bulk.colPackage': 'Ekintu',
+    'bulk.colWeight': 'Obuzito (kg)',
+    'bulk.colSize': 'Obunene',
+    'bulk.colVehicle': 'Ekidduka',
+    'bulk.colCod': 'COD (UGX)',
+    'bulk.colEstimate': 'Omuwendo oguteeberezeddwa',
+    'bulk.colStatus': 'Embeera',
+    'bulk.cellLabel': '{column}, olunyiriri {line}',
+    'bulk.noSize': 'Tekiteereddwa',
+    'bulk.anyVehicle': 'Ekidduka kyonna',
+    'bulk.statusPending': 'Kikeberwa...',
+    'bulk.statusReady': 'Kyetegese',
+    'bulk.statusSent': 'Kisindikiddwa nga {id}',
+    'bulk.summary': 'Ennyiriri {total}: {ready} zeetegese, {errors} za kutereeza',
+    'bulk.summarySent': '{count} zisindikiddwa',
+    'bulk.estimate': 'omugatte oguteeberezeddwa {cost}',
+    'bulk.checkAgain': 'Kebera nate',
+    'bulk.loadJob': 'Teeka nga omulimu gumu ogw\'ebifo ebingi',
+    'bulk.send': 'Sindika ebiragiro {count} kinnakimu',
+    'bulk.reading': 'Esoma {name}...',
+    'bulk.readFailed': 'Tetusobodde kusoma {name}. Gitereke nga .csv oba .xlsx ogezeeko nate.',
+    'bulk.checking': 'Ekebera olunyiriri {number} ku {total}...',
+    'bulk.lookupFailed': 'Olunyiriri luno terusobose kunoonyezebwa. Gezaako nate, oba teeka lat,lng oba plus code mu kkolaamu ya Ekifo.',
+    'bulk.noPickup': 'Teeka ekifo eky\'okunona ku foomu okubala ssente, olwo okebere nate.',
+    'bulk.rowError': 'Olunyiriri {line}: {message}',
+    'bulk.nothingReady': 'Tewali lunyiriri lwetegese. Sooka otereeze ennyiriri ezirambiddwa mu kimyufu.',
+    'bulk.sending': 'Esindika ekiragiro {number} ku {total}...',
+    'bulk.sent': 'Ebiragiro {count} bisindikiddwa. Goberera buli kimu ng\'oyita ku link yaakyo mu kipande.',
+    'bulk.sendFailed': 'Okusindika kuyimiridde. Ennyiriri ezitannaba kusindikibwa osobola okuzisindika nate.',
+    'bulk.jobLoaded': 'Ebifo {count} biteereddwa ku foomu. Ebala ekkubo...',
+    'bulk.codDropped': 'Ssente za COD za buli kiragiro kyokka, tezitwaliddwa mu mulimu ogw\'ebifo ebingi.',
+    'bulk.fileEmpty': 'Fayiro temuli kintu',
+    'bulk.missingColumns': 'Kkolaamu ezibulamu: {columns}. Wanula template olabe engeri gye zirina okuba.',
+    'bulk.noOrders': 'Fayiro erina emitwe naye temuli order',
+    'bulk.tooManyRows': 'Order ezisinga ku fayiro emu ziri {max}; eno erina {count}',
+    'bulk.recipientMissing': 'Erinnya ly\'afuna teririmu',
+    'bulk.phoneMissing': 'Essimu y\'afuna terimu',
+    'bulk.addressMissing': 'Endagiriro terimu',
+    'bulk.landmarkMissing': 'Akabonero tekaliimu',
+    'bulk.unknownVehicle': 'Ekidduka "{vehicle}" tekimanyiddwa',
+    'bulk.unknownSize': 'Obunene "{size}" tebumanyiddwa (kozesa {sizes})',
+    'bulk.codNotNumber': 'Ssente ez\'okusolooza "{amount}" si namba',
+    'bulk.badLocation': 'Ekifo "{location}" tekisomeddwa — kozesa lat,lng oba plus code',
+    'bulk.addressNotFound': 'Endagiriro tezuuliddwa — yongerako ekifo (lat,lng oba plus code)',
+    'bulk.noRoute': 'Ekkubo erigenda ku ndagiriro eno terisobose kubalibwa',
+    'bulk.senderMobileMoney': 'Order ez\'enjawulo tezisobola buli emu okukusasuza ku {method}. Londa ssente enkalu, oba leka abafuna basasule, okuzisindika omulundi gumu.',
+
+    // Recipient notices and confirmation page
+    'notice.created': 'VDELIVER: {sender} akusindikidde ekintu ({id}).',
+    'notice.onTheWay': 'VDELIVER: ekintu kyo {id} okuva eri {sender} kiri mu kkubo.',
+    'notice.arrived': 'VDELIVER: omuvuzi alina ekintu kyo {id} atuuse ku {place}.',
+    'notice.link': 'Kakasa w\'oli, tereeza ekifo oba londa obudde obulala: {link}',
+    'notice.answerConfirmed': 'Ekifo {stop}: ekifo kikakasiddwa',
+    'notice.answerMoved': 'Ekifo {stop}: akabonero kajjululwa ({landmark})',
+    'notice.answerRescheduled': 'Ekifo {stop}: kitwalibwe {date} ku {time}',
+    'notice.logSent': 'Obubaka bugenze eri {phone}',
+    'notice.logSandbox': 'Obubaka obw\'okugezesa eri {phone}: {text}',
+    'confirm.pageTitle': 'Ekintu Kyo | VDELIVER',
+    'confirm.title': 'Ekintu kyo',
+    'confirm.subtitle': 'Kebera omuvuzi w\'anaaleeta ekintu kyo, oba londa obudde obulala',
+    'confirm.loading': 'Tukima ebikwata ku kintu kyo…',
+    'confirm.loadFailed': 'Tetusobodde kukima bikwata ku kintu kyo. Kebera intaneti oddemu okuggulawo omuko.',
+    'confirm.invalidLink': 'Link eno tekola. Kozesa link eri mu bubaka obusembayo.',
+    'confirm.from': 'Ekintu okuva eri {sender}',
+    'confirm.requestId': 'Nnamba y\'okusaba',
+    'confirm.address': 'Endagiriro y\'okutuusaako',
+    'confirm.landmark': 'Akabonero',
+    'confirm.when': 'Obudde bw\'okutuusa',
+    'confirm.whenDispatcher': 'Nga bwe mwakkaanya n\'omusindisi',
+    'confirm.delivered': 'Ekintu kino kituusiddwa.',
+    'confirm.pinTitle': 'Kino kye kifo ekituufu?',
+    'confirm.pinHint': 'Walula akabonero oba nyiga ku maapu omuvuzi w\'alina okuyimirira.',
+    'confirm.confirmLocation': 'Ye, kino kye kifo',
+    'confirm.useMyLocation': 'Kozesa w\'endi',
+    'confirm.locating': 'Tunoonya w\'oli…',
+    'confirm.pinMoved': 'Akabonero kajjuziddwa. Wandiika akabonero ak\'okumpi okitereke.',
+    'confirm.newLandmark': 'Akabonero okumpi n\'ekifo ekipya *',
+    'confirm.landmarkPlaceholder': 'okugeza: Geeti eya bbululu emitala wa Shell Kisementi',
+    'confirm.savePin': 'Tereka ekifo ekipya',
+    'confirm.confirmed': 'Weebale — omuvuzi ajja kujja mu kifo kino.',
+    'confirm.pinSaved': 'Weebale — omuvuzi ajja kujja mu kifo ekipya.',
+    'confirm.saveFailed': 'Tetusobodde kutereka. Kebera intaneti oddemu ogezeeko.',
+    'confirm.pinRequired': 'Sooka otwale akabonero w\'olina okutuusibwa',
+    'confirm.landmarkRequired': 'Wandiika akabonero okumpi n\'ekifo ekipya',
+    'confirm.rescheduleTitle': 'Tolibeera waka? Londa obudde obulala',
+    'confirm.date': 'Olunaku',
+    'confirm.time': 'Essaawa',
+    'confirm.chooseDate': 'Sooka olonde olunaku',
+    'confirm.noSlots': 'Tewali budde bwa kutuusa bwe busigaddeyo ku lunaku luno',
+    'confirm.reschedule': 'Kyusa obudde',
+    'confirm.rescheduled': 'Weebale — tujja kukituusa ku {when}.',
+    'confirm.timeRequired': 'Londa olunaku n\'essaawa',
+    'confirm.datePast': 'Olunaku olwo lwayita dda',
+    'confirm.dateTooFar': 'Okutuusa kuyinza okukyusibwa okutuuka ku nnaku {days} zokka',
+    'confirm.slotUnavailable': 'Obudde obwo tebukyaliwo. Londa obudde obw\'oluvannyuma',
+    'confirm.unknownAnswer': 'Eky\'okuddamu tekimanyiddwa: {action}',
+
+    // Contact page
+    'contact.pageTitle': 'Tukwatagane | VDELIVER',
+    'contact.title': 'Tukwatagane',
+    'contact.subtitle': 'Tuukirira ttiimu yaffe ku kibuuzo kyonna oba obuyambi',
+    'contact.phone': 'Essimu',
+    'contact.callNow': 'Kuba Kati',
+    'contact.email': 'Email',
+    'contact.sendEmail': 'Sindika Email',
+    'contact.messageUs': 'Tuweereze Obubaka',
+    'contact.hours': 'Essaawa z\'Okukola',
+    'contact.hoursValue': 'Bbalaza–Lwakutaano 07:00–23:00, Lwamukaaga 08:00–23:00, Ssande 09:00–22:00 (essaawa z\'e Kampala)',
+    'contact.hoursNote': 'Okukima okutandika ku 21:00 kwongerwako ssente ez\'ekiro',
+    'contact.fullName': 'Amannya Gonna',
+    'contact.emailAddress': 'Email',
+    'contact.phoneNumber': 'Essimu',
+    'contact.subject': 'Omulamwa',
+    'contact.message': 'Obubaka',
+    'contact.send': 'Sindika Obubaka',
+    'contact.faqTitle': 'Ebibuuzo Ebitera Okubuuzibwa',
+    'contact.faqSubtitle': 'Eby\'okuddamu eby\'amangu',
+    'contact.faqAreasQ': 'Bitundu ki mu Uganda bye mutuusaamu?',
+    'contact.faqAreasA': 'Kaakati tutwala mu Kampala ennene (Kampala, Wakiso, Mukono ne Entebbe) ne mu Jinja, gye tutwala ne mmotoka oba loole entono zokka. Mbarara tugenda kugitandikamu mangu, ate Gulu tugiyimiriddeko nga tuteekawo ofiisi eyaayo.',
+    'contact.faqSpeedQ': 'Ekintu kyange mukituusa mangu kwenkana wa?',
+    'contact.faqSpeedA': 'Mu kitundu ky\'ekibuga kye kimu, tutera okutuusa mu ddakiika wansi wa 60. Obudde buyinza okukyuka okusinziira ku bbanga, akalippagano n\'ekintu kyennyini.',
+    'contact.faqRatesQ': 'Ssente z\'okutwala ziri mmeka?',
+    'contact.faqRatesA': 'Ebbeeyi yaffe etandikira ku UGX 3,000 n\'ebisale okusinziira ku bbanga. Pikipiki etandikira ku UGX 1,500 buli km ate mmotoka ku UGX 4,000 buli km, era olugendo oluwanvu lukendeera. Waliwo ebbeeyi entono ennyo, ebbeeyi z\'ebitundu n\'ebyongerwako eby\'ekiro n\'eby\'wiikendi, era buli bbeeyi ekulaga buli kisale.',
+    'contact.faqSameDayQ': 'Mutuusa ku lunaku lwe lumu?',
+    'contact.faqSameDayA': 'Yee! Tukuguse mu kutuusa ku lunaku lwe lumu n\'okutuusa amangu. Ebisinga mu bibuga bituuka mu ssaawa ntono oluvannyuma lw\'okusaba.',
+    'contact.waTitle': 'OKUSABA OKUKWATAGANA',
+    'contact.waPersonal': 'Ebikukwatako',
+    'contact.waMessageDetails': 'Ebikwata ku Bubaka',
+    'contact.waSentVia': 'Kisindikiddwa okuyita mu foomu ya VDELIVER',
+    'contact.thanks': 'Weebale ku bubaka bwo! Tukuggulidde WhatsApp osobole okusindika ekibuuzo kyo butereevu eri ttiimu yaffe.'
+});
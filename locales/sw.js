@@ -0,0 +1,654 @@
+// Swahili messages; keys missing here fall back to English
+import { registerMessages } from '../i18n.js';
+
+registerMessages('sw', {
+    'page.title': 'VDELIVER | Usafirishaji wa Vifurushi (Uganda pekee)',
+    'language.label': 'Lugha',
+
+    // Navigation and footer
+    'nav.home': 'Nyumbani',
+    'nav.request': 'Omba Usafirishaji',
+    'nav.track': 'Fuatilia Oda',
+    'nav.contact': 'Wasiliana Nasi',
+    'nav.account': 'Akaunti Yangu',
+    'footer.tagline': 'Usafirishaji wa haraka na wa kuaminika kote Uganda.',
+
+    // Booking form
+    'form.title': 'Ombi la Kusafirisha Kifurushi',
+    'form.subtitle': 'Usafirishaji sahihi ndani ya Uganda pekee',
+    'outbox.title': 'Maombi yanayosubiri kutumwa',
+    'outbox.pendingTitle': 'Ombi limehifadhiwa — linatumwa…',
+    'outbox.pendingText': 'Ombi lako limehifadhiwa kwenye kifaa hiki na litatumwa lenyewe, hata ukiwa nje ya mtandao. Acha ukurasa huu au programu wazi hadi ionyeshe kuwa limetumwa.',
+    'outbox.sentTitle': 'Ombi limepokelewa',
+    'outbox.sentText': 'Asante — ombi lako la usafirishaji limepokelewa. Msimamizi atawasiliana nawe hivi karibuni.',
+    'outbox.failedTitle': 'Ombi halijatumwa',
+    'outbox.failedText': 'Hatukuweza kufikia seva zetu baada ya majaribio kadhaa. Jaribu tena sasa, au tuma ombi kupitia WhatsApp.',
+    'outbox.pending': 'Linasubiri',
+    'outbox.sent': 'Limetumwa',
+    'outbox.failed': 'Imeshindikana',
+    'outbox.waitingForConnection': '{status} — inasubiri mtandao',
+    'outbox.retrying': '{status} — inajaribu tena (jaribio la {attempt})',
+    'outbox.retry': 'Jaribu tena',
+    'repeat.lastOrder': 'Oda ya mwisho:',
+    'repeat.button': 'Rudia oda ya mwisho',
+    'section.sender': 'Taarifa za Mtumaji',
+    'section.location': 'Maeneo',
+    'section.pickup': 'Mahali pa Kuchukua',
+    'section.delivery': 'Mahali pa Kufikisha',
+    'section.route': 'Taarifa za Njia',
+    'section.pickupTime': 'Muda wa Kuchukua',
+    'section.specs': 'Maelezo ya Usafirishaji',
+    'section.payment': 'Malipo',
+    'field.fullName': 'Jina Kamili *',
+    'field.phone': 'Namba ya Simu * (ya Uganda)',
+    'field.email': 'Barua Pepe *',
+    'field.address': 'Anwani *',
+    'field.landmark': 'Alama ya Eneo *',
+    'field.recipientName': 'Jina la Mpokeaji *',
+    'field.recipientPhone': 'Simu ya Mpokeaji * (ya Uganda)',
+    'field.deliveryAddress': 'Anwani ya Kufikisha *',
+    'field.pickupDate': 'Tarehe ya Kuchukua *',
+    'field.pickupWindow': 'Muda wa Kuchukua *',
+    'field.repeat': 'Rudia',
+    'field.repeatUntil': 'Rudia Hadi *',
+    'field.vehicle': 'Aina ya Usafiri *',
+    'field.weight': 'Uzito Jumla (kg) *',
+    'field.size': 'Ukubwa *',
+    'field.dimensions': 'Vipimo (cm, si lazima)',
+    'field.quantity': 'Idadi ya Vitu',
+    'field.declaredValue': 'Thamani Iliyotajwa (UGX)',
+    'field.packageDetails': 'Maelezo ya Kifurushi *',
+    'field.instructions': 'Maagizo Maalum',
+    'field.paymentMethod': 'Njia ya Malipo *',
+    'field.mobileMoney': 'Namba ya Pesa kwa Simu *',
+    'field.codEnabled': 'Msafirishaji anikusanyie pesa wakati wa kufikisha',
+    'field.codAmount': 'Kiasi cha Kukusanya (UGX) *',
+    'field.codPayout': 'Tuma Pesa Zilizokusanywa Kwa (pesa kwa simu) *',
+    'field.emergency': 'Mawasiliano ya Dharura',
+    'field.callRecipient': 'Mpigie mpokeaji ukifika',
+    'field.recipientNotify': 'Mtumie mpokeaji ujumbe',
+    'field.notifySms': 'Kwa SMS',
+    'field.notifyWhatsapp': 'Kwa WhatsApp',
+    'field.notifyNone': 'Usimtumie ujumbe',
+    'field.recipientNotifyHint': 'Ikiwekwa, mpandaji akiwa njiani na akifika, pamoja na kiungo cha kuthibitisha mahali au kuchagua muda mwingine',
+    'field.terms': 'Ninakubali masharti ya huduma na sera ya faragha *',
+    'placeholder.pickupAddress': 'Weka anwani ya kuchukua',
+    'placeholder.deliveryAddress': 'Weka anwani ya kufikisha',
+    'placeholder.landmark': 'Alama au plus code, k.m. mkabala na Shell Ntinda',
+    'placeholder.weight': 'k.m. 2.5',
+    'placeholder.optional': 'Si lazima',
+    'placeholder.packageDetails': 'Eleza yaliyomo, vipimo, na mahitaji maalum ya kushughulikia',
+    'placeholder.instructions': 'Muda unaopendelea, namba za kuingia, au maelezo ya kushughulikia',
+    'placeholder.mapSearch': 'Tafuta maeneo nchini Uganda...',
+    'placeholder.clickMap': 'Bofya kwenye ramani',
+    'placeholder.addressAppears': 'Anwani itaonekana hapa',
+    'option.selectVehicle': 'Chagua aina ya usafiri',
+    'option.selectSize': 'Chagua ukubwa wa kifurushi',
+    'option.noRepeat': 'Hairudiwi',
+    'option.daily': 'Kila siku',
+    'option.weekly': 'Kila wiki siku ulizochagua',
+    'schedule.asap': 'Haraka iwezekanavyo',
+    'schedule.today': 'Baadaye leo',
+    'schedule.date': 'Siku nyingine',
+    'schedule.scheduled': 'Imepangwa',
+    'schedule.window': '{mode}: {date}, {start}–{end} (saa za Kampala)',
+    'schedule.oneOff': 'Mara moja',
+    'schedule.daily': 'Kila siku',
+    'schedule.weeklyOn': 'Kila wiki siku za {days}',
+    'schedule.repeatUntil': '{days} hadi {date} (mara {count} za kuchukua)',
+    'schedule.closedNow': 'Tumefunga kwa sasa (leo {open}–{close}). Tafadhali panga kuchukua kwa muda wa baadaye',
+    'schedule.chooseDateTime': 'Tafadhali chagua tarehe na muda wa kuchukua',
+    'schedule.datePast': 'Tarehe ya kuchukua imeshapita',
+    'schedule.tooFarAhead': 'Kuchukua kunaweza kupangwa hadi siku {days} mbele tu',
+    'schedule.outsideHours': 'Kuchukua siku ya {day} lazima kuwe kati ya {open} na {close}',
+    'schedule.slotGone': 'Muda huo wa kuchukua haupatikani tena. Tafadhali chagua muda wa baadaye',
+    'schedule.chooseWeekday': 'Chagua angalau siku moja ya wiki kwa kuchukua kila wiki',
+    'schedule.chooseEndDate': 'Tafadhali chagua tarehe ya mwisho ya kuchukua kunakorudiwa',
+    'schedule.endBeforeStart': 'Tarehe ya mwisho lazima iwe baada ya kuchukua kwa kwanza',
+    'schedule.tooLong': 'Kuchukua kunakorudiwa hakuwezi kuzidi siku {days}',
+    'schedule.noRepeats': 'Hakuna kuchukua kunakorudiwa ndani ya saa za kazi kabla ya tarehe ya mwisho',
+    'schedule.noSlots': 'Hakuna nafasi zilizobaki siku hii',
+    'schedule.chooseDateFirst': 'Chagua tarehe kwanza',
+    'schedule.asapSummary': 'Mwendeshaji atatumwa mara tu ombi lako litakapothibitishwa.',
+    'schedule.operatingHours': 'Saa za kazi (saa za Kampala): {hours}',
+    'weekday.Mon': 'Jtt',
+    'weekday.Tue': 'Jnn',
+    'weekday.Wed': 'Jtn',
+    'weekday.Thu': 'Alh',
+    'weekday.Fri': 'Ijm',
+    'weekday.Sat': 'Jms',
+    'weekday.Sun': 'Jpl',
+    'flag.fragile': 'Kinavunjika',
+    'flag.perishable': 'Kinaharibika',
+    'flag.documents': 'Nyaraka',
+    'payer.sender': 'Mtumaji analipa',
+    'payer.recipient': 'Mpokeaji analipa',
+    'size.small': 'Kidogo',
+    'size.medium': 'Cha kati',
+    'size.large': 'Kikubwa',
+    'size.bulky': 'Kikubwa sana',
+    'size.smallHint': 'kinatosha kwenye begi la mgongoni',
+    'size.mediumHint': 'kinatosha kwenye sanduku la mwendeshaji',
+    'size.largeHint': 'kinahitaji buti ya gari',
+    'size.bulkyHint': 'kinajaza kiti cha nyuma',
+    'paymentMethod.cash': 'Taslimu',
+    'paymentMethod.mtn_momo': 'MTN MoMo',
+    'paymentMethod.airtel_money': 'Airtel Money',
+    'vehicle.bicycle': 'Baiskeli',
+    'vehicle.motorcycle': 'Pikipiki',
+    'vehicle.tuk_tuk': 'Bajaji',
+    'vehicle.car': 'Gari',
+    'vehicle.van': 'Gari la mizigo / pikapu',
+    'vehicle.tooFar': '{vehicle}: km {distance} ni mbali mno (isizidi km {max})',
+    'vehicleHint.bicycle': 'Vifurushi vidogo karibu',
+    'vehicleHint.motorcycle': 'Usafirishaji wa haraka',
+    'vehicleHint.tuk_tuk': 'Mizigo mikubwa mjini',
+    'vehicleHint.car': 'Usafiri salama',
+    'vehicleHint.van': 'Samani na mizigo mingi',
+    'button.selectFromMap': 'Chagua kwenye Ramani',
+    'button.useMyLocation': 'Tumia Mahali Nilipo',
+    'button.locating': 'Inatafuta...',
+    'button.savePlace': 'Hifadhi mahali',
+    'button.removePlace': 'Ondoa mahali palipochaguliwa',
+    'button.addStop': 'Ongeza Kituo Kingine',
+    'button.copyBookingLink': 'Nakili kiungo cha kuagiza',
+    'button.calculateRoute': 'Piga Hesabu ya Njia',
+    'button.clearRoute': 'Futa Njia',
+    'button.riderView': 'Mwonekano wa Msafirishaji / Chapisha',
+    'button.submit': 'Tuma Ombi la Usafirishaji',
+    'button.sending': 'Inatuma...',
+    'button.track': 'Fuatilia Ombi',
+    'button.whatsapp': 'Tuma kwa WhatsApp',
+    'button.newRequest': 'Tengeneza Ombi Jipya',
+    'button.search': 'Tafuta',
+    'button.resetKampala': 'Rudi Kampala',
+    'button.selectLocation': 'Chagua Mahali Hapa',
+    'button.cancel': 'Ghairi',
+    'button.close': 'Funga',
+    'button.pinCentre': 'Weka alama katikati ya ramani',
+    'bookingLink.intro': 'Maduka: shirikisheni kiungo kinachofungua fomu hii ikiwa na mahali penu na kifurushi tayari vimejazwa.',
+    'bookingLink.label': 'Kiungo cha kuagiza',
+    'bookingLink.pickupRefused': 'Mahali pa kuchukua kwenye kiungo: {reason}',
+    'bookingLink.deliveryRefused': 'Mahali pa kufikisha kwenye kiungo: {reason}',
+    'bookingLink.ignored': 'Baadhi ya maelezo ya kiungo hayakuweza kutumika: {fields}',
+    'route.distance': 'Umbali',
+    'route.duration': 'Muda',
+    'route.cost': 'Gharama Inayokadiriwa (UGX)',
+    'route.directions': 'Maelekezo hatua kwa hatua',
+    'route.estimateNote': '{provider} — huduma za njia hazipatikani, umbali na muda ni makadirio',
+    'route.by': 'Njia kutoka {provider}',
+    'price.base': 'Ada ya msingi',
+    'price.distance': 'Umbali (km {km})',
+    'price.stops': 'Vituo vya ziada ({count} x {fee})',
+    'price.weight': 'Nyongeza ya uzito (kg {extra} zaidi ya kg {included})',
+    'price.size': 'Nyongeza ya ukubwa ({size})',
+    'price.zone': 'Eneo la {zone} (x{multiplier})',
+    'price.night': 'Nyongeza ya usiku',
+    'price.weekend': 'Nyongeza ya wikendi',
+    'price.minimum': 'Nyongeza hadi nauli ya chini',
+    'price.rounding': 'Kukadiria',
+    'price.total': 'Jumla',
+    'zone.central': 'Kampala ya Kati',
+    'zone.greater-kampala': 'Kampala Kuu',
+    'zone.upcountry': 'Mikoani',
+    'stops.title': 'Kituo {number}',
+    'stops.remove': 'Ondoa',
+    'stops.pickup': 'Mahali pa kuchukua',
+    'stops.delivery': 'Mahali pa kufikisha',
+    'stops.legStop': 'Kituo {number} ({name})',
+    'stops.recipient': 'mpokeaji',
+    'stops.visitingOrder': 'Mpangilio wa safari unaopendekezwa',
+    'maneuver.depart': 'Anza safari',
+    'maneuver.straight': 'Endelea moja kwa moja',
+    'maneuver.left': 'Pinda kushoto',
+    'maneuver.right': 'Pinda kulia',
+    'maneuver.slight-left': 'Elekea kushoto kidogo',
+    'maneuver.slight-right': 'Elekea kulia kidogo',
+    'maneuver.sharp-left': 'Pinda kushoto kabisa',
+    'maneuver.sharp-right': 'Pinda kulia kabisa',
+    'maneuver.keep-left': 'Kaa kushoto',
+    'maneuver.keep-right': 'Kaa kulia',
+    'maneuver.roundabout': 'Zunguka kwenye mzunguko',
+    'maneuver.uturn': 'Geuka urudi nyuma',
+    'maneuver.via': 'Fika kituoni',
+    'maneuver.arrive': 'Fika unakoenda',
+    'maneuver.on': '{action} kwenye {street}',
+    'maneuver.onto': '{action} kuingia {street}',
+    'maneuver.headToDelivery': 'Elekea mahali pa kufikisha',
+    'maneuver.headToStop': 'Elekea kituo {number}',
+    'comparison.title': 'Linganisha magari',
+    'comparison.recommended': 'Inapendekezwa',
+    'comparison.eta': 'Muda wa kufika',
+    'comparison.minutes': 'dakika {minutes}',
+    'comparison.capacity': 'Hubeba',
+    'comparison.capacityValue': 'hadi kg {weight}, {size}',
+    'comparison.choose': 'Chagua',
+    'comparison.chosen': 'Imechaguliwa',
+    'comparison.noneFits': 'Hakuna gari letu linaloweza kubeba kifurushi hiki kwa safari hii. Tafadhali wasiliana nasi kwa bei maalum.',
+    'success.requestId': 'Namba ya ombi lako:',
+    'success.download': 'Pakua oda hii:',
+    'success.noticeSandbox': 'Sandbox — ujumbe kwa {phone}: "{text}"',
+    'success.noticeSent': 'Tumemtumia mpokeaji ({phone}) kiungo cha kuthibitisha mahali pa kufikisha.',
+    'success.noticeFailed': 'Hatukuweza kumtumia mpokeaji ({phone}) ujumbe. Msambazaji atampigia simu.',
+
+    // Map picker
+    'mapPicker.title': 'Chagua Mahali - VDELIVER',
+    'mapPicker.pickupTitle': 'Chagua Mahali pa Kuchukua - VDELIVER',
+    'mapPicker.deliveryTitle': 'Chagua Mahali pa Kufikisha - VDELIVER',
+    'mapPicker.loading': 'Ramani inapakia...',
+    'mapPicker.howTo': 'Jinsi ya kuchagua mahali:',
+    'mapPicker.steps': '1. Tafuta mahali au bofya moja kwa moja kwenye ramani\n2. Tumia "Mahali Nilipo" kupata ulipo sasa\n3. Kagua viwianishi na anwani\n4. Bofya "Chagua Mahali Hapa" kuthibitisha',
+    'mapPicker.pickupHeading': 'Chagua Mahali pa Kuchukua:',
+    'mapPicker.pickupSteps': '1. Tafuta mahali pa kuchukua au bofya kwenye ramani\n2. Tumia "Mahali Nilipo" kupata ulipo sasa\n3. Kagua viwianishi na anwani\n4. Bofya "Chagua Mahali Hapa" kuthibitisha mahali pa kuchukua',
+    'mapPicker.deliveryHeading': 'Chagua Mahali pa Kufikisha:',
+    'mapPicker.deliverySteps': '1. Tafuta mahali pa kufikisha au bofya kwenye ramani\n2. Tumia "Mahali Nilipo" kupata alipo mpokeaji\n3. Kagua viwianishi na anwani\n4. Bofya "Chagua Mahali Hapa" kuthibitisha mahali pa kufikisha',
+    'mapPicker.selected': 'Mahali Palipochaguliwa',
+    'mapPicker.latitude': 'Latitudo:',
+    'mapPicker.longitude': 'Longitudo:',
+    'mapPicker.address': 'Anwani:',
+    'mapPicker.mapLabel': 'Ramani. Vitufe vya mishale vinaisogeza, plus na minus vinakuza au kupunguza.',
+    'mapPicker.keyboardHint': 'Kibodi: sogeza ramani kwa vitufe vya mishale kisha uchague "Weka alama katikati ya ramani", au bonyeza Tab kufikia alama na uisogeze kwa mishale. Escape inafunga ramani.',
+    'mapPicker.pickupPin': 'Alama ya mahali pa kuchukua. Tumia vitufe vya mishale kuisogeza; shikilia Shift kuisogeza mbali zaidi.',
+    'mapPicker.deliveryPin': 'Alama ya mahali pa kufikisha. Tumia vitufe vya mishale kuisogeza; shikilia Shift kuisogeza mbali zaidi.',
+    'mapPicker.pinAt': 'Alama iko {address} ({lat}, {lng})',
+    'mapPicker.addressNotFound': 'Anwani haikupatikana',
+    'mapPicker.addressError': 'Hitilafu katika kupata anwani',
+
+    // Notifications and validation
+    'notify.notFound': 'Mahali hapajapatikana. Jaribu maneno mengine ya kutafuta.',
+    'notify.searchFailed': 'Utafutaji umeshindikana. Tafadhali jaribu tena.',
+    'notify.noGeolocation': 'Kivinjari chako hakiwezi kutambua mahali ulipo',
+    'notify.currentLocation': 'Mahali ulipo sasa: {reason}',
+    'notify.locationFound': 'Mahali pamepatikana',
+    'notify.locationError': 'Imeshindikana kupata mahali ulipo.',
+    'notify.allowLocation': 'Tafadhali ruhusu kivinjari kufikia mahali ulipo katika mipangilio.',
+    'notify.positionUnavailable': 'Taarifa za mahali hazipatikani.',
+    'notify.locationTimeout': 'Ombi la mahali limechukua muda mrefu mno.',
+    'notify.unknownError': 'Hitilafu isiyojulikana imetokea.',
+    'notify.selectOnMap': 'Tafadhali chagua mahali kwanza kwa kubofya kwenye ramani.',
+    'notify.pickupFromMap': 'Mahali pa kuchukua pamewekwa kutoka kwenye ramani',
+    'notify.stopFromMap': 'Kituo kimewekwa kutoka kwenye ramani',
+    'notify.deliveryFromMap': 'Mahali pa kufikisha pamewekwa kutoka kwenye ramani',
+    'notify.pickupFromDevice': 'Mahali pa kuchukua pamewekwa kutoka ulipo',
+    'notify.deliveryFromDevice': 'Mahali pa kufikisha pamewekwa kutoka ulipo',
+    'notify.setBothLocations': 'Tafadhali weka kwanza mahali pa kuchukua na pa kufikisha.',
+    'notify.selectStop': 'Tafadhali chagua mahali kwenye ramani kwa kituo {number}',
+    'notify.routeFailed': 'Imeshindikana kupiga hesabu ya njia. Tafadhali jaribu tena.',
+    'notify.routeEstimated': 'Njia ya makadirio imeonyeshwa (huduma za njia hazipatikani)',
+    'notify.routeCalculated': 'Njia imehesabiwa',
+    'notify.routeCleared': 'Njia imefutwa',
+    'notify.linkCopied': 'Kiungo kimenakiliwa!',
+    'notify.storageFull': 'Hifadhi ya kivinjari hiki imejaa, kwa hiyo oda haiwezi kufuatiliwa kutoka hapa. Imetumwa hata hivyo.',
+    'notify.trackingNotSaved': 'Haikuweza kuhifadhi oda kwa ufuatiliaji kwenye kivinjari hiki. Imetumwa hata hivyo.',
+    'notify.requiredFields': 'Tafadhali jaza sehemu zote zinazohitajika pamoja na alama za maeneo',
+    'notify.senderPhone': 'Simu ya mtumaji lazima iwe namba halali ya Uganda (k.m. +2567...)',
+    'notify.senderEmail': 'Barua pepe ya mtumaji lazima iwe sahihi (k.m. name@example.com)',
+    'notify.recipientPhone': 'Simu ya mpokeaji lazima iwe namba halali ya Uganda (k.m. +2567...)',
+    'notify.acceptTerms': 'Tafadhali kubali masharti ya huduma na sera ya faragha',
+    'notify.serviceAreasFailed': 'Imeshindikana kupakia maeneo tunayohudumia. Tafadhali pakia ukurasa upya.',
+    'notify.markerMovedBack': '{reason} Alama imerudishwa.',
+    'notify.rebooked': 'Oda {id} imerejeshwa — angalia maelezo na muda wa kuchukua kabla ya kutuma',
+    'notify.rebookNotFound': 'Oda {id} haipo kwenye historia yako ya oda',
+    'notify.orderRestored': 'Oda iliyopita imerejeshwa — angalia maelezo na muda wa kuchukua kabla ya kutuma',
+    'validation.stopIncomplete': 'Kituo {number}: tafadhali jaza mpokeaji, anwani na alama ya eneo',
+    'validation.stopPhone': 'Kituo {number}: simu ya mpokeaji lazima iwe namba halali ya Uganda (k.m. +2567...)',
+    'validation.stopLocation': 'Kituo {number}: tafadhali chagua mahali kwenye ramani',
+    'validation.packageWeight': 'Tafadhali weka uzito wa kifurushi',
+    'validation.packageSize': 'Tafadhali chagua ukubwa wa kifurushi',
+    'validation.declaredValue': 'Thamani iliyotajwa haiwezi kuwa hasi',
+    'validation.paymentMethod': 'Tafadhali chagua njia ya malipo',
+    'validation.mobileMoneyPhone': 'Namba ya pesa kwa simu lazima iwe namba halali ya Uganda (k.m. +2567...)',
+    'validation.wrongNetwork': '{phone} si namba ya {method}',
+    'validation.calculateFirst': 'Tafadhali hesabu njia kwanza ili tujue kiasi cha kutoza',
+    'validation.codAmount': 'Weka kiasi cha pesa ambacho mwendeshaji atakusanya wakati wa kufikisha',
+    'validation.codMinimum': 'Pesa wakati wa kufikisha zinaanzia {amount}',
+    'validation.codLimit': 'Pesa wakati wa kufikisha zisizidi {amount} kwa kila oda',
+    'validation.codPayoutPhone': 'Namba ya kupokea pesa zilizokusanywa lazima iwe namba halali ya Uganda (k.m. +2567...)',
+    'package.tooHeavy': 'kg {weight} ni nzito mno kwa {vehicle} (isizidi kg {max})',
+    'package.nearLimit': 'kg {weight} iko karibu na kikomo cha {vehicle} cha kg {max}',
+    'package.tooBig': 'Kifurushi ni kikubwa kuliko kiwango chetu kikubwa zaidi. Tafadhali wasiliana nasi upate bei maalum',
+    'package.doesNotFit': 'Vifurushi vya ukubwa "{size}" havitoshi kwenye {vehicle}',
+    'package.fragileOpen': 'Vitu vinavyovunjika husafirishwa ndani ya sanduku lenye kinga kwenye {vehicle}; chagua gari kwa vioo au vifaa vikubwa vya kielektroniki',
+    'package.perishableOpen': 'Mizigo mikubwa inayoharibika huhifadhiwa vizuri zaidi ndani ya gari',
+    'package.highValue': 'Vitu vyenye thamani zaidi ya {amount} huthibitishwa kwa simu kabla ya kuchukuliwa',
+    'package.suggestVehicle': 'Kifurushi hiki kinaweza kubebwa na {vehicle}.',
+    'package.sizeOption': '{size} — {hint} (hadi cm {dimensions})',
+    'serviceArea.loading': 'Bado tunapakia maeneo tunayohudumia — tafadhali jaribu tena baada ya muda mfupi.',
+    'serviceArea.outside': 'Bado hatuhudumii eneo hili. Kwa sasa tunafikisha katika {areas}.',
+    'serviceArea.closed': 'Bado hatuhudumii {area}: {reason}.',
+    'serviceArea.notAvailable': 'huduma ya kufikisha haipatikani hapa',
+    'serviceArea.onlyBy': 'katika {area} tunafikisha kwa {vehicles} tu',
+    'serviceArea.orList': '{items} au {last}',
+    'addressBook.choose': 'Chagua mahali palipohifadhiwa…',
+    'addressBook.empty': 'Bado hakuna mahali palipohifadhiwa',
+    'addressBook.setFirst': 'Weka anwani na mahali kwenye ramani kabla ya kuhifadhi mahali hapa',
+    'addressBook.namePrompt': 'Pa mahali hapa jina (k.m. "Duka – Kikuubo")',
+    'addressBook.pickupSet': 'Mahali pa kuchukua pamewekwa "{place}"',
+    'addressBook.deliverySet': 'Mahali pa kufikisha pamewekwa "{place}"',
+    'addressBook.confirmRemove': 'Ondoa "{place}" kwenye orodha yako ya anwani?',
+    'addressBook.saved': '"{place}" imehifadhiwa kwenye daftari lako la anwani',
+    'payment.recipientApproves': 'Mpokeaji ataidhinisha ombi la {method} kwenye {phone} mwendeshaji atakapofika.',
+    'payment.theirPhone': 'simu yake',
+    'payment.recipientCash': 'Mpokeaji atamlipa mwendeshaji pesa taslimu wakati wa kufikisha.',
+    'payment.senderApproves': 'Baada ya kutuma, idhinisha ombi la {method} kwenye {phone} ili kulipa ada ya usafirishaji.',
+    'payment.yourPhone': 'simu yako',
+    'payment.senderCash': 'Mlipe mwendeshaji pesa taslimu wakati wa kuchukua.',
+    'payment.requesting': 'Tunaomba {amount} kupitia {method}…',
+    'payment.startFailed': 'Imeshindikana kuanzisha malipo. Jaribu tena, au mlipe mwendeshaji pesa taslimu.',
+    'payment.dueFromRecipient': 'Ada ya usafirishaji italipwa na mpokeaji wakati wa kufikisha ({method})',
+    'payment.dueAtPickup': 'Ada ya usafirishaji inalipwa taslimu wakati wa kuchukua',
+    'geocoding.noMatches': 'Hakuna maeneo yanayolingana nchini Uganda',
+    'geocoding.areaUnavailable': 'Haipatikani: {area}',
+    'geocoding.outsideAreas': 'Nje ya maeneo tunayohudumia',
+    'geocoding.pickupSet': 'Mahali pa kuchukua pamewekwa',
+    'geocoding.deliverySet': 'Mahali pa kufikisha pamewekwa',
+    'geocoding.pressEnter': 'Bonyeza Enter kutafuta',
+    'geocoding.limited': 'Utafutaji wa anwani unajua maeneo machache ya Kampala tu kwa sasa. Chagua mahali kwenye ramani badala yake.',
+    'landmarks.noMatches': 'Hakuna alama iliyopatikana. Jaribu kituo cha magari, duka kubwa au soko, au plus code kama 8JHC+2V',
+    'landmarks.plusCode': 'Plus code',
+    'landmarks.viewOnMap': 'Tazama kwenye ramani',
+    'landmarks.pickupPinSet': 'Alama ya kuchukua imewekwa {place}',
+    'landmarks.deliveryPinSet': 'Alama ya kufikisha imewekwa {place}',
+    'landmarks.plusCodeLabel': 'Plus code {code}',
+    'landmarks.plusCodeNear': 'Plus code {code} (karibu na {place})',
+
+    // WhatsApp message
+    'wa.title': 'OMBI LA USAFIRISHAJI',
+    'wa.requestId': 'Namba ya ombi',
+    'wa.sender': 'Mtumaji',
+    'wa.name': 'Jina',
+    'wa.phone': 'Simu',
+    'wa.email': 'Barua pepe',
+    'wa.pickup': 'Kuchukua',
+    'wa.address': 'Anwani',
+    'wa.landmark': 'Alama ya eneo',
+    'wa.coordinates': 'Viwianishi',
+    'wa.plusCode': 'Plus code',
+    'wa.notSet': 'Haijawekwa',
+    'wa.recipient': 'Mpokeaji',
+    'wa.delivery': 'Kufikisha',
+    'wa.pickupTime': 'Muda wa Kuchukua',
+    'wa.repeat': 'Rudia',
+    'wa.allStops': 'Vituo vyote (kwa mpangilio wa safari)',
+    'wa.stop': 'Kituo {number}',
+    'wa.formStop': 'kituo {number} kwenye fomu',
+    'wa.legs': 'Sehemu za safari',
+    'wa.details': 'Maelezo',
+    'wa.vehicle': 'Usafiri',
+    'wa.package': 'Kifurushi',
+    'wa.weight': 'Uzito',
+    'wa.size': 'Ukubwa',
+    'wa.quantity': 'Idadi',
+    'wa.handling': 'Ushughulikiaji',
+    'wa.standard': 'Kawaida',
+    'wa.declaredValue': 'Thamani iliyotajwa',
+    'wa.notDeclared': 'Haijatajwa',
+    'wa.notProvided': 'Haijatolewa',
+    'wa.instructions': 'Maagizo',
+    'wa.emergency': 'Mawasiliano ya dharura',
+    'wa.callRecipient': 'Mpigie mpokeaji',
+    'wa.yes': 'Ndiyo',
+    'wa.no': 'Hapana',
+    'wa.route': 'Njia',
+    'wa.distance': 'Umbali',
+    'wa.duration': 'Muda',
+    'wa.source': 'Chanzo',
+    'wa.cost': 'Gharama inayokadiriwa',
+    'wa.directions': 'Maelekezo',
+    'wa.costBreakdown': 'Mchanganuo wa gharama',
+    'wa.notCalculated': 'Haijahesabiwa',
+    'wa.payment': 'Malipo',
+    'wa.notSpecified': 'Haijabainishwa',
+    'wa.cashOnDelivery': 'Pesa wakati wa kufikisha',
+    'wa.codNone': 'Hakuna',
+    'wa.codCollect': 'Kusanya {amount} kutoka kwa mpokeaji; lipa kwa {phone}',
+    'wa.time': 'Muda wa ombi',
+    'wa.sentVia': 'Imetumwa kupitia {app}',
+
+    // Account page
+    'account.pageTitle': 'Akaunti Yangu | VDELIVER',
+    'account.title': 'Akaunti Yangu',
+    'account.subtitle': 'Ingia kwa namba yako ya simu ili kuhifadhi taarifa zako na historia ya oda',
+    'account.signInTitle': 'Ingia',
+    'account.phone': 'Namba ya Simu (Uganda)',
+    'account.sendCode': 'Tuma msimbo',
+    'account.resendCode': 'Tuma msimbo mpya',
+    'account.code': 'Msimbo uliotumwa kwa SMS',
+    'account.codePlaceholder': 'Msimbo wa tarakimu 6',
+    'account.verify': 'Ingia',
+    'account.codeSent': 'Msimbo umetumwa kwa {phone}',
+    'account.sandboxCode': 'Sandbox: msimbo uliotumwa kwa {phone} ni {code}',
+    'account.sendFailed': 'Imeshindwa kutuma msimbo. Angalia namba na ujaribu tena.',
+    'account.verifyFailed': 'Imeshindwa kuthibitisha msimbo. Jaribu tena.',
+    'account.invalidPhone': 'Weka namba ya simu ya Uganda, mfano 0772 123456',
+    'account.enterCode': 'Weka msimbo tuliokutumia',
+    'account.requestNewCode': 'Msimbo huo hauwezi kutumika tena. Tuma msimbo mpya ili kuingia.',
+    'account.nameRequired': 'Tafadhali weka jina lako',
+    'account.invalidEmail': 'Tafadhali weka barua pepe sahihi',
+    'otp.confirmed': 'Msimbo umethibitishwa',
+    'otp.wrongCode': 'Msimbo si sahihi. Majaribio yaliyobaki: {count}',
+    'otp.expired': 'Msimbo umekwisha muda. Tuma mpya.',
+    'otp.tooManyTries': 'Misimbo mingi isiyo sahihi. Tuma mpya.',
+    'pod.photoMissing': 'Piga picha ya mzigo mahali pa kufikisha',
+    'pod.photoUnreadable': 'Picha haikuweza kusomeka',
+    'pod.signatureMissing': 'Mwombe mpokeaji asaini kwenye skrini',
+    'pod.sendCodeFirst': 'Mtumie mpokeaji msimbo kwanza',
+    'pod.codeMissing': 'Weka msimbo ambao mpokeaji alipokea kwa SMS',
+    'pod.sandboxCode': 'Sandbox: msimbo uliotumwa kwa {phone} ni {code}',
+    'pod.codeSent': 'Msimbo umetumwa kwa {phone}. Mwombe mpokeaji ausome.',
+    'pod.resendCode': 'Tuma msimbo mpya',
+    'pod.sendFailed': 'Msimbo haukuweza kutumwa. Angalia mtandao ujaribu tena.',
+    'pod.confirmed': 'Ufikishaji umethibitishwa',
+    'pod.storageFull': 'Hifadhi ya simu imejaa, kwa hivyo picha na saini hazikuhifadhiwa. Futa vitu kadhaa, kisha uthibitishe tena.',
+    'pod.confirmFailed': 'Ufikishaji haukuweza kuthibitishwa. Jaribu tena.',
+    'pod.summary': 'Imekabidhiwa {time} · msimbo umethibitishwa na mpokeaji ({phone})',
+    'account.profileTitle': 'Taarifa zako',
+    'account.name': 'Jina Kamili',
+    'account.email': 'Barua Pepe',
+    'account.saveProfile': 'Hifadhi taarifa',
+    'account.profileSaved': 'Taarifa zako zimehifadhiwa',
+    'account.signedInAs': 'Umeingia kama {phone}',
+    'account.signOut': 'Toka',
+    'account.bookDelivery': 'Agiza usafirishaji',
+    'account.historyTitle': 'Historia ya oda',
+    'account.noOrders': 'Bado hakuna oda. Maombi unayotuma ukiwa umeingia yataonekana hapa.',
+    'account.loadFailed': 'Imeshindwa kupakia akaunti yako. Angalia mtandao na ujaribu tena.',
+    'account.rebook': 'Agiza tena',
+    'account.trackOrder': 'Fuatilia',
+    'account.stops': 'Vituo {count}',
+    'account.signInPrompt': 'Ingia ili taarifa zako zijazwe na historia ya oda yako ihifadhiwe',
+    'status.received': 'Ombi limepokelewa',
+    'status.rider_assigned': 'Msafirishaji amepangwa',
+    'status.picked_up': 'Imechukuliwa',
+    'status.in_transit': 'Iko njiani',
+    'status.delivered': 'Imefikishwa',
+    'map.dropoff': 'Mahali pa kufikisha',
+    'map.dropoffNumber': 'Mahali pa kufikisha {number}',
+    'map.rider': 'Msafirishaji',
+    'live.waiting': 'Tunasubiri msafirishaji ashiriki mahali alipo…',
+    'live.needsKey': 'Fungua kiungo cha kufuatilia ulichopata wakati wa kuagiza ili kumwona msafirishaji kwenye ramani',
+    'live.arrivingNow': 'Msafirishaji anafika sasa (km {km} zimebaki)',
+    'live.eta': 'Takriban dakika {minutes} — atafika karibu {time} (km {km} zimebaki)',
+    'live.lastUpdate': 'Taarifa ya mwisho {time}',
+    'live.startSharing': 'Shiriki mahali ulipo moja kwa moja',
+    'live.stopSharing': 'Acha kushiriki mahali',
+    'live.notSharing': 'Mahali hapashirikiwi',
+    'live.sharingStopped': 'Kushiriki mahali kumesimamishwa',
+    'live.riderLinkNoKey': 'Kiungo hiki hakiwezi kushiriki mahali. Muombe msambazaji kiungo cha msafirishaji.',
+    'live.noGeolocation': 'Simu hii haiwezi kushiriki mahali ilipo',
+    'live.finding': 'Tunatafuta mahali ulipo…',
+    'live.sharing': 'Inashirikiwa · iliyotumwa mwisho {time} (±{accuracy} m)',
+    'live.permissionDenied': 'Ruhusa ya mahali imekataliwa. Iruhusu kwenye mipangilio ya kivinjari ili kushiriki.',
+    'live.unavailable': 'Mahali hapapatikani, bado tunajaribu…',
+    'dispatch.minutesAgo': 'Dakika {count} zilizopita',
+    'dispatch.hoursAgo': 'Saa {count} zilizopita',
+    'dispatch.daysAgo': 'Siku {count} zilizopita',
+    'dispatch.noPickup': 'Mahali pa kuchukua hapajawekwa',
+    'dispatch.noDropoff': 'Mahali pa kufikisha hapajawekwa',
+    'dispatch.distanceUnknown': 'umbali haujulikani',
+    'dispatch.assignRider': 'Mpangie msafirishaji',
+    'dispatch.assignRiderOption': 'Mpangie msafirishaji…',
+    'dispatch.changeStatus': 'Badilisha hali',
+    'dispatch.summary': 'Maombi {shown} kati ya {total} yanaonyeshwa · {waiting} yanasubiri msafirishaji',
+    'dispatch.loadFailed': 'Maombi hayakuweza kupakiwa. Onyesha upya ujaribu tena.',
+    'dispatch.riderAssigned': '{rider} amepangiwa {id}',
+    'dispatch.statusChanged': '{id}: {status}',
+    'dispatch.noticesFailed': 'haikuweza kutuma ujumbe kwa wapokeaji {failed} kati ya {total}',
+    'dispatch.noticesSent': 'wapokeaji wamearifiwa kuwa msafirishaji yuko njiani',
+    'dispatch.updateFailed': '{id} haikuweza kusasishwa: {error}',
+    'track.pageTitle': 'Fuatilia Ufikishaji | VDELIVER',
+    'track.title': 'Fuatilia Mzigo Wako',
+    'track.subtitle': 'Weka kitambulisho cha ombi kutoka kwenye uthibitisho wako',
+    'track.requestId': 'Kitambulisho cha ombi',
+    'track.placeholder': 'mf. VD-7K3Q9M',
+    'track.button': 'Fuatilia',
+    'track.request': 'Ombi',
+    'track.liveTitle': 'Mahali msafirishaji alipo sasa',
+    'track.proofTitle': 'Uthibitisho wa kufikisha',
+    'track.proofPhotoAlt': 'Picha ya mzigo uliofikishwa',
+    'track.proofPhotoCaption': 'Mzigo mahali pa kufikisha',
+    'track.proofSignature': 'Saini ya mpokeaji',
+    'track.notFound': 'Hatukupata ombi hilo. Angalia kitambulisho ujaribu tena, au wasiliana nasi kwa WhatsApp.',
+
+    // Bulk import
+    'bulk.title': 'Leta maagizo kutoka faili ya CSV au Excel',
+    'bulk.hint': 'Safu moja kwa kila mpokeaji. Kwanza jaza mtumaji, mahali pa kuchukua, muda wa kuchukua na malipo kwenye fomu iliyo hapa chini: kila agizo huyatumia, na gharama hukadiriwa kutoka mahali pa kuchukua.',
+    'bulk.file': 'Faili ya maagizo (.csv au .xlsx)',
+    'bulk.template': 'Pakua kiolezo',
+    'bulk.colLine': 'Safu',
+    'bulk.colRecipient': 'Mpokeaji',
+    'bulk.colPhone': 'Simu',
+    'bulk.colAddress': 'Anwani',
+    'bulk.colLandmark': 'Alama',
+    'bulk.colLocation': 'Mahali',
+    'bulk.colPackage': 'Kifurushi',
+    'bulk.colWeight': 'Uzito (kg)',
+    'bulk.colSize': 'Ukubwa',
+    'bulk.colVehicle': 'Chombo',
+    'bulk.colCod': 'COD (UGX)',
+    'bulk.colEstimate': 'Makadirio',
+    'bulk.colStatus': 'Hali',
+    'bulk.cellLabel': '{column}, safu {line}',
+    'bulk.noSize': 'Haijawekwa',
+    'bulk.anyVehicle': 'Chombo chochote',
+    'bulk.statusPending': 'Inakaguliwa...',
+    'bulk.statusReady': 'Tayari',
+    'bulk.statusSent': 'Imetumwa kama {id}',
+    'bulk.summary': 'Safu {total}: {ready} tayari, {errors} za kurekebisha',
+    'bulk.summarySent': '{count} zimetumwa',
+    'bulk.estimate': 'jumla ya makadirio {cost}',
+    'bulk.checkAgain': 'Kagua tena',
+    'bulk.loadJob': 'Pakia kama safari moja ya vituo vingi',
+    'bulk.send': 'Tuma maagizo {count} tofauti',
+    'bulk.reading': 'Inasoma {name}...',
+    'bulk.readFailed': 'Imeshindwa kusoma {name}. Ihifadhi kama .csv au .xlsx kisha ujaribu tena.',
+    'bulk.checking': 'Inakagua safu {number} kati ya {total}...',
+    'bulk.lookupFailed': 'Imeshindikana kutafuta safu hii. Jaribu tena, au weka lat,lng au plus code kwenye safu ya Mahali.',
+    'bulk.noPickup': 'Weka mahali pa kuchukua kwenye fomu ili kukadiria gharama, kisha ukague tena.',
+    'bulk.rowError': 'Safu {line}: {message}',
+    'bulk.nothingReady': 'Hakuna safu iliyo tayari. Rekebisha kwanza safu zilizowekwa alama nyekundu.',
+    'bulk.sending': 'Inatuma agizo {number} kati ya {total}...',
+    'bulk.sent': 'Maagizo {count} yametumwa. Fuatilia kila moja kupitia kiungo chake kwenye jedwali.',
+    'bulk.sendFailed': 'Utumaji umesimama. Safu ambazo hazijatumwa zinaweza kutumwa tena.',
+    'bulk.jobLoaded': 'Vituo {count} vimepakiwa kwenye fomu. Inakokotoa njia...',
+    'bulk.codDropped': 'Kiasi cha COD ni kwa kila agizo na hakijahamishiwa kwenye safari ya vituo vingi.',
+    'bulk.fileEmpty': 'Faili ni tupu',
+    'bulk.missingColumns': 'Safu zinazokosekana: {columns}. Pakua kiolezo uone mpangilio unaotarajiwa.',
+    'bulk.noOrders': 'Faili lina vichwa lakini halina oda',
+    'bulk.tooManyRows': 'Hadi oda {max} kwa kila faili; hili lina {count}',
+    'bulk.recipientMissing': 'Jina la mpokeaji halipo',
+    'bulk.phoneMissing': 'Simu ya mpokeaji haipo',
+    'bulk.addressMissing': 'Anwani haipo',
+    'bulk.landmarkMissing': 'Alama ya eneo haipo',
+    'bulk.unknownVehicle': 'Chombo "{vehicle}" hakijulikani',
+    'bulk.unknownSize': 'Ukubwa "{size}" haujulikani (tumia {sizes})',
+    'bulk.codNotNumber': 'Kiasi cha kukusanya "{amount}" si namba',
+    'bulk.badLocation': 'Imeshindikana kusoma mahali "{location}" — tumia lat,lng au plus code',
+    'bulk.addressNotFound': 'Anwani haikupatikana — ongeza mahali (lat,lng au plus code)',
+    'bulk.noRoute': 'Imeshindikana kuhesabu njia kwenda anwani hii',
+    'bulk.senderMobileMoney': 'Oda tofauti haziwezi kila moja kuchukua malipo ya {method} kutoka kwako. Chagua pesa taslimu, au waache wapokeaji walipe, ili kuzituma kwa pamoja.',
+
+    // Recipient notices and confirmation page
+    'notice.created': 'VDELIVER: {sender} amekuwekea usafirishaji ({id}).',
+    'notice.onTheWay': 'VDELIVER: mzigo wako {id} kutoka kwa {sender} uko njiani.',
+    'notice.arrived': 'VDELIVER: mpandaji mwenye mzigo wako {id} amefika {place}.',
+    'notice.link': 'Thibitisha mahali ulipo, rekebisha alama au badilisha muda: {link}',
+    'notice.answerConfirmed': 'Kituo {stop}: mahali pamethibitishwa',
+    'notice.answerMoved': 'Kituo {stop}: pini imehamishwa ({landmark})',
+    'notice.answerRescheduled': 'Kituo {stop}: fikisha {date} saa {time}',
+    'notice.logSent': 'Ujumbe umetumwa kwa {phone}',
+    'notice.logSandbox': 'Ujumbe wa majaribio kwa {phone}: {text}',
+    'confirm.pageTitle': 'Mzigo Wako | VDELIVER',
+    'confirm.title': 'Mzigo wako',
+    'confirm.subtitle': 'Angalia mahali mpandaji atakapoleta mzigo wako, au chagua muda mwingine',
+    'confirm.loading': 'Inapakia mzigo wako…',
+    'confirm.loadFailed': 'Hatukuweza kupakia mzigo wako. Angalia mtandao na upakie ukurasa upya.',
+    'confirm.invalidLink': 'Kiungo hiki si sahihi. Tumia kiungo kutoka ujumbe wako wa mwisho.',
+    'confirm.from': 'Mzigo kutoka kwa {sender}',
+    'confirm.requestId': 'Namba ya ombi',
+    'confirm.address': 'Anwani ya kufikisha',
+    'confirm.landmark': 'Alama ya karibu',
+    'confirm.when': 'Muda wa kufikisha',
+    'confirm.whenDispatcher': 'Kama ilivyopangwa na mtumaji',
+    'confirm.delivered': 'Mzigo huu umefikishwa.',
+    'confirm.pinTitle': 'Hapa ndipo mahali sahihi?',
+    'confirm.pinHint': 'Buruta alama au gusa ramani mahali mpandaji anapaswa kusimama.',
+    'confirm.confirmLocation': 'Ndiyo, ni hapa',
+    'confirm.useMyLocation': 'Tumia mahali nilipo',
+    'confirm.locating': 'Tunatafuta mahali ulipo…',
+    'confirm.pinMoved': 'Alama imehamishwa. Ongeza alama ya karibu kisha uhifadhi.',
+    'confirm.newLandmark': 'Alama ya karibu na mahali papya *',
+    'confirm.landmarkPlaceholder': 'mf. Geti la bluu mkabala na Shell Kisementi',
+    'confirm.savePin': 'Hifadhi mahali papya',
+    'confirm.confirmed': 'Asante — mpandaji atakuja mahali hapa.',
+    'confirm.pinSaved': 'Asante — mpandaji atakuja mahali papya.',
+    'confirm.saveFailed': 'Hatukuweza kuhifadhi. Angalia mtandao na ujaribu tena.',
+    'confirm.pinRequired': 'Hamisha alama kwanza mahali pa kufikisha',
+    'confirm.landmarkRequired': 'Tafadhali eleza alama ya karibu na mahali papya',
+    'confirm.rescheduleTitle': 'Hutakuwepo? Chagua muda mwingine',
+    'confirm.date': 'Tarehe',
+    'confirm.time': 'Saa',
+    'confirm.chooseDate': 'Chagua tarehe kwanza',
+    'confirm.noSlots': 'Hakuna muda wa kufikisha uliobaki siku hii',
+    'confirm.reschedule': 'Badilisha muda',
+    'confirm.rescheduled': 'Asante — tutafikisha {when}.',
+    'confirm.timeRequired': 'Tafadhali chagua tarehe na saa',
+    'confirm.datePast': 'Tarehe hiyo imeshapita',
+    'confirm.dateTooFar': 'Usafirishaji unaweza kusogezwa hadi siku {days} mbele tu',
+    'confirm.slotUnavailable': 'Muda huo haupatikani tena. Tafadhali chagua muda wa baadaye',
+    'confirm.unknownAnswer': 'Jibu lisilojulikana: {action}',
+
+    // Contact page
+    'contact.pageTitle': 'Wasiliana Nasi | VDELIVER',
+    'contact.title': 'Wasiliana Nasi',
+    'contact.subtitle': 'Wasiliana na timu yetu kwa swali lolote au msaada',
+    'contact.phone': 'Simu',
+    'contact.callNow': 'Piga Sasa',
+    'contact.email': 'Barua Pepe',
+    'contact.sendEmail': 'Tuma Barua Pepe',
+    'contact.messageUs': 'Tutumie Ujumbe',
+    'contact.hours': 'Saa za Kazi',
+    'contact.hoursValue': 'Jumatatu–Ijumaa 07:00–23:00, Jumamosi 08:00–23:00, Jumapili 09:00–22:00 (saa za Kampala)',
+    'contact.hoursNote': 'Kuchukua kuanzia 21:00 kuna nyongeza ya usiku',
+    'contact.fullName': 'Jina Kamili',
+    'contact.emailAddress': 'Barua Pepe',
+    'contact.phoneNumber': 'Namba ya Simu',
+    'contact.subject': 'Mada',
+    'contact.message': 'Ujumbe',
+    'contact.send': 'Tuma Ujumbe',
+    'contact.faqTitle': 'Maswali Yanayoulizwa Mara kwa Mara',
+    'contact.faqSubtitle': 'Majibu ya haraka kwa maswali ya kawaida',
+    'contact.faqAreasQ': 'Mnahudumia maeneo gani nchini Uganda?',
+    'contact.faqAreasA': 'Kwa sasa tunafikisha katika Kampala Kuu (Kampala, Wakiso, Mukono na Entebbe) na Jinja, ambako tunatumia gari na gari la mizigo pekee. Mbarara tutaanza hivi karibuni, na Gulu tumesimamisha huduma tukiweka kituo cha huko.',
+    'contact.faqSpeedQ': 'Mnaweza kufikisha mzigo wangu kwa haraka kiasi gani?',
+    'contact.faqSpeedA': 'Wastani wa muda wetu wa kufikisha ni chini ya dakika 60 ndani ya eneo moja la mjini. Muda unaweza kubadilika kulingana na umbali, msongamano wa magari na aina ya mzigo.',
+    'contact.faqRatesQ': 'Bei zenu za kufikisha ni zipi?',
+    'contact.faqRatesA': 'Tunatoa bei nafuu kuanzia ada ya msingi ya UGX 3,000 pamoja na gharama kulingana na umbali. Pikipiki inaanzia UGX 1,500 kwa km na gari UGX 4,000 kwa km, kwa bei nafuu zaidi kwa safari ndefu. Nauli za chini, bei za maeneo na nyongeza za usiku na wikendi hutumika, na kila makadirio yanaonyesha mchanganuo wa gharama.',
+    'contact.faqSameDayQ': 'Mnatoa huduma ya kufikisha siku hiyo hiyo?',
+    'contact.faqSameDayA': 'Ndiyo! Tumebobea katika kufikisha siku hiyo hiyo na kwa haraka. Mizigo mingi ya mijini hufikishwa ndani ya saa chache baada ya ombi.',
+    'contact.waTitle': 'OMBI LA MAWASILIANO',
+    'contact.waPersonal': 'Taarifa Binafsi',
+    'contact.waMessageDetails': 'Maelezo ya Ujumbe',
+    'contact.waSentVia': 'Imetumwa kupitia fomu ya mawasiliano ya VDELIVER',
+    'contact.thanks': 'Asante kwa ujumbe wako! Tumekufungulia WhatsApp ili utume swali lako moja kwa moja kwa timu yetu.'
+});
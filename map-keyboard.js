@@ -0,0 +1,48 @@
+// Keyboard control for draggable Leaflet markers, so a pin can be placed
+// without a mouse or touch. With the marker focused (Tab), the arrow keys
+// nudge it and Shift+arrow moves it further; the page hears about the new
+// point once the marker stops moving, as it would after a drag. Used by the
+// booking map picker (booking/map-picker.js) and the recipient page.
+
+const MARKER_NUDGE_PX = 10;
+const MARKER_NUDGE_FAR_PX = 60;
+const MARKER_SETTLE_MS = 600;
+const MARKER_NUDGE_KEYS = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+};
+
+// options: { label() -> the marker's accessible name, onMove(latlng) }.
+// Returns a function that re-applies the label, e.g. after a language change.
+function enableMarkerKeyboard(map, marker, options) {
+    let settle = null;
+
+    function describe() {
+        const element = marker.getElement();
+        if (!element) return;
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', options.label());
+    }
+
+    function nudge(event) {
+        const direction = MARKER_NUDGE_KEYS[event.key];
+        if (!direction) return;
+        // Keep the map from panning and the page from scrolling
+        event.preventDefault();
+        event.stopPropagation();
+        const step = event.shiftKey ? MARKER_NUDGE_FAR_PX : MARKER_NUDGE_PX;
+        const point = map.latLngToContainerPoint(marker.getLatLng()).add(L.point(direction[0] * step, direction[1] * step));
+        const latlng = map.containerPointToLatLng(point);
+        marker.setLatLng(latlng);
+        if (!map.getBounds().pad(-0.1).contains(latlng)) map.panTo(latlng);
+        clearTimeout(settle);
+        settle = setTimeout(() => options.onMove(marker.getLatLng()), MARKER_SETTLE_MS);
+    }
+
+    describe();
+    marker.getElement().addEventListener('keydown', nudge);
+    return describe;
+}
@@ -0,0 +1,38 @@
+// Hands the booked order to our other systems: JSON/CSV downloads on the
+// success screen and the order.created webhooks. The documents come from
+// order-export.js; webhooks.js queues the deliveries.
+
+let exportedOrder = null;
+
+function downloadFile(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Offer the order for download and send it to the configured webhooks
+function publishOrder(order) {
+    exportedOrder = order;
+    const panel = document.getElementById('orderExport');
+    if (panel) panel.style.display = 'flex';
+    queueWebhooks('order.created', order.requestId, order)
+        .catch(error => console.error('Could not queue the order webhooks:', error));
+}
+
+(function initOrderExport() {
+    const jsonBtn = document.getElementById('downloadOrderJsonBtn');
+    if (!jsonBtn) return;
+    jsonBtn.addEventListener('click', () => {
+        if (!exportedOrder) return;
+        downloadFile(`${exportedOrder.requestId}.json`, 'application/json', JSON.stringify(exportedOrder, null, 2));
+    });
+    document.getElementById('downloadOrderCsvBtn').addEventListener('click', () => {
+        if (!exportedOrder) return;
+        downloadFile(`${exportedOrder.requestId}.csv`, 'text/csv', ordersToCsv([exportedOrder]));
+    });
+})();
@@ -0,0 +1,160 @@
+// Structured order export: the versioned JSON document our internal tools
+// ingest (webhooks, downloads), and a CSV flattening of it with one row per
+// drop-off. data/order.schema.json is the JSON Schema for the document; bump
+// ORDER_SCHEMA_VERSION and the schema together on any breaking change.
+// Built from the booking order (buildOrder in booking/messages.js). Uses
+// schedule.js, plus-codes.js and pricing.js (price items are labelled in
+// English); no DOM dependencies.
+
+const ORDER_SCHEMA_ID = 'vdeliver.order';
+const ORDER_SCHEMA_VERSION = 1;
+
+// "0.347600, 32.582500" -> { lat, lng, plusCode }, or null when not set
+function toOrderLocation(coords) {
+    const [lat, lng] = String(coords || '').split(',').map(s => parseFloat(s));
+    if (isNaN(lat) || isNaN(lng)) return null;
+    return { lat, lng, plusCode: encodePlusCode(lat, lng) };
+}
+
+// "12.3 km" / "34 min" -> 12.3 / 34; "--" or empty -> null
+function parseOrderNumber(text) {
+    const value = parseFloat(String(text || '').replace(/[^0-9.]/g, ''));
+    return isNaN(value) ? null : value;
+}
+
+// Optional free-text fields come in with placeholders like "None"
+function optionalText(value, placeholder) {
+    const text = (value || '').trim();
+    return text && text !== placeholder ? text : null;
+}
+
+function buildOrderSchedule(schedule) {
+    if (!schedule || schedule.mode === 'asap') return { mode: 'asap', pickupAt: null, windowMinutes: null, recurrence: null };
+    const recurrence = schedule.recurrence && schedule.recurrence.frequency !== 'none'
+        ? {
+            frequency: schedule.recurrence.frequency,
+            weekdays: schedule.recurrence.weekdays,
+            endDate: schedule.recurrence.endDate
+        }
+        : null;
+    return {
+        mode: schedule.mode,
+        pickupAt: kampalaDateTime(schedule.date, schedule.time).toISOString(),
+        windowMinutes: SCHEDULE_RULES.windowMinutes,
+        recurrence
+    };
+}
+
+// The order document (schema version 1) for a submitted form
+function buildOrderDocument(fd) {
+    const pkg = fd.package || {};
+    const price = fd.routePrice;
+    return {
+        schema: ORDER_SCHEMA_ID,
+        schemaVersion: ORDER_SCHEMA_VERSION,
+        requestId: fd.requestId,
+        createdAt: fd.createdAt,
+        sender: { name: fd.senderName, phone: fd.senderPhone, email: fd.senderEmail },
+        pickup: {
+            address: fd.pickupAddress,
+            landmark: fd.pickupLandmark,
+            location: toOrderLocation(fd.pickupCoords)
+        },
+        // In visiting order; formStop is the stop's number on the form
+        dropoffs: (fd.deliveryStops || []).map((stop, i) => ({
+            sequence: i + 1,
+            formStop: stop.stopNumber || i + 1,
+            recipient: { name: stop.recipientName, phone: stop.recipientPhone },
+            address: stop.address,
+            landmark: stop.landmark,
+            location: toOrderLocation(stop.coords)
+        })),
+        schedule: buildOrderSchedule(fd.schedule),
+        vehicleType: fd.vehicleType,
+        package: {
+            description: fd.packageDescription,
+            weightKg: pkg.weightKg || null,
+            sizeClass: pkg.sizeClass || null,
+            dimensionsCm: pkg.dimensionsCm || null,
+            quantity: pkg.quantity || 1,
+            flags: pkg.flags || [],
+            declaredValue: pkg.declaredValue || null
+        },
+        instructions: optionalText(fd.specialInstructions, 'None'),
+        emergencyContact: optionalText(fd.emergencyContact, 'Not provided'),
+        callRecipient: !!fd.callRecipient,
+        recipientNotify: fd.recipientNotify || null,
+        route: {
+            distanceKm: parseOrderNumber(fd.routeDistance),
+            durationMin: parseOrderNumber(fd.routeDuration),
+            source: fd.routeSource && fd.routeSource !== 'Not calculated' ? fd.routeSource : null,
+            directionsUrl: fd.directionsLink || null,
+            legs: (fd.routeLegList || []).map(leg => ({
+                from: leg.from,
+                to: leg.to,
+                distanceKm: leg.distanceKm,
+                durationMin: leg.durationMin,
+                cost: leg.cost
+            }))
+        },
+        price: price
+            ? { currency: price.currency, total: price.total, zone: price.zone, items: price.items.map(item => ({ label: priceItemLabel(item, DEFAULT_LANGUAGE), amount: item.amount })) }
+            : null,
+        payment: fd.payment
+            ? {
+                payer: fd.payment.payer,
+                method: fd.payment.method,
+                phone: fd.payment.phone || null,
+                codAmount: fd.payment.codAmount || 0,
+                codPayoutPhone: fd.payment.codPayoutPhone || null
+            }
+            : null
+    };
+}
+
+const ORDER_CSV_COLUMNS = [
+    ['schema_version', o => o.schemaVersion],
+    ['request_id', o => o.requestId],
+    ['created_at', o => o.createdAt],
+    ['sender_name', o => o.sender.name],
+    ['sender_phone', o => o.sender.phone],
+    ['sender_email', o => o.sender.email],
+    ['pickup_address', o => o.pickup.address],
+    ['pickup_landmark', o => o.pickup.landmark],
+    ['pickup_lat', o => o.pickup.location && o.pickup.location.lat],
+    ['pickup_lng', o => o.pickup.location && o.pickup.location.lng],
+    ['pickup_plus_code', o => o.pickup.location && o.pickup.location.plusCode],
+    ['pickup_at', o => o.schedule.pickupAt],
+    ['stop_sequence', (o, d) => d.sequence],
+    ['recipient_name', (o, d) => d.recipient.name],
+    ['recipient_phone', (o, d) => d.recipient.phone],
+    ['dropoff_address', (o, d) => d.address],
+    ['dropoff_landmark', (o, d) => d.landmark],
+    ['dropoff_lat', (o, d) => d.location && d.location.lat],
+    ['dropoff_lng', (o, d) => d.location && d.location.lng],
+    ['dropoff_plus_code', (o, d) => d.location && d.location.plusCode],
+    ['vehicle_type', o => o.vehicleType],
+    ['package_description', o => o.package.description],
+    ['distance_km', o => o.route.distanceKm],
+    ['duration_min', o => o.route.durationMin],
+    ['price_total', o => o.price && o.price.total],
+    ['currency', o => o.price && o.price.currency],
+    ['payment_method', o => o.payment && o.payment.method],
+    ['payer', o => o.payment && o.payment.payer],
+    ['cod_amount', o => o.payment && o.payment.codAmount]
+];
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a header row and one row per drop-off of each order
+function ordersToCsv(orders) {
+    const rows = [ORDER_CSV_COLUMNS.map(([name]) => name)];
+    orders.forEach(order => order.dropoffs.forEach(dropoff => {
+        rows.push(ORDER_CSV_COLUMNS.map(([, read]) => read(order, dropoff)));
+    }));
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,132 @@
+// Outbox status on the booking page: the success screen shows whether the
+// current request is pending, sent or failed, and #outboxPanel lists any
+// earlier requests that have not gone through yet.
+
+let watchedSubmissionId = null;
+
+// Icon and message keys (see locales/) for each status of the watched request
+const SUBMISSION_STATES = {
+    pending: {
+        icon: 'fa-clock',
+        title: 'outbox.pendingTitle',
+        text: 'outbox.pendingText'
+    },
+    sent: {
+        icon: 'fa-check-circle',
+        title: 'outbox.sentTitle',
+        text: 'outbox.sentText'
+    },
+    failed: {
+        icon: 'fa-exclamation-triangle',
+        title: 'outbox.failedTitle',
+        text: 'outbox.failedText'
+    }
+};
+
+// Follow one submission on the success screen
+function watchSubmission(requestId) {
+    watchedSubmissionId = requestId;
+    updateSubmissionStatus({ id: requestId, status: 'pending', attempts: 0 });
+}
+
+function updateSubmissionStatus(entry) {
+    const state = SUBMISSION_STATES[entry.status];
+    const box = document.getElementById('submissionStatus');
+    if (!state || !box) return;
+
+    box.className = 'submission-status ' + entry.status;
+    box.querySelector('i').className = 'fas ' + state.icon;
+    document.getElementById('successTitle').textContent = t(state.title);
+    document.getElementById('successText').textContent = t(state.text);
+
+    let detail = t('outbox.' + entry.status);
+    if (entry.status === 'pending' && !navigator.onLine) {
+        detail = t('outbox.waitingForConnection', { status: detail });
+    } else if (entry.status === 'pending' && entry.attempts > 0) {
+        detail = t('outbox.retrying', { status: detail, attempt: entry.attempts + 1 });
+    }
+    document.getElementById('submissionStatusText').textContent = detail;
+    document.getElementById('retrySubmissionBtn').style.display = entry.status === 'failed' ? 'inline-flex' : 'none';
+}
+
+// List unsent requests from earlier visits
+async function renderOutboxPanel() {
+    const panel = document.getElementById('outboxPanel');
+    if (!panel) return;
+    let entries = [];
+    try {
+        entries = await getOutboxEntries();
+    } catch (error) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    // Webhooks are for our own systems; customers only see their bookings
+    const unsent = entries.filter(entry => entry.status !== 'sent' && entry.kind !== 'webhook' && entry.id !== watchedSubmissionId);
+    const list = document.getElementById('outboxList');
+    list.innerHTML = '';
+    unsent.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'outbox-item ' + entry.status;
+        const label = document.createElement('span');
+        label.textContent = `${entry.id} — ${t(entry.status === 'failed' ? 'outbox.failed' : 'outbox.pending')}`;
+        li.appendChild(label);
+        if (entry.status === 'failed') {
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'route-btn secondary';
+            retry.innerHTML = '<i class="fas fa-redo"></i> ';
+            retry.append(t('outbox.retry'));
+            retry.addEventListener('click', () => retryOutboxEntry(entry.id));
+            li.appendChild(retry);
+        }
+        list.appendChild(li);
+    });
+    panel.style.display = unsent.length ? 'block' : 'none';
+}
+
+// Ask the service worker for a Background Sync; fall back to the page's own timer
+function requestOutboxSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+        .catch(error => console.warn('Background sync unavailable', error));
+}
+
+onOutboxChange(function(entry) {
+    if (entry.id === watchedSubmissionId) updateSubmissionStatus(entry);
+    if (entry.status === 'pending') requestOutboxSync();
+    renderOutboxPanel();
+});
+
+document.getElementById('retrySubmissionBtn')?.addEventListener('click', function() {
+    if (watchedSubmissionId) retryOutboxEntry(watchedSubmissionId);
+});
+
+window.addEventListener('online', function() {
+    flushOutbox(true);
+});
+
+window.addEventListener('offline', function() {
+    if (watchedSubmissionId) {
+        getOutboxEntry(watchedSubmissionId).then(entry => entry && updateSubmissionStatus(entry)).catch(() => {});
+    }
+});
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed', error);
+    });
+    // Status changes made by the worker while this page is open
+    navigator.serviceWorker.addEventListener('message', function(event) {
+        if (event.data && event.data.type === 'outbox-change') {
+            if (event.data.entry.id === watchedSubmissionId) updateSubmissionStatus(event.data.entry);
+            renderOutboxPanel();
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    renderOutboxPanel();
+    flushOutbox();
+});
@@ -0,0 +1,244 @@
+// Offline outbox for booking submissions and order webhooks.
+// Each request is stored in IndexedDB and retried with exponential backoff
+// until the server accepts it. This file is loaded both by the page and by
+// sw.js (importScripts), so it must not touch the DOM.
+
+const OUTBOX_DB_NAME = 'vdeliver';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_SYNC_TAG = 'vdeliver-outbox';
+
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_DELAY_MS = 5000; // 5s, 10s, 20s ... capped below
+const OUTBOX_MAX_DELAY_MS = 10 * 60 * 1000;
+const OUTBOX_SEND_LOCK_MS = 30000; // stops the page and the worker sending the same entry
+const OUTBOX_KEEP_SENT_MS = 7 * 24 * 60 * 60 * 1000;
+
+let outboxDbPromise = null;
+let outboxFlushPromise = null;
+let outboxRetryTimer = null;
+const outboxListeners = [];
+
+function openOutboxDb() {
+    if (!outboxDbPromise) {
+        outboxDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                    db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        outboxDbPromise.catch(() => { outboxDbPromise = null; });
+    }
+    return outboxDbPromise;
+}
+
+// Run `work(store)` in a transaction and resolve with its result once committed
+async function outboxTransaction(mode, work) {
+    const db = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, mode);
+        let result;
+        const request = work(tx.objectStore(OUTBOX_STORE));
+        if (request) request.onsuccess = () => { result = request.result; };
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function getOutboxEntries() {
+    return outboxTransaction('readonly', store => store.getAll());
+}
+
+function getOutboxEntry(id) {
+    return outboxTransaction('readonly', store => store.get(id));
+}
+
+function putOutboxEntry(entry) {
+    return outboxTransaction('readwrite', store => store.put(entry));
+}
+
+function deleteOutboxEntry(id) {
+    return outboxTransaction('readwrite', store => store.delete(id));
+}
+
+// Listen for status changes: fn(entry) with entry.status 'pending' | 'sent' | 'failed'
+function onOutboxChange(fn) {
+    outboxListeners.push(fn);
+}
+
+function notifyOutboxChange(entry) {
+    outboxListeners.forEach(fn => {
+        try { fn(entry); } catch (error) { console.error('Outbox listener failed', error); }
+    });
+    // Inside the service worker, tell open pages too
+    if (typeof clients !== 'undefined' && typeof clients.matchAll === 'function') {
+        clients.matchAll({ includeUncontrolled: true }).then(list => {
+            list.forEach(client => client.postMessage({ type: 'outbox-change', entry }));
+        });
+    }
+}
+
+function outboxBackoffDelay(attempts) {
+    return Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+// Store a submission and try to send it straight away.
+// `fields` is a FormData; it is flattened to [name, value] pairs for storage.
+function queueSubmission(id, url, formData) {
+    return queueOutboxEntry({ id, url, fields: Array.from(formData.entries()) });
+}
+
+// Store any outgoing request ({ id, url, ... }) and try to send it straight
+// away. Entries with kind 'webhook' carry a JSON body instead of form fields.
+async function queueOutboxEntry(request) {
+    const entry = Object.assign({
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lockedUntil: 0,
+        lastError: '',
+        createdAt: new Date().toISOString(),
+        sentAt: null
+    }, request);
+
+    try {
+        await putOutboxEntry(entry);
+    } catch (error) {
+        // No IndexedDB (e.g. some private browsing modes): send once, unqueued
+        console.warn('Outbox unavailable, sending directly', error);
+        notifyOutboxChange(entry);
+        const result = await deliverOutboxEntry(entry);
+        notifyOutboxChange(Object.assign(entry, result.ok
+            ? { status: 'sent', sentAt: new Date().toISOString() }
+            : { status: 'failed', attempts: 1, lastError: result.error }));
+        return entry;
+    }
+
+    notifyOutboxChange(entry);
+    flushOutbox();
+    return entry;
+}
+
+function formOutboxRequest(entry) {
+    const body = new FormData();
+    entry.fields.forEach(([name, value]) => body.append(name, value));
+    return { body, headers: { 'Accept': 'application/json' } };
+}
+
+// POST one entry; resolves with { ok, error }. Webhooks are signed afresh on
+// every attempt (webhooks.js).
+async function deliverOutboxEntry(entry) {
+    try {
+        const request = entry.kind === 'webhook' ? await buildWebhookRequest(entry) : formOutboxRequest(entry);
+        const response = await fetch(entry.url, Object.assign({ method: 'POST' }, request));
+        return response.ok ? { ok: true } : { ok: false, error: 'HTTP ' + response.status };
+    } catch (error) {
+        return { ok: false, error: error.message || 'Network error' };
+    }
+}
+
+// Take the send lock on an entry if it is due; resolves with the entry or null.
+// Read and write happen in one transaction, so only one context wins.
+async function claimOutboxEntry(id, force) {
+    const db = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, 'readwrite');
+        const store = tx.objectStore(OUTBOX_STORE);
+        let claimed = null;
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const entry = request.result;
+            const now = Date.now();
+            if (!entry || entry.status !== 'pending' || entry.lockedUntil > now) return;
+            if (!force && entry.nextAttemptAt > now) return;
+            entry.lockedUntil = now + OUTBOX_SEND_LOCK_MS;
+            store.put(entry);
+            claimed = entry;
+        };
+        tx.oncomplete = () => resolve(claimed);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+async function sendOutboxEntry(id, force) {
+    const entry = await claimOutboxEntry(id, force);
+    if (!entry) return null;
+
+    const result = await deliverOutboxEntry(entry);
+    entry.lockedUntil = 0;
+    entry.attempts += 1;
+    if (result.ok) {
+        entry.status = 'sent';
+        entry.sentAt = new Date().toISOString();
+        entry.lastError = '';
+    } else {
+        entry.lastError = result.error;
+        if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+            entry.status = 'failed';
+        } else {
+            entry.nextAttemptAt = Date.now() + outboxBackoffDelay(entry.attempts);
+        }
+    }
+    await putOutboxEntry(entry);
+    notifyOutboxChange(entry);
+    return entry;
+}
+
+// Send every pending entry that is due (or all of them with `force`),
+// drop old sent entries and schedule the next retry
+function flushOutbox(force) {
+    if (outboxFlushPromise) return outboxFlushPromise;
+    outboxFlushPromise = (async () => {
+        try {
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+            const entries = await getOutboxEntries();
+            for (const entry of entries) {
+                if (entry.status === 'pending') {
+                    await sendOutboxEntry(entry.id, force);
+                } else if (entry.status === 'sent' && Date.now() - Date.parse(entry.sentAt) > OUTBOX_KEEP_SENT_MS) {
+                    await deleteOutboxEntry(entry.id);
+                }
+            }
+        } catch (error) {
+            console.error('Outbox flush failed', error);
+        } finally {
+            outboxFlushPromise = null;
+            scheduleOutboxRetry();
+        }
+    })();
+    return outboxFlushPromise;
+}
+
+// Wake up for the earliest pending retry
+async function scheduleOutboxRetry() {
+    clearTimeout(outboxRetryTimer);
+    let entries;
+    try {
+        entries = await getOutboxEntries();
+    } catch (error) {
+        return;
+    }
+    const due = entries
+        .filter(entry => entry.status === 'pending')
+        .map(entry => entry.nextAttemptAt);
+    if (!due.length) return;
+    const delay = Math.max(1000, Math.min(...due) - Date.now());
+    outboxRetryTimer = setTimeout(() => flushOutbox(), delay);
+}
+
+// Give a failed entry a fresh set of attempts and send it now
+async function retryOutboxEntry(id) {
+    const entry = await getOutboxEntry(id);
+    if (!entry) return null;
+    Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lockedUntil: 0 });
+    await putOutboxEntry(entry);
+    notifyOutboxChange(entry);
+    return flushOutbox(true);
+}
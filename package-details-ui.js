@@ -0,0 +1,117 @@
+// The package fields of the booking form and the vehicle check under them.
+// Size classes and the checks are in package-details.js.
+
+const packageListeners = [];
+
+// Run fn whenever the package details or the vehicle change
+function onPackageChange(fn) {
+    packageListeners.push(fn);
+}
+
+// Checkbox for a handling flag: fragile -> #packageFragile
+function packageFlagInput(flag) {
+    return document.getElementById('package' + flag[0].toUpperCase() + flag.slice(1));
+}
+
+// Read the package fields; numbers that are missing come back as 0
+function getPackageDetails() {
+    const number = id => parseFloat(document.getElementById(id).value) || 0;
+    const dimensions = [number('packageLength'), number('packageWidth'), number('packageHeight')];
+    return {
+        weightKg: number('packageWeight'),
+        sizeClass: document.getElementById('packageSize').value,
+        dimensionsCm: dimensions.every(cm => cm > 0) ? dimensions : null,
+        quantity: Math.max(1, Math.round(number('packageQuantity'))),
+        flags: Object.keys(PACKAGE_FLAGS).filter(flag => packageFlagInput(flag).checked),
+        declaredValue: number('declaredValue')
+    };
+}
+
+// Fill the package fields, e.g. when repeating an order
+function setPackageDetails(pkg) {
+    const dimensions = pkg.dimensionsCm || ['', '', ''];
+    document.getElementById('packageWeight').value = pkg.weightKg || '';
+    document.getElementById('packageSize').value = pkg.sizeClass || '';
+    document.getElementById('packageLength').value = dimensions[0];
+    document.getElementById('packageWidth').value = dimensions[1];
+    document.getElementById('packageHeight').value = dimensions[2];
+    document.getElementById('packageQuantity').value = pkg.quantity || 1;
+    document.getElementById('declaredValue').value = pkg.declaredValue || '';
+    Object.keys(PACKAGE_FLAGS).forEach(flag => {
+        packageFlagInput(flag).checked = (pkg.flags || []).includes(flag);
+    });
+    updatePackageSection();
+}
+
+// Show errors and warnings for the current package and vehicle under the fields
+function renderPackageCheck() {
+    const pkg = getPackageDetails();
+    const vehicleType = document.getElementById('vehicleType').value;
+    const box = document.getElementById('packageCheck');
+    const check = pkg.weightKg > 0 || pkg.dimensionsCm
+        ? checkPackageSuitability(pkg, vehicleType)
+        : { errors: [], warnings: [] };
+
+    box.innerHTML = '';
+    check.errors.concat(check.warnings).forEach((message, i) => {
+        const p = document.createElement('p');
+        const isError = i < check.errors.length;
+        p.className = 'package-check-item ' + (isError ? 'error' : 'warning');
+        p.innerHTML = `<i class="fas ${isError ? 'fa-ban' : 'fa-exclamation-triangle'}"></i> `;
+        p.append(message);
+        box.appendChild(p);
+    });
+    if (check.errors.length) {
+        const suggested = suggestVehicle(pkg);
+        if (suggested && suggested !== vehicleType) {
+            const p = document.createElement('p');
+            p.className = 'package-check-item hint';
+            p.textContent = t('package.suggestVehicle', { vehicle: t('vehicle.' + suggested).toLowerCase() });
+            box.appendChild(p);
+        }
+    }
+    box.style.display = box.children.length ? 'block' : 'none';
+}
+
+function updatePackageSection() {
+    // Measured dimensions pick the size class
+    const pkg = getPackageDetails();
+    if (pkg.dimensionsCm) {
+        const measured = classifyPackageSize(pkg.dimensionsCm);
+        if (measured) document.getElementById('packageSize').value = measured;
+    }
+    renderPackageCheck();
+    const details = getPackageDetails();
+    packageListeners.forEach(fn => fn(details));
+}
+
+(function initPackageSection() {
+    const fields = document.getElementById('packageFields');
+    if (!fields) return;
+    const select = document.getElementById('packageSize');
+    const options = PACKAGE_SIZE_ORDER.map(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        select.appendChild(option);
+        return option;
+    });
+
+    function labelSizes() {
+        options.forEach(option => {
+            const id = option.value;
+            option.textContent = t('package.sizeOption', {
+                size: t('size.' + id),
+                hint: t('size.' + id + 'Hint'),
+                dimensions: PACKAGE_SIZES[id].maxCm.join(' x ')
+            });
+        });
+    }
+    onLanguageChange(() => {
+        labelSizes();
+        renderPackageCheck();
+    });
+    labelSizes();
+
+    fields.addEventListener('change', updatePackageSection);
+    document.getElementById('vehicleType').addEventListener('change', updatePackageSection);
+})();
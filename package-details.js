@@ -0,0 +1,91 @@
+// Structured package details (weight, size, quantity, handling flags, declared
+// value) and the checks that tell a sender whether the chosen vehicle can
+// carry the package. Weight and size surcharges are priced in pricing.js.
+// No DOM dependencies; package-details-ui.js runs the form's package fields.
+
+import { t } from './i18n.js';
+import { formatUGX } from './pricing.js';
+import { VEHICLE_TYPES, VEHICLE_ORDER } from './vehicles.js';
+
+// Size classes, smallest first. `maxCm` is the largest length x width x height
+// that still counts as this class, longest side first. The form shows the
+// translated name and hint (size.<id> and size.<id>Hint in locales/).
+export const PACKAGE_SIZES = {
+    small: { label: 'Small', maxCm: [40, 30, 20] },
+    medium: { label: 'Medium', maxCm: [60, 45, 45] },
+    large: { label: 'Large', maxCm: [100, 60, 50] },
+    bulky: { label: 'Bulky', maxCm: [150, 100, 80] }
+};
+
+export const PACKAGE_SIZE_ORDER = ['small', 'medium', 'large', 'bulky'];
+
+export const PACKAGE_FLAGS = {
+    fragile: 'Fragile',
+    perishable: 'Perishable',
+    documents: 'Documents'
+};
+
+// Declared values above this are confirmed by phone before pickup
+const HIGH_DECLARED_VALUE = 5000000;
+
+// Size class for measured dimensions, or null when nothing fits
+export function classifyPackageSize(dimensionsCm) {
+    const sides = dimensionsCm.slice().sort((a, b) => b - a);
+    return PACKAGE_SIZE_ORDER.find(id => PACKAGE_SIZES[id].maxCm.every((max, i) => sides[i] <= max)) || null;
+}
+
+// Check a package against a vehicle.
+// pkg: { weightKg, sizeClass, dimensionsCm: [l, w, h] | null, quantity, flags: [], declaredValue }
+// Returns { errors: [...], warnings: [...] }; errors block the booking.
+// Capacities and open carriers come from VEHICLE_TYPES in vehicles.js.
+export function checkPackageSuitability(pkg, vehicleType) {
+    const errors = [];
+    const warnings = [];
+    if (!VEHICLE_TYPES[vehicleType]) return { errors, warnings };
+    const { capacity, openCarrier } = VEHICLE_TYPES[vehicleType];
+    const vehicle = t('vehicle.' + vehicleType).toLowerCase();
+    const weight = { weight: pkg.weightKg, vehicle, max: capacity.maxWeightKg };
+
+    if (pkg.weightKg > capacity.maxWeightKg) {
+        errors.push(t('package.tooHeavy', weight));
+    } else if (pkg.weightKg > capacity.maxWeightKg * 0.75) {
+        warnings.push(t('package.nearLimit', weight));
+    }
+
+    const measured = pkg.dimensionsCm ? classifyPackageSize(pkg.dimensionsCm) : pkg.sizeClass;
+    if (pkg.dimensionsCm && !measured) {
+        errors.push(t('package.tooBig'));
+    } else if (measured && PACKAGE_SIZE_ORDER.indexOf(measured) > PACKAGE_SIZE_ORDER.indexOf(capacity.maxSize)) {
+        errors.push(t('package.doesNotFit', { size: t('size.' + measured), vehicle }));
+    }
+
+    if (openCarrier && pkg.flags.includes('fragile')) {
+        warnings.push(t('package.fragileOpen', { vehicle }));
+    }
+    if (openCarrier && pkg.flags.includes('perishable') && pkg.weightKg > 10) {
+        warnings.push(t('package.perishableOpen'));
+    }
+    if (pkg.declaredValue > HIGH_DECLARED_VALUE) {
+        warnings.push(t('package.highValue', { amount: formatUGX(HIGH_DECLARED_VALUE) }));
+    }
+    return { errors, warnings };
+}
+
+// Smallest vehicle that can carry the package, or null
+export function suggestVehicle(pkg) {
+    return VEHICLE_ORDER.find(type => !checkPackageSuitability(pkg, type).errors.length) || null;
+}
+
+// Multi-line summary for the dispatcher, labelled in `lang` (see i18n.js)
+export function formatPackageForMessage(pkg, lang) {
+    const label = key => t(key, null, lang);
+    if (!pkg) return label('wa.notProvided');
+    const lines = [
+        `${label('wa.weight')}: ${pkg.weightKg} kg`,
+        `${label('wa.size')}: ${PACKAGE_SIZES[pkg.sizeClass] ? label('size.' + pkg.sizeClass) : label('wa.notSet')}${pkg.dimensionsCm ? ` (${pkg.dimensionsCm.join(' x ')} cm)` : ''}`,
+        `${label('wa.quantity')}: ${pkg.quantity}`,
+        `${label('wa.handling')}: ${pkg.flags.length ? pkg.flags.map(flag => label('flag.' + flag)).join(', ') : label('wa.standard')}`,
+        `${label('wa.declaredValue')}: ${pkg.declaredValue ? formatUGX(pkg.declaredValue) : label('wa.notDeclared')}`
+    ];
+    return lines.join('\n');
+}
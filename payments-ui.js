@@ -0,0 +1,128 @@
+// Payment section of the booking form and the payment status on the success
+// screen. The provider calls live in payments.js.
+
+let activePayment = null; // { requestId, request } of the payment shown on the success screen
+
+// Read the payment section
+function getPaymentDetails() {
+    const payer = document.querySelector('input[name="paymentPayer"]:checked');
+    const codEnabled = document.getElementById('codEnabled').checked;
+    return {
+        payer: payer ? payer.value : 'sender',
+        codEnabled,
+        method: document.getElementById('paymentMethod').value,
+        phone: document.getElementById('paymentPhone').value.trim(),
+        codAmount: codEnabled ? Math.round(parseFloat(document.getElementById('codAmount').value) || 0) : 0,
+        codPayoutPhone: codEnabled ? document.getElementById('codPayoutPhone').value.trim() : ''
+    };
+}
+
+function updatePaymentSection() {
+    const payment = getPaymentDetails();
+    const method = PAYMENT_METHODS[payment.method];
+    const mobileMoney = method && method.mobileMoney;
+    document.getElementById('paymentPhoneGroup').style.display = mobileMoney ? 'flex' : 'none';
+    document.getElementById('codFields').style.display = document.getElementById('codEnabled').checked ? 'grid' : 'none';
+
+    const methodName = method ? t('paymentMethod.' + payment.method) : '';
+    let note = '';
+    if (payment.payer === 'recipient') {
+        note = mobileMoney
+            ? t('payment.recipientApproves', { method: methodName, phone: payment.phone || t('payment.theirPhone') })
+            : t('payment.recipientCash');
+    } else if (mobileMoney) {
+        note = t('payment.senderApproves', { method: methodName, phone: payment.phone || t('payment.yourPhone') });
+    } else {
+        note = t('payment.senderCash');
+    }
+    document.getElementById('paymentNote').textContent = note;
+}
+
+// Success screen: show where a payment stands
+function showPaymentStatus(status, message) {
+    const box = document.getElementById('paymentStatus');
+    const icons = { pending: 'fa-mobile-alt', confirmed: 'fa-check-circle', failed: 'fa-exclamation-triangle', due: 'fa-hand-holding-usd' };
+    box.className = 'submission-status ' + (status === 'confirmed' ? 'sent' : status);
+    box.querySelector('i').className = 'fas ' + icons[status];
+    document.getElementById('paymentStatusText').textContent = message;
+    document.getElementById('retryPaymentBtn').style.display = status === 'failed' ? 'inline-flex' : 'none';
+    box.style.display = 'inline-flex';
+}
+
+function recordPaymentStatus(requestId, status, paymentId) {
+    const order = getLocalOrder(requestId);
+    if (!order) return;
+    const payment = Object.assign({}, order.details.payment, { status, paymentId: paymentId || null });
+    try {
+        updateLocalOrderDetails(requestId, { payment });
+    } catch (error) {
+        console.error('Could not save the payment status:', error);
+    }
+}
+
+// Ask the sender's phone for the delivery fee and follow the result
+async function collectPayment(requestId, request) {
+    activePayment = { requestId, request };
+    showPaymentStatus('pending', t('payment.requesting', { amount: formatUGX(request.amount), method: t('paymentMethod.' + request.method) }));
+    let result;
+    try {
+        result = await requestPayment(request);
+    } catch (error) {
+        console.error('Payment request failed:', error);
+        showPaymentStatus('failed', t('payment.startFailed'));
+        recordPaymentStatus(requestId, 'failed');
+        return;
+    }
+    recordPaymentStatus(requestId, result.status, result.paymentId);
+    showPaymentStatus(result.status, result.message);
+    if (result.status !== 'pending') return;
+
+    const final = await waitForPayment(result.paymentId, update => {
+        if (activePayment && activePayment.requestId === requestId) showPaymentStatus(update.status, update.message);
+    });
+    recordPaymentStatus(requestId, final.status, final.paymentId);
+}
+
+// Called after a booking is submitted
+function startPayment(requestId, payment, price) {
+    const method = PAYMENT_METHODS[payment.method];
+    if (payment.payer === 'sender' && method.mobileMoney) {
+        collectPayment(requestId, {
+            requestId,
+            method: payment.method,
+            phone: payment.phone,
+            amount: price.total,
+            currency: price.currency
+        });
+    } else if (payment.payer === 'recipient') {
+        showPaymentStatus('due', t('payment.dueFromRecipient', { method: t('paymentMethod.' + payment.method) }));
+    } else {
+        showPaymentStatus('due', t('payment.dueAtPickup'));
+    }
+}
+
+(function initPaymentSection() {
+    const section = document.getElementById('paymentSection');
+    if (!section) return;
+    const select = document.getElementById('paymentMethod');
+    const options = Object.keys(PAYMENT_METHODS).map(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        select.appendChild(option);
+        return option;
+    });
+
+    function labelOptions() {
+        options.forEach(option => { option.textContent = t('paymentMethod.' + option.value); });
+        updatePaymentSection();
+    }
+    onLanguageChange(labelOptions);
+    labelOptions();
+
+    section.addEventListener('change', updatePaymentSection);
+    section.addEventListener('input', updatePaymentSection);
+})();
+
+document.getElementById('retryPaymentBtn')?.addEventListener('click', function() {
+    if (activePayment) collectPayment(activePayment.requestId, activePayment.request);
+});
@@ -0,0 +1,163 @@
+// Payment capture behind a provider interface. No DOM dependencies.
+//
+// A provider is { name, label, requestPayment(request), getPaymentStatus(paymentId) }:
+//   request: { requestId, method, phone, amount, currency }
+//   both resolve to { paymentId, status: 'pending'|'confirmed'|'failed', message }
+// Mobile money payments start 'pending' while the payer approves the prompt on
+// their phone; callers poll getPaymentStatus() until it settles.
+
+import { t } from './i18n.js';
+import { formatUGX } from './pricing.js';
+
+export const PAYMENT_METHODS = {
+    cash: { label: 'Cash', mobileMoney: false },
+    mtn_momo: { label: 'MTN MoMo', mobileMoney: true, prefixes: ['76', '77', '78'] },
+    airtel_money: { label: 'Airtel Money', mobileMoney: true, prefixes: ['70', '74', '75'] }
+};
+
+const PAYMENT_POLL = { intervalMs: 3000, maxAttempts: 40 };
+
+// Rider float limit: the most cash a rider can be asked to collect
+export const COD_MAX_AMOUNT = 2000000;
+// Smallest amount worth sending a rider to collect (also the field's min)
+export const COD_MIN_AMOUNT = 500;
+
+// Network prefix of a Ugandan number: "+256 772 123456" -> "77"
+function getPhonePrefix(phone) {
+    const digits = phone.replace(/\D/g, '').replace(/^(256|0)/, '');
+    return digits.slice(0, 2);
+}
+
+// Does the number belong to the network of a mobile money method?
+export function phoneMatchesPaymentMethod(phone, method) {
+    const info = PAYMENT_METHODS[method];
+    return !info || !info.prefixes || info.prefixes.includes(getPhonePrefix(phone));
+}
+
+// Message lines for the payment and cash on delivery, in `lang` (see i18n.js)
+export function formatPaymentForMessage(payment, lang) {
+    if (!payment) return t('wa.notSpecified', null, lang);
+    const method = PAYMENT_METHODS[payment.method];
+    let text = `${t('payer.' + payment.payer, null, lang)} — ${method ? t('paymentMethod.' + payment.method, null, lang) : payment.method}`;
+    if (method && method.mobileMoney && payment.phone) text += ` (${payment.phone})`;
+    return text;
+}
+
+export function formatCodForMessage(payment, lang) {
+    if (!payment || !payment.codAmount) return t('wa.codNone', null, lang);
+    return t('wa.codCollect', { amount: formatUGX(payment.codAmount), phone: payment.codPayoutPhone }, lang);
+}
+
+// Local stand-in for a mobile money gateway. Outcome depends on the number:
+// ending in 0000 -> declined, ending in 1111 -> never answered, anything else
+// -> confirmed after `confirmAfterMs`.
+export function createSandboxPaymentProvider(options) {
+    const confirmAfterMs = (options && options.confirmAfterMs) || 4000;
+    const payments = {};
+
+    function settle(payment) {
+        if (payment.status !== 'pending') return payment;
+        const digits = payment.phone.replace(/\D/g, '');
+        if (digits.endsWith('0000')) {
+            payment.status = 'failed';
+            payment.message = 'Payment declined by the payer';
+        } else if (!digits.endsWith('1111') && Date.now() - payment.createdAt >= confirmAfterMs) {
+            payment.status = 'confirmed';
+            payment.message = 'Payment received';
+        }
+        return payment;
+    }
+
+    function snapshot(payment) {
+        return { paymentId: payment.paymentId, status: payment.status, message: payment.message };
+    }
+
+    return {
+        name: 'sandbox',
+        label: 'Sandbox (test payments)',
+        async requestPayment(request) {
+            if (!(request.amount > 0)) throw new Error('Payment amount must be positive');
+            const paymentId = 'SBX-' + Date.now().toString(36).toUpperCase();
+            payments[paymentId] = {
+                paymentId,
+                phone: request.phone,
+                amount: request.amount,
+                status: 'pending',
+                message: `Approve the ${PAYMENT_METHODS[request.method].label} prompt on ${request.phone}`,
+                createdAt: Date.now()
+            };
+            return snapshot(payments[paymentId]);
+        },
+        async getPaymentStatus(paymentId) {
+            const payment = payments[paymentId];
+            if (!payment) throw new Error('Unknown payment: ' + paymentId);
+            return snapshot(settle(payment));
+        }
+    };
+}
+
+// Gateway exposing POST {baseUrl}/payments and GET {baseUrl}/payments/{id}
+// with the request and result shapes described at the top of this file
+export function createHttpPaymentProvider(options) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (options.apiKey) headers['Authorization'] = 'Bearer ' + options.apiKey;
+
+    async function call(path, init) {
+        const response = await fetch(options.baseUrl + path, Object.assign({ headers }, init));
+        if (!response.ok) throw new Error('Payment gateway error: ' + response.status);
+        return response.json();
+    }
+
+    return {
+        name: 'http',
+        label: 'Payment gateway',
+        requestPayment(request) {
+            return call('/payments', { method: 'POST', body: JSON.stringify(request) });
+        },
+        getPaymentStatus(paymentId) {
+            return call('/payments/' + encodeURIComponent(paymentId));
+        }
+    };
+}
+
+export function getPaymentProvider(config) {
+    if (config.provider === 'http') return createHttpPaymentProvider(config.http);
+    return createSandboxPaymentProvider(config.sandbox);
+}
+
+let paymentProvider = null;
+
+// Override the provider, e.g. setPaymentProvider(createSandboxPaymentProvider({ confirmAfterMs: 0 }))
+export function setPaymentProvider(provider) {
+    paymentProvider = provider;
+}
+
+export function currentPaymentProvider() {
+    if (!paymentProvider) paymentProvider = getPaymentProvider(APP_CONFIG.payments);
+    return paymentProvider;
+}
+
+export function requestPayment(request) {
+    return currentPaymentProvider().requestPayment(request);
+}
+
+// Poll until the payment is confirmed or failed; onUpdate sees every status.
+// Gives up as 'failed' once PAYMENT_POLL.maxAttempts is reached.
+export async function waitForPayment(paymentId, onUpdate) {
+    const provider = currentPaymentProvider();
+    for (let attempt = 0; attempt < PAYMENT_POLL.maxAttempts; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, PAYMENT_POLL.intervalMs));
+        let result;
+        try {
+            result = await provider.getPaymentStatus(paymentId);
+        } catch (error) {
+            console.warn('Payment status check failed', error);
+            continue;
+        }
+        if (onUpdate) onUpdate(result);
+        if (result.status !== 'pending') return result;
+    }
+    const expired = { paymentId, status: 'failed', message: 'The payment prompt expired without an answer' };
+    if (onUpdate) onUpdate(expired);
+    return expired;
+}
@@ -0,0 +1,115 @@
+// Open Location Code ("plus codes", https://plus.codes): encoding a pin as
+// a code like 6GGJ8JHC+2V and decoding codes people type. We use the standard
+// 10-digit codes (about 14 m across); longer codes are accepted but decoded at
+// that precision. Short codes such as "8JHC+2V Kampala" are recovered against
+// a nearby reference point. No DOM dependencies.
+
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+
+// Degrees covered by one digit of each latitude/longitude pair
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+
+const FULL_PLUS_CODE_PATTERN = /^[2-9CFGHJMPQRVWX]{8}\+[2-9CFGHJMPQRVWX]{2,}$/;
+const PADDED_PLUS_CODE_PATTERN = /^([2-9CFGHJMPQRVWX]{2}|[2-9CFGHJMPQRVWX]{4}|[2-9CFGHJMPQRVWX]{6})0+\+$/;
+const SHORT_PLUS_CODE_PATTERN = /^([2-9CFGHJMPQRVWX]{4}|[2-9CFGHJMPQRVWX]{6})\+[2-9CFGHJMPQRVWX]{2,}$/;
+
+function normalizePlusCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Full codes can be decoded on their own; padded ones ("6GGJ0000+") cover a larger area
+export function isFullPlusCode(code) {
+    const value = normalizePlusCode(code);
+    if (!FULL_PLUS_CODE_PATTERN.test(value) && !(PADDED_PLUS_CODE_PATTERN.test(value) && value.length === 9)) return false;
+    // First digits stay within -90..90 latitude and -180..180 longitude
+    return PLUS_CODE_ALPHABET.indexOf(value[0]) < 9 && PLUS_CODE_ALPHABET.indexOf(value[1]) < 18;
+}
+
+// Short codes drop the first 2 or 4 digits and need a reference location
+export function isShortPlusCode(code) {
+    return SHORT_PLUS_CODE_PATTERN.test(normalizePlusCode(code));
+}
+
+export function isValidPlusCode(code) {
+    return isFullPlusCode(code) || isShortPlusCode(code);
+}
+
+// Pin to a 10-digit code. Integer arithmetic keeps float rounding from
+// nudging a point into the neighbouring cell.
+export function encodePlusCode(lat, lng) {
+    const clippedLat = Math.min(90, Math.max(-90, lat));
+    const normalizedLng = ((lng + 180) % 360 + 360) % 360 - 180;
+    const steps = 1 / PLUS_CODE_PAIR_RESOLUTIONS[PLUS_CODE_PAIR_RESOLUTIONS.length - 1]; // cells per degree
+    let latValue = Math.floor(Math.round((clippedLat + 90) * steps * 1e6) / 1e6);
+    let lngValue = Math.floor(Math.round((normalizedLng + 180) * steps * 1e6) / 1e6);
+    // The north pole belongs to the cell just below it
+    latValue = Math.min(latValue, 180 * steps - 1);
+
+    const latDigits = [];
+    const lngDigits = [];
+    for (let i = 0; i < PLUS_CODE_PAIR_RESOLUTIONS.length; i++) {
+        latDigits.unshift(PLUS_CODE_ALPHABET[latValue % 20]);
+        lngDigits.unshift(PLUS_CODE_ALPHABET[lngValue % 20]);
+        latValue = Math.floor(latValue / 20);
+        lngValue = Math.floor(lngValue / 20);
+    }
+    const digits = latDigits.map((digit, i) => digit + lngDigits[i]).join('');
+    return digits.slice(0, 8) + '+' + digits.slice(8);
+}
+
+// Full code to its cell: { lat, lng } is the centre, `size` the cell height
+// and width in degrees. Returns null for anything that is not a full code.
+export function decodePlusCode(code) {
+    const value = normalizePlusCode(code);
+    if (!isFullPlusCode(value)) return null;
+    const digits = value.replace('+', '').replace(/0+$/, '').slice(0, PLUS_CODE_PAIR_RESOLUTIONS.length * 2);
+    let lat = -90;
+    let lng = -180;
+    let size = PLUS_CODE_PAIR_RESOLUTIONS[0];
+    for (let i = 0; i < digits.length; i += 2) {
+        size = PLUS_CODE_PAIR_RESOLUTIONS[i / 2];
+        lat += PLUS_CODE_ALPHABET.indexOf(digits[i]) * size;
+        lng += PLUS_CODE_ALPHABET.indexOf(digits[i + 1]) * size;
+    }
+    return { lat: lat + size / 2, lng: lng + size / 2, size };
+}
+
+// Short code to the full code nearest to the reference point
+export function recoverShortPlusCode(code, refLat, refLng) {
+    const value = normalizePlusCode(code);
+    if (isFullPlusCode(value)) return value;
+    if (!isShortPlusCode(value)) return null;
+    const paddingLength = 8 - value.indexOf('+');
+    const resolution = Math.pow(20, 2 - paddingLength / 2);
+    const half = resolution / 2;
+
+    const prefix = encodePlusCode(Math.floor(refLat / resolution) * resolution, Math.floor(refLng / resolution) * resolution)
+        .slice(0, paddingLength);
+    const cell = decodePlusCode(prefix + value);
+    let { lat, lng } = cell;
+    // The prefix may put the cell a whole resolution away from the reference
+    if (refLat + half < lat && lat - resolution >= -90) lat -= resolution;
+    else if (refLat - half > lat && lat + resolution <= 90) lat += resolution;
+    if (refLng + half < lng) lng -= resolution;
+    else if (refLng - half > lng) lng += resolution;
+    return encodePlusCode(lat, lng);
+}
+
+// Split typed text like "8JHC+2V Kampala" or "6GGJ8JHC+2V" into the code and
+// an optional locality. Returns { code, locality } or null.
+export function parsePlusCodeQuery(text) {
+    const match = String(text || '').trim().match(/^([0-9A-Za-z]{2,8}\+[0-9A-Za-z]*)(?:[\s,]+(.+))?$/);
+    if (!match || !isValidPlusCode(match[1])) return null;
+    return { code: normalizePlusCode(match[1]), locality: match[2] ? match[2].trim() : '' };
+}
+
+// Code for a "lat, lng" form value, or '' when the pin is not set
+export function plusCodeForCoords(value) {
+    const [lat, lng] = String(value || '').split(',').map(s => parseFloat(s));
+    return isNaN(lat) || isNaN(lng) ? '' : encodePlusCode(lat, lng);
+}
+
+// Page on plus.codes showing the cell on a map
+export function plusCodeUrl(code) {
+    return 'https://plus.codes/' + encodeURIComponent(code);
+}
@@ -0,0 +1,252 @@
+// Pricing engine (UGX) shared by the routed path and the straight-line fallback.
+// No DOM or Leaflet dependencies: callers pass plain numbers and [lat, lng] pairs.
+
+import { t } from './i18n.js';
+
+// Tariff table per vehicle type. Bands are charged cumulatively: the first
+// `upToKm` kilometres at the first rate, the next ones at the second, etc.
+// `stopFee` is charged for every drop-off after the first. Packages heavier
+// than `includedWeightKg` pay `weightRate` per extra kg, and the size classes
+// in package-details.js may carry a flat `sizeFees` charge. Keys match
+// VEHICLE_TYPES in vehicles.js, which holds the labels and capacities.
+const TARIFFS = {
+    bicycle: {
+        baseFee: 2000,
+        stopFee: 500,
+        minimumFare: 3000,
+        includedWeightKg: 3,
+        weightRate: 300,
+        sizeFees: {},
+        bands: [
+            { upToKm: 5, rate: 1000 },
+            { upToKm: Infinity, rate: 800 }
+        ]
+    },
+    motorcycle: {
+        baseFee: 3000,
+        stopFee: 1000,
+        minimumFare: 5000,
+        includedWeightKg: 5,
+        weightRate: 300,
+        sizeFees: { medium: 1000 },
+        bands: [
+            { upToKm: 10, rate: 1500 },
+            { upToKm: 30, rate: 1200 },
+            { upToKm: Infinity, rate: 1000 }
+        ]
+    },
+    tuk_tuk: {
+        baseFee: 3000,
+        stopFee: 1500,
+        minimumFare: 8000,
+        includedWeightKg: 50,
+        weightRate: 100,
+        sizeFees: { large: 2000 },
+        bands: [
+            { upToKm: 10, rate: 2500 },
+            { upToKm: 30, rate: 2000 },
+            { upToKm: Infinity, rate: 1800 }
+        ]
+    },
+    car: {
+        baseFee: 3000,
+        stopFee: 2000,
+        minimumFare: 15000,
+        includedWeightKg: 30,
+        weightRate: 150,
+        sizeFees: { large: 3000, bulky: 8000 },
+        bands: [
+            { upToKm: 10, rate: 4000 },
+            { upToKm: 30, rate: 3500 },
+            { upToKm: Infinity, rate: 3000 }
+        ]
+    },
+    van: {
+        baseFee: 10000,
+        stopFee: 5000,
+        minimumFare: 40000,
+        includedWeightKg: 300,
+        weightRate: 50,
+        sizeFees: {},
+        bands: [
+            { upToKm: 10, rate: 7000 },
+            { upToKm: 30, rate: 6000 },
+            { upToKm: Infinity, rate: 5000 }
+        ]
+    }
+};
+
+// Time-based surcharges, evaluated in Kampala local time. Pickups run until
+// 23:00 (OPERATING_HOURS in schedule.js), so the night rate covers the late
+// windows.
+const SURCHARGES = {
+    night: { startHour: 21, endHour: 6, rate: 0.20 },
+    weekend: { days: ['Sat', 'Sun'], rate: 0.10 }
+};
+
+// Pricing zones as [south, west], [north, east] boxes, checked in order.
+// A trip is priced in the most expensive zone either end falls into.
+export const PRICING_ZONES = [
+    { id: 'central', label: 'Central Kampala', bounds: [[0.29, 32.54], [0.36, 32.63]], multiplier: 1.0 },
+    { id: 'greater-kampala', label: 'Greater Kampala', bounds: [[0.10, 32.35], [0.55, 32.85]], multiplier: 1.15 }
+];
+export const DEFAULT_PRICING_ZONE = { id: 'upcountry', label: 'Upcountry', multiplier: 1.3 };
+
+const PRICE_ROUNDING_STEP = 500;
+
+// Find the pricing zone for a [lat, lng] pair
+export function getPricingZone(point) {
+    if (!point) return DEFAULT_PRICING_ZONE;
+    const [lat, lng] = point;
+    const zone = PRICING_ZONES.find(z =>
+        lat >= z.bounds[0][0] && lat <= z.bounds[1][0] &&
+        lng >= z.bounds[0][1] && lng <= z.bounds[1][1]
+    );
+    return zone || DEFAULT_PRICING_ZONE;
+}
+
+// Charge distance across the tariff bands
+function priceDistance(distanceKm, bands) {
+    let remaining = distanceKm;
+    let previousLimit = 0;
+    let amount = 0;
+    for (const band of bands) {
+        if (remaining <= 0) break;
+        const km = Math.min(remaining, band.upToKm - previousLimit);
+        amount += km * band.rate;
+        remaining -= km;
+        previousLimit = band.upToKm;
+    }
+    return amount;
+}
+
+// Weekday and hour of a date in Kampala time
+function getKampalaTime(date) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Africa/Kampala',
+        weekday: 'short',
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const weekday = parts.find(p => p.type === 'weekday').value;
+    const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+    return { weekday, hour };
+}
+
+function isNightTime(hour) {
+    const { startHour, endHour } = SURCHARGES.night;
+    return hour >= startHour || hour < endHour;
+}
+
+function roundToStep(amount, step) {
+    return Math.round(amount / step) * step;
+}
+
+// Calculate a price with an itemised breakdown.
+// options: { distanceKm, vehicleType, pickup: [lat, lng], delivery: [lat, lng], date }
+// Multi-stop trips pass `stops: [[lat, lng], ...]` instead of `delivery`.
+// `package: { weightKg, sizeClass }` adds weight and size surcharges.
+// Items are { id, params, amount }; priceItemLabel() words them.
+export function calculatePrice(options) {
+    const tariff = TARIFFS[options.vehicleType];
+    if (!tariff) {
+        throw new Error('No tariff for vehicle type: ' + options.vehicleType);
+    }
+
+    const distanceKm = Math.max(0, Math.round(options.distanceKm * 10) / 10);
+    const dropoffs = options.stops || [options.delivery];
+    const date = options.date || new Date();
+    const items = [];
+
+    items.push({ id: 'base', amount: tariff.baseFee });
+    items.push({ id: 'distance', params: { km: distanceKm.toFixed(1) }, amount: Math.round(priceDistance(distanceKm, tariff.bands)) });
+    if (dropoffs.length > 1) {
+        const extraStops = dropoffs.length - 1;
+        items.push({ id: 'stops', params: { count: extraStops, fee: formatUGX(tariff.stopFee) }, amount: extraStops * tariff.stopFee });
+    }
+    if (options.package) {
+        const extraKg = Math.ceil(options.package.weightKg - tariff.includedWeightKg);
+        if (extraKg > 0) {
+            items.push({ id: 'weight', params: { extra: extraKg, included: tariff.includedWeightKg }, amount: extraKg * tariff.weightRate });
+        }
+        const sizeFee = tariff.sizeFees[options.package.sizeClass];
+        if (sizeFee) {
+            items.push({ id: 'size', params: { size: options.package.sizeClass }, amount: sizeFee });
+        }
+    }
+    const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+    // Zone multiplier: the priciest point of the trip wins
+    const zone = [options.pickup].concat(dropoffs)
+        .map(getPricingZone)
+        .reduce((a, b) => (b.multiplier > a.multiplier ? b : a));
+    if (zone.multiplier !== 1) {
+        items.push({ id: 'zone', params: { zone: zone.id, multiplier: zone.multiplier }, amount: Math.round(subtotal * (zone.multiplier - 1)) });
+    }
+    const zonedSubtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+    // Time surcharges are a share of the zoned subtotal
+    const { weekday, hour } = getKampalaTime(date);
+    if (isNightTime(hour)) {
+        items.push({ id: 'night', amount: Math.round(zonedSubtotal * SURCHARGES.night.rate) });
+    }
+    if (SURCHARGES.weekend.days.includes(weekday)) {
+        items.push({ id: 'weekend', amount: Math.round(zonedSubtotal * SURCHARGES.weekend.rate) });
+    }
+
+    let total = items.reduce((sum, item) => sum + item.amount, 0);
+    if (total < tariff.minimumFare) {
+        items.push({ id: 'minimum', amount: tariff.minimumFare - total });
+        total = tariff.minimumFare;
+    }
+
+    const rounded = roundToStep(total, PRICE_ROUNDING_STEP);
+    if (rounded !== total) {
+        items.push({ id: 'rounding', amount: rounded - total });
+    }
+
+    return {
+        total: rounded,
+        currency: 'UGX',
+        vehicleType: options.vehicleType,
+        distanceKm,
+        zone: zone.id,
+        items
+    };
+}
+
+// Share a trip price across its legs in proportion to distance.
+// Rounded to whole shillings; the last leg absorbs the remainder.
+export function splitPriceByLegs(price, legDistancesKm) {
+    const totalKm = legDistancesKm.reduce((sum, km) => sum + km, 0);
+    let allocated = 0;
+    return legDistancesKm.map((km, i) => {
+        if (i === legDistancesKm.length - 1) return price.total - allocated;
+        const share = totalKm > 0 ? km / totalKm : 1 / legDistancesKm.length;
+        const amount = Math.round(price.total * share);
+        allocated += amount;
+        return amount;
+    });
+}
+
+export function formatUGX(amount) {
+    return Math.round(amount).toLocaleString() + ' UGX';
+}
+
+// Name of a price item in `lang` (the chosen language when omitted). Prices
+// saved before the items were translated only have an English label.
+export function priceItemLabel(item, lang) {
+    if (!item.id) return item.label;
+    const params = Object.assign({}, item.params);
+    if (params.zone) params.zone = t('zone.' + params.zone, null, lang);
+    if (params.size) params.size = t('size.' + params.size, null, lang);
+    return t('price.' + item.id, params, lang);
+}
+
+// Plain-text breakdown, one item per line (used in WhatsApp and email), in `lang`
+export function formatPriceBreakdown(price, lang) {
+    if (!price) return t('wa.notCalculated', null, lang);
+    const lines = price.items.map(item => `${priceItemLabel(item, lang)}: ${formatUGX(item.amount)}`);
+    lines.push(`${t('price.total', null, lang)}: ${formatUGX(price.total)}`);
+    return lines.join('\n');
+}
@@ -0,0 +1,211 @@
+// Proof-of-delivery capture on the rider's directions page and its display on
+// the tracking page. Codes and validation live in proof-of-delivery.js; the
+// order is updated through the dispatch backend (dispatch.js).
+
+const proofDraft = { photo: null, challenge: null, order: null };
+
+// Finger or mouse drawing on a canvas, sized for the screen's pixel ratio
+function createSignaturePad(canvas) {
+    const ctx = canvas.getContext('2d');
+    let drawing = false;
+    let empty = true;
+
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = canvas.offsetWidth * ratio;
+        canvas.height = canvas.offsetHeight * ratio;
+        ctx.scale(ratio, ratio);
+        ctx.lineWidth = 2.5;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = '#001';
+        empty = true;
+    }
+
+    function point(e) {
+        const rect = canvas.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    }
+
+    canvas.addEventListener('pointerdown', e => {
+        drawing = true;
+        canvas.setPointerCapture(e.pointerId);
+        ctx.beginPath();
+        ctx.moveTo(...point(e));
+    });
+    canvas.addEventListener('pointermove', e => {
+        if (!drawing) return;
+        ctx.lineTo(...point(e));
+        ctx.stroke();
+        empty = false;
+    });
+    ['pointerup', 'pointercancel'].forEach(type => canvas.addEventListener(type, () => { drawing = false; }));
+
+    resize();
+    return {
+        isEmpty: () => empty,
+        clear() {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            empty = true;
+        },
+        resize,
+        toDataURL: () => canvas.toDataURL('image/png')
+    };
+}
+
+// Shrink a camera photo to at most maxPx on its long side, as a JPEG data URL
+function resizeImageFile(file, maxPx) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            const scale = Math.min(1, maxPx / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/jpeg', 0.7));
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(t('pod.photoUnreadable')));
+        };
+        img.src = url;
+    });
+}
+
+function showOtpStatus(message, isError) {
+    const status = document.getElementById('otpStatus');
+    status.textContent = message;
+    status.classList.toggle('invalid', !!isError);
+}
+
+async function sendDeliveryCode() {
+    const phone = proofDraft.order.details.recipientPhone;
+    const button = document.getElementById('sendOtpBtn');
+    button.disabled = true;
+    try {
+        proofDraft.challenge = await currentOtpProvider().sendCode({ requestId: proofDraft.order.requestId, phone });
+        showOtpStatus(proofDraft.challenge.sandboxCode
+            ? t('pod.sandboxCode', { phone: maskPhone(phone), code: proofDraft.challenge.sandboxCode })
+            : t('pod.codeSent', { phone: maskPhone(phone) }));
+        button.innerHTML = '<i class="fas fa-redo"></i> ' + t('pod.resendCode');
+        document.getElementById('otpInput').focus();
+    } catch (error) {
+        console.error('Could not send the delivery code:', error);
+        showOtpStatus(t('pod.sendFailed'), true);
+    }
+    button.disabled = false;
+}
+
+async function confirmDelivery(signaturePad) {
+    const draft = {
+        photo: proofDraft.photo,
+        signature: signaturePad.isEmpty() ? null : signaturePad.toDataURL(),
+        challenge: proofDraft.challenge,
+        code: document.getElementById('otpInput').value.trim()
+    };
+    const missing = validateProofOfDelivery(draft);
+    if (missing) {
+        showNotification(t(missing));
+        return;
+    }
+
+    const button = document.getElementById('confirmDeliveryBtn');
+    button.disabled = true;
+    try {
+        // The backend checks the code with the OTP provider before it takes the proof
+        const order = await currentDispatchBackend().updateOrder(proofDraft.order.requestId, {
+            status: 'delivered',
+            note: 'Code confirmed by the recipient',
+            proofOfDelivery: {
+                photo: draft.photo,
+                signature: draft.signature,
+                recipientPhone: maskPhone(proofDraft.order.details.recipientPhone),
+                deliveredAt: new Date().toISOString()
+            },
+            otp: { challengeId: draft.challenge.challengeId, code: draft.code }
+        });
+        showProofCompleted(order.proofOfDelivery);
+        showNotification(t('pod.confirmed'));
+    } catch (error) {
+        if (error.otp) {
+            showOtpStatus(describeOtpResult(error.otp), true);
+            if (!error.otp.attemptsLeft) proofDraft.challenge = null;
+            return;
+        }
+        console.error('Could not confirm delivery:', error);
+        showOtpStatus(t(isStorageFullError(error) ? 'pod.storageFull' : 'pod.confirmFailed'), true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function showProofCompleted(proof) {
+    document.getElementById('proofForm').style.display = 'none';
+    document.getElementById('proofDone').style.display = 'block';
+    document.getElementById('proofDoneTime').textContent = formatTrackingTime(proof.deliveredAt);
+}
+
+// Tracking page: the photo, signature and code confirmation of a delivered order
+function renderProofOfDelivery(order) {
+    const section = document.getElementById('proofOfDeliverySection');
+    if (!section) return;
+    const proof = order.proofOfDelivery;
+    section.style.display = proof ? 'block' : 'none';
+    if (!proof) return;
+    document.getElementById('proofPhoto').src = proof.photo;
+    document.getElementById('proofSignature').src = proof.signature;
+    document.getElementById('proofSummary').textContent =
+        t('pod.summary', { time: formatTrackingTime(proof.deliveredAt), phone: proof.recipientPhone });
+}
+
+// Directions page, opened with ?id=VD-XXXXXX: the rider records the handover
+(async function initProofOfDelivery() {
+    const section = document.getElementById('proofSection');
+    if (!section) return;
+    const requestId = normalizeRequestId(new URLSearchParams(window.location.search).get('id'));
+    if (!requestId) return;
+
+    let order;
+    try {
+        order = (await currentDispatchBackend().listOrders()).find(o => o.requestId === requestId);
+    } catch (error) {
+        console.error('Could not load the order:', error);
+    }
+    section.style.display = 'block';
+    if (!order || !order.details || !order.details.recipientPhone) {
+        document.getElementById('proofForm').style.display = 'none';
+        document.getElementById('proofUnavailable').style.display = 'block';
+        return;
+    }
+    proofDraft.order = order;
+    if (order.proofOfDelivery) {
+        showProofCompleted(order.proofOfDelivery);
+        return;
+    }
+
+    const signaturePad = createSignaturePad(document.getElementById('signaturePad'));
+    window.addEventListener('resize', () => {
+        if (signaturePad.isEmpty()) signaturePad.resize();
+    });
+    document.getElementById('clearSignatureBtn').addEventListener('click', () => signaturePad.clear());
+    document.getElementById('sendOtpText').textContent = maskPhone(order.details.recipientPhone);
+
+    document.getElementById('proofPhotoInput').addEventListener('change', async function() {
+        const file = this.files[0];
+        if (!file) return;
+        try {
+            proofDraft.photo = await resizeImageFile(file, APP_CONFIG.proofOfDelivery.photoMaxPx);
+        } catch (error) {
+            showNotification(error.message);
+            return;
+        }
+        const preview = document.getElementById('proofPhotoPreview');
+        preview.src = proofDraft.photo;
+        preview.style.display = 'block';
+    });
+    document.getElementById('sendOtpBtn').addEventListener('click', sendDeliveryCode);
+    document.getElementById('confirmDeliveryBtn').addEventListener('click', () => confirmDelivery(signaturePad));
+})();
@@ -0,0 +1,136 @@
+// Proof of delivery: a photo, the recipient's signature and a one-time code
+// texted to the recipient. No DOM dependencies.
+//
+// An OTP provider is { name, label, sendCode(request), verifyCode(challengeId, code) }:
+//   sendCode({ requestId, phone }) -> Promise<{ challengeId, expiresAt, sandboxCode? }>
+//   verifyCode(challengeId, code) -> Promise<{ valid, attemptsLeft, message }>
+//   message is a message key (see locales/): 'otp.confirmed', 'otp.wrongCode'
+//   (with attemptsLeft as {count}), 'otp.expired' or 'otp.tooManyTries'
+// The proof attached to an order (order.proofOfDelivery) is
+//   { photo, signature, recipientPhone, deliveredAt, otp: { challengeId, verifiedAt } }
+// with photo and signature as image data URLs. The rider's page sends it
+// without otp and with the code the recipient read out; the dispatch backend
+// checks the code and adds otp (see dispatch.js).
+
+// Random numeric code of `length` digits
+function generateOtp(length) {
+    const digits = new Uint32Array(length);
+    crypto.getRandomValues(digits);
+    return Array.from(digits, d => d % 10).join('');
+}
+
+// Show only the last three digits, e.g. "+256 7•• ••• 456"
+function maskPhone(phone) {
+    const local = (phone || '').replace(/\D/g, '').replace(/^(256|0)/, '');
+    if (local.length !== 9) return phone || '';
+    return '+256 ' + local[0] + '•• ••• ' + local.slice(-3);
+}
+
+// Codes live only in this page. The code is handed back as sandboxCode and
+// shown on the rider's screen, so the flow can be tried without an SMS gateway.
+// A confirmed code keeps confirming, so a delivery whose save failed can be
+// sent again.
+function createSandboxOtpProvider(options) {
+    const settings = Object.assign({ ttlMinutes: 10, maxAttempts: 5, length: 6 }, options);
+    const challenges = {};
+
+    return {
+        name: 'sandbox',
+        label: 'Sandbox (codes shown on screen)',
+        async sendCode(request) {
+            const challengeId = 'OTP-' + Date.now().toString(36).toUpperCase();
+            const code = generateOtp(settings.length);
+            challenges[challengeId] = {
+                code,
+                attemptsLeft: settings.maxAttempts,
+                expiresAt: Date.now() + settings.ttlMinutes * 60000
+            };
+            return { challengeId, expiresAt: new Date(challenges[challengeId].expiresAt).toISOString(), sandboxCode: code };
+        },
+        async verifyCode(challengeId, code) {
+            const challenge = challenges[challengeId];
+            if (!challenge) throw new Error('Unknown code request: ' + challengeId);
+            if (challenge.confirmed && String(code).trim() === challenge.code) {
+                return { valid: true, attemptsLeft: 0, message: 'otp.confirmed' };
+            }
+            if (Date.now() > challenge.expiresAt) {
+                return { valid: false, attemptsLeft: 0, message: 'otp.expired' };
+            }
+            if (challenge.attemptsLeft <= 0) {
+                return { valid: false, attemptsLeft: 0, message: 'otp.tooManyTries' };
+            }
+            if (String(code).trim() === challenge.code) {
+                challenge.confirmed = true;
+                return { valid: true, attemptsLeft: 0, message: 'otp.confirmed' };
+            }
+            challenge.attemptsLeft--;
+            return {
+                valid: false,
+                attemptsLeft: challenge.attemptsLeft,
+                message: challenge.attemptsLeft ? 'otp.wrongCode' : 'otp.tooManyTries'
+            };
+        }
+    };
+}
+
+// SMS gateway exposing POST {baseUrl}/otp and POST {baseUrl}/otp/{id}/verify
+// with the request and result shapes described at the top of this file
+function createHttpOtpProvider(options) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (options.apiKey) headers['Authorization'] = 'Bearer ' + options.apiKey;
+
+    async function call(path, body) {
+        const response = await fetch(options.baseUrl + path, { method: 'POST', headers, body: JSON.stringify(body) });
+        if (!response.ok) throw new Error('OTP gateway error: ' + response.status);
+        return response.json();
+    }
+
+    return {
+        name: 'http',
+        label: 'SMS gateway',
+        sendCode(request) {
+            return call('/otp', request);
+        },
+        verifyCode(challengeId, code) {
+            return call('/otp/' + encodeURIComponent(challengeId) + '/verify', { code });
+        }
+    };
+}
+
+function getOtpProvider(config) {
+    if (config.otpProvider === 'http') return createHttpOtpProvider(config.http);
+    return createSandboxOtpProvider({
+        ttlMinutes: config.otpTtlMinutes,
+        maxAttempts: config.maxAttempts,
+        length: config.otpLength
+    });
+}
+
+let otpProvider = null;
+
+// Override the provider, e.g. setOtpProvider(createSandboxOtpProvider({ ttlMinutes: 1 }))
+function setOtpProvider(provider) {
+    otpProvider = provider;
+}
+
+function currentOtpProvider() {
+    if (!otpProvider) otpProvider = getOtpProvider(APP_CONFIG.proofOfDelivery);
+    return otpProvider;
+}
+
+// Text for a verifyCode() result in the page language. A gateway message that
+// is not a key is shown as it came.
+function describeOtpResult(result) {
+    const key = result.message || (result.attemptsLeft ? 'otp.wrongCode' : 'otp.tooManyTries');
+    return t(key, { count: result.attemptsLeft });
+}
+
+// Checks what the rider captures before the code is verified.
+// Returns a message key (see locales/) or null.
+function validateProofOfDelivery(proof) {
+    if (!proof.photo) return 'pod.photoMissing';
+    if (!proof.signature) return 'pod.signatureMissing';
+    if (!proof.challenge) return 'pod.sendCodeFirst';
+    if (!proof.code) return 'pod.codeMissing';
+    return null;
+}
@@ -0,0 +1,209 @@
+// Recipient page (confirm.html?id=VD-XXXXXX&stop=1&key=...), opened from the
+// texts recipient-notifications.js sends: confirm the drop-off, move its pin
+// or choose another delivery time. The page only ever sees its own stop: it
+// is loaded and answered through the recipient API, which checks the link's
+// key and the answer (see recipient-notifications.js).
+
+const KAMPALA_CENTRE = [0.3476, 32.5825];
+
+// view is what getStop()/answerStop() return; link is { requestId, stop, key }
+const confirmDraft = { view: null, link: null, map: null, marker: null, pin: null };
+
+function showConfirmStatus(id, message, isError) {
+    const status = document.getElementById(id);
+    status.textContent = message;
+    status.classList.toggle('invalid', !!isError);
+}
+
+function formatDeliveryWindow(slot) {
+    const end = formatTimeMinutes(parseTimeMinutes(slot.time) + SCHEDULE_RULES.windowMinutes);
+    return `${formatScheduleDate(slot.date)}, ${slot.time}–${end}`;
+}
+
+// Who the package is from and the stop as it is now saved
+function renderRecipientStop() {
+    const { view } = confirmDraft;
+    const stop = view.stop;
+    document.getElementById('confirmFrom').textContent = t('confirm.from', { sender: view.senderName || 'VDELIVER' });
+    document.getElementById('confirmRequestId').textContent = view.requestId;
+    document.getElementById('confirmAddress').textContent = stop.address || '--';
+    document.getElementById('confirmLandmarkText').textContent = stop.landmark || '--';
+    document.getElementById('confirmWhen').textContent = stop.deliveryWindow
+        ? formatDeliveryWindow(stop.deliveryWindow)
+        : t('confirm.whenDispatcher');
+}
+
+// Pin a point if we deliver there; otherwise say why and keep the last pin.
+// Keyboard moves keep focus on the pin so it can be nudged again.
+function moveRecipientPin(latlng, fromKeyboard) {
+    const point = [latlng.lat, latlng.lng];
+    const check = checkServiceArea(point);
+    if (!check.allowed) {
+        showConfirmStatus('pinStatus', t('notify.markerMovedBack', { reason: check.reason }), true);
+        confirmDraft.marker.setLatLng(confirmDraft.pin || parseCoords(confirmDraft.view.stop.coords) || KAMPALA_CENTRE);
+        return;
+    }
+    confirmDraft.pin = point;
+    confirmDraft.marker.setLatLng(point);
+    showConfirmStatus('pinStatus', t('confirm.pinMoved'));
+    document.getElementById('confirmMovedGroup').style.display = 'block';
+    if (!fromKeyboard) document.getElementById('confirmLandmark').focus();
+}
+
+function createRecipientMap() {
+    const start = parseCoords(confirmDraft.view.stop.coords);
+    const map = L.map('confirmMap').setView(start || KAMPALA_CENTRE, start ? 17 : 12);
+    L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', {
+        attribution: '© OpenStreetMap contributors, © CartoDB',
+        maxZoom: 20
+    }).addTo(map);
+    addServiceAreaLayer(map);
+    const marker = L.marker(start || KAMPALA_CENTRE, { draggable: true }).addTo(map);
+    map.on('click', e => moveRecipientPin(e.latlng));
+    marker.on('dragend', e => moveRecipientPin(e.target.getLatLng()));
+    // Arrow keys move the pin for those not using a mouse or touch
+    const describeMarker = enableMarkerKeyboard(map, marker, {
+        label: () => t('mapPicker.deliveryPin'),
+        onMove: latlng => moveRecipientPin(latlng, true)
+    });
+    onLanguageChange(describeMarker);
+    confirmDraft.map = map;
+    confirmDraft.marker = marker;
+}
+
+// Save an answer on the order; resolves to true once it is stored. It is
+// checked here for a quick reply, and again by the recipient API.
+async function saveRecipientAnswer(response, statusId) {
+    const error = validateRecipientResponse(response);
+    if (error) {
+        showConfirmStatus(statusId, error, true);
+        return false;
+    }
+    const { requestId, stop, key } = confirmDraft.link;
+    try {
+        confirmDraft.view = await currentRecipientApi().answerStop(requestId, stop, key, response);
+        renderRecipientStop();
+        return true;
+    } catch (err) {
+        console.error('Could not save the answer:', err);
+        // Refusals from the API say why; anything else is worth a retry
+        showConfirmStatus(statusId, err.status >= 400 && err.status < 500 ? err.message : t('confirm.saveFailed'), true);
+        return false;
+    }
+}
+
+async function confirmRecipientLocation() {
+    if (await saveRecipientAnswer({ action: 'confirmed' }, 'pinStatus')) {
+        showConfirmStatus('pinStatus', t('confirm.confirmed'));
+    }
+}
+
+async function saveRecipientPin() {
+    const landmark = document.getElementById('confirmLandmark').value.trim();
+    if (await saveRecipientAnswer({ action: 'moved_pin', coords: confirmDraft.pin, landmark }, 'pinStatus')) {
+        document.getElementById('confirmMovedGroup').style.display = 'none';
+        showConfirmStatus('pinStatus', t('confirm.pinSaved'));
+    }
+}
+
+function useRecipientLocation() {
+    if (!navigator.geolocation) {
+        showConfirmStatus('pinStatus', t('notify.noGeolocation'), true);
+        return;
+    }
+    showConfirmStatus('pinStatus', t('confirm.locating'));
+    navigator.geolocation.getCurrentPosition(position => {
+        const latlng = L.latLng(position.coords.latitude, position.coords.longitude);
+        confirmDraft.map.setView(latlng, 17);
+        moveRecipientPin(latlng);
+    }, () => {
+        showConfirmStatus('pinStatus', t('notify.locationError'), true);
+    }, { enableHighAccuracy: true, timeout: 10000 });
+}
+
+// Windows on the chosen date, e.g. "09:00–10:00"
+function renderRescheduleSlots() {
+    const date = document.getElementById('rescheduleDate').value;
+    const select = document.getElementById('rescheduleTime');
+    select.innerHTML = '';
+    const slots = date ? getPickupSlots(date) : [];
+    slots.forEach(time => {
+        const end = formatTimeMinutes(parseTimeMinutes(time) + SCHEDULE_RULES.windowMinutes);
+        select.add(new Option(`${time}–${end}`, time));
+    });
+    if (!slots.length) {
+        const none = new Option(t(date ? 'confirm.noSlots' : 'confirm.chooseDate'), '');
+        none.disabled = true;
+        select.add(none);
+        select.value = '';
+    }
+}
+
+async function rescheduleRecipientStop() {
+    const slot = {
+        date: document.getElementById('rescheduleDate').value,
+        time: document.getElementById('rescheduleTime').value
+    };
+    if (await saveRecipientAnswer({ action: 'rescheduled', window: slot }, 'rescheduleStatus')) {
+        showConfirmStatus('rescheduleStatus', t('confirm.rescheduled', { when: formatDeliveryWindow(slot) }));
+    }
+}
+
+(async function initRecipientPage() {
+    if (!document.getElementById('confirmSummary')) return;
+    const params = new URLSearchParams(window.location.search);
+    const link = { requestId: normalizeRequestId(params.get('id')), stop: Number(params.get('stop')), key: params.get('key') || '' };
+    const requestId = link.requestId;
+
+    const loadStatus = document.getElementById('confirmLoadStatus');
+    let view = null;
+    try {
+        if (requestId && link.stop && link.key) view = await currentRecipientApi().getStop(requestId, link.stop, link.key);
+    } catch (error) {
+        console.error('Could not load the delivery:', error);
+        showConfirmStatus('confirmLoadStatus', t('confirm.loadFailed'), true);
+        return;
+    } finally {
+        // From here on the status line holds this page's own messages
+        loadStatus.removeAttribute('data-i18n');
+    }
+    if (!view) {
+        showConfirmStatus('confirmLoadStatus', t('confirm.invalidLink'), true);
+        return;
+    }
+
+    Object.assign(confirmDraft, { view, link });
+    loadStatus.style.display = 'none';
+    document.getElementById('confirmTrackLink').href = 'track.html?id=' + encodeURIComponent(requestId);
+    document.getElementById('confirmSummary').style.display = 'block';
+    renderRecipientStop();
+    onLanguageChange(renderRecipientStop);
+
+    // Nothing left to change once the package is delivered
+    if (view.status === 'delivered') {
+        showConfirmStatus('confirmLoadStatus', t('confirm.delivered'));
+        loadStatus.style.display = 'block';
+        return;
+    }
+
+    document.getElementById('confirmPinSection').style.display = 'block';
+    document.getElementById('rescheduleSection').style.display = 'block';
+    createRecipientMap();
+    loadServiceAreas().catch(error => {
+        console.error('Could not load service areas:', error);
+        showConfirmStatus('pinStatus', t('notify.serviceAreasFailed'), true);
+    });
+
+    const dateInput = document.getElementById('rescheduleDate');
+    const today = getKampalaDateParts(new Date()).date;
+    dateInput.min = today;
+    dateInput.max = addDays(today, RESCHEDULE_MAX_DAYS);
+    dateInput.addEventListener('change', renderRescheduleSlots);
+    renderRescheduleSlots();
+    onLanguageChange(renderRescheduleSlots);
+
+    document.getElementById('confirmLocationBtn').addEventListener('click', confirmRecipientLocation);
+    document.getElementById('confirmUseLocationBtn').addEventListener('click', useRecipientLocation);
+    document.getElementById('savePinBtn').addEventListener('click', saveRecipientPin);
+    document.getElementById('rescheduleBtn').addEventListener('click', rescheduleRecipientStop);
+})();
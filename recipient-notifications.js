@@ -0,0 +1,415 @@
+// Recipient notifications: texts to the people a delivery is for when it is
+// booked, when the rider is on the way and when the rider reaches their
+// drop-off. Each text links to confirm.html, where the recipient confirms the
+// drop-off point, moves the pin or picks another delivery time; their answer
+// goes back into the order through the recipient API below. No DOM dependencies.
+//
+// A sender is { name, label, send(message) }:
+//   message: { requestId, stop, event, channel: 'sms'|'whatsapp', to, text, link }
+//   send(message) -> Promise<{ messageId, status: 'sent'|'queued', sandbox? }>
+// Every text sent from this browser is kept in a log, which also stops the
+// same notice going to the same stop twice.
+// A recipient's answer is
+//   { action: 'confirmed'|'moved_pin'|'rescheduled', coords: [lat, lng], landmark, window: { date, time } }
+// with coords and landmark for a moved pin and the delivery window for a new
+// time. Once saved it also carries { stop, answeredAt }.
+//
+// A recipient API is { name, getStop(requestId, stop, key), answerStop(requestId, stop, key, answer) }:
+//   getStop(...) -> Promise<view or null>, null when the key doesn't open the stop
+//   answerStop(...) -> Promise<view>, rejected with error.status 403 (wrong key),
+//     409 (already delivered) or 422 (answer refused, error.message says why)
+//   view: { requestId, status, senderName, stop: { stop, recipientName, address,
+//           landmark, coords, deliveryWindow, confirmedAt } }
+// The link's key is the only credential: the recipient page never sees the
+// rest of the order or any other order, and the API checks key and answer.
+
+const NOTICE_LOG_KEY = 'vdeliver.recipientNotices';
+const NOTICE_LOG_LIMIT = 300;
+const NOTICE_CHANNELS = ['sms', 'whatsapp'];
+const NOTICE_MESSAGES = {
+    created: 'notice.created',
+    on_the_way: 'notice.onTheWay',
+    arrived: 'notice.arrived'
+};
+// Dispatcher statuses after which the rider is heading for the drop-offs
+const ON_THE_WAY_STATUSES = ['picked_up', 'in_transit'];
+const RECIPIENT_KEY_LENGTH = 10;
+const RESCHEDULE_MAX_DAYS = 7;
+
+// Secret in a stop's link, so only the person texted can change that stop
+function generateRecipientKey() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    const values = new Uint32Array(RECIPIENT_KEY_LENGTH);
+    crypto.getRandomValues(values);
+    return Array.from(values, v => alphabet[v % alphabet.length]).join('');
+}
+
+function readNoticeLog() {
+    try {
+        return JSON.parse(localStorage.getItem(NOTICE_LOG_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read recipient notices', error);
+        return [];
+    }
+}
+
+function appendNoticeLog(entry) {
+    const log = readNoticeLog().concat(entry).slice(-NOTICE_LOG_LIMIT);
+    try {
+        localStorage.setItem(NOTICE_LOG_KEY, JSON.stringify(log));
+    } catch (error) {
+        console.warn('Could not save recipient notice', error);
+    }
+}
+
+// Texts sent for an order, oldest first
+function getOrderNotices(requestId) {
+    return readNoticeLog().filter(entry => entry.requestId === requestId);
+}
+
+function hasNotice(requestId, stop, event) {
+    return readNoticeLog().some(entry => entry.requestId === requestId && entry.stop === stop && entry.event === event);
+}
+
+// Stand-in for the SMS/WhatsApp gateway: nothing is sent. The text only goes
+// to the notice log, and the success screen and the dispatcher's order card
+// show it with its link.
+function createMockNotificationSender() {
+    return {
+        name: 'mock',
+        label: 'Sandbox (texts shown on screen)',
+        async send(message) {
+            const messageId = 'MSG-' + Date.now().toString(36).toUpperCase() + '-' + message.stop;
+            return { messageId, status: 'sent', sandbox: true };
+        }
+    };
+}
+
+// Messaging gateway exposing POST {baseUrl}/messages with the message shape
+// described at the top of this file
+function createHttpNotificationSender(options) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (options.apiKey) headers['Authorization'] = 'Bearer ' + options.apiKey;
+
+    return {
+        name: 'http',
+        label: 'SMS/WhatsApp gateway',
+        async send(message) {
+            const response = await fetch(options.baseUrl + '/messages', { method: 'POST', headers, body: JSON.stringify(message) });
+            if (!response.ok) throw new Error('Messaging gateway error: ' + response.status);
+            return response.json();
+        }
+    };
+}
+
+function getNotificationSender(config) {
+    if (config.sender === 'http') return createHttpNotificationSender(config.http);
+    return createMockNotificationSender();
+}
+
+let notificationSender = null;
+
+// Override the sender, e.g. setNotificationSender(createMockNotificationSender())
+function setNotificationSender(sender) {
+    notificationSender = sender;
+}
+
+function currentNotificationSender() {
+    if (!notificationSender) notificationSender = getNotificationSender(APP_CONFIG.recipientNotices);
+    return notificationSender;
+}
+
+// Drop-offs of an order in visiting order, numbered from 1 as in the links.
+// Orders without a stop list (older ones, the demo data) have the one drop-off.
+function getRecipientStops(order) {
+    const details = order.details || {};
+    const stops = details.deliveryStops && details.deliveryStops.length
+        ? details.deliveryStops
+        : [{
+            stopNumber: 1,
+            recipientName: details.recipientName,
+            recipientPhone: details.recipientPhone,
+            address: details.deliveryAddress,
+            landmark: details.deliveryLandmark,
+            coords: details.deliveryCoords
+        }];
+    return stops.map((stop, i) => Object.assign({ stop: i + 1 }, stop));
+}
+
+// confirm.html?id=VD-XXXXXX&stop=1&key=... next to the page at `baseUrl`
+function buildRecipientLink(baseUrl, requestId, stop, key) {
+    const url = new URL('confirm.html', baseUrl);
+    url.searchParams.set('id', requestId);
+    url.searchParams.set('stop', stop);
+    url.searchParams.set('key', key);
+    return url.toString();
+}
+
+// Text of a notice in `lang`; `link` is left out when the stop has no key
+function buildNoticeText(order, stop, event, link, lang) {
+    const details = order.details || {};
+    const text = t(NOTICE_MESSAGES[event], {
+        id: order.requestId,
+        name: stop.recipientName || '',
+        sender: details.senderName || 'VDELIVER',
+        place: stop.landmark || stop.address || ''
+    }, lang);
+    return link ? `${text} ${t('notice.link', { link }, lang)}` : text;
+}
+
+// Text the recipients of an order about `event` ('created', 'on_the_way' or
+// 'arrived'). options: { stops: [stop numbers] (all when omitted), baseUrl }.
+// Stops without a phone number and stops already told are skipped, as is the
+// whole order when the sender chose no notifications. Resolves to
+// [{ stop, to, text, link, status, sandbox }]; a failed send is reported as
+// status 'failed' and not logged, so the next trigger tries again.
+async function notifyRecipients(order, event, options) {
+    const settings = Object.assign({}, options);
+    const details = order.details || {};
+    if (!NOTICE_MESSAGES[event] || details.recipientNotify === 'none') return [];
+    const channel = NOTICE_CHANNELS.includes(details.recipientNotify) ? details.recipientNotify : APP_CONFIG.recipientNotices.channel;
+    const baseUrl = settings.baseUrl || APP_CONFIG.recipientNotices.linkBaseUrl || location.href;
+
+    const stops = getRecipientStops(order).filter(stop =>
+        stop.recipientPhone &&
+        (!settings.stops || settings.stops.includes(stop.stop)) &&
+        !hasNotice(order.requestId, stop.stop, event)
+    );
+    const results = [];
+    for (const stop of stops) {
+        const link = stop.recipientKey ? buildRecipientLink(baseUrl, order.requestId, stop.stop, stop.recipientKey) : '';
+        const message = {
+            requestId: order.requestId,
+            stop: stop.stop,
+            event,
+            channel,
+            to: stop.recipientPhone,
+            text: buildNoticeText(order, stop, event, link, details.recipientLanguage),
+            link
+        };
+        try {
+            const sent = await currentNotificationSender().send(message);
+            const entry = Object.assign({}, message, {
+                messageId: sent.messageId,
+                status: sent.status,
+                sandbox: !!sent.sandbox,
+                sentAt: new Date().toISOString()
+            });
+            appendNoticeLog(entry);
+            results.push(entry);
+        } catch (error) {
+            console.error(`Could not text stop ${stop.stop} of ${order.requestId}:`, error);
+            results.push(Object.assign({}, message, { status: 'failed' }));
+        }
+    }
+    return results;
+}
+
+// After a dispatcher status change: 'on the way' once the package is picked up
+function notifyStatusChange(order, options) {
+    if (!ON_THE_WAY_STATUSES.includes(order.status)) return Promise.resolve([]);
+    return notifyRecipients(order, 'on_the_way', options);
+}
+
+// Stop numbers whose drop-off pin is within `radiusM` of a rider fix
+function findArrivedStops(order, fix, radiusM) {
+    return getRecipientStops(order)
+        .filter(stop => {
+            const point = parseCoords(stop.coords);
+            return point && haversineKm(point, [fix.lat, fix.lng]) * 1000 <= radiusM;
+        })
+        .map(stop => stop.stop);
+}
+
+// Does the key from a link open this stop? Returns the stop or null.
+function findRecipientStop(order, stop, key) {
+    const found = getRecipientStops(order).find(s => s.stop === Number(stop));
+    return found && found.recipientKey && found.recipientKey === key ? found : null;
+}
+
+// Checks a recipient's answer before it is saved, on the page and again by the
+// recipient API. Returns an error message or null.
+function validateRecipientResponse(response, now) {
+    if (response.action === 'confirmed') return null;
+    if (response.action === 'moved_pin') {
+        if (!response.coords) return t('confirm.pinRequired');
+        const check = checkServiceArea(response.coords);
+        if (!check.allowed) return check.reason;
+        if (!String(response.landmark || '').trim()) return t('confirm.landmarkRequired');
+        return null;
+    }
+    if (response.action === 'rescheduled') {
+        const slot = response.window || {};
+        if (!slot.date || !slot.time) return t('confirm.timeRequired');
+        const ahead = daysBetween(getKampalaDateParts(now || new Date()).date, slot.date);
+        if (ahead < 0) return t('confirm.datePast');
+        if (ahead > RESCHEDULE_MAX_DAYS) return t('confirm.dateTooFar', { days: RESCHEDULE_MAX_DAYS });
+        if (!getPickupSlots(slot.date, now).includes(slot.time)) return t('confirm.slotUnavailable');
+        return null;
+    }
+    return t('confirm.unknownAnswer', { action: response.action });
+}
+
+// One line per answer for the dispatcher, e.g. "Stop 2: pin moved (near Shell Kisementi)"
+function describeRecipientResponse(response) {
+    if (response.action === 'moved_pin') {
+        return t('notice.answerMoved', { stop: response.stop, landmark: response.landmark });
+    }
+    if (response.action === 'rescheduled') {
+        return t('notice.answerRescheduled', {
+            stop: response.stop,
+            date: formatScheduleDate(response.window.date),
+            time: response.window.time
+        });
+    }
+    return t('notice.answerConfirmed', { stop: response.stop });
+}
+
+// Only the fields an answer of its kind has, so nothing else reaches the order
+function cleanRecipientResponse(response) {
+    const answer = { action: response.action };
+    if (response.action === 'moved_pin') {
+        answer.coords = response.coords.map(Number);
+        answer.landmark = String(response.landmark).trim();
+    }
+    if (response.action === 'rescheduled') answer.window = { date: response.window.date, time: response.window.time };
+    return answer;
+}
+
+// A recipient confirmed, moved or rescheduled their drop-off. A moved pin
+// replaces the stop's coordinates and landmark, and for the form's first
+// stop the order's delivery point too, so the rider and tracking pages use it.
+function applyRecipientResponse(order, response) {
+    const details = order.details = order.details || {};
+    const stops = details.deliveryStops || [];
+    const stop = stops[response.stop - 1];
+    if (stops.length && !stop) throw new Error('Unknown stop: ' + response.stop);
+    const primary = !stop || stop.stopNumber === 1 || stops.length === 1;
+
+    if (response.action === 'moved_pin') {
+        const coords = response.coords.map(value => value.toFixed(6)).join(', ');
+        if (stop) Object.assign(stop, { coords, landmark: response.landmark });
+        if (primary) Object.assign(details, { deliveryCoords: coords, deliveryLandmark: response.landmark });
+    }
+    if (response.action === 'rescheduled') {
+        if (stop) stop.deliveryWindow = response.window;
+        if (primary) details.deliveryWindow = response.window;
+    }
+    if (stop) stop.confirmedAt = response.answeredAt;
+    order.recipientResponses = (order.recipientResponses || []).concat(response);
+    return order;
+}
+
+// What the recipient page may see of an order: who it is from and the one
+// stop the link is for, without the sender's contacts or the other stops
+function buildRecipientView(order, stop) {
+    const details = order.details || {};
+    const primary = stop.stopNumber === 1;
+    return {
+        requestId: order.requestId,
+        status: order.status,
+        senderName: details.senderName || '',
+        stop: {
+            stop: stop.stop,
+            recipientName: stop.recipientName || '',
+            address: stop.address || '',
+            landmark: stop.landmark || '',
+            coords: stop.coords || '',
+            deliveryWindow: stop.deliveryWindow || (primary && details.deliveryWindow) || null,
+            confirmedAt: stop.confirmedAt || null
+        }
+    };
+}
+
+function recipientApiError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Stand-in for the recipient endpoints over the orders booked in this browser
+// (tracking.js). It checks the key and the answer as the server would.
+function createLocalRecipientApi() {
+    function find(requestId, stopNumber, key) {
+        const orders = readLocalOrders();
+        const order = orders[requestId];
+        const stop = order && findRecipientStop(order, stopNumber, key);
+        return stop ? { orders, order, stop } : null;
+    }
+
+    return {
+        name: 'local',
+        async getStop(requestId, stop, key) {
+            const found = find(requestId, stop, key);
+            return found ? buildRecipientView(found.order, found.stop) : null;
+        },
+        async answerStop(requestId, stop, key, response) {
+            const found = find(requestId, stop, key);
+            if (!found) throw recipientApiError(403, t('confirm.invalidLink'));
+            if (found.order.status === 'delivered') throw recipientApiError(409, t('confirm.delivered'));
+            const error = validateRecipientResponse(response);
+            if (error) throw recipientApiError(422, error);
+            applyRecipientResponse(found.order, Object.assign(cleanRecipientResponse(response), {
+                stop: found.stop.stop,
+                answeredAt: new Date().toISOString()
+            }));
+            writeLocalOrders(found.orders);
+            return buildRecipientView(found.order, getRecipientStops(found.order)[found.stop.stop - 1]);
+        }
+    };
+}
+
+// Recipient endpoints of the dispatch API, one stop each:
+//   GET  {baseUrl}/orders/{id}/stops/{n}?key=...            -> view
+//   POST {baseUrl}/orders/{id}/stops/{n}?key=...  (answer)  -> view
+// No API key is sent: the recipient page is public, so the server must
+// authorise by the stop's key and validate the answer itself. Refusals come
+// back as { message } with the statuses listed at the top of this file.
+function createHttpRecipientApi(options) {
+    async function call(method, requestId, stop, key, body) {
+        const path = `/orders/${encodeURIComponent(requestId)}/stops/${encodeURIComponent(stop)}?key=${encodeURIComponent(key || '')}`;
+        const init = { method, headers: { 'Accept': 'application/json' } };
+        if (body) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+        const response = await fetch(options.baseUrl + path, init);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw recipientApiError(response.status, data.message || 'Recipient API error: ' + response.status);
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'http',
+        async getStop(requestId, stop, key) {
+            try {
+                return await call('GET', requestId, stop, key);
+            } catch (error) {
+                if (error.status === 403 || error.status === 404) return null;
+                throw error;
+            }
+        },
+        answerStop(requestId, stop, key, response) {
+            return call('POST', requestId, stop, key, response);
+        }
+    };
+}
+
+function getRecipientApi(config) {
+    if (config.backend === 'http') return createHttpRecipientApi(config);
+    return createLocalRecipientApi();
+}
+
+let recipientApi = null;
+
+// Override the API, e.g. setRecipientApi(createLocalRecipientApi()) in tests
+function setRecipientApi(api) {
+    recipientApi = api;
+}
+
+function currentRecipientApi() {
+    if (!recipientApi) recipientApi = getRecipientApi(APP_CONFIG.recipientNotices.confirm);
+    return recipientApi;
+}
@@ -0,0 +1,68 @@
+// Stop-order optimisation for multi-stop deliveries.
+// Works on plain [lat, lng] pairs so it can run without the DOM or Leaflet.
+
+// Great-circle distance in km (Haversine formula)
+function haversineKm(a, b) {
+    const R = 6371;
+    const dLat = (b[0] - a[0]) * Math.PI / 180;
+    const dLon = (b[1] - a[1]) * Math.PI / 180;
+    const h =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(a[0] * Math.PI / 180) * Math.cos(b[0] * Math.PI / 180) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Length of the open path origin -> points[order[0]] -> points[order[1]] ...
+function pathLengthKm(origin, points, order) {
+    let total = 0;
+    let previous = origin;
+    for (const index of order) {
+        total += haversineKm(previous, points[index]);
+        previous = points[index];
+    }
+    return total;
+}
+
+// Suggest a visiting order for drop-off points starting from the pickup.
+// Nearest-neighbour to seed the tour, then 2-opt until nothing improves.
+// Returns indices into `points`; the rider does not return to the pickup.
+function optimizeStopOrder(origin, points) {
+    if (points.length < 2) return points.map((_, i) => i);
+
+    const remaining = points.map((_, i) => i);
+    const order = [];
+    let current = origin;
+    while (remaining.length) {
+        let bestPos = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (haversineKm(current, points[remaining[i]]) < haversineKm(current, points[remaining[bestPos]])) {
+                bestPos = i;
+            }
+        }
+        const next = remaining.splice(bestPos, 1)[0];
+        order.push(next);
+        current = points[next];
+    }
+
+    let bestLength = pathLengthKm(origin, points, order);
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < order.length - 1; i++) {
+            for (let j = i + 1; j < order.length; j++) {
+                const candidate = order.slice(0, i)
+                    .concat(order.slice(i, j + 1).reverse())
+                    .concat(order.slice(j + 1));
+                const length = pathLengthKm(origin, points, candidate);
+                if (length + 1e-9 < bestLength) {
+                    order.splice(0, order.length, ...candidate);
+                    bestLength = length;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return order;
+}
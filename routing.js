@@ -0,0 +1,361 @@
+// Routing providers with ordered failover.
+// A provider is an object { name, label, route(request, signal) } where
+//   request = { vehicleType, waypoints: [[lat, lng], ...], instructions }
+// and route() resolves with
+//   { legs: [{ distanceKm, durationMin }], coordinates: [[lng, lat], ...], steps, estimate }
+// `steps` is only filled when request.instructions is set:
+//   [{ instruction, street, distanceKm, durationMin, maneuver, coordinates: [[lng, lat], ...] }]
+// with `maneuver` one of MANEUVERS and `instruction` the router's own text
+// (English) or ''. stepInstruction() gives the text to show.
+// routeWithFailover() adds `provider` and `providerLabel` to the result.
+// Nothing here touches the DOM; distances use haversineKm() from route-optimizer.js
+// and the step text t() from i18n.js.
+
+// Maneuvers every router is mapped onto; maneuver.<name> in locales/ words them
+const MANEUVERS = [
+    'depart', 'straight', 'left', 'right', 'slight-left', 'slight-right', 'sharp-left', 'sharp-right',
+    'keep-left', 'keep-right', 'roundabout', 'uturn', 'via', 'arrive'
+];
+
+function toLngLat(waypoints) {
+    return waypoints.map(([lat, lng]) => [lng, lat]);
+}
+
+// Instruction for a maneuver onto `street`, in `lang`
+function describeManeuver(maneuver, street, lang) {
+    const name = MANEUVERS.includes(maneuver) ? maneuver : 'straight';
+    const text = t('maneuver.' + name, null, lang);
+    if (!street || name === 'via' || name === 'arrive') return text;
+    return t(name === 'depart' ? 'maneuver.on' : 'maneuver.onto', { action: text, street }, lang);
+}
+
+// Text of a step in `lang` (the chosen language when omitted). ORS and
+// GraphHopper send their own instructions in English, so other languages, and
+// routers that only send the maneuver, get it described from the maneuver.
+function stepInstruction(step, lang) {
+    const language = lang || getLanguage();
+    if (step.target === 'delivery') return t('maneuver.headToDelivery', null, language);
+    if (step.target === 'stop') return t('maneuver.headToStop', { number: step.stop }, language);
+    if (step.instruction && language === DEFAULT_LANGUAGE) return step.instruction;
+    return describeManeuver(step.maneuver, step.street, language);
+}
+
+// ORS step types 0-13
+const ORS_MANEUVERS = [
+    'left', 'right', 'sharp-left', 'sharp-right', 'slight-left', 'slight-right', 'straight',
+    'roundabout', 'roundabout', 'uturn', 'arrive', 'depart', 'keep-left', 'keep-right'
+];
+
+// GraphHopper instruction signs
+const GRAPHHOPPER_MANEUVERS = {
+    '-98': 'uturn', '-8': 'uturn', '-7': 'keep-left', '-3': 'sharp-left', '-2': 'left', '-1': 'slight-left',
+    '0': 'straight', '1': 'slight-right', '2': 'right', '3': 'sharp-right', '4': 'arrive', '5': 'via',
+    '6': 'roundabout', '7': 'keep-right', '8': 'uturn'
+};
+
+function osrmManeuver(maneuver, isLastLeg) {
+    if (maneuver.type === 'depart') return 'depart';
+    if (maneuver.type === 'arrive') return isLastLeg ? 'arrive' : 'via';
+    if (/roundabout|rotary/.test(maneuver.type)) return 'roundabout';
+    const modifier = (maneuver.modifier || 'straight').replace(' ', '-');
+    if (modifier === 'uturn') return 'uturn';
+    if ((maneuver.type === 'fork' || maneuver.type === 'merge') && /left|right/.test(modifier)) {
+        return modifier.endsWith('left') ? 'keep-left' : 'keep-right';
+    }
+    return MANEUVERS.includes(modifier) ? modifier : 'straight';
+}
+
+// One step per leg for routers without turn-by-turn data, each heading to
+// the delivery point (`target` 'delivery') or to stop number `stop`
+function straightLineSteps(waypoints, legs) {
+    return legs.map((leg, i) => ({
+        instruction: '',
+        target: legs.length === 1 ? 'delivery' : 'stop',
+        stop: i + 1,
+        street: '',
+        distanceKm: leg.distanceKm,
+        durationMin: leg.durationMin,
+        maneuver: i === legs.length - 1 ? 'arrive' : 'via',
+        coordinates: toLngLat([waypoints[i], waypoints[i + 1]])
+    }));
+}
+
+// OpenRouteService directions (needs an API key)
+function createOrsProvider(options) {
+    return {
+        name: 'ors',
+        label: 'OpenRouteService',
+        async route(request, signal) {
+            if (!options.apiKey) throw new Error('ORS API key not configured');
+            // Vehicles without a native ORS profile (see vehicles.js) are routed as a car
+            const profile = vehicleRoutingProfile(request.vehicleType, 'ors') || 'driving-car';
+            const response = await fetch(`${options.baseUrl}/v2/directions/${profile}/geojson`, {
+                method: 'POST',
+                signal,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Authorization': options.apiKey
+                },
+                body: JSON.stringify({
+                    coordinates: toLngLat(request.waypoints),
+                    instructions: !!request.instructions,
+                    preference: 'recommended'
+                })
+            });
+            if (!response.ok) throw new Error('ORS responded ' + response.status);
+            const data = await response.json();
+            const feature = data.features[0];
+            const coordinates = feature.geometry.coordinates;
+            const segments = feature.properties.segments;
+            const steps = request.instructions ? [].concat(...segments.map((segment, s) => (segment.steps || []).map(step => {
+                let maneuver = ORS_MANEUVERS[step.type] || 'straight';
+                if (maneuver === 'arrive' && s < segments.length - 1) maneuver = 'via';
+                return {
+                    instruction: step.instruction,
+                    street: step.name && step.name !== '-' ? step.name : '',
+                    distanceKm: step.distance / 1000,
+                    durationMin: Math.round(step.duration / 60),
+                    maneuver,
+                    coordinates: coordinates.slice(step.way_points[0], step.way_points[1] + 1)
+                };
+            }))) : [];
+            return {
+                legs: segments.map(segment => ({
+                    distanceKm: segment.distance / 1000,
+                    durationMin: Math.round(segment.duration / 60)
+                })),
+                coordinates,
+                steps,
+                estimate: false
+            };
+        }
+    };
+}
+
+// OSRM route service (public demo server only offers the driving profile)
+function createOsrmProvider(options) {
+    return {
+        name: 'osrm',
+        label: 'OSRM',
+        async route(request, signal) {
+            const points = toLngLat(request.waypoints).map(p => p.join(',')).join(';');
+            const response = await fetch(
+                `${options.baseUrl}/route/v1/driving/${points}?overview=full&geometries=geojson&steps=${!!request.instructions}`,
+                { signal }
+            );
+            if (!response.ok) throw new Error('OSRM responded ' + response.status);
+            const data = await response.json();
+            if (data.code !== 'Ok' || !data.routes.length) throw new Error('OSRM: ' + (data.message || data.code));
+            const route = data.routes[0];
+            const steps = request.instructions ? [].concat(...route.legs.map((leg, l) => leg.steps.map(step => {
+                const maneuver = osrmManeuver(step.maneuver, l === route.legs.length - 1);
+                return {
+                    instruction: '',
+                    street: step.name || '',
+                    distanceKm: step.distance / 1000,
+                    durationMin: Math.round(step.duration / 60),
+                    maneuver,
+                    coordinates: step.geometry.coordinates
+                };
+            }))) : [];
+            return {
+                legs: route.legs.map(leg => ({
+                    distanceKm: leg.distance / 1000,
+                    durationMin: Math.round(leg.duration / 60)
+                })),
+                coordinates: route.geometry.coordinates,
+                steps,
+                estimate: false
+            };
+        }
+    };
+}
+
+// GraphHopper routing API (needs an API key)
+function createGraphHopperProvider(options) {
+    const VIA_REACHED = 5;
+    const FINISH = 4;
+    return {
+        name: 'graphhopper',
+        label: 'GraphHopper',
+        async route(request, signal) {
+            if (!options.apiKey) throw new Error('GraphHopper API key not configured');
+            const params = new URLSearchParams({
+                profile: vehicleRoutingProfile(request.vehicleType, 'graphhopper') || 'car',
+                points_encoded: 'false',
+                instructions: 'true',
+                key: options.apiKey
+            });
+            request.waypoints.forEach(([lat, lng]) => params.append('point', `${lat},${lng}`));
+            const response = await fetch(`${options.baseUrl}/route?${params}`, { signal });
+            if (!response.ok) throw new Error('GraphHopper responded ' + response.status);
+            const data = await response.json();
+            const path = data.paths[0];
+
+            // GraphHopper has no per-leg totals: split instructions at each via point
+            const legs = [];
+            let leg = { distance: 0, time: 0 };
+            path.instructions.forEach(instruction => {
+                leg.distance += instruction.distance;
+                leg.time += instruction.time;
+                if (instruction.sign === VIA_REACHED || instruction.sign === FINISH) {
+                    legs.push(leg);
+                    leg = { distance: 0, time: 0 };
+                }
+            });
+            const steps = request.instructions ? path.instructions.map(instruction => ({
+                instruction: instruction.text,
+                street: instruction.street_name || '',
+                distanceKm: instruction.distance / 1000,
+                durationMin: Math.round(instruction.time / 60000),
+                maneuver: GRAPHHOPPER_MANEUVERS[instruction.sign] || 'straight',
+                coordinates: path.points.coordinates.slice(instruction.interval[0], instruction.interval[1] + 1)
+            })) : [];
+            return {
+                legs: legs.map(l => ({ distanceKm: l.distance / 1000, durationMin: Math.round(l.time / 60000) })),
+                coordinates: path.points.coordinates,
+                steps,
+                estimate: false
+            };
+        }
+    };
+}
+
+// In-memory router for tests and demos: straight lines with a detour factor.
+// `fail: true` makes it reject, `delayMs` simulates a slow server.
+function createMockRoutingProvider(options) {
+    const settings = Object.assign({ detourFactor: 1.3, speedKmh: 25, delayMs: 0, fail: false, estimate: false }, options);
+    return {
+        name: 'mock',
+        label: 'Mock router',
+        route(request, signal) {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    if (settings.fail) {
+                        reject(new Error('Mock router failure'));
+                        return;
+                    }
+                    const legs = request.waypoints.slice(1).map((point, i) => {
+                        const km = haversineKm(request.waypoints[i], point) * settings.detourFactor;
+                        return { distanceKm: km, durationMin: Math.round(km / settings.speedKmh * 60) };
+                    });
+                    resolve({
+                        legs,
+                        coordinates: toLngLat(request.waypoints),
+                        steps: request.instructions ? straightLineSteps(request.waypoints, legs) : [],
+                        estimate: settings.estimate
+                    });
+                }, settings.delayMs);
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(new Error('Aborted'));
+                    });
+                }
+            });
+        }
+    };
+}
+
+// Last resort: straight-line distance at ~3 min per km, always flagged as an estimate
+function createStraightLineProvider() {
+    return {
+        name: 'straight-line',
+        label: 'Straight-line estimate',
+        async route(request) {
+            const legs = request.waypoints.slice(1).map((point, i) => {
+                const km = haversineKm(request.waypoints[i], point);
+                return { distanceKm: km, durationMin: Math.round(km * 3) };
+            });
+            return {
+                legs,
+                coordinates: toLngLat(request.waypoints),
+                steps: request.instructions ? straightLineSteps(request.waypoints, legs) : [],
+                estimate: true
+            };
+        }
+    };
+}
+
+// Run one provider with a timeout
+function routeWithTimeout(provider, request, timeoutMs) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            reject(new Error(`${provider.label} timed out after ${timeoutMs} ms`));
+            if (controller) controller.abort();
+        }, timeoutMs);
+    });
+    return Promise.race([provider.route(request, controller && controller.signal), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+// Try providers in order until one returns a route
+async function routeWithFailover(request, providers, timeoutMs) {
+    const attempts = [];
+    for (const provider of providers) {
+        try {
+            const result = await routeWithTimeout(provider, request, timeoutMs);
+            return Object.assign({ provider: provider.name, providerLabel: provider.label, attempts }, result);
+        } catch (error) {
+            console.warn(`Routing provider "${provider.name}" failed:`, error.message);
+            attempts.push({ provider: provider.name, error: error.message });
+        }
+    }
+    const error = new Error('All routing providers failed');
+    error.attempts = attempts;
+    throw error;
+}
+
+// Providers from APP_CONFIG.routing, in order, followed by the straight-line estimate
+function getRoutingProviders(config) {
+    const factories = {
+        ors: () => createOrsProvider(config.ors),
+        osrm: () => createOsrmProvider(config.osrm),
+        graphhopper: () => createGraphHopperProvider(config.graphhopper)
+    };
+    return config.providers
+        .filter(name => factories[name])
+        .map(name => factories[name]())
+        .concat(createStraightLineProvider());
+}
+
+let routingProviders = null;
+
+// Override the provider list, e.g. setRoutingProviders([createMockRoutingProvider()]) in tests
+function setRoutingProviders(providers) {
+    routingProviders = providers;
+}
+
+function calculateRouteWithProviders(request) {
+    const providers = routingProviders || getRoutingProviders(APP_CONFIG.routing);
+    return routeWithFailover(request, providers, APP_CONFIG.routing.timeoutMs);
+}
+
+// Route the same trip for several vehicle types in parallel. Vehicles with
+// the same native profiles share one request; durations are then scaled to
+// each vehicle (adjustRouteForVehicle() in vehicles.js). Resolves with
+// { [vehicleType]: route }, leaving out vehicles whose request failed.
+async function calculateRoutesForVehicles(request, vehicleTypes) {
+    const groups = new Map();
+    vehicleTypes.forEach(type => {
+        const key = JSON.stringify(VEHICLE_TYPES[type].profiles);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(type);
+    });
+    const results = await Promise.all(Array.from(groups.values()).map(types =>
+        calculateRouteWithProviders(Object.assign({}, request, { vehicleType: types[0] }))
+            .then(route => ({ types, route }))
+            .catch(error => {
+                console.warn(`Routing failed for ${types.join(', ')}:`, error.message);
+                return { types, route: null };
+            })));
+    const routes = {};
+    results.forEach(({ types, route }) => {
+        if (!route) return;
+        types.forEach(type => { routes[type] = adjustRouteForVehicle(route, type); });
+    });
+    return routes;
+}
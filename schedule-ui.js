@@ -0,0 +1,107 @@
+// The Pickup Time section of the booking form: the mode, date, slot and
+// repeat fields and the summary under them. The rules are in schedule.js.
+
+const scheduleListeners = [];
+
+// Run fn whenever the chosen schedule changes
+function onScheduleChange(fn) {
+    scheduleListeners.push(fn);
+}
+
+function notifyScheduleChange() {
+    const schedule = getSchedule();
+    scheduleListeners.forEach(fn => fn(schedule));
+}
+
+// Read the schedule from the Pickup Time section
+function getSchedule() {
+    const checked = document.querySelector('input[name="pickupMode"]:checked');
+    const mode = checked ? checked.value : 'asap';
+    if (mode === 'asap') return { mode };
+    const date = mode === 'today'
+        ? getKampalaDateParts(new Date()).date
+        : document.getElementById('pickupDate').value;
+    const frequency = mode === 'date' ? document.getElementById('recurrenceFrequency').value : 'none';
+    return {
+        mode,
+        date,
+        time: document.getElementById('pickupTime').value,
+        recurrence: {
+            frequency,
+            weekdays: Array.from(document.querySelectorAll('.recurrence-weekday:checked')).map(box => box.value),
+            endDate: document.getElementById('recurrenceEndDate').value
+        }
+    };
+}
+
+// Refill the time select with the slots for the chosen day, keeping the selection when possible
+function renderPickupSlots() {
+    const schedule = getSchedule();
+    const select = document.getElementById('pickupTime');
+    const previous = select.value;
+    const slots = schedule.date ? getPickupSlots(schedule.date) : [];
+    select.innerHTML = '';
+    if (!slots.length) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = t(schedule.date ? 'schedule.noSlots' : 'schedule.chooseDateFirst');
+        select.appendChild(option);
+    }
+    slots.forEach(slot => {
+        const option = document.createElement('option');
+        option.value = slot;
+        option.textContent = `${slot} – ${formatTimeMinutes(parseTimeMinutes(slot) + SCHEDULE_RULES.windowMinutes)}`;
+        select.appendChild(option);
+    });
+    if (slots.includes(previous)) select.value = previous;
+}
+
+function updateScheduleSection() {
+    const mode = getSchedule().mode;
+    document.getElementById('pickupSlotFields').style.display = mode === 'asap' ? 'none' : 'grid';
+    document.getElementById('pickupDateGroup').style.display = mode === 'date' ? 'flex' : 'none';
+    document.getElementById('recurrenceFields').style.display = mode === 'date' ? 'block' : 'none';
+    const frequency = document.getElementById('recurrenceFrequency').value;
+    document.getElementById('recurrenceWeekdays').style.display = frequency === 'weekly' ? 'flex' : 'none';
+    document.getElementById('recurrenceEndGroup').style.display = frequency === 'none' ? 'none' : 'flex';
+    if (mode !== 'asap') renderPickupSlots();
+
+    const schedule = getSchedule();
+    const summary = document.getElementById('scheduleSummary');
+    const error = validateSchedule(schedule);
+    summary.className = 'schedule-summary' + (error ? ' invalid' : '');
+    summary.textContent = error || (schedule.mode === 'asap'
+        ? t('schedule.asapSummary')
+        : formatScheduleForMessage(schedule) +
+            (schedule.recurrence.frequency === 'none' ? '' : ' · ' + formatRecurrenceForMessage(schedule)));
+    notifyScheduleChange();
+}
+
+// Operating hours table under the schedule fields
+function renderOperatingHours() {
+    const el = document.getElementById('operatingHours');
+    if (!el) return;
+    el.textContent = t('schedule.operatingHours', {
+        hours: WEEKDAYS.map(day => `${t('weekday.' + day)} ${OPERATING_HOURS[day].open}–${OPERATING_HOURS[day].close}`).join(', ')
+    });
+}
+
+(function initScheduleSection() {
+    const section = document.getElementById('scheduleSection');
+    if (!section) return;
+    const today = getKampalaDateParts(new Date()).date;
+    const pickupDate = document.getElementById('pickupDate');
+    pickupDate.min = today;
+    pickupDate.max = addDays(today, SCHEDULE_RULES.maxDaysAhead);
+    const endDate = document.getElementById('recurrenceEndDate');
+    endDate.min = addDays(today, 1);
+    endDate.max = addDays(today, SCHEDULE_RULES.maxDaysAhead + SCHEDULE_RULES.maxRecurringDays);
+
+    section.addEventListener('change', updateScheduleSection);
+    onLanguageChange(() => {
+        renderOperatingHours();
+        updateScheduleSection();
+    });
+    renderOperatingHours();
+    updateScheduleSection();
+})();
@@ -0,0 +1,233 @@
+// Pickup scheduling: ASAP, a later slot today or a future date, optionally
+// repeating daily or on chosen weekdays until an end date. All times are
+// Kampala local time; Uganda has no daylight saving, so the offset is fixed.
+// No DOM dependencies; schedule-ui.js runs the Pickup Time section.
+
+import { t, getLanguage, LANGUAGE_LOCALES, DEFAULT_LANGUAGE } from './i18n.js';
+
+const KAMPALA_UTC_OFFSET = '+03:00';
+
+// Pickup windows must start and end inside these hours (24h, Kampala time).
+// Windows from 21:00 pay the night surcharge (SURCHARGES.night in pricing.js);
+// contact.html states the same hours.
+export const OPERATING_HOURS = {
+    Mon: { open: '07:00', close: '23:00' },
+    Tue: { open: '07:00', close: '23:00' },
+    Wed: { open: '07:00', close: '23:00' },
+    Thu: { open: '07:00', close: '23:00' },
+    Fri: { open: '07:00', close: '23:00' },
+    Sat: { open: '08:00', close: '23:00' },
+    Sun: { open: '09:00', close: '22:00' }
+};
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const SCHEDULE_RULES = {
+    windowMinutes: 60, // length of a pickup window
+    slotStepMinutes: 30, // spacing between offered window start times
+    minLeadMinutes: 60, // earliest window start after "now" for a scheduled pickup
+    maxDaysAhead: 30, // furthest first pickup date
+    maxRecurringDays: 90 // furthest end date of a recurring schedule, from the first pickup
+};
+
+// Message keys (see locales/) for each pickup mode
+const SCHEDULE_MODE_LABELS = {
+    asap: 'schedule.asap',
+    today: 'schedule.today',
+    date: 'schedule.scheduled'
+};
+
+export function parseTimeMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+export function formatTimeMinutes(minutes) {
+    return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD' + 'HH:MM' in Kampala -> Date
+export function kampalaDateTime(date, time) {
+    return new Date(`${date}T${time || '00:00'}:00${KAMPALA_UTC_OFFSET}`);
+}
+
+// Date -> { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'Mon', minutes }
+export function getKampalaDateParts(date) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Africa/Kampala',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = type => parts.find(p => p.type === type).value;
+    const time = `${get('hour')}:${get('minute')}`;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        time,
+        weekday: get('weekday'),
+        minutes: parseTimeMinutes(time)
+    };
+}
+
+// Whole days from one 'YYYY-MM-DD' to another
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86400000);
+}
+
+export function addDays(date, days) {
+    return new Date(Date.parse(date + 'T00:00:00Z') + days * 86400000).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+    return getKampalaDateParts(kampalaDateTime(date, '12:00')).weekday;
+}
+
+// First date on or after `date` that falls on `weekday`
+function nextWeekday(date, weekday) {
+    let d = date;
+    while (weekdayOf(d) !== weekday) d = addDays(d, 1);
+    return d;
+}
+
+// Window start times offered on a date; today's list skips slots inside the lead time
+export function getPickupSlots(date, now) {
+    const hours = OPERATING_HOURS[weekdayOf(date)];
+    if (!hours) return [];
+    const today = getKampalaDateParts(now || new Date());
+    let earliest = parseTimeMinutes(hours.open);
+    if (date === today.date) {
+        earliest = Math.max(earliest, today.minutes + SCHEDULE_RULES.minLeadMinutes);
+        const step = SCHEDULE_RULES.slotStepMinutes;
+        earliest = Math.ceil(earliest / step) * step;
+    } else if (date < today.date) {
+        return [];
+    }
+    const latest = parseTimeMinutes(hours.close) - SCHEDULE_RULES.windowMinutes;
+    const slots = [];
+    for (let t = earliest; t <= latest; t += SCHEDULE_RULES.slotStepMinutes) {
+        slots.push(formatTimeMinutes(t));
+    }
+    return slots;
+}
+
+export function isWithinOperatingHours(date, time) {
+    const hours = OPERATING_HOURS[weekdayOf(date)];
+    if (!hours) return false;
+    const start = parseTimeMinutes(time);
+    return start >= parseTimeMinutes(hours.open) &&
+        start + SCHEDULE_RULES.windowMinutes <= parseTimeMinutes(hours.close);
+}
+
+// Pickup dates of a schedule in order (one date for one-off pickups)
+export function getScheduleDates(schedule, limit) {
+    const recurrence = schedule.recurrence;
+    if (!recurrence || recurrence.frequency === 'none' || !recurrence.endDate) return [schedule.date];
+    const dates = [];
+    const max = limit || Infinity;
+    for (let d = schedule.date; d <= recurrence.endDate && dates.length < max; d = addDays(d, 1)) {
+        if (recurrence.frequency === 'weekly' && !recurrence.weekdays.includes(weekdayOf(d))) continue;
+        if (!isWithinOperatingHours(d, schedule.time)) continue;
+        dates.push(d);
+    }
+    return dates;
+}
+
+// Check a schedule; returns an error message or null
+// schedule: { mode: 'asap'|'today'|'date', date, time, recurrence: { frequency: 'none'|'daily'|'weekly', weekdays, endDate } }
+export function validateSchedule(schedule, now) {
+    if (schedule.mode === 'asap') {
+        const current = getKampalaDateParts(now || new Date());
+        const hours = OPERATING_HOURS[current.weekday];
+        if (current.minutes < parseTimeMinutes(hours.open) || current.minutes >= parseTimeMinutes(hours.close)) {
+            return t('schedule.closedNow', { open: hours.open, close: hours.close });
+        }
+        return null;
+    }
+
+    if (!schedule.date || !schedule.time) return t('schedule.chooseDateTime');
+    const today = getKampalaDateParts(now || new Date()).date;
+    const ahead = daysBetween(today, schedule.date);
+    if (ahead < 0) return t('schedule.datePast');
+    if (ahead > SCHEDULE_RULES.maxDaysAhead) {
+        return t('schedule.tooFarAhead', { days: SCHEDULE_RULES.maxDaysAhead });
+    }
+    if (!isWithinOperatingHours(schedule.date, schedule.time)) {
+        return outsideHoursMessage(weekdayOf(schedule.date));
+    }
+    if (!getPickupSlots(schedule.date, now).includes(schedule.time)) {
+        return t('schedule.slotGone');
+    }
+
+    const recurrence = schedule.recurrence;
+    if (recurrence && recurrence.frequency !== 'none') {
+        if (recurrence.frequency === 'weekly' && !recurrence.weekdays.length) {
+            return t('schedule.chooseWeekday');
+        }
+        if (recurrence.frequency === 'weekly') {
+            const closed = recurrence.weekdays.find(day => !isWithinOperatingHours(nextWeekday(schedule.date, day), schedule.time));
+            if (closed) return outsideHoursMessage(closed);
+        }
+        if (!recurrence.endDate) return t('schedule.chooseEndDate');
+        if (recurrence.endDate <= schedule.date) return t('schedule.endBeforeStart');
+        if (daysBetween(schedule.date, recurrence.endDate) > SCHEDULE_RULES.maxRecurringDays) {
+            return t('schedule.tooLong', { days: SCHEDULE_RULES.maxRecurringDays });
+        }
+        if (getScheduleDates(schedule).length < 2) {
+            return t('schedule.noRepeats');
+        }
+    }
+    return null;
+}
+
+function outsideHoursMessage(weekday) {
+    const hours = OPERATING_HOURS[weekday];
+    return t('schedule.outsideHours', { day: t('weekday.' + weekday), open: hours.open, close: hours.close });
+}
+
+// When the first pickup starts; used for time-of-day pricing
+export function getSchedulePickupTime(schedule, now) {
+    if (!schedule || schedule.mode === 'asap' || !schedule.date || !schedule.time) return now || new Date();
+    return kampalaDateTime(schedule.date, schedule.time);
+}
+
+// 'YYYY-MM-DD' as e.g. "Mon, 3 Nov 2025" in `lang` (the chosen language when omitted)
+export function formatScheduleDate(date, lang) {
+    const locale = LANGUAGE_LOCALES[lang || getLanguage()];
+    return kampalaDateTime(date, '12:00').toLocaleDateString([locale, LANGUAGE_LOCALES[DEFAULT_LANGUAGE]], {
+        timeZone: 'Africa/Kampala',
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+}
+
+// One-line description for the dispatcher in `lang`, e.g.
+// "Scheduled: Mon, 3 Nov 2025, 09:00–10:00 (Kampala time)"
+export function formatScheduleForMessage(schedule, lang) {
+    if (!schedule || schedule.mode === 'asap') return t(SCHEDULE_MODE_LABELS.asap, null, lang);
+    const end = formatTimeMinutes(parseTimeMinutes(schedule.time) + SCHEDULE_RULES.windowMinutes);
+    return t('schedule.window', {
+        mode: t(SCHEDULE_MODE_LABELS[schedule.mode], null, lang),
+        date: formatScheduleDate(schedule.date, lang),
+        start: schedule.time,
+        end
+    }, lang);
+}
+
+export function formatRecurrenceForMessage(schedule, lang) {
+    const recurrence = schedule && schedule.recurrence;
+    if (!recurrence || recurrence.frequency === 'none') return t('schedule.oneOff', null, lang);
+    const days = recurrence.frequency === 'daily'
+        ? t('schedule.daily', null, lang)
+        : t('schedule.weeklyOn', { days: recurrence.weekdays.map(day => t('weekday.' + day, null, lang)).join(', ') }, lang);
+    return t('schedule.repeatUntil', {
+        days,
+        date: formatScheduleDate(recurrence.endDate, lang),
+        count: getScheduleDates(schedule).length
+    }, lang);
+}
@@ -0,0 +1,135 @@
+// Service areas: the polygons we deliver in, loaded from GeoJSON
+// (APP_CONFIG.serviceAreas.url). Each feature's properties are
+//   { id, name, available, vehicleTypes: [...], reason, note }
+// where `reason` explains why an unavailable area is closed.
+// Polygon and MultiPolygon geometries are supported, holes included.
+
+import { t } from './i18n.js';
+import { VEHICLE_TYPES } from './vehicles.js';
+
+let serviceAreas = null; // GeoJSON features once loaded
+let serviceAreasLoading = null;
+
+// Fetch the service areas once; later calls share the same promise
+export function loadServiceAreas() {
+    if (!serviceAreasLoading) {
+        serviceAreasLoading = fetch(APP_CONFIG.serviceAreas.url, { headers: { 'Accept': 'application/geo+json, application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error('Service areas unavailable: ' + response.status);
+                return response.json();
+            })
+            .then(collection => {
+                serviceAreas = collection.features.filter(f => f.geometry && /Polygon$/.test(f.geometry.type));
+                return serviceAreas;
+            });
+        serviceAreasLoading.catch(() => { serviceAreasLoading = null; });
+    }
+    return serviceAreasLoading;
+}
+
+// Replace the loaded areas, e.g. setServiceAreas(collection.features) in tests
+export function setServiceAreas(features) {
+    serviceAreas = features;
+}
+
+// Accepts a Leaflet LatLng, { lat, lng } or a [lat, lng] pair
+function toLatLngPair(latlng) {
+    return Array.isArray(latlng) ? latlng : [latlng.lat, latlng.lng];
+}
+
+// Ray casting over one ring of [lng, lat] positions
+function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// Inside the outer ring and outside every hole
+function pointInPolygon(lng, lat, rings) {
+    return pointInRing(lng, lat, rings[0]) && !rings.slice(1).some(hole => pointInRing(lng, lat, hole));
+}
+
+function areaContains(feature, latlng) {
+    const [lat, lng] = toLatLngPair(latlng);
+    const { type, coordinates } = feature.geometry;
+    const polygons = type === 'MultiPolygon' ? coordinates : [coordinates];
+    return polygons.some(rings => pointInPolygon(lng, lat, rings));
+}
+
+// First area containing the point, or null
+export function findServiceArea(latlng) {
+    return (serviceAreas || []).find(feature => areaContains(feature, latlng)) || null;
+}
+
+export function describeServedAreas() {
+    return (serviceAreas || []).filter(f => f.properties.available).map(f => f.properties.name).join(', ');
+}
+
+// Can a pin go here? Returns { allowed, area, reason } where `area` is the
+// feature's properties and `reason` a message for the user when not allowed.
+export function checkServiceArea(latlng) {
+    if (!serviceAreas) {
+        return { allowed: false, area: null, reason: t('serviceArea.loading') };
+    }
+    const feature = findServiceArea(latlng);
+    if (!feature) {
+        return { allowed: false, area: null, reason: t('serviceArea.outside', { areas: describeServedAreas() }) };
+    }
+    const area = feature.properties;
+    if (!area.available) {
+        return { allowed: false, area, reason: t('serviceArea.closed', { area: area.name, reason: area.reason || t('serviceArea.notAvailable') }) };
+    }
+    return { allowed: true, area, reason: '' };
+}
+
+// Does the area (a feature's properties) take this vehicle? Returns a message
+// naming the vehicles it does take, or null. No list means any vehicle.
+export function checkAreaVehicle(area, vehicleType) {
+    const vehicles = area.vehicleTypes;
+    if (!vehicles || !vehicles.length || vehicles.includes(vehicleType)) return null;
+    const names = vehicles.map(v => (VEHICLE_TYPES[v] ? t('vehicle.' + v) : v).toLowerCase());
+    const list = names.length > 1
+        ? t('serviceArea.orList', { items: names.slice(0, -1).join(', '), last: names[names.length - 1] })
+        : names[0];
+    return t('serviceArea.onlyBy', { area: area.name, vehicles: list });
+}
+
+// Check every point of a trip against the areas and the chosen vehicle.
+// points: [{ label, coords: [lat, lng] }]. Returns an error message or null.
+export function validateServiceAreas(points, vehicleType) {
+    for (const point of points) {
+        const check = checkServiceArea(point.coords);
+        if (!check.allowed) return `${point.label}: ${check.reason}`;
+        const vehicleError = checkAreaVehicle(check.area, vehicleType);
+        if (vehicleError) return `${point.label}: ${vehicleError}`;
+    }
+    return null;
+}
+
+// The first area of the trip ([[lat, lng], ...]) that doesn't take the
+// vehicle, as a message, or null. Points outside every area are left to the
+// pin checks, so quotes still show while the areas load.
+export function findAreaVehicleError(coordsList, vehicleType) {
+    for (const coords of coordsList) {
+        const feature = coords && findServiceArea(coords);
+        const error = feature && feature.properties.available && checkAreaVehicle(feature.properties, vehicleType);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Outline the areas on a Leaflet map: served areas in blue, closed ones in grey
+export function addServiceAreaLayer(map) {
+    loadServiceAreas().then(features => {
+        L.geoJSON({ type: 'FeatureCollection', features }, {
+            interactive: false,
+            style: feature => feature.properties.available
+                ? { color: '#00d4ff', weight: 2, opacity: 0.6, fillOpacity: 0.04, dashArray: '4 4' }
+                : { color: '#888', weight: 1, opacity: 0.6, fillColor: '#888', fillOpacity: 0.15 }
+        }).addTo(map);
+    }).catch(error => console.warn('Could not draw service areas', error));
+}
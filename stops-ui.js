@@ -0,0 +1,220 @@
+// Multi-stop deliveries on the booking form.
+// Stop 1 is the original recipient/delivery section of the form; any further
+// stops are rendered into #extraStops by addDeliveryStop(), translated with
+// translatePage() from i18n-ui.js. Pins are parsed with parseCoords() from
+// stops.js.
+
+let extraStopCounter = 0;
+let currentStopOrder = null; // visiting order (indices into getDeliveryStops()) of the last route
+
+// Add an extra delivery stop to the form, optionally pre-filled
+function addDeliveryStop(data) {
+    extraStopCounter += 1;
+    const stopId = 'stop' + extraStopCounter;
+    const stop = document.createElement('div');
+    stop.className = 'location-section delivery-stop';
+    stop.dataset.stopId = stopId;
+    stop.innerHTML = `
+        <div class="stop-header">
+            <h3 class="location-title"></h3>
+            <button type="button" class="route-btn secondary remove-stop-btn">
+                <i class="fas fa-trash"></i> <span data-i18n="stops.remove">Remove</span>
+            </button>
+        </div>
+        <div class="form-grid">
+            <div class="form-group">
+                <label for="${stopId}RecipientName" data-i18n="field.recipientName">Recipient Name *</label>
+                <input type="text" id="${stopId}RecipientName" class="modern-input stop-recipient-name" required>
+            </div>
+            <div class="form-group">
+                <label for="${stopId}RecipientPhone" data-i18n="field.recipientPhone">Recipient Phone * (Uganda format)</label>
+                <input type="tel" id="${stopId}RecipientPhone" class="modern-input stop-recipient-phone" required placeholder="+2567... or 07...">
+            </div>
+            <div class="form-group">
+                <label for="${stopId}Address" data-i18n="field.deliveryAddress">Delivery Address *</label>
+                <input type="text" id="${stopId}Address" class="modern-input stop-address" required placeholder="Enter delivery address" data-i18n-placeholder="placeholder.deliveryAddress">
+                <div class="location-actions">
+                    <button type="button" class="google-maps-btn stop-map-btn">
+                        <i class="fas fa-map-marked-alt"></i> <span data-i18n="button.selectFromMap">Select from Map</span>
+                    </button>
+                </div>
+                <p class="plus-code-line stop-plus-code" hidden></p>
+            </div>
+            <div class="form-group">
+                <label for="${stopId}Landmark" data-i18n="field.landmark">Landmark *</label>
+                <input type="text" id="${stopId}Landmark" class="modern-input stop-landmark" required placeholder="Landmark or plus code, e.g. opposite Shell Ntinda" data-i18n-placeholder="placeholder.landmark">
+            </div>
+        </div>
+        <div class="hidden-coordinates">
+            <input type="hidden" class="stop-coords" value="Not set">
+        </div>
+    `;
+
+    if (data) {
+        stop.querySelector('.stop-recipient-name').value = data.recipientName || '';
+        stop.querySelector('.stop-recipient-phone').value = data.recipientPhone || '';
+        stop.querySelector('.stop-address').value = data.address || '';
+        stop.querySelector('.stop-landmark').value = data.landmark || '';
+        stop.querySelector('.stop-coords').value = data.coords || 'Not set';
+    }
+
+    stop.querySelector('.remove-stop-btn').addEventListener('click', function() {
+        removeDeliveryStop(stopId);
+    });
+    stop.querySelector('.stop-map-btn').addEventListener('click', function() {
+        openMapPicker('stop', stopId);
+    });
+    attachAddressSuggestions(stop.querySelector('.stop-address'), place => {
+        setStopLocation(stopId, place.lat.toFixed(6), place.lng.toFixed(6), place.code || place.label);
+    });
+    attachLandmarkSuggestions(stop.querySelector('.stop-landmark'), place => {
+        const address = stop.querySelector('.stop-address').value.trim();
+        setStopLocation(stopId, place.lat.toFixed(6), place.lng.toFixed(6), address ? '' : place.code || place.label);
+    });
+
+    translatePage(stop);
+    document.getElementById('extraStops').appendChild(stop);
+    renumberDeliveryStops();
+    notifyStopsChange();
+    return stopId;
+}
+
+function removeDeliveryStop(stopId) {
+    const stop = document.querySelector(`.delivery-stop[data-stop-id="${stopId}"]`);
+    if (stop) stop.remove();
+    renumberDeliveryStops();
+    notifyStopsChange();
+    checkRouteAvailability();
+}
+
+function renumberDeliveryStops() {
+    document.querySelectorAll('#extraStops .delivery-stop').forEach((stop, i) => {
+        stop.querySelector('.location-title').textContent = t('stops.title', { number: i + 2 });
+    });
+}
+
+// Set the location of an extra stop (from the map picker)
+function setStopLocation(stopId, lat, lng, address) {
+    const stop = document.querySelector(`.delivery-stop[data-stop-id="${stopId}"]`);
+    if (!stop) return;
+    stop.querySelector('.stop-coords').value = `${lat}, ${lng}`;
+    if (address) stop.querySelector('.stop-address').value = address;
+    notifyStopsChange();
+    checkRouteAvailability();
+}
+
+// All delivery stops in form order, the primary stop first
+function getDeliveryStops() {
+    const stops = [{
+        id: 'primary',
+        recipientName: document.getElementById('recipientName').value.trim(),
+        recipientPhone: document.getElementById('recipientPhone').value.trim(),
+        address: document.getElementById('deliveryAddress').value.trim(),
+        landmark: document.getElementById('deliveryLandmark').value.trim(),
+        coords: document.getElementById('deliveryCoordsHidden').value || 'Not set'
+    }];
+    document.querySelectorAll('#extraStops .delivery-stop').forEach(stop => {
+        stops.push({
+            id: stop.dataset.stopId,
+            recipientName: stop.querySelector('.stop-recipient-name').value.trim(),
+            recipientPhone: stop.querySelector('.stop-recipient-phone').value.trim(),
+            address: stop.querySelector('.stop-address').value.trim(),
+            landmark: stop.querySelector('.stop-landmark').value.trim(),
+            coords: stop.querySelector('.stop-coords').value || 'Not set'
+        });
+    });
+    return stops;
+}
+
+// Stops in the suggested visiting order when a route has been calculated,
+// otherwise in form order. Each stop keeps its form number in `stopNumber`.
+function getOrderedStops() {
+    const stops = getDeliveryStops().map((stop, i) => Object.assign({ stopNumber: i + 1 }, stop));
+    if (!currentStopOrder || currentStopOrder.length !== stops.length) return stops;
+    return currentStopOrder.map(i => stops[i]);
+}
+
+// Pickup and every drop-off as labelled [lat, lng] points, for the service-area
+// checks. `id` is 'pickup' or the stop's id from getDeliveryStops().
+function getTripPoints() {
+    const pickup = { id: 'pickup', label: t('stops.pickup'), coords: parseCoords(document.getElementById('pickupCoordsHidden').value) };
+    const drops = getDeliveryStops().map((stop, i) => ({
+        id: stop.id,
+        label: i === 0 ? t('stops.delivery') : t('stops.title', { number: i + 1 }),
+        coords: parseCoords(stop.coords)
+    }));
+    return [pickup].concat(drops).filter(point => point.coords);
+}
+
+// Forget the last optimised order when stops change
+function resetStopOrder() {
+    currentStopOrder = null;
+    showRouteLegs(null);
+}
+
+const stopsListeners = [];
+
+// Run fn whenever a stop is added, removed or moved, or the pickup or
+// delivery pin changes: a route calculated before no longer fits the trip
+function onStopsChange(fn) {
+    stopsListeners.push(fn);
+}
+
+function notifyStopsChange() {
+    resetStopOrder();
+    stopsListeners.forEach(fn => fn());
+}
+
+// Remember the visiting order of a calculated route
+function setStopOrder(order) {
+    currentStopOrder = order;
+}
+
+// Render the per-leg distance, duration and cost table in the route section
+function showRouteLegs(legs) {
+    const container = document.getElementById('routeLegs');
+    if (!container) return;
+    container.innerHTML = '';
+    if (!legs || legs.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const heading = document.createElement('h4');
+    heading.textContent = t('stops.visitingOrder');
+    container.appendChild(heading);
+
+    const list = document.createElement('ol');
+    legs.forEach(leg => {
+        const li = document.createElement('li');
+        const route = document.createElement('span');
+        const stats = document.createElement('span');
+        route.textContent = `${leg.from} → ${leg.to}`;
+        stats.textContent = `${leg.distanceKm.toFixed(1)} km · ${leg.durationMin} min · ${formatUGX(leg.cost)}`;
+        li.append(route, stats);
+        list.appendChild(li);
+    });
+    container.appendChild(list);
+    container.style.display = 'block';
+}
+
+// Build legs for display from the visiting order and per-leg figures; null
+// when the order is from a route for other stops
+function buildRouteLegs(order, legDistancesKm, legDurationsMin, price) {
+    const stops = getDeliveryStops();
+    if (order.length !== stops.length) return null;
+    const costs = splitPriceByLegs(price, legDistancesKm);
+    const describe = i => t('stops.legStop', { number: i + 1, name: stops[i].recipientName || t('stops.recipient') });
+    return order.map((stopIndex, leg) => ({
+        from: leg === 0 ? t('stops.pickup') : describe(order[leg - 1]),
+        to: describe(stopIndex),
+        distanceKm: legDistancesKm[leg],
+        durationMin: legDurationsMin[leg],
+        cost: costs[leg]
+    }));
+}
+
+document.getElementById('addStopBtn')?.addEventListener('click', function() {
+    addDeliveryStop();
+});
+if (document.getElementById('extraStops')) onLanguageChange(renumberDeliveryStops);
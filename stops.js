@@ -0,0 +1,36 @@
+// Multi-stop deliveries: stop pins and the stop and leg lists in messages.
+// No DOM dependencies; the form's extra stops are in stops-ui.js.
+
+import { t } from './i18n.js';
+import { formatUGX } from './pricing.js';
+import { plusCodeForCoords } from './plus-codes.js';
+
+// Parse a "lat, lng" string from a hidden coords input
+export function parseCoords(value) {
+    if (!value || value === 'Not set') return null;
+    const [lat, lng] = value.split(',').map(s => parseFloat(s.trim()));
+    if (isNaN(lat) || isNaN(lng)) return null;
+    return [lat, lng];
+}
+
+// Plain-text list of stops (used in WhatsApp and email), labelled in `lang`
+// (see i18n.js; the chosen language when omitted)
+export function formatStopsForMessage(stops, lang) {
+    const label = key => t(key, null, lang);
+    return stops.map((stop, i) => [
+        `${t('wa.stop', { number: i + 1 }, lang)}${stop.stopNumber && stop.stopNumber !== i + 1 ? ` (${t('wa.formStop', { number: stop.stopNumber }, lang)})` : ''}:`,
+        `${label('wa.recipient')}: ${stop.recipientName} (${stop.recipientPhone})`,
+        `${label('wa.address')}: ${stop.address}`,
+        `${label('wa.landmark')}: ${stop.landmark}`,
+        `${label('wa.coordinates')}: ${stop.coords}`,
+        plusCodeForCoords(stop.coords) ? `${label('wa.plusCode')}: ${plusCodeForCoords(stop.coords)}` : ''
+    ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+// Plain-text list of legs (used in WhatsApp and email)
+export function formatLegsForMessage(legs) {
+    if (!legs || legs.length < 2) return '';
+    return legs.map((leg, i) =>
+        `${i + 1}. ${leg.from} → ${leg.to}: ${leg.distanceKm.toFixed(1)} km, ${leg.durationMin} min, ${formatUGX(leg.cost)}`
+    ).join('\n');
+}
@@ -0,0 +1,169 @@
+// Service worker: keeps the booking pages usable offline and sends queued
+// submissions and webhooks from the outbox (see outbox.js) when the
+// connection returns.
+importScripts('outbox.js', 'webhooks.js');
+
+const SHELL_CACHE = 'vdeliver-shell-v1';
+const CDN_CACHE = 'vdeliver-cdn-v1';
+
+// Files needed to open the booking form without a connection
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'track.html',
+    'directions.html',
+    'dispatch.html',
+    'contact.html',
+    'account.html',
+    'confirm.html',
+    'home.html',
+    'style.css',
+    'logo.jpeg',
+    'config.js',
+    'globals.js',
+    'i18n.js',
+    'i18n-ui.js',
+    'locales/en.js',
+    'locales/lg.js',
+    'locales/sw.js',
+    'vehicles.js',
+    'pricing.js',
+    'service-areas.js',
+    'geocoding.js',
+    'geocoding-ui.js',
+    'plus-codes.js',
+    'landmarks.js',
+    'landmarks-ui.js',
+    'route-optimizer.js',
+    'routing.js',
+    'stops.js',
+    'stops-ui.js',
+    'directions.js',
+    'schedule.js',
+    'schedule-ui.js',
+    'package-details.js',
+    'package-details-ui.js',
+    'address-book.js',
+    'payments.js',
+    'payments-ui.js',
+    'tracking.js',
+    'dispatch.js',
+    'live-location.js',
+    'live-location-ui.js',
+    'proof-of-delivery.js',
+    'proof-of-delivery-ui.js',
+    'accounts.js',
+    'account-ui.js',
+    'recipient-notifications.js',
+    'recipient-confirm-ui.js',
+    'map-keyboard.js',
+    'outbox.js',
+    'outbox-ui.js',
+    'webhooks.js',
+    'order-export.js',
+    'order-export-ui.js',
+    'booking-link.js',
+    'vehicle-comparison-ui.js',
+    'booking/main.js',
+    'booking/store.js',
+    'booking/quote.js',
+    'booking/validation.js',
+    'booking/messages.js',
+    'booking/notifications.js',
+    'booking/locations.js',
+    'booking/map-picker.js',
+    'booking/route-view.js',
+    'booking/account.js',
+    'booking/bulk-import.js',
+    'booking/bulk-view.js',
+    'booking/field-errors.js',
+    'vendor/xlsx-0.20.3/xlsx.full.min.js',
+    'data/tracking-mock.json',
+    'data/dispatch-mock.json',
+    'data/service-areas.geojson',
+    'data/landmarks.json',
+    'data/order.schema.json'
+];
+
+// Third-party scripts and styles the pages load (Leaflet, fonts, icons)
+const CDN_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== SHELL_CACHE && key !== CDN_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+            .then(() => flushOutbox())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // Own files: network first so updates show up, cache when offline
+    if (url.origin === self.location.origin) {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(request, { ignoreSearch: true }))
+        );
+        return;
+    }
+
+    // CDN assets: serve from cache, refresh in the background
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(
+            caches.open(CDN_CACHE).then(cache =>
+                cache.match(request).then(cached => {
+                    const network = fetch(request)
+                        .then(response => {
+                            cache.put(request, response.clone());
+                            return response;
+                        })
+                        .catch(() => cached);
+                    return cached || network;
+                })
+            )
+        );
+    }
+});
+
+// Background Sync (where supported) fires once the device is back online
+self.addEventListener('sync', function(event) {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        // Rejecting asks the browser to fire the sync again later
+        event.waitUntil(
+            flushOutbox()
+                .then(() => getOutboxEntries())
+                .then(entries => {
+                    if (entries.some(entry => entry.status === 'pending')) {
+                        throw new Error('Outbox still has pending submissions');
+                    }
+                })
+        );
+    }
+});
+
+self.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'flush-outbox') {
+        event.waitUntil(flushOutbox());
+    }
+});
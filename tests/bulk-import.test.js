@@ -0,0 +1,97 @@
+// Reading bulk order files with booking/bulk-import.js: CSV parsing, header
+// matching and the row checks that need no lookups.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../locales/en.js';
+import { t } from '../i18n.js';
+import { BULK_MAX_ROWS, parseCsv, readBulkTable, validateBulkRow, bulkRowPackage, bulkRowCod } from '../booking/bulk-import.js';
+
+const HEADER = ['Recipient Name', 'Recipient Phone', 'Address', 'Landmark', 'Weight (kg)', 'Size', 'Vehicle', 'COD (UGX)'];
+
+function readRow(cells) {
+    return readBulkTable([HEADER, cells]).rows[0];
+}
+
+test('CSV cells may be quoted, with "" for a quote and line breaks inside', () => {
+    const text = 'Name,Note\r\n"Okello, John","Said ""call first""\nthen wait"\r\nNamuli,\r\n';
+    assert.deepEqual(parseCsv(text), [
+        ['Name', 'Note'],
+        ['Okello, John', 'Said "call first"\nthen wait'],
+        ['Namuli', '']
+    ]);
+});
+
+test('a byte order mark is dropped and a last line without a line end is kept', () => {
+    assert.deepEqual(parseCsv('\uFEFFName,Phone\nSarah,0772123456'), [['Name', 'Phone'], ['Sarah', '0772123456']]);
+});
+
+test('semicolons separate cells when the header uses them', () => {
+    assert.deepEqual(parseCsv('Name;Address\nSarah;"Plot 12, Ntinda Road"\n'), [['Name', 'Address'], ['Sarah', 'Plot 12, Ntinda Road']]);
+});
+
+test('columns are matched by any accepted header spelling', () => {
+    const { rows, error } = readBulkTable([
+        ['Customer', 'Mobile', 'Coordinates', 'Items', 'KG', 'Qty', 'Notes', 'Collect'],
+        ['Sarah Namuli', '0772123456', '0.3353,32.5949', 'Shoes', '1.5', '2', 'Call on arrival', '85,000']
+    ]);
+    assert.equal(error, null);
+    assert.equal(rows[0].recipientName, 'Sarah Namuli');
+    assert.equal(rows[0].recipientPhone, '0772123456');
+    assert.equal(rows[0].location, '0.3353,32.5949');
+    assert.equal(rows[0].packageDescription, 'Shoes');
+    assert.equal(rows[0].specialInstructions, 'Call on arrival');
+    assert.equal(bulkRowCod(rows[0]), 85000);
+    assert.equal(bulkRowPackage(rows[0]).quantity, 2);
+});
+
+test('rows keep their spreadsheet line numbers and blank lines are skipped', () => {
+    const { rows } = readBulkTable([
+        HEADER,
+        ['Sarah Namuli', '0772123456', 'Ntinda', 'Shell', '1', 'small', '', ''],
+        ['', '', '', '', '', '', '', ''],
+        ['John Okello', '0701234567', 'Kisementi', 'Acacia Mall', '2', 'small', '', '']
+    ]);
+    assert.deepEqual(rows.map(row => [row.line, row.recipientName]), [[2, 'Sarah Namuli'], [3, 'John Okello']]);
+    assert.equal(rows[0].status, 'pending');
+});
+
+test('spreadsheet numbers and names are tidied', () => {
+    // Excel drops the leading 0 and keeps numbers as numbers
+    const row = readRow(['Sarah Namuli', 772123456, 'Ntinda', 'Shell', 1.5, 'Medium', 'Tuk tuk', null]);
+    assert.equal(row.recipientPhone, '0772123456');
+    assert.equal(row.weightKg, '1.5');
+    assert.equal(row.sizeClass, 'medium');
+    assert.equal(row.vehicleType, 'tuk_tuk');
+    assert.equal(row.codAmount, '');
+    assert.equal(readRow(['Sarah', '0772123456', 'Ntinda', 'Shell', '1', 'tiny', 'boda', '']).vehicleType, 'boda');
+});
+
+test('files without orders or the needed columns are refused', () => {
+    assert.deepEqual(readBulkTable([]), { rows: [], error: t('bulk.fileEmpty') });
+    assert.deepEqual(readBulkTable([['', ' ']]), { rows: [], error: t('bulk.fileEmpty') });
+    assert.deepEqual(readBulkTable([HEADER]), { rows: [], error: t('bulk.noOrders') });
+    assert.deepEqual(readBulkTable([['Name', 'Landmark'], ['Sarah', 'Shell']]),
+        { rows: [], error: t('bulk.missingColumns', { columns: 'Recipient Phone, Address' }) });
+    const tooMany = [HEADER].concat(Array.from({ length: BULK_MAX_ROWS + 1 }, () => ['Sarah', '0772123456', 'Ntinda', 'Shell']));
+    assert.deepEqual(readBulkTable(tooMany), { rows: [], error: t('bulk.tooManyRows', { max: BULK_MAX_ROWS, count: BULK_MAX_ROWS + 1 }) });
+});
+
+test('row checks report every problem at once', () => {
+    assert.deepEqual(validateBulkRow(readRow(['Sarah Namuli', '0772123456', 'Ntinda', 'Shell', '1.5', 'small', 'motorcycle', '85000'])), []);
+    assert.deepEqual(validateBulkRow(readRow(['', '12345', '', '', '1', 'tiny', 'boda', 'lots'])), [
+        t('bulk.recipientMissing'),
+        t('notify.recipientPhone'),
+        t('bulk.addressMissing'),
+        t('bulk.landmarkMissing'),
+        t('bulk.unknownVehicle', { vehicle: 'boda' }),
+        t('bulk.unknownSize', { size: 'tiny', sizes: 'small, medium, large, bulky' }),
+        t('validation.packageSize'),
+        t('bulk.codNotNumber', { amount: 'lots' })
+    ]);
+});
+
+test('a package too heavy for the row\'s vehicle is an error', () => {
+    const errors = validateBulkRow(readRow(['Sarah Namuli', '0772123456', 'Ntinda', 'Shell', '30', 'small', 'bicycle', '']));
+    assert.deepEqual(errors, [t('package.tooHeavy', { weight: 30, vehicle: 'bicycle', max: 8 })]);
+});
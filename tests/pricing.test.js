@@ -0,0 +1,94 @@
+// Fares from pricing.js: distance bands, minimum fare, stops, package
+// surcharges, zones and the night and weekend rates.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../locales/en.js';
+import { calculatePrice, splitPriceByLegs, getPricingZone, formatPriceBreakdown, priceItemLabel } from '../pricing.js';
+
+const CITY_CENTRE = [0.3136, 32.5811];
+const KISEMENTI = [0.3353, 32.5949];
+const MUKONO = [0.3533, 32.7553];
+const MBARARA = [-0.6072, 30.6545];
+// A Wednesday noon and a Saturday night, Kampala time
+const WEEKDAY_NOON = new Date('2026-10-21T12:00:00+03:00');
+const SATURDAY_NIGHT = new Date('2026-10-24T22:00:00+03:00');
+
+function itemIds(price) {
+    return price.items.map(item => item.id);
+}
+
+test('distance is charged across the bands and rounded to 500 UGX', () => {
+    const price = calculatePrice({ distanceKm: 12, vehicleType: 'motorcycle', pickup: CITY_CENTRE, delivery: KISEMENTI, date: WEEKDAY_NOON });
+    // 3000 base + 10 km x 1500 + 2 km x 1200 = 20400
+    assert.equal(price.total, 20500);
+    assert.equal(price.zone, 'central');
+    assert.deepEqual(itemIds(price), ['base', 'distance', 'rounding']);
+    assert.equal(price.items.find(item => item.id === 'distance').amount, 17400);
+});
+
+test('short trips are topped up to the minimum fare', () => {
+    const price = calculatePrice({ distanceKm: 1, vehicleType: 'car', pickup: CITY_CENTRE, delivery: KISEMENTI, date: WEEKDAY_NOON });
+    assert.equal(price.total, 15000);
+    assert.equal(price.items.find(item => item.id === 'minimum').amount, 8000);
+});
+
+test('every drop-off after the first pays the stop fee', () => {
+    const price = calculatePrice({ distanceKm: 6, vehicleType: 'motorcycle', pickup: CITY_CENTRE, stops: [KISEMENTI, KISEMENTI, KISEMENTI], date: WEEKDAY_NOON });
+    const stops = price.items.find(item => item.id === 'stops');
+    assert.equal(stops.amount, 2000);
+    assert.equal(stops.params.count, 2);
+});
+
+test('weight over the allowance and the size class add surcharges', () => {
+    const price = calculatePrice({
+        distanceKm: 4, vehicleType: 'motorcycle', pickup: CITY_CENTRE, delivery: KISEMENTI, date: WEEKDAY_NOON,
+        package: { weightKg: 7.2, sizeClass: 'medium' }
+    });
+    assert.deepEqual(price.items.find(item => item.id === 'weight').params, { extra: 3, included: 5 });
+    assert.equal(price.items.find(item => item.id === 'weight').amount, 900);
+    assert.equal(price.items.find(item => item.id === 'size').amount, 1000);
+});
+
+test('the priciest zone of the trip sets the multiplier', () => {
+    assert.equal(getPricingZone(CITY_CENTRE).id, 'central');
+    assert.equal(getPricingZone(MUKONO).id, 'greater-kampala');
+    assert.equal(getPricingZone(MBARARA).id, 'upcountry');
+    assert.equal(getPricingZone(null).id, 'upcountry');
+
+    const price = calculatePrice({ distanceKm: 10, vehicleType: 'motorcycle', pickup: CITY_CENTRE, delivery: MUKONO, date: WEEKDAY_NOON });
+    assert.equal(price.zone, 'greater-kampala');
+    // 15% of the 18000 subtotal
+    assert.equal(price.items.find(item => item.id === 'zone').amount, 2700);
+});
+
+test('night and weekend surcharges are shares of the zoned subtotal', () => {
+    const price = calculatePrice({ distanceKm: 5, vehicleType: 'motorcycle', pickup: CITY_CENTRE, delivery: KISEMENTI, date: SATURDAY_NIGHT });
+    // 3000 + 5 x 1500 = 10500; +20% night, +10% weekend = 13650
+    assert.equal(price.items.find(item => item.id === 'night').amount, 2100);
+    assert.equal(price.items.find(item => item.id === 'weekend').amount, 1050);
+    assert.equal(price.total, 13500);
+});
+
+test('a vehicle without a tariff is refused', () => {
+    assert.throws(() => calculatePrice({ distanceKm: 3, vehicleType: 'boda', pickup: CITY_CENTRE, delivery: KISEMENTI }), /No tariff for vehicle type: boda/);
+});
+
+test('the price is split across legs by distance, the last leg taking the remainder', () => {
+    assert.deepEqual(splitPriceByLegs({ total: 10000 }, [1, 3]), [2500, 7500]);
+    assert.deepEqual(splitPriceByLegs({ total: 10000 }, [1, 1, 1]), [3333, 3333, 3334]);
+    assert.deepEqual(splitPriceByLegs({ total: 9000 }, [0, 0]), [4500, 4500]);
+});
+
+test('price items are worded from the locales', () => {
+    const price = calculatePrice({ distanceKm: 10, vehicleType: 'motorcycle', pickup: CITY_CENTRE, delivery: MUKONO, date: WEEKDAY_NOON });
+    assert.equal(priceItemLabel(price.items[1], 'en'), 'Distance (10.0 km)');
+    assert.equal(priceItemLabel(price.items.find(item => item.id === 'zone'), 'en'), 'Greater Kampala zone (x1.15)');
+    // Prices saved before the items were translated
+    assert.equal(priceItemLabel({ label: 'Base fare', amount: 3000 }), 'Base fare');
+
+    const lines = formatPriceBreakdown(price, 'en').split('\n');
+    assert.equal(lines.length, price.items.length + 1);
+    assert.match(lines[lines.length - 1], /^Total: /);
+    assert.equal(formatPriceBreakdown(null, 'en'), 'Not calculated');
+});
@@ -0,0 +1,89 @@
+// Pickup scheduling from schedule.js: slots inside the operating hours, the
+// lead time for pickups later today and the checks on recurring pickups.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../locales/en.js';
+import { t } from '../i18n.js';
+import {
+    getPickupSlots, validateSchedule, getScheduleDates, kampalaDateTime, getSchedulePickupTime,
+    formatScheduleForMessage, formatRecurrenceForMessage
+} from '../schedule.js';
+
+// Wednesday 21 October 2026, 10:10 in Kampala
+const NOW = new Date('2026-10-21T10:10:00+03:00');
+
+function weekly(date, time, weekdays, endDate) {
+    return { mode: 'date', date, time, recurrence: { frequency: 'weekly', weekdays, endDate } };
+}
+
+test('Kampala times are UTC+3', () => {
+    assert.equal(kampalaDateTime('2026-10-21', '09:00').toISOString(), '2026-10-21T06:00:00.000Z');
+});
+
+test('slots cover the day\'s hours, leaving room for the pickup window', () => {
+    const monday = getPickupSlots('2026-10-26', NOW);
+    assert.equal(monday[0], '07:00');
+    assert.equal(monday[monday.length - 1], '22:00');
+    const sunday = getPickupSlots('2026-10-25', NOW);
+    assert.equal(sunday[0], '09:00');
+    assert.equal(sunday[sunday.length - 1], '21:00');
+});
+
+test('today\'s slots start after the lead time and past days have none', () => {
+    assert.equal(getPickupSlots('2026-10-21', NOW)[0], '11:30');
+    assert.deepEqual(getPickupSlots('2026-10-20', NOW), []);
+});
+
+test('ASAP pickups are only taken while we are open', () => {
+    assert.equal(validateSchedule({ mode: 'asap' }, NOW), null);
+    assert.equal(validateSchedule({ mode: 'asap' }, new Date('2026-10-21T06:30:00+03:00')),
+        t('schedule.closedNow', { open: '07:00', close: '23:00' }));
+});
+
+test('a scheduled pickup needs a free slot within the booking horizon', () => {
+    assert.equal(validateSchedule({ mode: 'date', date: '2026-10-26', time: '' }, NOW), t('schedule.chooseDateTime'));
+    assert.equal(validateSchedule({ mode: 'date', date: '2026-10-20', time: '10:00' }, NOW), t('schedule.datePast'));
+    assert.equal(validateSchedule({ mode: 'date', date: '2026-11-30', time: '10:00' }, NOW), t('schedule.tooFarAhead', { days: 30 }));
+    assert.equal(validateSchedule({ mode: 'date', date: '2026-10-25', time: '08:00' }, NOW),
+        t('schedule.outsideHours', { day: t('weekday.Sun'), open: '09:00', close: '22:00' }));
+    assert.equal(validateSchedule({ mode: 'today', date: '2026-10-21', time: '10:30' }, NOW), t('schedule.slotGone'));
+    assert.equal(validateSchedule({ mode: 'today', date: '2026-10-21', time: '14:00' }, NOW), null);
+});
+
+test('weekly pickups need weekdays that are open at the chosen time', () => {
+    assert.equal(validateSchedule(weekly('2026-10-26', '09:00', [], '2026-11-09'), NOW), t('schedule.chooseWeekday'));
+    assert.equal(validateSchedule(weekly('2026-10-26', '08:00', ['Mon', 'Sun'], '2026-11-09'), NOW),
+        t('schedule.outsideHours', { day: t('weekday.Sun'), open: '09:00', close: '22:00' }));
+});
+
+test('recurring pickups need an end date after the first pickup and within 90 days', () => {
+    assert.equal(validateSchedule(weekly('2026-10-26', '09:00', ['Mon'], ''), NOW), t('schedule.chooseEndDate'));
+    assert.equal(validateSchedule(weekly('2026-10-26', '09:00', ['Mon'], '2026-10-26'), NOW), t('schedule.endBeforeStart'));
+    assert.equal(validateSchedule(weekly('2026-10-26', '09:00', ['Mon'], '2027-02-01'), NOW), t('schedule.tooLong', { days: 90 }));
+    const saturdayOnly = { mode: 'date', date: '2026-10-24', time: '08:00', recurrence: { frequency: 'daily', weekdays: [], endDate: '2026-10-25' } };
+    assert.equal(validateSchedule(saturdayOnly, NOW), t('schedule.noRepeats'));
+});
+
+test('recurring pickups skip days that are closed at the chosen time', () => {
+    const schedule = weekly('2026-10-26', '09:00', ['Mon', 'Thu'], '2026-11-09');
+    assert.equal(validateSchedule(schedule, NOW), null);
+    assert.deepEqual(getScheduleDates(schedule), ['2026-10-26', '2026-10-29', '2026-11-02', '2026-11-05', '2026-11-09']);
+
+    const daily = { mode: 'date', date: '2026-10-24', time: '08:00', recurrence: { frequency: 'daily', weekdays: [], endDate: '2026-10-26' } };
+    assert.deepEqual(getScheduleDates(daily), ['2026-10-24', '2026-10-26']);
+    assert.deepEqual(getScheduleDates({ mode: 'date', date: '2026-10-24', time: '08:00' }), ['2026-10-24']);
+});
+
+test('the first pickup time prices the trip', () => {
+    assert.equal(getSchedulePickupTime({ mode: 'asap' }, NOW), NOW);
+    assert.equal(getSchedulePickupTime({ mode: 'date', date: '2026-10-24', time: '22:00' }, NOW).toISOString(), '2026-10-24T19:00:00.000Z');
+});
+
+test('messages describe the window and the repeats', () => {
+    const schedule = weekly('2026-10-26', '09:00', ['Mon', 'Thu'], '2026-11-09');
+    assert.match(formatScheduleForMessage(schedule, 'en'), /^Scheduled: .+, 09:00–10:00 \(Kampala time\)$/);
+    assert.match(formatRecurrenceForMessage(schedule, 'en'), /^Weekly on Mon, Thu until .+ \(5 pickups\)$/);
+    assert.equal(formatScheduleForMessage({ mode: 'asap' }, 'en'), 'As soon as possible');
+    assert.equal(formatRecurrenceForMessage({ mode: 'asap' }, 'en'), 'One-off');
+});
@@ -0,0 +1,127 @@
+// Booking checks from booking/validation.js, with the service areas loaded
+// from data/service-areas.geojson.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import '../locales/en.js';
+import { t } from '../i18n.js';
+import { setServiceAreas } from '../service-areas.js';
+import { getKampalaDateParts, addDays } from '../schedule.js';
+import { ugPhoneValid, emailValid, validateExtraStops, validatePackage, validatePayment, validateBooking } from '../booking/validation.js';
+
+const areas = JSON.parse(readFileSync(new URL('../data/service-areas.geojson', import.meta.url), 'utf8'));
+setServiceAreas(areas.features);
+
+const KAMPALA_PICKUP = [0.3136, 32.5811];
+const KAMPALA_DROPOFF = [0.3353, 32.5949];
+const JINJA = [0.4244, 33.2042];
+const GULU = [2.7747, 32.2990];
+
+const cash = { method: 'cash', payer: 'sender', phone: '', codEnabled: false, codAmount: 0, codPayoutPhone: '' };
+const parcel = { weightKg: 2, sizeClass: 'small', dimensionsCm: null, quantity: 1, flags: [], declaredValue: 0 };
+
+// A booking that passes every check; tomorrow noon is always open
+function booking(changes) {
+    const tomorrow = addDays(getKampalaDateParts(new Date()).date, 1);
+    return Object.assign({
+        fields: {
+            senderName: 'Sarah Namuli', senderPhone: '0772123456', senderEmail: 'sarah@example.com',
+            recipientName: 'John Okello', recipientPhone: '+256 701 234567', packageDescription: 'Shoes',
+            vehicleType: 'motorcycle', pickupLandmark: 'Shell Ntinda', deliveryLandmark: 'Acacia Mall'
+        },
+        stops: [{ id: 'primary', recipientName: 'John Okello', recipientPhone: '0701234567', address: 'Kisementi', landmark: 'Acacia Mall', coords: '0.3353, 32.5949' }],
+        tripPoints: [
+            { id: 'pickup', label: 'Pickup', coords: KAMPALA_PICKUP },
+            { id: 'primary', label: 'Delivery', coords: KAMPALA_DROPOFF }
+        ],
+        package: parcel,
+        schedule: { mode: 'date', date: tomorrow, time: '12:00', recurrence: { frequency: 'none', weekdays: [], endDate: '' } },
+        payment: cash,
+        termsAccepted: true
+    }, changes);
+}
+
+function withFields(fields) {
+    const base = booking();
+    return booking({ fields: Object.assign({}, base.fields, fields) });
+}
+
+test('Ugandan mobile numbers in the usual spellings', () => {
+    ['+256772123456', '256772123456', '0772123456', '0772 123 456', '+256-772-123-456'].forEach(phone => {
+        assert.equal(ugPhoneValid(phone), true, phone);
+    });
+    ['', '772123456', '0412123456', '+25677212345', '+2547721234567'].forEach(phone => {
+        assert.equal(ugPhoneValid(phone), false, phone);
+    });
+});
+
+test('email addresses', () => {
+    assert.equal(emailValid(' sarah@example.com '), true);
+    assert.equal(emailValid('sarah@example'), false);
+    assert.equal(emailValid(''), false);
+});
+
+test('extra stops need a recipient, a valid phone and a pin', () => {
+    const primary = booking().stops[0];
+    const stop = { id: 'stop1', recipientName: 'Eve', recipientPhone: '0772999888', address: 'Ntinda', landmark: 'Capital Shoppers', coords: '0.3544, 32.6143' };
+    assert.equal(validateExtraStops([primary, stop]), null);
+    assert.equal(validateExtraStops([primary, Object.assign({}, stop, { landmark: '' })]), t('validation.stopIncomplete', { number: 2 }));
+    assert.equal(validateExtraStops([primary, Object.assign({}, stop, { recipientPhone: '12345' })]), t('validation.stopPhone', { number: 2 }));
+    assert.equal(validateExtraStops([primary, Object.assign({}, stop, { coords: 'Not set' })]), t('validation.stopLocation', { number: 2 }));
+});
+
+test('packages need a weight and size the vehicle can carry', () => {
+    assert.equal(validatePackage(parcel, 'motorcycle'), null);
+    assert.equal(validatePackage(Object.assign({}, parcel, { weightKg: 0 }), 'motorcycle'), t('validation.packageWeight'));
+    assert.equal(validatePackage(Object.assign({}, parcel, { sizeClass: '' }), 'motorcycle'), t('validation.packageSize'));
+    assert.equal(validatePackage(Object.assign({}, parcel, { weightKg: 30 }), 'bicycle'),
+        t('package.tooHeavy', { weight: 30, vehicle: 'bicycle', max: 8 }));
+});
+
+test('mobile money needs a number on the chosen network', () => {
+    const momo = Object.assign({}, cash, { method: 'mtn_momo', phone: '0772123456' });
+    assert.equal(validatePayment(momo, { total: 5000 }), null);
+    assert.equal(validatePayment(Object.assign({}, momo, { phone: '0701234567' }), { total: 5000 }),
+        t('validation.wrongNetwork', { phone: '0701234567', method: 'MTN MoMo' }));
+    assert.equal(validatePayment(momo, null), t('validation.calculateFirst'));
+    assert.equal(validatePayment(Object.assign({}, momo, { payer: 'recipient' }), null), null);
+    assert.equal(validatePayment(Object.assign({}, cash, { method: 'cheque' })), t('validation.paymentMethod'));
+});
+
+test('cash on delivery stays within the rider float', () => {
+    const cod = Object.assign({}, cash, { codEnabled: true, codAmount: 85000, codPayoutPhone: '0772123456' });
+    assert.equal(validatePayment(cod, null), null);
+    assert.equal(validatePayment(Object.assign({}, cod, { codAmount: 0 }), null), t('validation.codAmount'));
+    assert.match(validatePayment(Object.assign({}, cod, { codAmount: 100 }), null), /^Cash on delivery starts at /);
+    assert.match(validatePayment(Object.assign({}, cod, { codAmount: 2500000 }), null), /^Cash on delivery is limited to /);
+    assert.equal(validatePayment(Object.assign({}, cod, { codPayoutPhone: '' }), null), t('validation.codPayoutPhone'));
+});
+
+test('a complete booking passes', () => {
+    assert.equal(validateBooking(booking(), null), null);
+});
+
+test('the first problem in form order is reported with the field to show', () => {
+    assert.deepEqual(validateBooking(withFields({ pickupLandmark: ' ' }), null), { message: t('notify.requiredFields'), target: 'pickupLandmark' });
+    assert.deepEqual(validateBooking(withFields({ senderPhone: '12345', senderEmail: 'x' }), null), { message: t('notify.senderPhone'), target: 'senderPhone' });
+    assert.deepEqual(validateBooking(withFields({ senderEmail: 'sarah@' }), null), { message: t('notify.senderEmail'), target: 'senderEmail' });
+    assert.deepEqual(validateBooking(booking({ package: Object.assign({}, parcel, { weightKg: 0 }) }), null),
+        { message: t('validation.packageWeight'), target: 'packageFields' });
+    assert.deepEqual(validateBooking(booking({ termsAccepted: false }), null), { message: t('notify.acceptTerms'), target: 'termsAgreement' });
+});
+
+test('every point must be in a served area that takes the vehicle', () => {
+    const toJinja = booking({ tripPoints: [{ id: 'pickup', label: 'Pickup', coords: JINJA }] });
+    assert.deepEqual(validateBooking(toJinja, null), {
+        message: 'Pickup: ' + t('serviceArea.onlyBy', { area: 'Jinja', vehicles: 'car or van / pickup truck' }),
+        target: null
+    });
+    const toGulu = booking({ tripPoints: [{ id: 'primary', label: 'Delivery', coords: GULU }] });
+    assert.match(validateBooking(toGulu, null).message, /^Delivery: We don't cover Gulu yet: /);
+});
+
+test('a calculated route too long for the vehicle blocks the booking', () => {
+    const quote = { quotes: [{ vehicleType: 'motorcycle', check: { errors: ['Too far'], warnings: [] } }], price: null };
+    assert.deepEqual(validateBooking(booking(), quote), { message: 'Too far', target: null });
+});
@@ -0,0 +1,181 @@
+// Local relay for the 'websocket' live-location transport (live-location.js),
+// so rider sharing and live tracking can be tried without the real server.
+//
+//   node tools/location-relay.js [port]
+//
+// Then set APP_CONFIG.liveLocation to
+//   transport: 'websocket', websocket: { url: 'ws://localhost:8788/' }
+// and open a rider link and the tracking link for the same order. Fixes are
+// kept in memory only (the last 200 per order). Needs Node 14 or later and
+// nothing else: the WebSocket handshake and framing are done here.
+//
+// Every message must carry the order's key from those links. This relay has
+// no order list to check the key against, so it keeps each order and key pair
+// apart instead: a guessed request ID with a wrong key neither sees the rider
+// nor reaches the customer. The real server compares the key with the order's.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8788;
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const TRAIL_LIMIT = 200; // same as LIVE_TRAIL_LIMIT in live-location.js
+const MAX_MESSAGE_BYTES = 64 * 1024; // a fix is well under 1 KB
+const KEY_PATTERN = /^[A-Za-z0-9]{16,64}$/; // generateLiveKey() in tracking.js
+
+const trails = new Map(); // channel -> [fix, ...]
+const clients = new Set(); // { socket, subscriptions: Set<channel>, buffer, fragments }
+
+// Same as liveChannel() in live-location.js
+function channelOf(requestId, key) {
+    return requestId + '/' + key;
+}
+
+// One unmasked frame from the server; opcode 1 is text, 8 close, 10 pong
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Next complete frame at the start of `buffer`, or null until more data arrives
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) return { error: 'message too large' };
+    if (!masked) return { error: 'client frames must be masked' };
+    if (buffer.length < offset + 4 + length) return null;
+    const mask = buffer.slice(offset, offset + 4);
+    const payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+function send(client, message) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(1, Buffer.from(JSON.stringify(message))));
+}
+
+function close(client) {
+    clients.delete(client);
+    if (!client.socket.destroyed) client.socket.end(encodeFrame(8, Buffer.alloc(0)));
+}
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.log('ignored a message that is not JSON');
+        return;
+    }
+    const { type, requestId, key } = message;
+    if (typeof requestId !== 'string' || !requestId) return;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+        console.log(`refused      ${type} for ${requestId} without a valid key`);
+        return;
+    }
+    const channel = channelOf(requestId, key);
+    if (type === 'subscribe') {
+        client.subscriptions.add(channel);
+        send(client, { type: 'trail', requestId, key, fixes: trails.get(channel) || [] });
+        console.log(`subscribe    ${requestId} (${clients.size} client(s))`);
+    } else if (type === 'unsubscribe') {
+        client.subscriptions.delete(channel);
+        console.log(`unsubscribe  ${requestId}`);
+    } else if (type === 'location' && message.fix) {
+        const trail = (trails.get(channel) || []).concat(message.fix).slice(-TRAIL_LIMIT);
+        trails.set(channel, trail);
+        let listeners = 0;
+        clients.forEach(other => {
+            if (other.subscriptions.has(channel)) {
+                send(other, { type: 'location', requestId, key, fix: message.fix });
+                listeners++;
+            }
+        });
+        console.log(`location     ${requestId} ${message.fix.lat},${message.fix.lng} -> ${listeners} listener(s)`);
+    }
+}
+
+function handleData(client, chunk) {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    let frame;
+    while ((frame = decodeFrame(client.buffer))) {
+        if (frame.error) {
+            console.log(`closing a client: ${frame.error}`);
+            close(client);
+            return;
+        }
+        client.buffer = client.buffer.slice(frame.size);
+        if (frame.opcode === 8) {
+            close(client);
+            return;
+        }
+        if (frame.opcode === 9) {
+            client.socket.write(encodeFrame(10, frame.payload));
+            continue;
+        }
+        if (frame.opcode !== 0 && frame.opcode !== 1) continue; // pong and binary frames
+        client.fragments.push(frame.payload);
+        if (Buffer.concat(client.fragments).length > MAX_MESSAGE_BYTES) {
+            console.log('closing a client: message too large');
+            close(client);
+            return;
+        }
+        if (frame.fin) handleMessage(client, Buffer.concat(client.fragments.splice(0)).toString('utf8'));
+    }
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('VDELIVER location relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const client = { socket, subscriptions: new Set(), buffer: Buffer.alloc(0), fragments: [] };
+    clients.add(client);
+    socket.on('data', chunk => handleData(client, chunk));
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+});
+
+server.listen(port, () => {
+    console.log(`Relaying rider locations on ws://localhost:${port}/`);
+});
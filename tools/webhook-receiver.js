@@ -0,0 +1,100 @@
+// Local webhook receiver for trying out order webhooks (webhooks.js).
+//
+//   node tools/webhook-receiver.js [port]
+//
+// Environment:
+//   WEBHOOK_SECRET      secret to verify signatures with (default "dev-secret")
+//   WEBHOOK_FAIL_FIRST  answer the first N deliveries with 503 to watch the retries
+//   WEBHOOK_SAVE_DIR    also write each verified body to <dir>/<deliveryId>.json
+//
+// Then add { url: 'http://localhost:8787/orders', secret: 'dev-secret' } to
+// APP_CONFIG.webhooks.endpoints and book a delivery. Needs Node 14 or later.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const port = Number(process.argv[2]) || 8787;
+const secret = process.env.WEBHOOK_SECRET || 'dev-secret';
+const saveDir = process.env.WEBHOOK_SAVE_DIR || '';
+let failuresLeft = Number(process.env.WEBHOOK_FAIL_FIRST) || 0;
+
+const TOLERANCE_SECONDS = 5 * 60;
+
+// The booking page is on another origin, so allow its preflight requests
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-VDeliver-Event, X-VDeliver-Delivery, X-VDeliver-Attempt, X-VDeliver-Signature'
+};
+
+// Returns an error message, or null when the signature matches and is recent
+function verifySignature(header, body) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) return 'missing signature';
+    if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) return 'timestamp outside tolerance';
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    const given = Buffer.from(parts.v1, 'utf8');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'))) {
+        return 'signature mismatch';
+    }
+    return null;
+}
+
+function reply(res, status, message) {
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+    res.end(JSON.stringify({ status, message }));
+}
+
+http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        reply(res, 405, 'POST only');
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const delivery = req.headers['x-vdeliver-delivery'] || '(no delivery id)';
+        const attempt = req.headers['x-vdeliver-attempt'] || '?';
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`503  ${delivery} attempt ${attempt} (simulated failure)`);
+            reply(res, 503, 'simulated failure');
+            return;
+        }
+        const error = verifySignature(req.headers['x-vdeliver-signature'], body);
+        if (error) {
+            console.log(`401  ${delivery} attempt ${attempt}: ${error}`);
+            reply(res, 401, error);
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (parseError) {
+            reply(res, 400, 'body is not JSON');
+            return;
+        }
+        const order = payload.data || {};
+        console.log(`200  ${delivery} attempt ${attempt}: ${payload.event} ${order.requestId} ` +
+            `(schema ${order.schema} v${order.schemaVersion}, ${(order.dropoffs || []).length} drop-off(s))`);
+        if (saveDir) {
+            fs.mkdirSync(saveDir, { recursive: true });
+            fs.writeFileSync(path.join(saveDir, delivery.replace(/[^\w.-]+/g, '_') + '.json'), JSON.stringify(payload, null, 2));
+        }
+        reply(res, 200, 'ok');
+    });
+}).listen(port, () => {
+    console.log(`Listening for VDELIVER webhooks on http://localhost:${port}/ (secret "${secret}")`);
+});
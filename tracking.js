@@ -0,0 +1,191 @@
+// Request IDs and order status tracking.
+// Status comes from a pluggable "status source": any object with
+//   getStatus(requestId) -> Promise<{ requestId, status, history: [{ status, time, note }] } | null>
+// The local source reads orders saved in this browser; the JSON source reads a
+// static file, so the tracking page works without a live backend.
+
+// In order; the names are in the locales as status.<id>
+const TRACKING_STATUSES = [
+    { id: 'received', icon: 'fa-inbox' },
+    { id: 'rider_assigned', icon: 'fa-user-check' },
+    { id: 'picked_up', icon: 'fa-box' },
+    { id: 'in_transit', icon: 'fa-motorcycle' },
+    { id: 'delivered', icon: 'fa-check-circle' }
+];
+
+const LOCAL_ORDERS_KEY = 'vdeliver.orders';
+const REQUEST_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ'; // no 0/O, 1/I/L
+const LIVE_KEY_LENGTH = 16;
+
+// Short, human-friendly request ID such as "VD-7K3Q9M"
+function generateRequestId() {
+    const bytes = new Uint8Array(6);
+    crypto.getRandomValues(bytes);
+    let id = '';
+    bytes.forEach(b => { id += REQUEST_ID_ALPHABET[b % REQUEST_ID_ALPHABET.length]; });
+    id = 'VD-' + id;
+    // Regenerate on the (unlikely) clash with an order already in this browser
+    return getLocalOrder(id) ? generateRequestId() : id;
+}
+
+// Secret in the rider and tracking links: only someone with the link can
+// share or watch the rider's live location (live-location.js)
+function generateLiveKey() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    const values = new Uint32Array(LIVE_KEY_LENGTH);
+    crypto.getRandomValues(values);
+    return Array.from(values, v => alphabet[v % alphabet.length]).join('');
+}
+
+// track.html?id=VD-XXXXXX&key=..., relative to the current page
+function buildTrackingLink(requestId, liveKey) {
+    const params = new URLSearchParams({ id: requestId });
+    if (liveKey) params.set('key', liveKey);
+    return 'track.html?' + params;
+}
+
+function normalizeRequestId(value) {
+    const cleaned = (value || '').trim().toUpperCase().replace(/\s+/g, '');
+    if (!cleaned) return '';
+    return cleaned.startsWith('VD-') ? cleaned : 'VD-' + cleaned.replace(/^VD/, '');
+}
+
+// Orders saved in localStorage, keyed by request ID
+function readLocalOrders() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCAL_ORDERS_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read saved orders', error);
+        return {};
+    }
+}
+
+// Throws when the browser's storage is full (QuotaExceededError), e.g. with
+// proof-of-delivery photos, so callers can say the change was not saved
+function writeLocalOrders(orders) {
+    localStorage.setItem(LOCAL_ORDERS_KEY, JSON.stringify(orders));
+}
+
+function isStorageFullError(error) {
+    return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+function getLocalOrder(requestId) {
+    return readLocalOrders()[requestId] || null;
+}
+
+// Save a newly submitted order with a "received" status
+function saveLocalOrder(requestId, details) {
+    const orders = readLocalOrders();
+    orders[requestId] = {
+        requestId,
+        createdAt: new Date().toISOString(),
+        details,
+        status: 'received',
+        history: [{ status: 'received', time: new Date().toISOString(), note: '' }]
+    };
+    writeLocalOrders(orders);
+    return orders[requestId];
+}
+
+// Merge fields into an order's details, e.g. a payment status update
+function updateLocalOrderDetails(requestId, patch) {
+    const orders = readLocalOrders();
+    const order = orders[requestId];
+    if (!order) return null;
+    order.details = Object.assign({}, order.details, patch);
+    writeLocalOrders(orders);
+    return order;
+}
+
+function updateLocalOrderStatus(requestId, status, note) {
+    const orders = readLocalOrders();
+    const order = orders[requestId];
+    if (!order) return null;
+    order.status = status;
+    order.history.push({ status, time: new Date().toISOString(), note: note || '' });
+    writeLocalOrders(orders);
+    return order;
+}
+
+// Status source backed by this browser's saved orders
+function createLocalStatusSource() {
+    return {
+        name: 'local',
+        async getStatus(requestId) {
+            return getLocalOrder(requestId);
+        }
+    };
+}
+
+// Status source backed by a static JSON file: { "VD-XXXXXX": { status, history } }
+function createJsonStatusSource(url) {
+    return {
+        name: 'json',
+        async getStatus(requestId) {
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) throw new Error('Status source unavailable: ' + response.status);
+            const data = await response.json();
+            const order = data[requestId];
+            return order ? Object.assign({ requestId }, order) : null;
+        }
+    };
+}
+
+// Ask each source in turn; the first one that knows the order wins
+function createFallbackStatusSource(sources) {
+    return {
+        name: 'fallback',
+        async getStatus(requestId) {
+            for (const source of sources) {
+                try {
+                    const order = await source.getStatus(requestId);
+                    if (order) return order;
+                } catch (error) {
+                    console.warn(`Status source "${source.name}" failed`, error);
+                }
+            }
+            return null;
+        }
+    };
+}
+
+let statusSource = createFallbackStatusSource([
+    createLocalStatusSource(),
+    createJsonStatusSource('data/tracking-mock.json')
+]);
+
+function setStatusSource(source) {
+    statusSource = source;
+}
+
+function getRequestStatus(requestId) {
+    return statusSource.getStatus(requestId);
+}
+
+// Timeline steps for an order: every known status, marked done/current/pending
+function buildStatusTimeline(order) {
+    const currentIndex = TRACKING_STATUSES.findIndex(s => s.id === order.status);
+    return TRACKING_STATUSES.map((status, i) => {
+        const entry = (order.history || []).filter(h => h.status === status.id).pop();
+        return {
+            id: status.id,
+            label: t('status.' + status.id),
+            icon: status.icon,
+            state: i < currentIndex ? 'done' : i === currentIndex ? 'current' : 'pending',
+            time: entry ? entry.time : null,
+            note: entry ? entry.note : ''
+        };
+    });
+}
+
+// e.g. "19 Oct, 08:23" in the chosen language
+function formatTrackingTime(iso) {
+    return new Date(iso).toLocaleString([LANGUAGE_LOCALES[getLanguage()], LANGUAGE_LOCALES[DEFAULT_LANGUAGE]], {
+        timeZone: 'Africa/Kampala',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
@@ -0,0 +1,108 @@
+// Vehicle comparison on the booking page: #vehicleType is filled from
+// VEHICLE_TYPES, and after Calculate Route #vehicleComparison shows price,
+// ETA and capacity for every vehicle with the recommended one marked.
+// Choosing a card sets #vehicleType and fires its change event, which
+// re-prices the route like picking from the select does.
+
+let lastVehicleComparison = null; // { quotes, options }, redrawn on a language switch
+
+// Pick a vehicle as if the sender had used the select
+function chooseVehicle(vehicleType) {
+    const select = document.getElementById('vehicleType');
+    select.value = vehicleType;
+    select.dispatchEvent(new Event('change'));
+}
+
+// quotes from buildVehicleQuotes(); options: { selected, recommended }.
+// Pass null to hide the card.
+function renderVehicleComparison(quotes, options) {
+    const box = document.getElementById('vehicleComparison');
+    if (!box) return;
+    lastVehicleComparison = quotes ? { quotes, options } : null;
+    const list = box.querySelector('.vehicle-options');
+    list.innerHTML = '';
+    if (!quotes || !quotes.length) {
+        box.style.display = 'none';
+        return;
+    }
+
+    quotes.forEach(quote => {
+        const vehicle = VEHICLE_TYPES[quote.vehicleType];
+        const unavailable = quote.check.errors.length > 0;
+        const card = document.createElement('li');
+        card.className = 'vehicle-option' +
+            (quote.vehicleType === options.selected ? ' selected' : '') +
+            (quote.vehicleType === options.recommended ? ' recommended' : '') +
+            (unavailable ? ' unavailable' : '');
+
+        const name = document.createElement('div');
+        name.className = 'vehicle-option-name';
+        name.textContent = `${vehicle.icon} ${t('vehicle.' + quote.vehicleType)}`;
+        card.appendChild(name);
+        if (quote.vehicleType === options.recommended) {
+            const badge = document.createElement('span');
+            badge.className = 'vehicle-option-badge';
+            badge.textContent = t('comparison.recommended');
+            card.appendChild(badge);
+        }
+
+        const figures = document.createElement('dl');
+        figures.className = 'vehicle-option-figures';
+        [
+            [t('route.cost'), quote.price ? formatUGX(quote.price.total) : '--'],
+            [t('comparison.eta'), t('comparison.minutes', { minutes: quote.durationMin })],
+            [t('comparison.capacity'), t('comparison.capacityValue', {
+                weight: vehicle.capacity.maxWeightKg,
+                size: t('size.' + vehicle.capacity.maxSize)
+            })]
+        ].forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            figures.append(dt, dd);
+        });
+        card.appendChild(figures);
+
+        quote.check.errors.concat(quote.check.warnings).forEach((message, i) => {
+            const p = document.createElement('p');
+            p.className = 'package-check-item ' + (i < quote.check.errors.length ? 'error' : 'warning');
+            p.textContent = message;
+            card.appendChild(p);
+        });
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'route-btn' + (quote.vehicleType === options.selected ? '' : ' secondary');
+        button.disabled = unavailable || quote.vehicleType === options.selected;
+        button.textContent = quote.vehicleType === options.selected ? t('comparison.chosen') : t('comparison.choose');
+        button.addEventListener('click', () => chooseVehicle(quote.vehicleType));
+        card.appendChild(button);
+        list.appendChild(card);
+    });
+
+    const note = box.querySelector('.vehicle-comparison-note');
+    note.textContent = options.recommended ? '' : t('comparison.noneFits');
+    note.style.display = options.recommended ? 'none' : 'block';
+    box.style.display = 'block';
+}
+
+(function initVehicleSelect() {
+    const select = document.getElementById('vehicleType');
+    if (!select) return;
+    const options = VEHICLE_ORDER.map(id => {
+        const option = new Option('', id);
+        select.add(option);
+        return option;
+    });
+
+    function labelOptions() {
+        options.forEach(option => {
+            const id = option.value;
+            option.textContent = `${VEHICLE_TYPES[id].icon} ${t('vehicle.' + id)} — ${t('vehicleHint.' + id)}`;
+        });
+        if (lastVehicleComparison) renderVehicleComparison(lastVehicleComparison.quotes, lastVehicleComparison.options);
+    }
+    onLanguageChange(labelOptions);
+    labelOptions();
+})();
@@ -0,0 +1,115 @@
+// Vehicle classes, smallest first. Everything that differs per vehicle lives
+// here so a new class is a new entry rather than another `if`:
+//   capacity      what it can carry; the whole consignment (all items) counts
+//   maxTripKm     longest trip we book on it (bicycles stay local)
+//   openCarrier   the load rides exposed (box or rack), so fragile and large
+//                 perishable loads get a warning
+//   profiles      native routing profile per provider (see routing.js); a
+//                 provider without one routes it as a car
+//   durationFactor  travel time relative to a car, applied when the route
+//                 came from a provider without a native profile
+// Tariffs are in pricing.js under the same keys. Which areas take which
+// vehicle is in the service areas (service-areas.js). No DOM dependencies.
+
+import { t } from './i18n.js';
+import { calculatePrice } from './pricing.js';
+import { checkPackageSuitability } from './package-details.js';
+import { findAreaVehicleError } from './service-areas.js';
+
+export const VEHICLE_TYPES = {
+    bicycle: {
+        label: 'Bicycle',
+        icon: '🚲',
+        capacity: { maxWeightKg: 8, maxSize: 'small' },
+        maxTripKm: 10,
+        openCarrier: true,
+        profiles: { ors: 'cycling-regular', graphhopper: 'bike' },
+        durationFactor: 1.6
+    },
+    motorcycle: {
+        label: 'Motorcycle',
+        icon: '🏍️',
+        capacity: { maxWeightKg: 20, maxSize: 'medium' },
+        openCarrier: true,
+        profiles: { graphhopper: 'scooter' },
+        durationFactor: 0.8
+    },
+    tuk_tuk: {
+        label: 'Tuk-tuk',
+        icon: '🛺',
+        capacity: { maxWeightKg: 150, maxSize: 'large' },
+        profiles: {},
+        durationFactor: 1.2
+    },
+    car: {
+        label: 'Car',
+        icon: '🚗',
+        capacity: { maxWeightKg: 200, maxSize: 'bulky' },
+        profiles: {},
+        durationFactor: 1
+    },
+    van: {
+        label: 'Van / pickup truck',
+        icon: '🚐',
+        capacity: { maxWeightKg: 1000, maxSize: 'bulky' },
+        profiles: {},
+        durationFactor: 1.15
+    }
+};
+
+export const VEHICLE_ORDER = ['bicycle', 'motorcycle', 'tuk_tuk', 'car', 'van'];
+
+// Native profile for a vehicle on a routing provider, or null
+export function vehicleRoutingProfile(vehicleType, provider) {
+    const vehicle = VEHICLE_TYPES[vehicleType];
+    return (vehicle && vehicle.profiles[provider]) || null;
+}
+
+// Scale a route's legs and steps to a vehicle's speed unless the provider
+// that answered routed it natively
+export function adjustRouteForVehicle(route, vehicleType) {
+    const vehicle = VEHICLE_TYPES[vehicleType];
+    if (!vehicle || vehicle.durationFactor === 1 || vehicleRoutingProfile(vehicleType, route.provider)) return route;
+    const scale = item => Object.assign({}, item, { durationMin: Math.round(item.durationMin * vehicle.durationFactor) });
+    return Object.assign({}, route, {
+        legs: route.legs.map(scale),
+        steps: (route.steps || []).map(scale)
+    });
+}
+
+// Price, ETA and package check for every routed vehicle. A vehicle that is
+// too small, goes too far or isn't used in one of the trip's service areas
+// gets an error, so it is never recommended.
+// routes: { [vehicleType]: route }, the rest as for calculatePrice().
+// Returns quotes in VEHICLE_ORDER:
+//   [{ vehicleType, route, distanceKm, durationMin, price, check: { errors, warnings } }]
+export function buildVehicleQuotes(routes, options) {
+    const tripPoints = [options.pickup].concat(options.stops || [options.delivery]);
+    return VEHICLE_ORDER.filter(type => routes[type]).map(type => {
+        const route = routes[type];
+        const distanceKm = route.legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+        const durationMin = route.legs.reduce((sum, leg) => sum + leg.durationMin, 0);
+        const check = options.package
+            ? checkPackageSuitability(options.package, type)
+            : { errors: [], warnings: [] };
+        const maxTripKm = VEHICLE_TYPES[type].maxTripKm;
+        if (maxTripKm && distanceKm > maxTripKm) {
+            check.errors.push(t('vehicle.tooFar', { vehicle: t('vehicle.' + type), distance: distanceKm.toFixed(1), max: maxTripKm }));
+        }
+        const areaError = findAreaVehicleError(tripPoints, type);
+        if (areaError) check.errors.push(areaError);
+        const price = calculatePrice(Object.assign({}, options, { distanceKm, vehicleType: type }));
+        return { vehicleType: type, route, distanceKm, durationMin, price, check };
+    });
+}
+
+// Best quote for the package: it must fit, fewer warnings win, then the
+// cheaper and then the faster option. Null when nothing can take it.
+export function recommendVehicle(quotes) {
+    const usable = quotes.filter(quote => quote.price && !quote.check.errors.length);
+    usable.sort((a, b) =>
+        a.check.warnings.length - b.check.warnings.length ||
+        a.price.total - b.price.total ||
+        a.durationMin - b.durationMin);
+    return usable.length ? usable[0].vehicleType : null;
+}
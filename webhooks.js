@@ -0,0 +1,61 @@
+// Order webhooks: new orders are POSTed as JSON to the endpoints in
+// APP_CONFIG.webhooks, through the outbox (outbox.js) so failed deliveries
+// are retried with backoff. The body is
+//   { event, deliveryId, createdAt, data }   (data: an order from order-export.js)
+// and every attempt is signed with HMAC-SHA256 over "<t>.<body>":
+//   X-VDeliver-Signature: t=<unix seconds>,v1=<hex digest>
+// Receivers recompute the digest and reject old timestamps; see
+// tools/webhook-receiver.js. The secret ships to the browser in config.js, so
+// production endpoints should be a relay we control rather than a partner's.
+// No DOM dependencies: sw.js loads this file too.
+
+const WEBHOOK_SIGNATURE_HEADER = 'X-VDeliver-Signature';
+
+async function hmacSha256Hex(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Signature header value for a body, stamped with the current time
+async function signWebhookBody(secret, body, timestamp) {
+    const t = timestamp || Math.floor(Date.now() / 1000);
+    return `t=${t},v1=${await hmacSha256Hex(secret, `${t}.${body}`)}`;
+}
+
+// Fetch options for one delivery attempt of a webhook outbox entry
+async function buildWebhookRequest(entry) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-VDeliver-Event': entry.event,
+        'X-VDeliver-Delivery': entry.id,
+        'X-VDeliver-Attempt': String(entry.attempts + 1)
+    };
+    if (entry.secret) headers[WEBHOOK_SIGNATURE_HEADER] = await signWebhookBody(entry.secret, entry.body);
+    return { body: entry.body, headers };
+}
+
+// Endpoints subscribed to an event; an endpoint without `events` gets them all
+function getWebhookEndpoints(config, event) {
+    return (config.endpoints || []).filter(endpoint =>
+        endpoint.url && (!endpoint.events || endpoint.events.includes(event))
+    );
+}
+
+// Queue one delivery per subscribed endpoint, e.g.
+// queueWebhooks('order.created', order.requestId, order). Resolves with the outbox entries.
+function queueWebhooks(event, id, data, config) {
+    const endpoints = getWebhookEndpoints(config || APP_CONFIG.webhooks, event);
+    return Promise.all(endpoints.map((endpoint, i) => {
+        const deliveryId = `${id}/${event}/${i + 1}`;
+        return queueOutboxEntry({
+            id: deliveryId,
+            kind: 'webhook',
+            url: endpoint.url,
+            event,
+            secret: endpoint.secret || '',
+            body: JSON.stringify({ event, deliveryId, createdAt: new Date().toISOString(), data })
+        });
+    }));
+}